@@ -0,0 +1,129 @@
+// Local stand-in for the campus auth backend used by the 'password' auth provider.
+//
+//   npm run auth-server                       # port 4002, access tokens valid for 2 minutes
+//   npm run auth-server -- --access-ttl 30    # shorter tokens to watch silent refresh happen
+//
+// Then start the app with REACT_APP_AUTH_PROVIDER=password
+// (REACT_APP_AUTH_URL defaults to http://localhost:4002/auth).
+// Users: admin / password (admin), tech / password (technician).
+//
+// The refresh token is set as an httpOnly cookie, so page scripts never see it. Only the
+// app's origin (--app-origin, default http://localhost:3000) may make credentialed requests.
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+};
+
+const PORT = Number(option('port', 4002));
+const ACCESS_TTL = Number(option('access-ttl', 120)); // seconds
+const REFRESH_TTL = Number(option('refresh-ttl', 7 * 24 * 3600));
+const APP_ORIGIN = option('app-origin', 'http://localhost:3000');
+const SECRET = crypto.randomBytes(32);
+const REFRESH_COOKIE = 'vidyut_refresh';
+
+const USERS = {
+    admin: { password: 'password', name: 'Admin User', role: 'admin' },
+    tech: { password: 'password', name: 'Technician', role: 'technician' }
+};
+
+// refresh token -> { username, expiresAt }. Tokens are single use and rotated on refresh.
+const refreshTokens = new Map();
+
+const base64Url = (input) => Buffer.from(input).toString('base64url');
+
+const signJwt = (claims) => {
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64Url(JSON.stringify(claims));
+    const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+};
+
+const issueTokens = (username) => {
+    const user = USERS[username];
+    const now = Math.floor(Date.now() / 1000);
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    refreshTokens.set(refreshToken, { username, expiresAt: Date.now() + REFRESH_TTL * 1000 });
+    return {
+        body: {
+            access_token: signJwt({ sub: username, name: user.name, role: user.role, iat: now, exp: now + ACCESS_TTL }),
+            token_type: 'Bearer',
+            expires_in: ACCESS_TTL
+        },
+        // Add `Secure` when served over HTTPS
+        cookie: `${REFRESH_COOKIE}=${refreshToken}; HttpOnly; SameSite=Strict; Path=/auth; Max-Age=${REFRESH_TTL}`
+    };
+};
+
+const clearedCookie = `${REFRESH_COOKIE}=; HttpOnly; SameSite=Strict; Path=/auth; Max-Age=0`;
+
+const readCookie = (req, name) => (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name)?.[1];
+
+const send = (req, res, status, body, cookie) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        ...(req.headers.origin === APP_ORIGIN && {
+            'Access-Control-Allow-Origin': APP_ORIGIN,
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            Vary: 'Origin'
+        }),
+        ...(cookie && { 'Set-Cookie': cookie })
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(raw || '{}'));
+        } catch {
+            resolve({});
+        }
+    });
+});
+
+// Each route returns [status, body, cookie]
+const routes = {
+    '/auth/login': (req, { username, password }) => {
+        const user = USERS[username];
+        if (!user || user.password !== password) return [401, { error: 'invalid_credentials' }];
+        console.log(`login: ${username}`);
+        const { body, cookie } = issueTokens(username);
+        return [200, body, cookie];
+    },
+    '/auth/refresh': (req) => {
+        const token = readCookie(req, REFRESH_COOKIE);
+        const entry = refreshTokens.get(token);
+        refreshTokens.delete(token);
+        if (!entry || entry.expiresAt < Date.now()) return [401, { error: 'invalid_grant' }, clearedCookie];
+        console.log(`refresh: ${entry.username}`);
+        const { body, cookie } = issueTokens(entry.username);
+        return [200, body, cookie];
+    },
+    '/auth/logout': (req) => {
+        refreshTokens.delete(readCookie(req, REFRESH_COOKIE));
+        return [204, undefined, clearedCookie];
+    }
+};
+
+http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(req, res, 204);
+    // Browsers send Origin on cross-origin POSTs; refuse any other site outright
+    if (req.headers.origin && req.headers.origin !== APP_ORIGIN) return send(req, res, 403, { error: 'origin_not_allowed' });
+    const route = routes[req.url];
+    if (req.method !== 'POST' || !route) return send(req, res, 404, { error: 'not_found' });
+    const [status, body, cookie] = route(req, await readBody(req));
+    send(req, res, status, body, cookie);
+}).listen(PORT, '127.0.0.1', () => {
+    console.log(`Auth stand-in listening on http://localhost:${PORT}/auth for ${APP_ORIGIN} (access tokens valid ${ACCESS_TTL}s)`);
+});
@@ -0,0 +1,200 @@
+// Local stand-in for the notification backend used by the alert notification dispatcher.
+// Browsers cannot speak SMTP, so email goes through this relay:
+//
+//   npm run notification-server                           # relay on port 4003, SMTP sink on 2525
+//   npm run notification-server -- --smtp-host mail.campus.local --smtp-port 25 --sink-port 0
+//                                                         # relay to a real server, no sink
+//
+//   POST /notify/email  { to, subject, text }  -> sent over SMTP to --smtp-host:--smtp-port
+//   POST /webhook       any JSON               -> printed, to test webhook notifications
+//
+// The SMTP sink accepts and prints every message instead of delivering it. The relay speaks
+// plain SMTP without authentication or TLS, which suits a local or campus-internal server.
+// Both listen on 127.0.0.1 only, and browsers may call the relay only from the app's origin
+// (--app-origin, default http://localhost:3000), so other sites cannot send mail through it.
+// The app's relay URL is REACT_APP_EMAIL_RELAY_URL (default http://localhost:4003/notify/email);
+// point a user's webhook at http://localhost:4003/webhook to see webhook payloads.
+const http = require('http');
+const net = require('net');
+
+const args = process.argv.slice(2);
+const textOption = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+};
+const option = (name, fallback) => Number(textOption(name, fallback));
+
+const PORT = option('port', 4003);
+const SINK_PORT = option('sink-port', 2525);
+const SMTP_HOST = textOption('smtp-host', '127.0.0.1');
+const SMTP_PORT = option('smtp-port', SINK_PORT || 25);
+const FROM = textOption('from', 'vidyut-alerts@localhost');
+const APP_ORIGIN = textOption('app-origin', 'http://localhost:3000');
+const SMTP_TIMEOUT = 10000;
+const MAX_BODY = 64 * 1024; // bytes
+
+// One plain address: no display name, list or whitespace that could add recipients or headers
+const EMAIL_ADDRESS = /^[^\s@<>,;:"()[\]\\]+@[^\s@<>,;:"()[\]\\]+$/;
+
+// Calls `onLine` for each complete CRLF-terminated line received on a socket
+const readLines = (socket, onLine) => {
+    let buffer = '';
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let end;
+        while ((end = buffer.indexOf('\r\n')) >= 0) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            onLine(line);
+        }
+    });
+};
+
+// --- SMTP client: one message per connection, each command sent after the expected reply ---
+const sendMail = ({ to, subject, text }) => new Promise((resolve, reject) => {
+    const body = String(text).split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+    const message = [
+        `From: ${FROM}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        body
+    ].join('\r\n');
+    const steps = [
+        [220, 'EHLO localhost'],
+        [250, `MAIL FROM:<${FROM}>`],
+        [250, `RCPT TO:<${to}>`],
+        [250, 'DATA'],
+        [354, `${message}\r\n.`],
+        [250, 'QUIT']
+    ];
+    let step = 0;
+    const socket = net.createConnection(SMTP_PORT, SMTP_HOST);
+    socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new Error('SMTP server did not respond in time')));
+    socket.on('error', reject);
+    readLines(socket, (line) => {
+        // Multi-line replies continue with "250-"; act on the final "250 " line only
+        if (!/^\d{3} /.test(line)) return;
+        if (step === steps.length) {
+            socket.end();
+            resolve();
+            return;
+        }
+        const [expected, command] = steps[step];
+        if (Number(line.slice(0, 3)) !== expected) {
+            socket.destroy();
+            reject(new Error(`SMTP server replied "${line}" (expected ${expected})`));
+            return;
+        }
+        socket.write(`${command}\r\n`);
+        step += 1;
+    });
+});
+
+// --- SMTP sink: accepts every message and prints it ---
+const startSink = () => net.createServer((socket) => {
+    let mail = { from: '', to: [], data: [] };
+    let inData = false;
+    const reply = (text) => socket.write(`${text}\r\n`);
+    reply('220 localhost notification sink');
+    readLines(socket, (line) => {
+        if (inData) {
+            if (line !== '.') {
+                mail.data.push(line.startsWith('..') ? line.slice(1) : line);
+                return;
+            }
+            inData = false;
+            console.log(`\n--- Email from ${mail.from} to ${mail.to.join(', ')} ---\n${mail.data.join('\n')}\n---`);
+            mail = { from: '', to: [], data: [] };
+            reply('250 OK: message accepted');
+            return;
+        }
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') reply('250 localhost');
+        else if (verb === 'MAIL') { mail.from = line.slice(10); reply('250 OK'); }
+        else if (verb === 'RCPT') { mail.to.push(line.slice(8)); reply('250 OK'); }
+        else if (verb === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (verb === 'RSET' || verb === 'NOOP') reply('250 OK');
+        else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+        else reply('502 Command not implemented');
+    });
+    socket.on('error', () => {});
+}).listen(SINK_PORT, '127.0.0.1', () => {
+    console.log(`SMTP sink listening on 127.0.0.1:${SINK_PORT}`);
+});
+
+// --- HTTP relay and webhook sink ---
+const send = (req, res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        ...(req.headers.origin === APP_ORIGIN && {
+            'Access-Control-Allow-Origin': APP_ORIGIN,
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            Vary: 'Origin'
+        })
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const TOO_LARGE = Symbol('too large');
+
+// Resolves the parsed JSON body, null when it is not JSON, or TOO_LARGE past MAX_BODY bytes
+const readBody = (req) => new Promise((resolve) => {
+    let raw = '';
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size <= MAX_BODY) raw += chunk;
+    });
+    req.on('end', () => {
+        if (size > MAX_BODY) {
+            resolve(TOO_LARGE);
+            return;
+        }
+        try {
+            resolve(JSON.parse(raw || '{}'));
+        } catch {
+            resolve(null);
+        }
+    });
+});
+
+const routes = {
+    '/notify/email': async (body) => {
+        if (!body || typeof body.to !== 'string' || typeof body.subject !== 'string') {
+            return [400, { error: 'to and subject are required' }];
+        }
+        if (!EMAIL_ADDRESS.test(body.to)) return [400, { error: 'to must be a single email address' }];
+        if (/[\r\n]/.test(body.subject)) return [400, { error: 'subject must be a single line' }];
+        try {
+            await sendMail(body);
+            console.log(`email: "${body.subject}" to ${body.to}`);
+            return [202, { sent: true }];
+        } catch (error) {
+            console.error(`email to ${body.to} failed: ${error.message}`);
+            return [502, { error: error.message }];
+        }
+    },
+    '/webhook': async (body) => {
+        console.log(`\n--- Webhook ---\n${JSON.stringify(body, null, 2)}\n---`);
+        return [204];
+    }
+};
+
+if (SINK_PORT) startSink();
+
+http.createServer(async (req, res) => {
+    if (req.headers.origin && req.headers.origin !== APP_ORIGIN) return send(req, res, 403, { error: 'origin_not_allowed' });
+    if (req.method === 'OPTIONS') return send(req, res, 204);
+    const route = routes[req.url];
+    if (req.method !== 'POST' || !route) return send(req, res, 404, { error: 'not_found' });
+    const body = await readBody(req);
+    if (body === TOO_LARGE) return send(req, res, 413, { error: 'body_too_large' });
+    const [status, reply] = await route(body);
+    send(req, res, status, reply);
+}).listen(PORT, '127.0.0.1', () => {
+    console.log(`Notification stand-in listening on http://localhost:${PORT} for ${APP_ORIGIN} (email relay to ${SMTP_HOST}:${SMTP_PORT})`);
+});
@@ -0,0 +1,133 @@
+// Local stand-in for the campus telemetry feed.
+// Serves status frames over both Server-Sent Events and WebSocket at /telemetry:
+//
+//   npm run telemetry-server                  # frames every 5 s on port 4001
+//   npm run telemetry-server -- --drop 0.1    # randomly skip 10% of frames to exercise gap detection
+//
+// Then start the app with REACT_APP_TELEMETRY_MODE=sse (or websocket) and
+// REACT_APP_TELEMETRY_URL=http://localhost:4001/telemetry (ws://... for websocket).
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+
+const PORT = option('port', 4001);
+const INTERVAL = option('interval', 5000);
+const DROP_RATE = option('drop', 0);
+
+const clamp = (val, min, max) => Math.max(min, Math.min(val, max));
+const round = (val) => parseFloat(val.toFixed(1));
+
+let seq = 0;
+let status = {
+    solar_generation: 385.5,
+    wind_generation: 23.8,
+    campus_load: 342.7,
+    battery_soc: 78.5,
+    battery_power: 25.2,
+    weather: { temperature: 32.5, irradiance: 785, wind_speed: 4.2, cloud_cover: 15 }
+};
+
+const nextFrame = () => {
+    status = {
+        ...status,
+        solar_generation: clamp(status.solar_generation + (Math.random() - 0.5) * 10, 0, 500),
+        wind_generation: clamp(status.wind_generation + (Math.random() - 0.5) * 3, 0, 100),
+        campus_load: clamp(status.campus_load + (Math.random() - 0.5) * 8, 200, 450),
+        battery_soc: clamp(status.battery_soc + (Math.random() - 0.5) * 0.5, 20, 100)
+    };
+    const total = status.solar_generation + status.wind_generation;
+    seq += 1;
+    return {
+        seq,
+        timestamp: new Date().toISOString(),
+        solar_generation: round(status.solar_generation),
+        wind_generation: round(status.wind_generation),
+        total_generation: round(total),
+        campus_load: round(status.campus_load),
+        battery_soc: round(status.battery_soc),
+        battery_power: round(status.battery_power),
+        grid_power: round(status.campus_load + status.battery_power - total),
+        weather: status.weather
+    };
+};
+
+// --- SSE clients ---
+const sseClients = new Set();
+
+// --- Minimal WebSocket support (RFC 6455 handshake and unmasked server text frames) ---
+const wsClients = new Set();
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Status frames are well under 64 KiB, so 7- and 16-bit payload lengths are enough
+const encodeTextFrame = (text) => {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+const server = http.createServer((req, res) => {
+    if (req.url !== '/telemetry') {
+        res.writeHead(404).end();
+        return;
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.write('\n');
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url !== '/telemetry' || !key) {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '\r\n'
+    ].join('\r\n'));
+    wsClients.add(socket);
+    // This server only pushes, so the only client frame it acts on is a close
+    socket.on('data', (data) => {
+        if ((data[0] & 0x0f) === 0x8) socket.end();
+    });
+    socket.on('close', () => wsClients.delete(socket));
+    socket.on('error', () => wsClients.delete(socket));
+});
+
+setInterval(() => {
+    const frame = nextFrame();
+    if (Math.random() < DROP_RATE) {
+        console.log(`Dropped frame ${frame.seq}`);
+        return;
+    }
+    const json = JSON.stringify(frame);
+    sseClients.forEach(res => res.write(`data: ${json}\n\n`));
+    wsClients.forEach(socket => socket.write(encodeTextFrame(json)));
+}, INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`Telemetry stand-in listening on http://localhost:${PORT}/telemetry (SSE and WebSocket)`);
+});
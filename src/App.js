@@ -1,6 +1,7 @@
 import React from 'react';
 import { DataProvider } from './contexts/DataContext';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { PermissionsProvider } from './contexts/PermissionsContext';
 import { ModalProvider } from './contexts/ModalContext';
 import Layout from './components/Layout';
 import LoginPage from './components/pages/LoginPage';
@@ -8,18 +9,23 @@ import './style.css';
 
 // A simple component to handle the authenticated routing logic
 const AppRouter = () => {
-    const { isAuthenticated } = useAuth();
+    const { isAuthenticated, initializing } = useAuth();
+    if (initializing) {
+        return <div className="app-loading">Restoring your session...</div>;
+    }
     return isAuthenticated ? <Layout /> : <LoginPage />;
 };
 
 function App() {
   return (
     <AuthProvider>
-      <DataProvider>
-        <ModalProvider>
-          <AppRouter />
-        </ModalProvider>
-      </DataProvider>
+      <PermissionsProvider>
+        <DataProvider>
+          <ModalProvider>
+            <AppRouter />
+          </ModalProvider>
+        </DataProvider>
+      </PermissionsProvider>
     </AuthProvider>
   );
 }
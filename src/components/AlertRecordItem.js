@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { CONFIG } from '../services/config';
+import { ANOMALY_KINDS } from '../services/alerts/generationAnomalies';
+import { ALERT_STATES, OPEN_STATES, canTransition, timeToAcknowledge, timeToResolve } from '../services/alerts/alertManager';
+import { DEFAULT_ROLES, PERMISSIONS } from '../config/roles';
+import { CAMPUS_ASSETS } from '../config/campusAssets';
+import { useModal } from '../contexts/ModalContext';
+import { usePermissions } from '../hooks/usePermissions';
+import { WorkOrderDialog } from './WorkOrderForm';
+import { SUPPRESSION_REASONS } from '../services/alerts/suppression';
+
+// What raised a generated alert
+const ALERT_KINDS = { ...ANOMALY_KINDS, threshold: 'Alert rule' };
+
+const STATE_STATUS = { new: 'error', acknowledged: 'warning', assigned: 'info', resolved: 'success', closed: 'success' };
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+const formatDuration = (ms) => {
+    if (ms === null) return '—';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ${minutes % 60} min`;
+    return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+};
+
+const roleName = (id) => DEFAULT_ROLES.find(role => role.id === id)?.name || id;
+
+// Alerts name the kind of asset; a work order starts on the first campus asset of that kind
+const assetFor = (record) => (CAMPUS_ASSETS.find(asset => asset.type === record.asset) || CAMPUS_ASSETS[0]).id;
+
+// One tracked alert: what was raised and why, where it is in its lifecycle, and the
+// actions open to the signed-in user
+const AlertRecordItem = ({ record, actions, username }) => {
+    const [assignee, setAssignee] = useState(record.assignee || username);
+    const [resolution, setResolution] = useState('');
+    const [note, setNote] = useState('');
+    const [showHistory, setShowHistory] = useState(false);
+    const [error, setError] = useState('');
+    const { openModal } = useModal();
+    const { hasPermission } = usePermissions();
+
+    const run = (action) => {
+        try {
+            action();
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className={`alert-item ${record.type}`}>
+            <div className="alert-header">
+                <span className="alert-type">{record.type.toUpperCase()}</span>
+                <span className={`status status--${STATE_STATUS[record.state]}`}>{record.state}</span>
+                {record.count > 1 && (
+                    <span className="status status--info" title={`Last raised ${formatTime(record.last_seen)}`}>×{record.count}</span>
+                )}
+                {record.suppressed && (
+                    <span className="status status--info" title={record.suppressed.note}>
+                        Suppressed: {SUPPRESSION_REASONS[record.suppressed.reason]}
+                    </span>
+                )}
+                {record.escalated_at && (
+                    <span className="status status--error" title={`Escalated ${formatTime(record.escalated_at)}`}>
+                        Escalated to {roleName(record.escalated_to)}
+                    </span>
+                )}
+                <span className="alert-time">{formatTime(record.timestamp)}</span>
+            </div>
+            {record.kind && <p className="alert-source">{ALERT_KINDS[record.kind]} · {record.asset}</p>}
+            <p className="alert-message">{record.message}</p>
+            {record.evidence && (
+                <dl className="alert-evidence">
+                    {record.evidence.map(item => (
+                        <div key={item.label}>
+                            <dt>{item.label}</dt>
+                            <dd>{item.value}</dd>
+                        </div>
+                    ))}
+                </dl>
+            )}
+            <dl className="alert-evidence">
+                <div><dt>Assignee</dt><dd>{record.assignee || '—'}</dd></div>
+                <div><dt>Time to acknowledge</dt><dd>{formatDuration(timeToAcknowledge(record))}</dd></div>
+                <div><dt>Time to resolve</dt><dd>{formatDuration(timeToResolve(record))}</dd></div>
+                {record.count > 1 && <div><dt>Raised</dt><dd>{record.count} times, last {formatTime(record.last_seen)}</dd></div>}
+                {record.cleared_at && <div><dt>Condition cleared</dt><dd>{formatTime(record.cleared_at)}</dd></div>}
+                {record.suppressed?.note && <div><dt>Suppressed because</dt><dd>{record.suppressed.note}</dd></div>}
+            </dl>
+
+            {record.notes.length > 0 && (
+                <ul className="alert-notes">
+                    {record.notes.map(n => <li key={`${n.at}-${n.user}`}><strong>{n.user}</strong> {formatTime(n.at)}: {n.text}</li>)}
+                </ul>
+            )}
+
+            {error && <p className="status status--error">{error}</p>}
+            <div className="alert-actions">
+                {canTransition(record, ALERT_STATES.ACKNOWLEDGED) && (
+                    <button type="button" className="btn btn--sm btn--primary" onClick={() => run(() => actions.acknowledge(record.id))}>
+                        Acknowledge
+                    </button>
+                )}
+                {canTransition(record, ALERT_STATES.ASSIGNED) && (
+                    <span className="alert-action-group">
+                        <input
+                            className="form-control"
+                            aria-label="Assignee"
+                            value={assignee}
+                            onChange={e => setAssignee(e.target.value)}
+                            placeholder="Username"
+                        />
+                        <button
+                            type="button"
+                            className="btn btn--sm btn--secondary"
+                            disabled={!assignee.trim() || assignee.trim() === record.assignee}
+                            onClick={() => run(() => actions.assign(record.id, assignee.trim()))}
+                        >
+                            Assign
+                        </button>
+                    </span>
+                )}
+                {canTransition(record, ALERT_STATES.RESOLVED) && (
+                    <span className="alert-action-group">
+                        <input
+                            className="form-control"
+                            aria-label="Resolution"
+                            value={resolution}
+                            onChange={e => setResolution(e.target.value)}
+                            placeholder="What was done"
+                        />
+                        <button
+                            type="button"
+                            className="btn btn--sm btn--secondary"
+                            onClick={() => run(() => actions.resolve(record.id, resolution.trim()))}
+                        >
+                            Resolve
+                        </button>
+                    </span>
+                )}
+                {canTransition(record, ALERT_STATES.CLOSED) && (
+                    <button type="button" className="btn btn--sm btn--outline" onClick={() => run(() => actions.close(record.id))}>Close</button>
+                )}
+            </div>
+            <div className="alert-actions">
+                <span className="alert-action-group">
+                    <input className="form-control" aria-label="Note" value={note} onChange={e => setNote(e.target.value)} placeholder="Add a note" />
+                    <button
+                        type="button"
+                        className="btn btn--sm btn--outline"
+                        disabled={!note.trim()}
+                        onClick={() => run(() => { actions.addNote(record.id, note.trim()); setNote(''); })}
+                    >
+                        Add Note
+                    </button>
+                </span>
+                {OPEN_STATES.includes(record.state) && hasPermission(PERMISSIONS.MANAGE_WORK_ORDERS) && (
+                    <button
+                        type="button"
+                        className="btn btn--sm btn--outline"
+                        onClick={() => openModal({
+                            body: <WorkOrderDialog initial={{ title: record.message, asset_id: assetFor(record), alert_id: record.id }} />
+                        })}
+                    >
+                        Create Work Order
+                    </button>
+                )}
+                <button type="button" className="btn btn--sm btn--outline" onClick={() => setShowHistory(!showHistory)}>
+                    {showHistory ? 'Hide History' : 'History'}
+                </button>
+            </div>
+            {showHistory && (
+                <ol className="alert-history">
+                    {record.history.map((entry, index) => (
+                        <li key={index}>
+                            <span className="alert-time">{formatTime(entry.at)}</span> <strong>{entry.action}</strong> by {entry.user}
+                            {entry.note && <span className="form-hint"> — {entry.note}</span>}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default AlertRecordItem;
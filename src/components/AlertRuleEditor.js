@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import Card from './common/Card';
+import ControlButton from './common/ControlButton';
+import { useAlertRules } from '../hooks/useAlertRules';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../config/roles';
+import { ALERT_RULE_TYPES, ALERT_OPERATORS, ALERT_SEVERITIES, describeRule } from '../services/alerts/ruleTypes';
+import { newId } from '../services/ids';
+
+const NUMBER_FIELDS = ['threshold', 'duration', 'hysteresis'];
+
+// Number fields are edited as text so partly typed values ("-", "") survive re-renders
+const toDraft = (rule) => ({ ...rule, ...Object.fromEntries(NUMBER_FIELDS.map(field => [field, String(rule[field])])) });
+const fromDraft = (draft) => ({ ...draft, ...Object.fromEntries(NUMBER_FIELDS.map(field => [field, Number(draft[field])])) });
+
+const invalidFields = (draft) => NUMBER_FIELDS.filter(field => {
+    const value = Number(draft[field]);
+    return draft[field].trim() === '' || !Number.isFinite(value) || (field !== 'threshold' && value < 0);
+});
+
+// Editor for the alert rules evaluated against live status. Users without permission
+// to configure alerts see the rules read-only.
+const AlertRuleEditor = () => {
+    const { rules, loading, error, save } = useAlertRules();
+    const { hasPermission } = usePermissions();
+    const canConfigure = hasPermission(PERMISSIONS.CONFIGURE_ALERTS);
+    const [drafts, setDrafts] = useState([]);
+
+    useEffect(() => setDrafts(rules.map(toDraft)), [rules]);
+
+    if (loading) {
+        return <Card title="Alert Configuration"><p>Loading alert rules...</p></Card>;
+    }
+
+    const invalid = drafts.some(draft => invalidFields(draft).length > 0);
+    const isDirty = JSON.stringify(drafts) !== JSON.stringify(rules.map(toDraft));
+
+    const update = (id, changes) => setDrafts(drafts.map(draft => (draft.id === id ? { ...draft, ...changes } : draft)));
+    const remove = (id) => setDrafts(drafts.filter(draft => draft.id !== id));
+    const add = () => setDrafts([...drafts, toDraft({
+        id: newId(), type: Object.keys(ALERT_RULE_TYPES)[0], operator: '<', threshold: 0,
+        duration: 5, hysteresis: 0, severity: 'warning', enabled: true
+    })]);
+
+    return (
+        <Card title="Alert Configuration">
+            {error && <p className="status status--error">{error}</p>}
+            <form className="alert-config" onSubmit={e => e.preventDefault()}>
+                {drafts.length === 0 && <p>No alert rules.</p>}
+                {drafts.map(draft => {
+                    const type = ALERT_RULE_TYPES[draft.type] || { unit: '' };
+                    const bad = invalidFields(draft);
+                    const field = (name) => `alert-rule-${draft.id}-${name}`;
+                    return (
+                        <fieldset key={draft.id} className="alert-rule" disabled={!canConfigure}>
+                            <div className="alert-rule-row">
+                                <label className="alert-rule-enabled">
+                                    <input
+                                        type="checkbox"
+                                        checked={draft.enabled}
+                                        onChange={e => update(draft.id, { enabled: e.target.checked })}
+                                    /> On
+                                </label>
+                                <select
+                                    className="form-control"
+                                    aria-label="Watch"
+                                    value={draft.type}
+                                    onChange={e => update(draft.id, { type: e.target.value })}
+                                >
+                                    {Object.entries(ALERT_RULE_TYPES).map(([id, t]) => <option key={id} value={id}>{t.label}</option>)}
+                                </select>
+                                <button type="button" className="btn btn--outline btn--sm" onClick={() => remove(draft.id)}>Remove</button>
+                            </div>
+                            <div className="alert-rule-row">
+                                <select
+                                    className="form-control"
+                                    aria-label="Operator"
+                                    value={draft.operator}
+                                    onChange={e => update(draft.id, { operator: e.target.value })}
+                                >
+                                    {Object.entries(ALERT_OPERATORS).map(([op, o]) => <option key={op} value={op}>{o.label}</option>)}
+                                </select>
+                                <input
+                                    type="number"
+                                    className={`form-control ${bad.includes('threshold') ? 'is-invalid' : ''}`}
+                                    aria-label={`Threshold (${type.unit})`}
+                                    value={draft.threshold}
+                                    onChange={e => update(draft.id, { threshold: e.target.value })}
+                                />
+                                <span>{type.unit}</span>
+                            </div>
+                            <div className="alert-rule-row">
+                                <label htmlFor={field('duration')}>for</label>
+                                <input
+                                    id={field('duration')}
+                                    type="number"
+                                    min="0"
+                                    className={`form-control ${bad.includes('duration') ? 'is-invalid' : ''}`}
+                                    value={draft.duration}
+                                    onChange={e => update(draft.id, { duration: e.target.value })}
+                                />
+                                <span>min</span>
+                                <label htmlFor={field('hysteresis')}>hysteresis</label>
+                                <input
+                                    id={field('hysteresis')}
+                                    type="number"
+                                    min="0"
+                                    className={`form-control ${bad.includes('hysteresis') ? 'is-invalid' : ''}`}
+                                    value={draft.hysteresis}
+                                    onChange={e => update(draft.id, { hysteresis: e.target.value })}
+                                />
+                                <span>{type.unit}</span>
+                            </div>
+                            <div className="alert-rule-row">
+                                <label htmlFor={field('severity')}>Severity</label>
+                                <select
+                                    id={field('severity')}
+                                    className="form-control"
+                                    value={draft.severity}
+                                    onChange={e => update(draft.id, { severity: e.target.value })}
+                                >
+                                    {ALERT_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                                </select>
+                            </div>
+                            <p className="alert-rule-summary">
+                                {bad.length > 0 ? `Enter a valid ${bad.join(', ')}` : describeRule(fromDraft(draft))}
+                            </p>
+                        </fieldset>
+                    );
+                })}
+                {canConfigure && (
+                    <div className="control-buttons">
+                        <button type="button" className="btn btn--secondary" onClick={add}>Add Rule</button>
+                        <ControlButton
+                            initialText="Save Configuration"
+                            successText="Saved ✓"
+                            asyncOnClick={() => save(drafts.map(fromDraft))}
+                            disabled={!isDirty || invalid}
+                        />
+                        <button type="button" className="btn btn--outline" onClick={() => setDrafts(rules.map(toDraft))} disabled={!isDirty}>
+                            Discard Changes
+                        </button>
+                    </div>
+                )}
+            </form>
+        </Card>
+    );
+};
+
+export default AlertRuleEditor;
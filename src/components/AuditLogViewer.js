@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Card from './common/Card';
+import DateRangePicker, { resolveRange } from './common/DateRangePicker';
+import apiService from '../services/apiService';
+import { AUDIT_ACTIONS, AUDIT_OUTCOMES } from '../services/auditService';
+import { CONFIG } from '../services/config';
+
+const OUTCOME_STATUS = { success: 'success', failure: 'error', rejected: 'warning' };
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value !== 'object') return String(value);
+    return Object.entries(value).map(([key, v]) => `${key}: ${v}`).join('; ');
+};
+
+const formatOverride = (override) => override ? `${override.reason} (${override.rules.join(', ')})` : '';
+
+const CSV_COLUMNS = [
+    ['Timestamp', entry => entry.timestamp],
+    ['User', entry => entry.user],
+    ['Role', entry => entry.role || ''],
+    ['Action', entry => AUDIT_ACTIONS[entry.action] || entry.action],
+    ['Target', entry => entry.target || ''],
+    ['Previous Value', entry => formatValue(entry.previous)],
+    ['New Value', entry => formatValue(entry.next)],
+    ['Outcome', entry => entry.outcome],
+    ['Detail', entry => entry.detail || ''],
+    ['Attempts', entry => entry.attempts || 1],
+    ['Override', entry => formatOverride(entry.override)]
+];
+
+const csvCell = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+const downloadCsv = (entries) => {
+    const rows = [
+        CSV_COLUMNS.map(([header]) => csvCell(header)).join(','),
+        ...entries.map(entry => CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(','))
+    ];
+    const url = URL.createObjectURL(new Blob([rows.join('\r\n')], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Searchable, filterable view of the control-command audit trail
+const AuditLogViewer = () => {
+    const [range, setRange] = useState({ preset: '7d', resolution: 'auto' });
+    const [filters, setFilters] = useState({ search: '', action: '', outcome: '', user: '' });
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const period = useMemo(() => resolveRange(range), [range]);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        apiService.getAuditLog({ from: period.from, to: period.to, ...filters })
+            .then(result => {
+                if (cancelled) return;
+                setEntries(result);
+                setError('');
+            })
+            .catch(err => !cancelled && setError(err.message))
+            .finally(() => !cancelled && setLoading(false));
+        return () => { cancelled = true; };
+    }, [period, filters]);
+
+    const updateFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+    return (
+        <Card title="Audit Log" className="audit-log">
+            <div className="audit-toolbar">
+                <DateRangePicker value={range} onChange={setRange} idPrefix="audit-range" showResolution={false} />
+                <div className="form-group">
+                    <label className="form-label" htmlFor="audit-search">Search</label>
+                    <input id="audit-search" className="form-control" value={filters.search} onChange={updateFilter('search')} placeholder="User, value, message..." />
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="audit-action">Action</label>
+                    <select id="audit-action" className="form-control" value={filters.action} onChange={updateFilter('action')}>
+                        <option value="">All actions</option>
+                        {Object.entries(AUDIT_ACTIONS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="audit-outcome">Outcome</label>
+                    <select id="audit-outcome" className="form-control" value={filters.outcome} onChange={updateFilter('outcome')}>
+                        <option value="">All outcomes</option>
+                        {AUDIT_OUTCOMES.map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="audit-user">User</label>
+                    <input id="audit-user" className="form-control" value={filters.user} onChange={updateFilter('user')} placeholder="Username" />
+                </div>
+                <button type="button" className="btn btn--secondary" onClick={() => downloadCsv(entries)} disabled={entries.length === 0}>
+                    Export CSV
+                </button>
+            </div>
+
+            {error && <p className="status status--error">{error}</p>}
+            {loading ? <p>Loading audit log...</p> : entries.length === 0 ? <p>No control actions match these filters.</p> : (
+                <div className="table-scroll">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th><th>User</th><th>Role</th><th>Action</th><th>Target</th>
+                                <th>Previous</th><th>New</th><th>Outcome</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map(entry => (
+                                <tr key={entry.id}>
+                                    <td>{formatTime(entry.timestamp)}</td>
+                                    <td>{entry.user}</td>
+                                    <td>{entry.role || '—'}</td>
+                                    <td>{AUDIT_ACTIONS[entry.action] || entry.action}</td>
+                                    <td>{entry.target || '—'}</td>
+                                    <td>{formatValue(entry.previous)}</td>
+                                    <td>{formatValue(entry.next)}</td>
+                                    <td>
+                                        <span className={`status status--${OUTCOME_STATUS[entry.outcome]}`}>
+                                            {entry.outcome}
+                                        </span>
+                                        {entry.detail && <div className="form-hint">{entry.detail}</div>}
+                                        {entry.attempts > 1 && <div className="form-hint">After {entry.attempts} attempts</div>}
+                                        {entry.override && (
+                                            <div className="form-hint">
+                                                <span className="status status--warning">Interlock override</span> {formatOverride(entry.override)}
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default AuditLogViewer;
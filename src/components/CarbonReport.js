@@ -0,0 +1,90 @@
+import React, { useState, useMemo } from 'react';
+import Card from './common/Card';
+import useHistoricalData from '../hooks/useHistoricalData';
+import { hourlyEnergyQuery } from '../hooks/useBillingMonth';
+import { CONFIG } from '../services/config';
+import { carbonSummary, emissionFactorAt, formatCarbon } from '../services/carbon';
+
+const PERIODS = {
+    day: { label: 'Daily', column: 'Day' },
+    month: { label: 'Monthly', column: 'Month' },
+    year: { label: 'Annual', column: 'Year' }
+};
+
+const formatKwh = (kwh) => `${Math.round(kwh).toLocaleString(CONFIG.LOCALE)} kWh`;
+
+// Grid emissions and avoided emissions over `query` ({ from, to }), by day, month or year
+const CarbonReport = ({ query }) => {
+    const [period, setPeriod] = useState('day');
+    const { data, loading, error } = useHistoricalData(hourlyEnergyQuery(query.from, query.to));
+
+    const rows = useMemo(() => carbonSummary(data, period), [data, period]);
+    const totals = useMemo(() => rows.reduce((sum, row) => ({
+        emissions_kg: sum.emissions_kg + row.emissions_kg,
+        avoided_kg: sum.avoided_kg + row.avoided_kg
+    }), { emissions_kg: 0, avoided_kg: 0 }), [rows]);
+    const factors = useMemo(
+        () => [...new Map(data.map(point => {
+            const factor = emissionFactorAt(point.time);
+            return [factor.year, factor];
+        })).values()],
+        [data]
+    );
+
+    return (
+        <Card title="Carbon Accounting" className="carbon-report">
+            <div className="audit-toolbar">
+                <div className="form-group">
+                    <label className="form-label" htmlFor="carbon-period">Breakdown</label>
+                    <select id="carbon-period" className="form-control" value={period} onChange={e => setPeriod(e.target.value)}>
+                        {Object.entries(PERIODS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </div>
+            </div>
+            {error && <p className="status status--error">{error.message}</p>}
+            {loading ? <p>Calculating emissions...</p> : rows.length === 0 ? <p>No grid data for this range.</p> : (
+                <>
+                    <div className="compliance-grid">
+                        <div className="compliance-item">
+                            <h4>Grid Emissions</h4>
+                            <p className="compliance-value">{formatCarbon(totals.emissions_kg)}</p>
+                        </div>
+                        <div className="compliance-item">
+                            <h4>Avoided Emissions</h4>
+                            <p className="compliance-value">{formatCarbon(totals.avoided_kg)}</p>
+                        </div>
+                    </div>
+                    <div className="table-scroll">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>{PERIODS[period].column}</th>
+                                    <th>Grid Import</th><th>Renewable Used</th><th>Exported</th>
+                                    <th>Emissions</th><th>Avoided</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(row => (
+                                    <tr key={row.period}>
+                                        <td>{row.period}</td>
+                                        <td>{formatKwh(row.import_kwh)}</td>
+                                        <td>{formatKwh(row.self_consumed_kwh)}</td>
+                                        <td>{formatKwh(row.export_kwh)}</td>
+                                        <td>{formatCarbon(row.emissions_kg)}</td>
+                                        <td>{formatCarbon(row.avoided_kg)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+            <p className="form-hint">
+                Grid emission factor: {factors.map(f => `${f.factor} kg CO₂/kWh (${f.year}, ${f.source})`).join('; ') || '—'}.
+                Renewable energy used on campus and exported energy are credited at the same factor.
+            </p>
+        </Card>
+    );
+};
+
+export default CarbonReport;
@@ -0,0 +1,76 @@
+import React from 'react';
+import Card from './common/Card';
+import { useCommandQueue } from '../hooks/useCommandQueue';
+import { useUnrecordedAudit } from '../hooks/useAudit';
+import { COMMAND_STATES } from '../services/commands/commandQueue';
+import { CONFIG } from '../services/config';
+
+const STATE_STYLES = {
+    [COMMAND_STATES.PENDING]: { label: 'Pending', status: 'info' },
+    [COMMAND_STATES.SENT]: { label: 'Sent', status: 'info' },
+    [COMMAND_STATES.ACKNOWLEDGED]: { label: 'Acknowledged', status: 'warning' },
+    [COMMAND_STATES.EXECUTED]: { label: 'Executed', status: 'success' },
+    [COMMAND_STATES.FAILED]: { label: 'Failed', status: 'error' },
+    [COMMAND_STATES.TIMED_OUT]: { label: 'Timed out', status: 'error' },
+    [COMMAND_STATES.CANCELLED]: { label: 'Cancelled', status: 'info' }
+};
+
+const formatTime = (t) => new Date(t).toLocaleTimeString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// Live lifecycle of recent control commands, with cancel and retry, and a warning when
+// commands could not be written to the audit log
+const CommandStatusPanel = () => {
+    const { commands, cancel, retry } = useCommandQueue();
+    const unrecorded = useUnrecordedAudit();
+
+    return (
+        <Card title="Command Status" className="command-panel">
+            {unrecorded.entries.length > 0 && (
+                <div className="status status--error command-audit-warning">
+                    {unrecorded.entries.length === 1 ? '1 command was' : `${unrecorded.entries.length} commands were`} not written to the audit log.
+                    {' '}
+                    <button type="button" className="btn btn--sm btn--secondary" onClick={unrecorded.retry}>Retry</button>
+                </div>
+            )}
+            {commands.length === 0 ? <p>No commands sent this session.</p> : (
+                <ul className="command-list">
+                    {commands.map(command => {
+                        const style = STATE_STYLES[command.state];
+                        const last = command.history[command.history.length - 1];
+                        return (
+                            <li key={command.id} className="command-item">
+                                <div className="command-header">
+                                    <strong>{command.label}</strong>
+                                    <span className={`status status--${style.status}`}>{style.label}</span>
+                                </div>
+                                {command.detail && <p className="command-detail">{command.detail}</p>}
+                                <ol className="command-history">
+                                    {command.history.map((entry, index) => (
+                                        <li key={index}>
+                                            {formatTime(entry.at)} · {STATE_STYLES[entry.state].label}{entry.note && ` — ${entry.note}`}
+                                        </li>
+                                    ))}
+                                </ol>
+                                <div className="command-actions">
+                                    <span className="form-hint">
+                                        Attempt {Math.max(1, command.attempts)} · updated {formatTime(last.at)}
+                                    </span>
+                                    {command.state === COMMAND_STATES.PENDING && (
+                                        <button type="button" className="btn btn--sm btn--outline" onClick={() => cancel(command.id)}>Cancel</button>
+                                    )}
+                                    {[COMMAND_STATES.FAILED, COMMAND_STATES.TIMED_OUT].includes(command.state) && (
+                                        <button type="button" className="btn btn--sm btn--secondary" onClick={() => retry(command.id)}>Retry</button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </Card>
+    );
+};
+
+export default CommandStatusPanel;
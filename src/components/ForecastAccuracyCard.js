@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import Card from './common/Card';
+import ForecastAccuracyChart from './charts/ForecastAccuracyChart';
+import { useForecastAccuracy } from '../hooks/useForecastAccuracy';
+import { CONFIG } from '../services/config';
+import { FORECAST_SOURCES, SOURCE_LABELS, HORIZON_DAYS } from '../services/forecasting/accuracy';
+
+const METRICS = {
+    mae: { label: 'MAE', unit: 'kW' },
+    mape: { label: 'MAPE', unit: '%' },
+    bias: { label: 'Bias', unit: 'kW' }
+};
+
+const formatStat = (value, unit) => (value === null ? '—' : `${value.toLocaleString(CONFIG.LOCALE)} ${unit}`);
+const formatDate = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString(CONFIG.LOCALE, { weekday: 'short', day: 'numeric', month: 'short' });
+
+// How far archived forecasts missed the actuals, by source and days ahead, with the
+// day-ahead trend and the days they missed by the most
+const ForecastAccuracyCard = () => {
+    const [metric, setMetric] = useState('mae');
+    const { hours, forecasts, byHorizon, daily, worst, loading, error } = useForecastAccuracy();
+    const { unit } = METRICS[metric];
+
+    return (
+        <Card title="Forecast Accuracy">
+            <div className="audit-toolbar">
+                <div className="form-group">
+                    <label className="form-label" htmlFor="accuracy-metric">Measure</label>
+                    <select id="accuracy-metric" className="form-control" value={metric} onChange={e => setMetric(e.target.value)}>
+                        {Object.entries(METRICS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </div>
+            </div>
+            {error && <p className="status status--error">{error}</p>}
+            {loading ? <p>Comparing forecasts with actuals...</p> : hours === 0 ? (
+                <p>No forecast hours have actuals yet. Accuracy appears once archived forecasts ({forecasts} so far) reach their first complete hour.</p>
+            ) : (
+                <>
+                    <div className="table-scroll">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Source</th>
+                                    {HORIZON_DAYS.map(day => <th key={day}>Day {day}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {FORECAST_SOURCES.map(source => (
+                                    <tr key={source}>
+                                        <td>{SOURCE_LABELS[source]}</td>
+                                        {HORIZON_DAYS.map(day => <td key={day}>{formatStat(byHorizon[source][day][metric], unit)}</td>)}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <h4>Day-ahead {METRICS[metric].label} by day</h4>
+                    <ForecastAccuracyChart daily={daily} metric={metric} unit={`${METRICS[metric].label} (${unit})`} />
+                    <h4>Worst-missed days</h4>
+                    <table className="data-table">
+                        <thead>
+                            <tr><th>Day</th><th>Source</th><th>MAE</th><th>MAPE</th><th>Bias</th></tr>
+                        </thead>
+                        <tbody>
+                            {worst.map(entry => (
+                                <tr key={`${entry.date}-${entry.source}`}>
+                                    <td>{formatDate(entry.date)}</td>
+                                    <td>{SOURCE_LABELS[entry.source]}</td>
+                                    <td>{formatStat(entry.mae, 'kW')}</td>
+                                    <td>{formatStat(entry.mape, '%')}</td>
+                                    <td>{formatStat(entry.bias, 'kW')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+            <p className="form-hint">
+                {forecasts} forecasts issued over the last {CONFIG.FORECAST.ACCURACY.WINDOW_DAYS} days, compared with hourly actuals.
+                Day 1 covers the first 24 hours after issue. Positive bias means forecasts ran high; MAPE leaves out hours
+                below {CONFIG.FORECAST.ACCURACY.MAPE_FLOOR} kW, such as solar at night.
+            </p>
+        </Card>
+    );
+};
+
+export default ForecastAccuracyCard;
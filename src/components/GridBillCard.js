@@ -0,0 +1,79 @@
+import React, { useMemo } from 'react';
+import Card from './common/Card';
+import { useBillingMonth } from '../hooks/useBillingMonth';
+import { CONFIG } from '../services/config';
+import { formatMoney, formatUnpriced, monthlyBills, unpricedHours } from '../services/tariff';
+
+const formatMonth = (month) => new Date(`${month}-15T00:00:00Z`).toLocaleDateString(CONFIG.LOCALE, { month: 'long', year: 'numeric' });
+const formatKwh = (kwh) => `${Math.round(kwh).toLocaleString(CONFIG.LOCALE)} kWh`;
+
+// Last month's grid bill under the time-of-use tariff, beside what the campus would have
+// paid importing its whole load
+const GridBillCard = () => {
+    const { period, points, loading, error } = useBillingMonth();
+
+    const [bill, baseline] = useMemo(() => [
+        monthlyBills(points)[0],
+        monthlyBills(points.map(point => ({ time: point.time, grid: point.load })))[0]
+    ], [points]);
+    const unpriced = useMemo(() => unpricedHours(points), [points]);
+
+    const title = `Grid Bill — ${formatMonth(period.month)}`;
+    if (loading) return <Card title={title}><p>Loading last month's energy data...</p></Card>;
+    if (error) return <Card title={title}><p className="status status--error">{error}</p></Card>;
+    if (!bill) {
+        const reason = unpriced > 0 ? `${formatUnpriced(unpriced)}.` : 'No grid metering data is available for this month.';
+        return <Card title={title}><p>{reason}</p></Card>;
+    }
+
+    const expectedHours = (Date.parse(period.to) - Date.parse(period.from)) / 3600000;
+
+    return (
+        <Card title={title}>
+            <table className="data-table bill-table">
+                <tbody>
+                    {Object.entries(bill.by_period).map(([name, totals]) => (
+                        <tr key={name}>
+                            <td>{name} energy</td>
+                            <td>{formatKwh(totals.import_kwh)}</td>
+                            <td>{formatMoney(totals.charge)}</td>
+                        </tr>
+                    ))}
+                    <tr>
+                        <td>Export credit</td>
+                        <td>{formatKwh(bill.export_kwh)}</td>
+                        <td>−{formatMoney(bill.export_credit)}</td>
+                    </tr>
+                    <tr>
+                        <td>Fixed charge</td>
+                        <td />
+                        <td>{formatMoney(bill.fixed_charge)}</td>
+                    </tr>
+                    <tr>
+                        <td>Demand charge</td>
+                        <td>{bill.billing_demand_kva} kVA</td>
+                        <td>{formatMoney(bill.demand_charge)}</td>
+                    </tr>
+                    <tr className="bill-total">
+                        <td>Total</td>
+                        <td />
+                        <td>{formatMoney(bill.total)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            {baseline && (
+                <p className="schedule-summary">
+                    Without on-site generation and storage: {formatMoney(baseline.total)}, a saving
+                    of {formatMoney(baseline.total - bill.total)}.
+                </p>
+            )}
+            <p className="form-hint">
+                {bill.tariff_name}
+                {bill.hours < expectedHours && ` · based on ${bill.hours} of ${expectedHours} hours of data`}
+                {unpriced > 0 && ` · ${formatUnpriced(unpriced)}`}
+            </p>
+        </Card>
+    );
+};
+
+export default GridBillCard;
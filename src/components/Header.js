@@ -1,8 +1,39 @@
 import React, { useEffect, useState } from "react";
 import { CONFIG } from "../services/config";
 import { useAuth } from "../contexts/AuthContext";
+import { useData } from "../contexts/DataContext";
 import HamburgerButton from "./common/HamburgerButton";
 
+// How long a detected telemetry gap keeps the status badge in its warning state
+const GAP_WARNING_DURATION = 60000;
+
+const CONNECTION_BADGES = {
+  simulated: { label: "System Operational", variant: "success" },
+  connecting: { label: "Connecting to Live Feed...", variant: "info" },
+  live: { label: "System Operational · Live", variant: "success" },
+  reconnecting: { label: "Live Feed Lost · Reconnecting", variant: "warning" },
+  closed: { label: "Live Feed Offline", variant: "error" },
+};
+
+const ConnectionStatus = () => {
+  const { connectionState, lastGap } = useData();
+  const [now, setNow] = useState(Date.now());
+
+  // Re-render once the gap warning has expired
+  useEffect(() => {
+    if (!lastGap) return;
+    const timeoutId = setTimeout(() => setNow(Date.now()), GAP_WARNING_DURATION);
+    return () => clearTimeout(timeoutId);
+  }, [lastGap]);
+
+  const recentGap = connectionState === "live" && lastGap && now - lastGap.detectedAt < GAP_WARNING_DURATION;
+  const badge = recentGap
+    ? { label: `Live · ${lastGap.missedFrames} Update(s) Missed`, variant: "warning" }
+    : CONNECTION_BADGES[connectionState] || CONNECTION_BADGES.closed;
+
+  return <span className={`status status--${badge.variant}`}>{badge.label}</span>;
+};
+
 const Header = ({ onMenuClick, isSidebarOpen }) => {
   const [currentTime, setCurrentTime] = useState("");
   const { user } = useAuth();
@@ -62,7 +93,7 @@ const Header = ({ onMenuClick, isSidebarOpen }) => {
           {/* Right Section */}
           <div className="header-right">
             <div className="header-status-time">
-              <span className="status status--success">System Operational</span>
+              <ConnectionStatus />
               <time className="current-time">{currentTime}</time>
             </div>
             <div className="header-theme-toggle">
@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Lists interlock findings for a pending control command. Users allowed to override
+// blocking interlocks can do so here, but only with a written reason for the audit log.
+const InterlockNotice = ({ findings, canOverride, override, onOverrideChange, idPrefix }) => {
+    if (findings.length === 0) return null;
+    const blocks = findings.filter(f => f.severity === 'block');
+
+    return (
+        <div className="interlock-notice">
+            <ul className="interlock-list">
+                {findings.map(finding => (
+                    <li key={finding.rule} className={`status status--${finding.severity === 'block' ? 'error' : 'warning'}`}>
+                        <strong>{finding.severity === 'block' ? 'Blocked' : 'Caution'}:</strong> {finding.message}
+                    </li>
+                ))}
+            </ul>
+            {blocks.length > 0 && canOverride && (
+                <div className="interlock-override">
+                    <label className="permission-option">
+                        <input
+                            type="checkbox"
+                            checked={override.enabled}
+                            onChange={e => onOverrideChange({ ...override, enabled: e.target.checked })}
+                        />
+                        Override {blocks.length === 1 ? 'this interlock' : `these ${blocks.length} interlocks`}
+                    </label>
+                    {override.enabled && (
+                        <div className="form-group">
+                            <label className="form-label" htmlFor={`${idPrefix}-override-reason`}>Reason (recorded in the audit log)</label>
+                            <input
+                                id={`${idPrefix}-override-reason`}
+                                className="form-control"
+                                value={override.reason}
+                                onChange={e => onOverrideChange({ ...override, reason: e.target.value })}
+                                placeholder="e.g. Grid outage expected, fill the battery regardless"
+                            />
+                        </div>
+                    )}
+                </div>
+            )}
+            {blocks.length > 0 && !canOverride && (
+                <p className="form-hint">Resolve the blocking conditions or ask an administrator to override them.</p>
+            )}
+        </div>
+    );
+};
+
+// True when blocking findings remain and no valid override has been given
+export const isBlocked = (findings, canOverride, override) =>
+    findings.some(f => f.severity === 'block') && !(canOverride && override.enabled && override.reason.trim());
+
+export default InterlockNotice;
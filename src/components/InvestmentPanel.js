@@ -0,0 +1,99 @@
+import React, { useState, useMemo } from 'react';
+import Card from './common/Card';
+import { CONFIG } from '../services/config';
+import { formatMoney, formatRate } from '../services/tariff';
+import { appraise } from '../services/finance/investment';
+
+const ASSETS = CONFIG.FINANCE.ASSETS;
+
+const formatYears = (years) => (years === null ? 'Not reached' : `${years.toFixed(1)} years`);
+const formatPercent = (rate) => (rate === null ? '—' : `${(rate * 100).toFixed(1)}%`);
+
+// Capital and O&M inputs per asset, appraised against the benefits measured over the last
+// months (annualised) and grown over the project life by CONFIG.FINANCE assumptions
+const InvestmentPanel = ({ months }) => {
+    const [inputs, setInputs] = useState(() => Object.fromEntries(Object.entries(ASSETS).map(([id, asset]) => [
+        id, { capex: String(asset.capex), om_per_year: String(asset.om_per_year) }
+    ])));
+    const [discountRate, setDiscountRate] = useState(String(CONFIG.FINANCE.DISCOUNT_RATE * 100));
+    const [lifetime, setLifetime] = useState(String(CONFIG.FINANCE.LIFETIME_YEARS));
+
+    const setInput = (id, key) => (e) => setInputs({ ...inputs, [id]: { ...inputs[id], [key]: e.target.value } });
+
+    const result = useMemo(() => {
+        if (months.length === 0) return null;
+        const scale = 12 / months.length;
+        const assets = Object.fromEntries(Object.entries(ASSETS).map(([id, asset]) => [id, {
+            ...asset,
+            capex: Number(inputs[id].capex) || 0,
+            om_per_year: Number(inputs[id].om_per_year) || 0
+        }]));
+        const annualEnergy = Object.fromEntries(Object.entries(ASSETS).map(([id, asset]) => [
+            id, months.reduce((sum, m) => sum + m[`${asset.energy}_kwh`], 0) * scale
+        ]));
+        const annualBenefit = months.reduce((sum, m) => sum + m.avoided_cost + m.export_revenue, 0) * scale;
+        const finance = {
+            ...CONFIG.FINANCE,
+            DISCOUNT_RATE: (Number(discountRate) || 0) / 100,
+            LIFETIME_YEARS: Math.max(1, Math.round(Number(lifetime) || 1))
+        };
+        return { annualEnergy, annualBenefit, ...appraise({ assets, annualBenefit, annualEnergy, finance }) };
+    }, [months, inputs, discountRate, lifetime]);
+
+    return (
+        <Card title="Investment Appraisal" className="investment-panel">
+            <table className="data-table investment-table">
+                <thead>
+                    <tr><th>Asset</th><th>Capex (₹)</th><th>O&amp;M per year (₹)</th><th>Energy per year</th><th>LCOE</th></tr>
+                </thead>
+                <tbody>
+                    {Object.entries(ASSETS).map(([id, asset]) => (
+                        <tr key={id}>
+                            <td>{asset.name}</td>
+                            <td>
+                                <input type="number" min="0" step="100000" className="form-control" value={inputs[id].capex}
+                                    onChange={setInput(id, 'capex')} aria-label={`${asset.name} capex`} />
+                            </td>
+                            <td>
+                                <input type="number" min="0" step="10000" className="form-control" value={inputs[id].om_per_year}
+                                    onChange={setInput(id, 'om_per_year')} aria-label={`${asset.name} O&M per year`} />
+                            </td>
+                            <td>{result ? `${Math.round(result.annualEnergy[id]).toLocaleString(CONFIG.LOCALE)} kWh` : '—'}</td>
+                            <td>{result && result.lcoe[id] !== null ? formatRate(result.lcoe[id]) : '—'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <div className="investment-assumptions">
+                <div className="form-group">
+                    <label className="form-label" htmlFor="finance-discount">Discount rate (%)</label>
+                    <input id="finance-discount" type="number" min="0" step="0.5" className="form-control"
+                        value={discountRate} onChange={e => setDiscountRate(e.target.value)} />
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="finance-lifetime">Project life (years)</label>
+                    <input id="finance-lifetime" type="number" min="1" max="40" className="form-control"
+                        value={lifetime} onChange={e => setLifetime(e.target.value)} />
+                </div>
+            </div>
+
+            {result ? (
+                <div className="investment-results">
+                    <div className="result-item"><span className="result-label">Total capex</span><span className="result-value">{formatMoney(result.capex)}</span></div>
+                    <div className="result-item"><span className="result-label">Annual benefit before O&amp;M</span><span className="result-value">{formatMoney(result.annualBenefit)}</span></div>
+                    <div className="result-item"><span className="result-label">Simple payback</span><span className="result-value">{formatYears(result.payback_years)}</span></div>
+                    <div className="result-item"><span className="result-label">NPV</span><span className="result-value">{formatMoney(result.npv)}</span></div>
+                    <div className="result-item"><span className="result-label">IRR</span><span className="result-value">{formatPercent(result.irr)}</span></div>
+                </div>
+            ) : <p>Financial history is needed to appraise the investment.</p>}
+            <p className="form-hint">
+                Benefits are the last {months.length} months annualised, growing {CONFIG.FINANCE.TARIFF_ESCALATION * 100}% a year with
+                tariffs and losing {CONFIG.FINANCE.DEGRADATION * 100}% a year to degradation; O&amp;M grows {CONFIG.FINANCE.OM_ESCALATION * 100}% a year.
+                Battery cells are replaced in year {ASSETS.battery.replacement_year}.
+            </p>
+        </Card>
+    );
+};
+
+export default InvestmentPanel;
@@ -1,29 +1,33 @@
 import React, { useState, useEffect } from 'react';
 import { usePermissions } from '../hooks/usePermissions';
 import Header from './Header';
-import Navigation from './Navigation';
 import Dashboard from './sections/Dashboard';
 import Monitor from './sections/Monitor';
 import Analytics from './sections/Analytics';
 import Control from './sections/Control';
 import Reports from './sections/Reports';
 import Alerts from './sections/Alerts';
+import WorkOrders from './sections/WorkOrders';
 import Modal from './common/Modal'; // Import the Modal
 import Sidebar from './Sidebar';
 import CampusMap from './sections/CampusMap'; // Import the CampusMap section
+import Admin from './sections/Admin';
+import { NAV_ITEMS } from '../config/navigation';
 
 const Layout = () => {
     const [isSidebarOpen, setIsSidebarOpen] = useState(false);
 
     const { hasPermission } = usePermissions();
     
-    // Determine the default starting page based on role
-    const defaultSection = hasPermission('nav_dashboard') ? 'dashboard' : 'map';
-    const [activeSection, setActiveSection] = useState(defaultSection);
+    // Until the user picks a module, show the first one their role can open. This follows
+    // the permissions as the stored roles load in place of the defaults.
+    const defaultSection = NAV_ITEMS.find(item => hasPermission(item.permission))?.id || 'dashboard';
+    const [chosenSection, setChosenSection] = useState(null);
+    const activeSection = chosenSection || defaultSection;
 
     // Close the sidebar when changing sections on mobile
     const handleSectionChange = (section) => {
-        setActiveSection(section);
+        setChosenSection(section);
         if (window.innerWidth < 992) {
             setIsSidebarOpen(false);
         }
@@ -51,7 +55,9 @@ const Layout = () => {
             case 'control': return <Control />;
             case 'reports': return <Reports />;
             case 'alerts': return <Alerts />;
+            case 'work_orders': return <WorkOrders />;
             case 'map': return <CampusMap />;
+            case 'admin': return <Admin />;
             default: return <Dashboard />;
         }
     };
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import Card from './common/Card';
+import ControlButton from './common/ControlButton';
+import InterlockNotice, { isBlocked } from './InterlockNotice';
+import apiService from '../services/apiService';
+import { useInterlocks } from '../hooks/useInterlocks';
+import { useControlActions, scheduleRequest } from '../hooks/useControlActions';
+import { CONFIG } from '../services/config';
+import {
+    WEEKDAY_LABELS, formatHour, windowsToSlots, slotsToWindows,
+    isPeakSlot, findPeakOverlaps, windowHours, describeWindows
+} from '../services/loadScheduling';
+
+const LOADS = CONFIG.LOAD_SCHEDULING.CONTROLLABLE_LOADS;
+// Monday-first columns; windows keep weekday 0 = Sunday
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Weekly calendar grid for the controllable loads. Click or drag across cells to
+// add or remove hours; hours inside peak-demand periods are shaded and conflicts flagged.
+const LoadScheduleEditor = () => {
+    const { check, canOverride } = useInterlocks();
+    const { saveLoadSchedule } = useControlActions();
+    const [saved, setSaved] = useState({});   // load_id -> windows as last persisted
+    const [drafts, setDrafts] = useState({}); // load_id -> Set of 'day:hour' slots being edited
+    const [selectedId, setSelectedId] = useState(LOADS[0].id);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    // While the mouse is held down: true paints hours on, false clears them
+    const [paintValue, setPaintValue] = useState(null);
+    const [override, setOverride] = useState({ enabled: false, reason: '' });
+
+    useEffect(() => {
+        apiService.getLoadSchedules()
+            .then(schedules => {
+                const byLoad = Object.fromEntries(schedules.map(s => [s.load_id, s.windows]));
+                setSaved(byLoad);
+                setDrafts(Object.fromEntries(LOADS.map(load => [load.id, windowsToSlots(byLoad[load.id] || [])])));
+            })
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    useEffect(() => {
+        const stopPainting = () => setPaintValue(null);
+        window.addEventListener('mouseup', stopPainting);
+        return () => window.removeEventListener('mouseup', stopPainting);
+    }, []);
+
+    if (loading) {
+        return <Card title="Load Scheduling" className="schedule-card"><p>Loading schedules...</p></Card>;
+    }
+
+    const load = LOADS.find(l => l.id === selectedId);
+    const slots = drafts[selectedId] || new Set();
+    const windows = slotsToWindows(slots);
+    const overlaps = findPeakOverlaps(windows);
+    const savedWindows = saved[selectedId] || [];
+    const isDirty = describeWindows(windows) !== describeWindows(savedWindows);
+    const schedule = { load_id: selectedId, windows };
+    // Peak overlaps are shown in full below, so the notice only needs the other findings
+    const findings = isDirty ? check(scheduleRequest(schedule)).filter(f => f.rule !== 'schedule_peak_overlap') : [];
+    const blocked = isBlocked(findings, canOverride, override);
+
+    const setSlot = (day, hour, on) => {
+        const next = new Set(slots);
+        if (on) next.add(`${day}:${hour}`); else next.delete(`${day}:${hour}`);
+        setDrafts({ ...drafts, [selectedId]: next });
+    };
+
+    const startPainting = (day, hour) => {
+        const on = !slots.has(`${day}:${hour}`);
+        setPaintValue(on);
+        setSlot(day, hour, on);
+    };
+
+    const saveSchedule = async () => {
+        const command = saveLoadSchedule(schedule, { override: override.enabled ? override : null });
+        setOverride({ enabled: false, reason: '' });
+        await command.result;
+        setSaved(current => ({ ...current, [selectedId]: windows }));
+    };
+
+    const resetDraft = () => setDrafts({ ...drafts, [selectedId]: windowsToSlots(savedWindows) });
+
+    return (
+        <Card title="Load Scheduling" className="schedule-card">
+            {error && <p className="status status--error">{error}</p>}
+            <div className="schedule-loads">
+                {LOADS.map(l => {
+                    const conflicts = findPeakOverlaps(slotsToWindows(drafts[l.id] || new Set())).length > 0;
+                    return (
+                        <button
+                            key={l.id}
+                            type="button"
+                            className={`schedule-item ${l.id === selectedId ? 'active' : ''}`}
+                            onClick={() => setSelectedId(l.id)}
+                        >
+                            <span className="schedule-info">
+                                <span className="schedule-name">{l.name}</span>
+                                <span className="schedule-description">{l.description} · {l.rated_kw} kW</span>
+                            </span>
+                            {conflicts && <span className="status status--warning">Peak overlap</span>}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="schedule-grid-wrapper" onMouseLeave={() => setPaintValue(null)}>
+                <table className="schedule-grid">
+                    <thead>
+                        <tr>
+                            <th />
+                            {DAY_ORDER.map(day => <th key={day}>{WEEKDAY_LABELS[day]}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {HOURS.map(hour => (
+                            <tr key={hour}>
+                                <th>{formatHour(hour)}</th>
+                                {DAY_ORDER.map(day => {
+                                    const on = slots.has(`${day}:${hour}`);
+                                    const peak = isPeakSlot(day, hour);
+                                    return (
+                                        <td
+                                            key={day}
+                                            className={`schedule-cell ${peak ? 'is-peak' : ''} ${on ? 'is-on' : ''}`}
+                                            title={`${WEEKDAY_LABELS[day]} ${formatHour(hour)}–${formatHour(hour + 1)}${peak ? ' (peak demand)' : ''}`}
+                                            onMouseDown={(e) => { e.preventDefault(); startPainting(day, hour); }}
+                                            onMouseEnter={() => paintValue !== null && setSlot(day, hour, paintValue)}
+                                        />
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="schedule-legend">
+                <span><i className="schedule-cell is-on" /> Scheduled</span>
+                <span><i className="schedule-cell is-peak" /> Peak demand</span>
+                <span><i className="schedule-cell is-peak is-on" /> Conflict</span>
+            </div>
+
+            <p className="schedule-summary">
+                {load.name}: {windowHours(windows)} h/week, about {(windowHours(windows) * load.rated_kw).toLocaleString(CONFIG.LOCALE)} kWh
+            </p>
+            {overlaps.length > 0 && (
+                <p className="status status--warning">
+                    Overlaps peak demand for {windowHours(overlaps)} h/week
+                    (up to {load.rated_kw} kW added to the peak): {describeWindows(overlaps)}
+                </p>
+            )}
+            <InterlockNotice
+                findings={findings}
+                canOverride={canOverride}
+                override={override}
+                onOverrideChange={setOverride}
+                idPrefix="schedule"
+            />
+            <div className="control-buttons">
+                <ControlButton initialText="Update Schedule" asyncOnClick={saveSchedule} disabled={!isDirty || blocked} />
+                <button type="button" className="btn btn--outline" onClick={resetDraft} disabled={!isDirty}>Discard Changes</button>
+            </div>
+            {CONFIG.DATA_SOURCE.ADAPTER === 'mock' && (
+                <p className="form-hint">
+                    On simulated data, a saved schedule changes the simulated campus load from the next update.
+                    Hours added to the default schedule raise it by the load's rated power; hours removed lower it.
+                </p>
+            )}
+        </Card>
+    );
+};
+
+export default LoadScheduleEditor;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { useModal } from '../contexts/ModalContext';
+import { useWorkOrders } from '../hooks/useWorkOrders';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../config/roles';
+import { CONFIG } from '../services/config';
+import { ACTIVE_STATUSES, maintenanceHistory } from '../services/maintenance/workOrderManager';
+import { WorkOrderDialog } from './WorkOrderForm';
+
+const DAY = 86400000;
+const SHOWN_ENTRIES = 5;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, day: '2-digit', month: 'short', year: 'numeric'
+});
+
+const formatAge = (timestamp, now = Date.now()) => {
+    const days = Math.floor((now - Date.parse(timestamp)) / DAY);
+    if (days < 1) return 'today';
+    if (days === 1) return 'yesterday';
+    if (days < 14) return `${days} days ago`;
+    return `${Math.floor(days / 7)} weeks ago`;
+};
+
+// An asset's maintenance log in its details modal, built from its completed work orders,
+// with a shortcut to raise a new order against it
+const MaintenanceHistory = ({ asset }) => {
+    const { orders } = useWorkOrders();
+    const { openModal } = useModal();
+    const { hasPermission } = usePermissions();
+
+    const history = maintenanceHistory(orders, asset.id);
+    const open = orders.filter(order => order.asset_id === asset.id && ACTIVE_STATUSES.includes(order.status));
+    const last = history[0];
+
+    return (
+        <>
+            <h4>Maintenance Log</h4>
+            <div className="maintenance-log">
+                <p>Last Service: <strong>{last ? `${formatDate(last.completed_at)} (${formatAge(last.completed_at)})` : 'None recorded'}</strong></p>
+                <p>Open Work Orders: <strong>{open.length}</strong></p>
+                {history.length > 0 && (
+                    <ul className="maintenance-history">
+                        {history.slice(0, SHOWN_ENTRIES).map(order => (
+                            <li key={order.id}>
+                                <span className="alert-time">{formatDate(order.completed_at)}</span> {order.title}
+                                <span className="form-hint">
+                                    {' '}— {order.completed_by}
+                                    {order.parts.length > 0 && `; parts: ${order.parts.map(p => `${p.quantity} × ${p.name}`).join(', ')}`}
+                                    {order.resolution && `; ${order.resolution}`}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {hasPermission(PERMISSIONS.MANAGE_WORK_ORDERS) && (
+                    <button
+                        type="button"
+                        className="btn btn--outline btn--sm"
+                        onClick={() => openModal({ body: <WorkOrderDialog initial={{ asset_id: asset.id }} /> })}
+                    >
+                        Create Work Order
+                    </button>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default MaintenanceHistory;
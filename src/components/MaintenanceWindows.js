@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import Card from './common/Card';
+import ControlButton from './common/ControlButton';
+import { useMaintenanceWindows } from '../hooks/useMaintenanceWindows';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../config/roles';
+import { CAMPUS_ASSETS, findCampusAsset } from '../config/campusAssets';
+import { isWindowActive } from '../services/alerts/suppression';
+import { timezoneOffset } from '../services/aggregation';
+import { CONFIG } from '../services/config';
+import { newId } from '../services/ids';
+
+const HOUR = 3600000;
+
+// Date-time inputs work in campus local time, whatever the browser's own time zone is
+const toInput = (t) => new Date(t + timezoneOffset(t)).toISOString().slice(0, 16);
+const fromInput = (value) => {
+    const utc = Date.parse(`${value}:00Z`);
+    return utc - timezoneOffset(utc);
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+const emptyDraft = () => ({
+    asset_id: CAMPUS_ASSETS[0].id,
+    start: toInput(Date.now()),
+    end: toInput(Date.now() + 4 * HOUR),
+    reason: ''
+});
+
+// Planned service periods per campus asset. Alerts the asset sets off while one is active
+// are suppressed rather than shown as open.
+const MaintenanceWindows = () => {
+    const { windows, error, schedule, end, cancel } = useMaintenanceWindows();
+    const { hasPermission } = usePermissions();
+    const canSchedule = hasPermission(PERMISSIONS.SCHEDULE_MAINTENANCE);
+    const [draft, setDraft] = useState(emptyDraft);
+    const [actionError, setActionError] = useState('');
+
+    const now = Date.now();
+    const current = windows
+        .filter(window => Date.parse(window.end) > now)
+        .sort((a, b) => a.start.localeCompare(b.start));
+    const invalid = !draft.start || !draft.end || fromInput(draft.end) <= fromInput(draft.start) || fromInput(draft.end) <= now;
+
+    const update = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+    const submit = async () => {
+        await schedule({
+            id: newId(),
+            asset_id: draft.asset_id,
+            start: new Date(fromInput(draft.start)).toISOString(),
+            end: new Date(fromInput(draft.end)).toISOString(),
+            reason: draft.reason.trim()
+        });
+        setDraft(emptyDraft());
+    };
+    const run = async (action) => {
+        try {
+            await action();
+            setActionError('');
+        } catch (err) {
+            setActionError(err.message);
+        }
+    };
+
+    return (
+        <Card title="Maintenance Windows">
+            {(error || actionError) && <p className="status status--error">{error || actionError}</p>}
+            {current.length > 0 ? (
+                <table className="data-table">
+                    <thead>
+                        <tr><th>Asset</th><th>From</th><th>To</th><th>Reason</th><th>By</th><th /></tr>
+                    </thead>
+                    <tbody>
+                        {current.map(window => {
+                            const active = isWindowActive(window, now);
+                            return (
+                                <tr key={window.id}>
+                                    <td>
+                                        {findCampusAsset(window.asset_id)?.name || window.asset_id}
+                                        {active && <span className="status status--info maintenance-active">In progress</span>}
+                                    </td>
+                                    <td>{formatTime(window.start)}</td>
+                                    <td>{formatTime(window.end)}</td>
+                                    <td>{window.reason || '—'}</td>
+                                    <td>{window.created_by}</td>
+                                    <td>
+                                        {canSchedule && (active
+                                            ? <button type="button" className="btn btn--outline btn--sm" onClick={() => run(() => end(window))}>End Now</button>
+                                            : <button type="button" className="btn btn--outline btn--sm" onClick={() => run(() => cancel(window.id))}>Cancel</button>)}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            ) : <p>No maintenance scheduled.</p>}
+
+            {canSchedule && (
+                <form className="audit-toolbar" onSubmit={e => e.preventDefault()}>
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="maintenance-asset">Asset</label>
+                        <select id="maintenance-asset" className="form-control" value={draft.asset_id} onChange={update('asset_id')}>
+                            {CAMPUS_ASSETS.map(asset => <option key={asset.id} value={asset.id}>{asset.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="maintenance-start">From</label>
+                        <input id="maintenance-start" type="datetime-local" className="form-control" value={draft.start} onChange={update('start')} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="maintenance-end">To</label>
+                        <input id="maintenance-end" type="datetime-local" className="form-control" value={draft.end} min={draft.start} onChange={update('end')} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label" htmlFor="maintenance-reason">Reason</label>
+                        <input id="maintenance-reason" className="form-control" value={draft.reason} onChange={update('reason')} placeholder="e.g. Gearbox service" />
+                    </div>
+                    <ControlButton initialText="Schedule" successText="Scheduled ✓" asyncOnClick={submit} disabled={invalid} />
+                </form>
+            )}
+            <p className="form-hint">Times are campus time. Alerts an asset raises during its window are suppressed and kept under Alerts › Suppressed.</p>
+        </Card>
+    );
+};
+
+export default MaintenanceWindows;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import Card from './common/Card';
+import ControlButton from './common/ControlButton';
+import { useNotificationPreferences } from '../hooks/useNotificationPreferences';
+import { NOTIFICATION_CHANNELS, browserNotificationPermission } from '../services/notifications/channels';
+import { ALERT_SEVERITIES } from '../services/alerts/ruleTypes';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const PERMISSION_TEXT = {
+    granted: 'Allowed in this browser.',
+    denied: 'Blocked in this browser; allow notifications for this site in the browser settings.',
+    default: 'Not yet allowed in this browser.',
+    unsupported: 'This browser does not support notifications.'
+};
+
+// The signed-in user's choice of which alerts reach them by email, webhook and browser
+// notification, and when to stay quiet
+const NotificationPreferences = () => {
+    const { preferences, loading, error, save, sendTest } = useNotificationPreferences();
+    const [draft, setDraft] = useState(null);
+    const [permission, setPermission] = useState(browserNotificationPermission());
+    const [testResult, setTestResult] = useState(null);
+
+    useEffect(() => setDraft(preferences), [preferences]);
+
+    if (loading || !draft) {
+        return <Card title="Notification Preferences">{error ? <p className="status status--error">{error}</p> : <p>Loading preferences...</p>}</Card>;
+    }
+
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(preferences);
+    const update = (changes) => setDraft({ ...draft, ...changes });
+    const updateQuietHours = (changes) => update({ quiet_hours: { ...draft.quiet_hours, ...changes } });
+    const toggleSeverity = (channel, severity) => {
+        const selected = draft.channels[channel];
+        update({
+            channels: {
+                ...draft.channels,
+                [channel]: selected.includes(severity) ? selected.filter(s => s !== severity) : [...selected, severity]
+            }
+        });
+    };
+
+    const requestPermission = async () => {
+        setPermission(await window.Notification.requestPermission());
+    };
+
+    const test = async (channel) => {
+        try {
+            await sendTest(draft, channel);
+            setTestResult({ ok: true, text: `Test sent by ${NOTIFICATION_CHANNELS[channel].label.toLowerCase()}.` });
+        } catch (err) {
+            setTestResult({ ok: false, text: err.message });
+        }
+    };
+
+    return (
+        <Card title="Notification Preferences">
+            <form className="alert-config" onSubmit={e => e.preventDefault()}>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="notify-email">Email address</label>
+                    <input
+                        id="notify-email"
+                        type="email"
+                        className="form-control"
+                        value={draft.email}
+                        onChange={e => update({ email: e.target.value })}
+                        placeholder="you@campus.edu"
+                    />
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="notify-webhook">Webhook URL</label>
+                    <input
+                        id="notify-webhook"
+                        type="url"
+                        className="form-control"
+                        value={draft.webhook_url}
+                        onChange={e => update({ webhook_url: e.target.value })}
+                        placeholder="https://example.com/hooks/alerts"
+                    />
+                    <span className="form-hint">Receives each alert event as a JSON POST.</span>
+                </div>
+
+                <table className="data-table notification-matrix">
+                    <thead>
+                        <tr>
+                            <th>Send</th>
+                            {ALERT_SEVERITIES.map(severity => <th key={severity}>{severity}</th>)}
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {Object.entries(NOTIFICATION_CHANNELS).map(([channel, { label }]) => (
+                            <tr key={channel}>
+                                <td>{label}</td>
+                                {ALERT_SEVERITIES.map(severity => (
+                                    <td key={severity}>
+                                        <input
+                                            type="checkbox"
+                                            aria-label={`${label} for ${severity} alerts`}
+                                            checked={draft.channels[channel].includes(severity)}
+                                            onChange={() => toggleSeverity(channel, severity)}
+                                        />
+                                    </td>
+                                ))}
+                                <td>
+                                    <button type="button" className="btn btn--outline btn--sm" onClick={() => test(channel)}>Test</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {testResult && <p className={`status status--${testResult.ok ? 'success' : 'error'}`}>{testResult.text}</p>}
+
+                <div className="alert-rule-row">
+                    <span className="form-hint">Browser notifications: {PERMISSION_TEXT[permission]}</span>
+                    {permission === 'default' && (
+                        <button type="button" className="btn btn--secondary btn--sm" onClick={requestPermission}>Allow</button>
+                    )}
+                </div>
+
+                <fieldset className="alert-rule">
+                    <label className="alert-rule-enabled">
+                        <input
+                            type="checkbox"
+                            checked={draft.quiet_hours.enabled}
+                            onChange={e => updateQuietHours({ enabled: e.target.checked })}
+                        /> Quiet hours
+                    </label>
+                    <div className="alert-rule-row">
+                        <label htmlFor="notify-quiet-start">from</label>
+                        <select
+                            id="notify-quiet-start"
+                            className="form-control"
+                            value={draft.quiet_hours.start}
+                            disabled={!draft.quiet_hours.enabled}
+                            onChange={e => updateQuietHours({ start: Number(e.target.value) })}
+                        >
+                            {HOURS.map(hour => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+                        </select>
+                        <label htmlFor="notify-quiet-end">to</label>
+                        <select
+                            id="notify-quiet-end"
+                            className="form-control"
+                            value={draft.quiet_hours.end}
+                            disabled={!draft.quiet_hours.enabled}
+                            onChange={e => updateQuietHours({ end: Number(e.target.value) })}
+                        >
+                            {HOURS.map(hour => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+                        </select>
+                    </div>
+                    <label className="alert-rule-enabled">
+                        <input
+                            type="checkbox"
+                            checked={draft.quiet_hours.allow_critical}
+                            disabled={!draft.quiet_hours.enabled}
+                            onChange={e => updateQuietHours({ allow_critical: e.target.checked })}
+                        /> Still send critical alerts
+                    </label>
+                    <p className="alert-rule-summary">Campus time. Alerts raised during quiet hours are not sent later.</p>
+                </fieldset>
+
+                <div className="control-buttons">
+                    <ControlButton
+                        initialText="Save Preferences"
+                        successText="Saved ✓"
+                        asyncOnClick={() => save(draft)}
+                        disabled={!isDirty}
+                    />
+                    <button type="button" className="btn btn--outline" onClick={() => setDraft(preferences)} disabled={!isDirty}>
+                        Discard Changes
+                    </button>
+                </div>
+            </form>
+        </Card>
+    );
+};
+
+export default NotificationPreferences;
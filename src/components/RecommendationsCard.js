@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import Card from './common/Card';
+import ControlButton from './common/ControlButton';
+import InterlockNotice from './InterlockNotice';
+import { useRecommendations } from '../hooks/useRecommendations';
+import { usePermissions } from '../hooks/usePermissions';
+import { useInterlocks } from '../hooks/useInterlocks';
+import { batteryRequest, scheduleRequest } from '../hooks/useControlActions';
+import { PERMISSIONS } from '../config/roles';
+import { CONFIG } from '../services/config';
+import { formatMoney } from '../services/tariff';
+import { RECOMMENDATION_OUTCOMES, acceptedSavings } from '../services/recommendations/engine';
+
+const NO_OVERRIDE = { enabled: false, reason: '' };
+
+const formatTime = (time) => new Date(time).toLocaleString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+const requestFor = ({ action }) => (action.kind === 'battery.settings' ? batteryRequest(action.settings) : scheduleRequest(action.schedule));
+
+// Engine recommendations for the coming day with their estimated savings. Users with control
+// access can accept one (queuing its Control action), snooze it or dismiss it.
+const RecommendationsCard = () => {
+    const { recommendations, outcomes, loading, error, accept, snooze, dismiss } = useRecommendations();
+    const { hasPermission } = usePermissions();
+    const { check } = useInterlocks();
+    const [showHistory, setShowHistory] = useState(false);
+    const canAct = hasPermission(PERMISSIONS.ACCESS_CONTROL_SYSTEMS);
+
+    return (
+        <Card title="Optimization Recommendations">
+            {error && <p className="status status--error">{error}</p>}
+            {loading ? <p>Evaluating recommendations...</p> : recommendations.length === 0 ? (
+                <p>No recommendations for the coming day.</p>
+            ) : (
+                <div className="recommendations">
+                    {recommendations.map(rec => {
+                        // Blocking interlocks are overridden from the Control section, not here
+                        const findings = canAct ? check(requestFor(rec)) : [];
+                        const blocked = findings.some(f => f.severity === 'block');
+                        return (
+                            <div key={rec.id} className={`recommendation-item ${rec.priority}`}>
+                                <div className="recommendation-header">
+                                    <span className={`recommendation-priority ${rec.priority}`}>{rec.priority.toUpperCase()}</span>
+                                    <span className="recommendation-savings">{formatMoney(rec.savings)}</span>
+                                </div>
+                                <p className="recommendation-message"><strong>{rec.title}</strong></p>
+                                <p className="form-hint">{rec.detail}</p>
+                                {canAct && (
+                                    <>
+                                        <InterlockNotice findings={findings} canOverride={false} override={NO_OVERRIDE} idPrefix={rec.id} />
+                                        <div className="recommendation-actions">
+                                            <ControlButton initialText="Accept" successText="Queued ✓" asyncOnClick={() => accept(rec)} disabled={blocked} />
+                                            <button type="button" className="btn btn--sm btn--secondary" onClick={() => snooze(rec)}>
+                                                Snooze {CONFIG.RECOMMENDATIONS.SNOOZE_HOURS} h
+                                            </button>
+                                            <button type="button" className="btn btn--sm btn--outline" onClick={() => dismiss(rec)}>Dismiss</button>
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+            {!canAct && <p className="form-hint">Acting on recommendations needs access to control systems.</p>}
+            <div className="recommendation-history">
+                <button type="button" className="btn btn--sm btn--outline" onClick={() => setShowHistory(!showHistory)}>
+                    {showHistory ? 'Hide history' : `Show history (${outcomes.length})`}
+                </button>
+                {showHistory && (
+                    <>
+                        <p className="form-hint">Estimated savings of accepted recommendations: {formatMoney(acceptedSavings(outcomes))}.</p>
+                        <div className="table-scroll">
+                            <table className="data-table">
+                                <thead>
+                                    <tr><th>When</th><th>Recommendation</th><th>Outcome</th><th>By</th><th>Savings</th></tr>
+                                </thead>
+                                <tbody>
+                                    {outcomes.map(outcome => (
+                                        <tr key={outcome.id}>
+                                            <td>{formatTime(outcome.timestamp)}</td>
+                                            <td>{outcome.title}</td>
+                                            <td>
+                                                {RECOMMENDATION_OUTCOMES[outcome.outcome]}
+                                                {outcome.snoozed_until && ` until ${formatTime(outcome.snoozed_until)}`}
+                                            </td>
+                                            <td>{outcome.user}</td>
+                                            <td>{formatMoney(outcome.savings)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+        </Card>
+    );
+};
+
+export default RecommendationsCard;
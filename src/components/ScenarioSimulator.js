@@ -1,5 +1,9 @@
 import React, { useState, useMemo } from 'react';
 import Card from './common/Card';
+import { useBillingMonth } from '../hooks/useBillingMonth';
+import { CONFIG } from '../services/config';
+import { formatMoney, monthlyBills } from '../services/tariff';
+import { carbonTotals, formatCarbon } from '../services/carbon';
 
 const SimulatorSlider = ({ label, value, onChange, unit, min, max, step = 1 }) => (
     <div className="control-group">
@@ -16,32 +20,48 @@ const SimulatorSlider = ({ label, value, onChange, unit, min, max, step = 1 }) =
     </div>
 );
 
+// Last month's hourly energy re-run with scaled solar, battery and load. Battery power is
+// scaled with capacity, which approximates a larger bank following the same schedule.
+// `load` stays the original so avoided emissions are measured against the same baseline.
+const scenarioPoints = (points, { solarFactor, batteryFactor, loadFactor }) => points.map(point => ({
+    time: point.time,
+    load: point.load,
+    grid: point.load * loadFactor + (point.battery_power ?? 0) * batteryFactor - point.solar * solarFactor - point.wind
+}));
+
+// Total of the month's tariff bill for hourly { time, grid } points
+const totalBill = (points) => monthlyBills(points)[0]?.total ?? 0;
+
 const ScenarioSimulator = () => {
     // Base values from the campus configuration
-    const baseSolarCapacity = 500; // kW
-    const baseBatteryCapacity = 800; // kWh
-    const baseSavings = 125480; // Monthly INR
-    const baseCO2 = 8456; // Monthly kg
+    const baseSolarCapacity = CONFIG.CAMPUS_INFO.solar_capacity; // kW
+    const baseBatteryCapacity = CONFIG.CAMPUS_INFO.battery_capacity; // kWh
+    const { points, loading, error } = useBillingMonth();
+    const complete = useMemo(
+        () => points.filter(p => [p.load, p.solar, p.wind].every(Number.isFinite)),
+        [points]
+    );
+    // What the campus would pay importing its whole load
+    const gridOnlyBill = useMemo(() => totalBill(complete.map(p => ({ time: p.time, grid: p.load }))), [complete]);
 
     const [solarCapacity, setSolarCapacity] = useState(baseSolarCapacity);
     const [batteryCapacity, setBatteryCapacity] = useState(baseBatteryCapacity);
     const [loadReduction, setLoadReduction] = useState(0);
 
     const results = useMemo(() => {
-        // This is a simplified mock calculation for demonstration.
-        // A real version would use a much more complex model.
-        const solarFactor = solarCapacity / baseSolarCapacity;
-        const batteryFactor = 1 + (batteryCapacity - baseBatteryCapacity) / (baseBatteryCapacity * 2); // Assume adding battery capacity has diminishing returns
-        const loadFactor = 1 + loadReduction / 100;
-
-        const estimatedSavings = baseSavings * solarFactor * batteryFactor * loadFactor;
-        const estimatedCO2Reduction = baseCO2 * solarFactor * loadFactor;
+        const scenario = scenarioPoints(complete, {
+            solarFactor: solarCapacity / baseSolarCapacity,
+            batteryFactor: batteryCapacity / baseBatteryCapacity,
+            loadFactor: 1 - loadReduction / 100
+        });
 
+        // Savings are last month's tariff bill for the scenario against the grid-only bill,
+        // and CO₂ the emissions avoided against importing the whole original load
         return {
-            savings: estimatedSavings.toLocaleString('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }),
-            co2: estimatedCO2Reduction.toFixed(0),
+            savings: formatMoney(gridOnlyBill - totalBill(scenario)),
+            co2: formatCarbon(carbonTotals(scenario).avoided_kg),
         };
-    }, [solarCapacity, batteryCapacity, loadReduction, baseSolarCapacity, baseBatteryCapacity, baseSavings, baseCO2]);
+    }, [solarCapacity, batteryCapacity, loadReduction, baseSolarCapacity, baseBatteryCapacity, complete, gridOnlyBill]);
 
     return (
         <Card title="Strategic Scenario Simulator">
@@ -56,11 +76,11 @@ const ScenarioSimulator = () => {
                     <h4>Estimated Monthly Impact</h4>
                     <div className="result-item">
                         <span className="result-label">Potential Savings</span>
-                        <span className="result-value savings">{results.savings}</span>
+                        <span className="result-value savings">{loading ? '…' : error ? '—' : results.savings}</span>
                     </div>
                     <div className="result-item">
                         <span className="result-label">CO₂ Reduction</span>
-                        <span className="result-value co2">{results.co2} kg</span>
+                        <span className="result-value co2">{loading ? '…' : error ? '—' : results.co2}</span>
                     </div>
                     <button className="btn btn--secondary btn--sm" onClick={() => {
                         setSolarCapacity(baseSolarCapacity);
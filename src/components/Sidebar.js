@@ -1,23 +1,13 @@
 import React from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { usePermissions } from '../hooks/usePermissions';
-import { PERMISSIONS } from '../config/roles';
-
-const allNavItems = [
-    { id: 'dashboard', label: 'Dashboard', permission: PERMISSIONS.NAV_DASHBOARD },
-    { id: 'monitor', label: 'Monitor', permission: PERMISSIONS.NAV_MONITOR },
-    { id: 'analytics', label: 'Analytics', permission: PERMISSIONS.NAV_ANALYTICS },
-    { id: 'control', label: 'Control', permission: PERMISSIONS.NAV_CONTROL },
-    { id: 'reports', label: 'Reports', permission: PERMISSIONS.NAV_REPORTS },
-    { id: 'alerts', label: 'Alerts', permission: PERMISSIONS.NAV_ALERTS },
-    { id: 'map', label: 'Campus Map', permission: PERMISSIONS.NAV_MAP },
-];
+import { NAV_ITEMS } from '../config/navigation';
 
 const Sidebar = ({ activeSection, setActiveSection, isOpen, setIsOpen }) => {
     const { user, logout } = useAuth();
     const { hasPermission } = usePermissions();
 
-    const accessibleNavItems = allNavItems.filter(item => hasPermission(item.permission));
+    const accessibleNavItems = NAV_ITEMS.filter(item => hasPermission(item.permission));
 
     return (
         <aside className={`sidebar ${isOpen ? 'open' : ''}`}>
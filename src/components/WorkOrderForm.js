@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import ControlButton from './common/ControlButton';
+import { useWorkOrders } from '../hooks/useWorkOrders';
+import { CAMPUS_ASSETS, findCampusAsset } from '../config/campusAssets';
+import { DEFAULT_CHECKLISTS } from '../config/workOrders';
+
+const checklistFor = (assetId) => (DEFAULT_CHECKLISTS[findCampusAsset(assetId)?.type] || []).join('\n');
+
+const toDraft = ({ title = '', asset_id = CAMPUS_ASSETS[0].id, alert_id = null, description = '' } = {}) => ({
+    title, asset_id, alert_id, description, assignee: '', checklist: checklistFor(asset_id)
+});
+
+// New work order against a campus asset, optionally raised from an alert. `initial` pre-fills
+// it; the checklist starts from the asset type's default and is one item per line.
+const WorkOrderForm = ({ initial }) => {
+    const { create } = useWorkOrders();
+    const [draft, setDraft] = useState(() => toDraft(initial));
+    const [created, setCreated] = useState(null);
+
+    const update = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+    // Switching asset swaps in its default checklist unless the current one was edited
+    const changeAsset = (e) => setDraft({
+        ...draft,
+        asset_id: e.target.value,
+        checklist: draft.checklist === checklistFor(draft.asset_id) ? checklistFor(e.target.value) : draft.checklist
+    });
+
+    const submit = async () => {
+        const order = await create({
+            title: draft.title.trim(),
+            description: draft.description.trim(),
+            asset_id: draft.asset_id,
+            alert_id: draft.alert_id,
+            assignee: draft.assignee.trim() || null,
+            checklist: draft.checklist.split('\n').map(line => line.trim()).filter(Boolean)
+        });
+        setCreated(order);
+        setDraft(toDraft({ asset_id: draft.asset_id }));
+    };
+
+    return (
+        <form className="work-order-form" onSubmit={e => e.preventDefault()}>
+            {created && <p className="status status--success">Work order “{created.title}” created. Track it under Work Orders.</p>}
+            {draft.alert_id && <p className="form-hint">Raised from an alert, which is resolved when the order is completed.</p>}
+            <div className="form-group">
+                <label className="form-label" htmlFor="work-order-title">Title</label>
+                <input id="work-order-title" className="form-control" value={draft.title} onChange={update('title')} placeholder="What needs doing" />
+            </div>
+            <div className="form-group">
+                <label className="form-label" htmlFor="work-order-asset">Asset</label>
+                <select id="work-order-asset" className="form-control" value={draft.asset_id} onChange={changeAsset}>
+                    {CAMPUS_ASSETS.map(asset => <option key={asset.id} value={asset.id}>{asset.name}</option>)}
+                </select>
+            </div>
+            <div className="form-group">
+                <label className="form-label" htmlFor="work-order-assignee">Assignee</label>
+                <input id="work-order-assignee" className="form-control" value={draft.assignee} onChange={update('assignee')} placeholder="Username (optional)" />
+            </div>
+            <div className="form-group">
+                <label className="form-label" htmlFor="work-order-description">Description</label>
+                <textarea id="work-order-description" className="form-control" rows={3} value={draft.description} onChange={update('description')} />
+            </div>
+            <div className="form-group">
+                <label className="form-label" htmlFor="work-order-checklist">Checklist</label>
+                <textarea id="work-order-checklist" className="form-control" rows={5} value={draft.checklist} onChange={update('checklist')} />
+                <span className="form-hint">One item per line.</span>
+            </div>
+            <ControlButton initialText="Create Work Order" successText="Created ✓" asyncOnClick={submit} disabled={!draft.title.trim()} />
+        </form>
+    );
+};
+
+// The form on its own in the modal, for orders raised from an alert or an asset's details
+export const WorkOrderDialog = ({ initial }) => (
+    <div className="asset-modal">
+        <div className="modal-header-custom">
+            <h3>New Work Order</h3>
+        </div>
+        <WorkOrderForm initial={initial} />
+    </div>
+);
+
+export default WorkOrderForm;
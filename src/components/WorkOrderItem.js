@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { CONFIG } from '../services/config';
+import { findCampusAsset } from '../config/campusAssets';
+import alertManager from '../services/alerts/alertManager';
+import {
+    WORK_ORDER_STATUSES, WORK_ORDER_STATUS_LABELS, ACTIVE_STATUSES, canChangeStatus
+} from '../services/maintenance/workOrderManager';
+import { readPhoto } from '../services/maintenance/photos';
+import { usePhoto } from '../hooks/usePhoto';
+
+const STATUS_CLASS = { open: 'info', in_progress: 'warning', on_hold: 'warning', completed: 'success', cancelled: 'error' };
+
+// Buttons for the status changes open to an order, in the order they are shown
+const STATUS_ACTIONS = [
+    { status: WORK_ORDER_STATUSES.IN_PROGRESS, label: (order) => (order.status === WORK_ORDER_STATUSES.ON_HOLD ? 'Resume' : 'Start Work') },
+    { status: WORK_ORDER_STATUSES.ON_HOLD, label: () => 'Put on Hold' },
+    { status: WORK_ORDER_STATUSES.CANCELLED, label: () => 'Cancel Order' }
+];
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// A stored photo, loaded on its own so the order list does not wait for images
+const PhotoImage = ({ photo }) => {
+    const { dataUrl, error } = usePhoto(photo.id);
+    if (!dataUrl) return <span className="form-hint">{error || 'Loading photo...'}</span>;
+    return <a href={dataUrl} target="_blank" rel="noreferrer"><img src={dataUrl} alt={photo.name} /></a>;
+};
+
+// One work order: what it is for, the checklist, parts and photos recorded against it, and
+// the status changes open to the signed-in user. Read-only without `canManage`.
+const WorkOrderItem = ({ order, actions, username, canManage }) => {
+    const [assignee, setAssignee] = useState(order.assignee || username);
+    const [part, setPart] = useState({ name: '', quantity: '1' });
+    const [resolution, setResolution] = useState('');
+    const [showHistory, setShowHistory] = useState(false);
+    const [error, setError] = useState('');
+
+    const active = ACTIVE_STATUSES.includes(order.status);
+    const editable = canManage && active;
+    const alert = order.alert_id && alertManager.find(order.alert_id);
+    const quantity = Number(part.quantity);
+
+    const run = async (action) => {
+        try {
+            await action();
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const addPhotos = (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        run(async () => {
+            for (const file of files) {
+                await actions.addPhoto(order.id, await readPhoto(file));
+            }
+        });
+    };
+
+    return (
+        <div className="work-order">
+            <div className="alert-header">
+                <strong>{order.title}</strong>
+                <span className={`status status--${STATUS_CLASS[order.status]}`}>{WORK_ORDER_STATUS_LABELS[order.status]}</span>
+                <span className="alert-time">{formatTime(order.created_at)}</span>
+            </div>
+            <p className="alert-source">
+                {findCampusAsset(order.asset_id)?.name || order.asset_id}
+                {order.alert_id && ` · From alert: ${alert ? alert.message : order.alert_id}`}
+            </p>
+            {order.description && <p className="alert-message">{order.description}</p>}
+            <dl className="alert-evidence">
+                <div><dt>Assignee</dt><dd>{order.assignee || '—'}</dd></div>
+                <div><dt>Created by</dt><dd>{order.created_by}</dd></div>
+                {order.started_at && <div><dt>Started</dt><dd>{formatTime(order.started_at)}</dd></div>}
+                {order.completed_at && <div><dt>Completed</dt><dd>{formatTime(order.completed_at)} by {order.completed_by}</dd></div>}
+                {order.resolution && <div><dt>Work done</dt><dd>{order.resolution}</dd></div>}
+            </dl>
+
+            <h4>Checklist</h4>
+            {order.checklist.length > 0 ? (
+                <ul className="work-order-checklist">
+                    {order.checklist.map((item, index) => (
+                        <li key={index}>
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={item.done}
+                                    disabled={!editable}
+                                    onChange={() => run(() => actions.toggleChecklistItem(order.id, index))}
+                                /> {item.text}
+                            </label>
+                            {item.done && item.done_by && <span className="form-hint"> — {item.done_by}, {formatTime(item.done_at)}</span>}
+                        </li>
+                    ))}
+                </ul>
+            ) : <p className="form-hint">No checklist.</p>}
+
+            <h4>Parts Used</h4>
+            {order.parts.length > 0 ? (
+                <ul className="work-order-parts">
+                    {order.parts.map((p, index) => (
+                        <li key={index}>
+                            {p.quantity} × {p.name}
+                            {editable && (
+                                <button type="button" className="btn btn--outline btn--sm" onClick={() => run(() => actions.removePart(order.id, index))}>Remove</button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            ) : <p className="form-hint">None recorded.</p>}
+            {editable && (
+                <div className="alert-actions">
+                    <span className="alert-action-group">
+                        <input className="form-control" aria-label="Part" value={part.name} onChange={e => setPart({ ...part, name: e.target.value })} placeholder="Part" />
+                        <input
+                            type="number"
+                            min="1"
+                            className="form-control work-order-quantity"
+                            aria-label="Quantity"
+                            value={part.quantity}
+                            onChange={e => setPart({ ...part, quantity: e.target.value })}
+                        />
+                        <button
+                            type="button"
+                            className="btn btn--sm btn--secondary"
+                            disabled={!part.name.trim() || !(quantity > 0)}
+                            onClick={() => run(async () => {
+                                await actions.addPart(order.id, { name: part.name.trim(), quantity });
+                                setPart({ name: '', quantity: '1' });
+                            })}
+                        >
+                            Add Part
+                        </button>
+                    </span>
+                </div>
+            )}
+
+            <h4>Photos</h4>
+            {order.photos.length > 0 ? (
+                <div className="work-order-photos">
+                    {order.photos.map(photo => (
+                        <figure key={photo.id}>
+                            <PhotoImage photo={photo} />
+                            <figcaption>
+                                {photo.added_by}, {formatTime(photo.added_at)}
+                                {editable && (
+                                    <button type="button" className="btn btn--outline btn--sm" onClick={() => run(() => actions.removePhoto(order.id, photo.id))}>Remove</button>
+                                )}
+                            </figcaption>
+                        </figure>
+                    ))}
+                </div>
+            ) : <p className="form-hint">No photos.</p>}
+            {editable && order.photos.length < CONFIG.WORK_ORDERS.MAX_PHOTOS && (
+                <label className="btn btn--outline btn--sm work-order-photo-input">
+                    Add Photos
+                    <input type="file" accept="image/*" capture="environment" multiple onChange={addPhotos} />
+                </label>
+            )}
+
+            {error && <p className="status status--error">{error}</p>}
+            {editable && (
+                <div className="alert-actions">
+                    <span className="alert-action-group">
+                        <input className="form-control" aria-label="Assignee" value={assignee} onChange={e => setAssignee(e.target.value)} placeholder="Username" />
+                        <button
+                            type="button"
+                            className="btn btn--sm btn--secondary"
+                            disabled={!assignee.trim() || assignee.trim() === order.assignee}
+                            onClick={() => run(() => actions.assign(order.id, assignee.trim()))}
+                        >
+                            Assign
+                        </button>
+                    </span>
+                    {STATUS_ACTIONS.filter(({ status }) => canChangeStatus(order, status)).map(({ status, label }) => (
+                        <button key={status} type="button" className="btn btn--sm btn--outline" onClick={() => run(() => actions.setStatus(order.id, status))}>
+                            {label(order)}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {editable && canChangeStatus(order, WORK_ORDER_STATUSES.COMPLETED) && (
+                <div className="alert-actions">
+                    <span className="alert-action-group">
+                        <input className="form-control" aria-label="Work done" value={resolution} onChange={e => setResolution(e.target.value)} placeholder="Work done" />
+                        <button
+                            type="button"
+                            className="btn btn--sm btn--primary"
+                            onClick={() => run(() => actions.setStatus(order.id, WORK_ORDER_STATUSES.COMPLETED, resolution.trim()))}
+                        >
+                            Complete
+                        </button>
+                    </span>
+                </div>
+            )}
+
+            <div className="alert-actions">
+                <button type="button" className="btn btn--sm btn--outline" onClick={() => setShowHistory(!showHistory)}>
+                    {showHistory ? 'Hide History' : 'History'}
+                </button>
+            </div>
+            {showHistory && (
+                <ol className="alert-history">
+                    {order.history.map((entry, index) => (
+                        <li key={index}>
+                            <span className="alert-time">{formatTime(entry.at)}</span> <strong>{entry.action.replace('_', ' ')}</strong> by {entry.user}
+                            {entry.note && <span className="form-hint"> — {entry.note}</span>}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default WorkOrderItem;
@@ -0,0 +1,71 @@
+import React, { useCallback } from 'react';
+import useChart from '../../hooks/useChart';
+import { CHART_COLORS, CONFIG } from '../../services/config';
+
+const hourLabel = (time) => new Date(time).toLocaleTimeString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, hour: '2-digit', minute: '2-digit', hour12: false
+});
+
+// Preview of a 24-hour dispatch plan: battery power as bars, SOC on the right-hand axis
+const DispatchPlanChart = ({ steps }) => {
+    const getChartConfig = useCallback(() => ({
+        type: 'bar',
+        data: {
+            labels: steps.map(step => hourLabel(step.time)),
+            datasets: [
+                {
+                    label: 'Battery Power (kW)',
+                    data: steps.map(step => step.power),
+                    backgroundColor: steps.map(step =>
+                        step.power >= 0 ? CHART_COLORS.battery_charging : CHART_COLORS.battery_discharging
+                    ),
+                    borderRadius: 4,
+                    yAxisID: 'y'
+                },
+                {
+                    type: 'line',
+                    label: 'Net Load (kW)',
+                    data: steps.map(step => Math.round(step.load - step.solar - step.wind)),
+                    borderColor: CHART_COLORS.load,
+                    pointRadius: 0,
+                    tension: 0.3,
+                    yAxisID: 'y'
+                },
+                {
+                    type: 'line',
+                    label: 'SOC (%)',
+                    data: steps.map(step => step.soc),
+                    borderColor: CHART_COLORS.solar,
+                    pointRadius: 2,
+                    tension: 0.3,
+                    yAxisID: 'soc'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                y: { title: { display: true, text: 'Power (kW, +Charging/-Discharging)' } },
+                soc: {
+                    position: 'right',
+                    min: 0,
+                    max: 100,
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: 'SOC (%)' }
+                }
+            }
+        }
+    }), [steps]);
+
+    const canvasRef = useChart(getChartConfig);
+
+    return (
+        <div className="chart-container" style={{ position: 'relative', height: '280px' }}>
+            <canvas ref={canvasRef}></canvas>
+        </div>
+    );
+};
+
+export default DispatchPlanChart;
@@ -1,66 +1,87 @@
 import React, { useCallback } from 'react';
 import useChart from '../../hooks/useChart';
-import { CHART_COLORS } from '../../services/config';
+import { CHART_COLORS, CONFIG } from '../../services/config';
 import Card from '../common/Card';
+import { formatMoney, formatUnpriced } from '../../services/tariff';
 
-const generateQuarterlyData = () => {
-  return [
-    { quarter: 'Q1', revenue: 120, expenses: 80 },
-    { quarter: 'Q2', revenue: 150, expenses: 95 },
-    { quarter: 'Q3', revenue: 170, expenses: 110 },
-    { quarter: 'Q4', revenue: 200, expenses: 130 },
-  ];
-};
+const LAKH = 100000;
 
-const FinancialPerformanceChart = () => {
-  const getChartConfig = useCallback(() => {
-    const data = generateQuarterlyData();
-    const labels = data.map(d => d.quarter);
+const toLakh = (value) => Number((value / LAKH).toFixed(2));
 
-    return {
-      type: 'bar',
-      data: {
-        labels,
-        datasets: [
-          {
-            label: 'Revenue (₹ Cr)',
-            data: data.map(d => d.revenue),
-            backgroundColor: `${CHART_COLORS.solar}80`,
-            borderColor: CHART_COLORS.solar,
-            borderWidth: 1,
-          },
-          {
-            label: 'Expenses (₹ Cr)',
-            data: data.map(d => d.expenses),
-            backgroundColor: `${CHART_COLORS.load}80`,
-            borderColor: CHART_COLORS.load,
-            borderWidth: 1,
-          },
-        ],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        scales: {
-          y: {
-            beginAtZero: true,
-            title: {
-              display: true,
-              text: 'Amount (₹ Cr)',
-            },
+const monthLabel = (month) =>
+  new Date(`${month}-15T00:00:00Z`).toLocaleDateString(CONFIG.LOCALE, { month: 'short', year: '2-digit' });
+
+// Monthly avoided grid cost, export revenue and O&M as bars, with the net benefit as a line.
+// `months` comes from useFinancialHistory.
+const FinancialPerformanceChart = ({ months, unpriced, loading, error }) => {
+  const getChartConfig = useCallback(() => ({
+    type: 'bar',
+    data: {
+      labels: months.map(m => monthLabel(m.month)),
+      datasets: [
+        {
+          label: 'Avoided Grid Cost (₹ lakh)',
+          data: months.map(m => toLakh(m.avoided_cost)),
+          backgroundColor: `${CHART_COLORS.solar}80`,
+          borderColor: CHART_COLORS.solar,
+          borderWidth: 1,
+        },
+        {
+          label: 'Export Revenue (₹ lakh)',
+          data: months.map(m => toLakh(m.export_revenue)),
+          backgroundColor: `${CHART_COLORS.battery_charging}80`,
+          borderColor: CHART_COLORS.battery_charging,
+          borderWidth: 1,
+        },
+        {
+          label: 'O&M Expenses (₹ lakh)',
+          data: months.map(m => toLakh(m.om_cost)),
+          backgroundColor: `${CHART_COLORS.load}80`,
+          borderColor: CHART_COLORS.load,
+          borderWidth: 1,
+        },
+        {
+          type: 'line',
+          label: 'Net Benefit (₹ lakh)',
+          data: months.map(m => toLakh(m.net_benefit)),
+          borderColor: CHART_COLORS.wind,
+          pointRadius: 3,
+          tension: 0.3,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        y: {
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: 'Amount (₹ lakh)',
           },
         },
       },
-    };
-  }, []);
+    },
+  }), [months]);
 
   const canvasRef = useChart(getChartConfig);
+  const total = months.reduce((sum, m) => sum + m.net_benefit, 0);
 
   return (
     <Card title="Financial Performance">
+      {error && <p className="status status--error">{error}</p>}
+      {loading && <p>Calculating monthly performance...</p>}
       <div className="chart-container" style={{ position: 'relative', height: '300px' }}>
         <canvas ref={canvasRef}></canvas>
       </div>
+      {!loading && months.length > 0 && (
+        <p className="schedule-summary">
+          Net benefit over the last {months.length} months: {formatMoney(total)}
+        </p>
+      )}
+      {!loading && unpriced > 0 && <p className="form-hint">{formatUnpriced(unpriced)}.</p>}
     </Card>
   );
 };
@@ -0,0 +1,42 @@
+import React, { useCallback } from 'react';
+import useChart from '../../hooks/useChart';
+import { CHART_COLORS, CONFIG } from '../../services/config';
+import { FORECAST_SOURCES, SOURCE_LABELS } from '../../services/forecasting/accuracy';
+
+const dayLabel = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString(CONFIG.LOCALE, { day: 'numeric', month: 'short' });
+
+// Day-ahead forecast error per day for each source; `daily` comes from dailyAccuracy()
+const ForecastAccuracyChart = ({ daily, metric, unit }) => {
+    const getChartConfig = useCallback(() => ({
+        type: 'line',
+        data: {
+            labels: daily.map(day => dayLabel(day.date)),
+            datasets: FORECAST_SOURCES.map(source => ({
+                label: SOURCE_LABELS[source],
+                data: daily.map(day => day[source][metric]),
+                borderColor: CHART_COLORS[source],
+                backgroundColor: CHART_COLORS[source],
+                spanGaps: true,
+                tension: 0.3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                y: { beginAtZero: metric !== 'bias', title: { display: true, text: unit } }
+            }
+        }
+    }), [daily, metric, unit]);
+
+    const canvasRef = useChart(getChartConfig);
+
+    return (
+        <div className="chart-container" style={{ position: 'relative', height: '240px' }}>
+            <canvas ref={canvasRef}></canvas>
+        </div>
+    );
+};
+
+export default ForecastAccuracyChart;
@@ -1,42 +1,77 @@
 import React, { useCallback } from 'react';
 import useChart from '../../hooks/useChart';
-import { CHART_COLORS } from '../../services/config';
+import { CHART_COLORS, CONFIG } from '../../services/config';
 
-const ForecastChart = ({ data }) => {
-    const getChartConfig = useCallback(() => {
-        const labels = data.map(f => f.day);
-        return {
-            type: 'bar',
-            data: {
-                labels,
-                datasets: [
-                    {
-                        label: 'Solar Max (kW)',
-                        data: data.map(f => f.solar_max),
-                        backgroundColor: CHART_COLORS.solar,
-                        borderRadius: 4
-                    },
-                    {
-                        label: 'Wind Avg (kW)',
-                        data: data.map(f => f.wind_avg),
-                        backgroundColor: CHART_COLORS.wind,
-                        borderRadius: 4
-                    },
-                    {
-                        label: 'Load Peak (kW)',
-                        data: data.map(f => f.load_peak),
-                        backgroundColor: CHART_COLORS.load,
-                        borderRadius: 4
-                    }
-                ]
+const hourLabel = (time) => new Date(time).toLocaleString(CONFIG.LOCALE, {
+    timeZone: CONFIG.TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+});
+
+// A shaded confidence band between two series; the lower edge has no legend entry
+const band = (hours, key, color, label) => [
+    {
+        label,
+        data: hours.map(h => h[`${key}_high`]),
+        borderColor: 'transparent',
+        backgroundColor: `${color}33`,
+        pointRadius: 0,
+        fill: '+1'
+    },
+    {
+        label: '',
+        data: hours.map(h => h[`${key}_low`]),
+        borderColor: 'transparent',
+        pointRadius: 0,
+        fill: false
+    }
+];
+
+// Hourly generation and load forecast with confidence bands; `hours` comes from forecastService
+const ForecastChart = ({ hours }) => {
+    const getChartConfig = useCallback(() => ({
+        type: 'line',
+        data: {
+            labels: hours.map(h => hourLabel(h.time)),
+            datasets: [
+                ...band(hours, 'solar', CHART_COLORS.solar, 'Solar 80% range'),
+                {
+                    label: 'Solar (kW)',
+                    data: hours.map(h => h.solar),
+                    borderColor: CHART_COLORS.solar,
+                    pointRadius: 0,
+                    tension: 0.3
+                },
+                ...band(hours, 'wind', CHART_COLORS.wind, 'Wind 80% range'),
+                {
+                    label: 'Wind (kW)',
+                    data: hours.map(h => h.wind),
+                    borderColor: CHART_COLORS.wind,
+                    pointRadius: 0,
+                    tension: 0.3
+                },
+                ...band(hours, 'load', CHART_COLORS.load, 'Load 80% range'),
+                {
+                    label: 'Load (kW)',
+                    data: hours.map(h => h.load),
+                    borderColor: CHART_COLORS.load,
+                    pointRadius: 0,
+                    tension: 0.3
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { labels: { filter: (item) => item.text !== '' } },
+                tooltip: { filter: (item) => item.dataset.label !== '' }
             },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: { y: { beginAtZero: true, title: { display: true, text: 'Power (kW)' } } }
+            scales: {
+                x: { ticks: { maxTicksLimit: 14 } },
+                y: { beginAtZero: true, title: { display: true, text: 'Power (kW)' } }
             }
-        };
-    }, [data]);
+        }
+    }), [hours]);
 
     const canvasRef = useChart(getChartConfig);
 
@@ -47,4 +82,4 @@ const ForecastChart = ({ data }) => {
     );
 };
 
-export default ForecastChart;
\ No newline at end of file
+export default ForecastChart;
@@ -1,26 +1,39 @@
 import React, { useCallback } from 'react';
 import useChart from '../../hooks/useChart';
-import { CHART_COLORS } from '../../services/config';
-
-// This component generates its own sample data, just like the original app.js
-const generateMonthlyData = () => {
-    const data = [];
-    for (let i = 29; i >= 0; i--) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-        data.push({
-            date: date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' }),
-            generation: 380 + Math.random() * 120,
-            consumption: 320 + Math.random() * 80,
-        });
-    }
-    return data;
+import useHistoricalData from '../../hooks/useHistoricalData';
+import { CHART_COLORS, CONFIG } from '../../services/config';
+import { RESOLUTION_MS, pickResolution } from '../../services/aggregation';
+
+const HOUR = RESOLUTION_MS['1h'];
+
+// Average kW over a bucket times the hours it covers (clipped to the query range) is kWh
+const toEnergy = (points, query) => points.map(point => {
+    const start = Math.max(new Date(point.time).getTime(), new Date(query.from).getTime());
+    const end = Math.min(new Date(point.time).getTime() + RESOLUTION_MS[query.resolution], new Date(query.to).getTime());
+    const hours = Math.max(0, end - start) / HOUR;
+    return {
+        time: point.time,
+        generation: ((point.solar || 0) + (point.wind || 0)) * hours,
+        consumption: (point.load || 0) * hours
+    };
+});
+
+const formatLabel = (time, resolution) => {
+    const options = resolution === '1d'
+        ? { day: 'numeric', month: 'short' }
+        : { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' };
+    return new Date(time).toLocaleString(CONFIG.LOCALE, { timeZone: CONFIG.TIMEZONE, ...options });
 };
 
-const HistoricalChart = () => {
+// Energy generated vs consumed per bucket over `query`, a getHistoricalData query
+const HistoricalChart = ({ query }) => {
+    // Resolve 'auto' here (the same way apiService would) because the energy maths needs the bucket size
+    const resolution = query.resolution === 'auto' ? pickResolution(query.from, query.to) : query.resolution;
+    const { data, loading, error } = useHistoricalData({ ...query, resolution, metrics: ['solar', 'wind', 'load'], aggregate: 'avg' });
+
     const getChartConfig = useCallback(() => {
-        const historicalData = generateMonthlyData();
-        const labels = historicalData.map(d => d.date);
+        const historicalData = toEnergy(data, { ...query, resolution });
+        const labels = historicalData.map(d => formatLabel(d.time, resolution));
         return {
             type: 'line',
             data: {
@@ -43,15 +56,16 @@ const HistoricalChart = () => {
                 scales: { y: { beginAtZero: true, title: { display: true, text: 'Energy (kWh)' } } }
             }
         };
-    }, []);
+    }, [data, query, resolution]);
 
     const canvasRef = useChart(getChartConfig);
 
     return (
         <div className="chart-container" style={{ position: 'relative', height: '300px' }}>
+            {!loading && data.length === 0 && <p>{error ? 'Could not load history for this range.' : 'No history available for this range.'}</p>}
             <canvas ref={canvasRef}></canvas>
         </div>
     );
 };
 
-export default HistoricalChart;
\ No newline at end of file
+export default HistoricalChart;
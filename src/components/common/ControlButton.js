@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { CommandRejectedError } from '../../services/errors';
+
+// A reusable button that handles its own async state
+const ControlButton = ({ initialText, successText = 'Applied ✓', asyncOnClick, disabled = false }) => {
+    const [status, setStatus] = useState('idle'); // idle, loading, success, rejected, error
+
+    const handleClick = async () => {
+        setStatus('loading');
+        try {
+            await asyncOnClick();
+            setStatus('success');
+        } catch (error) {
+            console.error("Action failed:", error);
+            setStatus(error instanceof CommandRejectedError ? 'rejected' : 'error');
+        } finally {
+            setTimeout(() => setStatus('idle'), 2000);
+        }
+    };
+
+    const buttonText = {
+        idle: initialText,
+        loading: 'Applying...',
+        success: successText,
+        rejected: 'Rejected',
+        error: 'Error!',
+    };
+
+    return (
+        <button
+            className="btn btn--primary"
+            type="button"
+            onClick={handleClick}
+            disabled={disabled || status === 'loading'}
+        >
+            {buttonText[status]}
+        </button>
+    );
+};
+
+export default ControlButton;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { RESOLUTION_MS, bucketStart, timezoneOffset } from '../../services/aggregation';
+
+const HOUR = RESOLUTION_MS['1h'];
+const DAY = RESOLUTION_MS['1d'];
+
+const PRESETS = {
+    live: { label: 'Live (latest updates)' },
+    today: { label: 'Today', from: (now) => bucketStart(now, DAY) },
+    '24h': { label: 'Last 24 Hours', from: (now) => now - 24 * HOUR },
+    '7d': { label: 'Last 7 Days', from: (now) => now - 7 * DAY },
+    '30d': { label: 'Last 30 Days', from: (now) => now - 30 * DAY },
+    custom: { label: 'Custom Range' }
+};
+
+const RESOLUTION_LABELS = {
+    auto: 'Auto',
+    '15m': '15 Minutes',
+    '1h': 'Hourly',
+    '1d': 'Daily'
+};
+
+// Custom ranges reach back this far, and span at most this many days at each resolution,
+// so a query never asks the data source (or the mock simulator) for an unbounded history
+const EARLIEST_DAYS = 730;
+const MAX_SPAN_DAYS = { auto: 730, '15m': 31, '1h': 92, '1d': 730 };
+
+// Date inputs work in campus local dates, whatever the browser's own time zone is
+const toDateInput = (t) => new Date(t + timezoneOffset(t)).toISOString().slice(0, 10);
+const fromDateInput = (date) => {
+    const utc = Date.parse(`${date}T00:00:00Z`);
+    return utc - timezoneOffset(utc);
+};
+const addDays = (date, days) => toDateInput(fromDateInput(date) + days * DAY + HOUR);
+
+// Keeps a custom range within the allowed dates and its resolution's span. When the span is
+// too long, the end the user did not just change is moved.
+const clampCustom = (value, movedFrom = false, now = Date.now()) => {
+    const earliest = toDateInput(now - EARLIEST_DAYS * DAY);
+    const latest = toDateInput(now);
+    let from = value.from < earliest ? earliest : value.from;
+    let to = value.to > latest ? latest : value.to;
+    if (to < from) to = from;
+    const maxSpan = MAX_SPAN_DAYS[value.resolution] || MAX_SPAN_DAYS.auto;
+    if (addDays(from, maxSpan - 1) < to) {
+        if (movedFrom) to = addDays(from, maxSpan - 1);
+        else from = addDays(to, 1 - maxSpan);
+    }
+    return { ...value, from, to };
+};
+
+// Turns a picker value into a getHistoricalData query ({ from, to, resolution }).
+// Returns null for the "live" preset, which has no fixed range. Relative presets end at
+// `now`, so resolve once per picker change (e.g. in useMemo) rather than on every render.
+export const resolveRange = ({ preset, from, to, resolution }, now = Date.now()) => {
+    if (preset === 'live') return null;
+    if (preset === 'custom') {
+        ({ from, to } = clampCustom({ from, to, resolution }, false, now));
+        return {
+            from: new Date(fromDateInput(from)).toISOString(),
+            to: new Date(Math.min(fromDateInput(to) + DAY - 1, now)).toISOString(),
+            resolution
+        };
+    }
+    return { from: new Date(PRESETS[preset].from(now)).toISOString(), to: new Date(now).toISOString(), resolution };
+};
+
+export const rangeLabel = ({ preset, from, to }) =>
+    preset === 'custom' ? `${from} to ${to}` : PRESETS[preset].label;
+
+// Shared date-range and resolution picker for history charts.
+// `presets` limits which quick ranges are offered; 'custom' adds date inputs.
+// Lists that are not charted (e.g. the audit log) can hide the resolution select.
+const DateRangePicker = ({ value, onChange, presets = ['today', '24h', '7d', '30d', 'custom'], idPrefix = 'range', showResolution = true }) => {
+    const update = (changes) => {
+        const next = { ...value, ...changes };
+        if (changes.preset === 'custom' && !value.from) {
+            next.from = toDateInput(Date.now() - 7 * DAY);
+            next.to = toDateInput(Date.now());
+        }
+        onChange(next.preset === 'custom' ? clampCustom(next, 'from' in changes) : next);
+    };
+    const maxSpan = MAX_SPAN_DAYS[value.resolution] || MAX_SPAN_DAYS.auto;
+    const earliest = toDateInput(Date.now() - EARLIEST_DAYS * DAY);
+
+    return (
+        <div className="date-range-picker">
+            <div className="form-group">
+                <label className="form-label" htmlFor={`${idPrefix}-preset`}>Date Range</label>
+                <select className="form-control" id={`${idPrefix}-preset`} value={value.preset} onChange={(e) => update({ preset: e.target.value })}>
+                    {presets.map(key => <option key={key} value={key}>{PRESETS[key].label}</option>)}
+                </select>
+            </div>
+            {value.preset === 'custom' && (
+                <>
+                    <div className="form-group">
+                        <label className="form-label" htmlFor={`${idPrefix}-from`}>From</label>
+                        <input type="date" className="form-control" id={`${idPrefix}-from`} value={value.from} min={earliest} max={value.to} onChange={(e) => update({ from: e.target.value })} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label" htmlFor={`${idPrefix}-to`}>To</label>
+                        <input type="date" className="form-control" id={`${idPrefix}-to`} value={value.to} min={value.from} max={toDateInput(Date.now())} onChange={(e) => update({ to: e.target.value })} />
+                    </div>
+                    {showResolution && <span className="form-hint">Up to {maxSpan} days at this resolution.</span>}
+                </>
+            )}
+            {showResolution && value.preset !== 'live' && (
+                <div className="form-group">
+                    <label className="form-label" htmlFor={`${idPrefix}-resolution`}>Resolution</label>
+                    <select className="form-control" id={`${idPrefix}-resolution`} value={value.resolution} onChange={(e) => update({ resolution: e.target.value })}>
+                        {Object.entries(RESOLUTION_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DateRangePicker;
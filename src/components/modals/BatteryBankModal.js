@@ -1,6 +1,7 @@
 import React from 'react';
 import { Line } from 'react-chartjs-2';
 import { CHART_COLORS } from '../../services/config';
+import MaintenanceHistory from '../MaintenanceHistory';
 const BatteryBankModal = ({ poiData }) => {
 const soc = 78.5; // State of Charge
 const isCharging = true;
@@ -27,6 +28,7 @@ return (
                 </div>
                  <h4>24-Hour SOC Profile</h4>
                 <div className="chart-container" style={{ height: '150px' }}><Line data={chartData} options={chartOptions} /></div>
+                <MaintenanceHistory asset={poiData} />
             </div>
             <div className="modal-column">
                  <h4>Live Status</h4>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Bar } from 'react-chartjs-2';
 import { CHART_COLORS } from '../../services/config';
+import MaintenanceHistory from '../MaintenanceHistory';
 
 const BuildingLoadModal = ({ poiData }) => {
     const chartData = {
@@ -26,6 +27,7 @@ const BuildingLoadModal = ({ poiData }) => {
                     </div>
                     <h4>24-Hour Load Profile</h4>
                     <div className="chart-container" style={{ height: '150px' }}><Bar data={chartData} options={chartOptions} /></div>
+                    <MaintenanceHistory asset={poiData} />
                 </div>
                 <div className="modal-column">
                     <h4>Demand Response Control</h4>
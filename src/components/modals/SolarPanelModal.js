@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import { Line } from 'react-chartjs-2';
 import { CHART_COLORS } from '../../services/config';
+import MaintenanceHistory from '../MaintenanceHistory';
 
 const MiniChart = ({ datasets, labels }) => {
     const options = {
@@ -46,6 +47,7 @@ const SolarPanelModal = ({ poiData }) => {
                             { label: 'Irradiance (W/m²)', data: [400, 650, 800, 750, 600], borderColor: CHART_COLORS.load, tension: 0.4 }
                         ]}
                     />
+                    <MaintenanceHistory asset={poiData} />
                 </div>
                 <div className="modal-column">
                     <h4>Panel Angle Control (Prototype)</h4>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { CHART_COLORS } from '../../services/config';
+import MaintenanceHistory from '../MaintenanceHistory';
 
 const WindTurbineModal = ({ poiData }) => {
     const rpm = 20; // Mock RPM
@@ -20,11 +20,7 @@ const WindTurbineModal = ({ poiData }) => {
                         <div className="metric-item"><strong>Turbine RPM</strong><span>{rpm}</span></div>
                         <div className="metric-item"><strong>Capacity Factor</strong><span>24%</span></div>
                     </div>
-                    <h4>Maintenance Log</h4>
-                    <div className="maintenance-log">
-                        <p>Last Check: <strong>2 weeks ago</strong></p>
-                        <p>Status: <strong style={{color: 'var(--color-warning)'}}>Check Recommended</strong></p>
-                    </div>
+                    <MaintenanceHistory asset={poiData} />
                 </div>
                 <div className="modal-column">
                     <h4>Live Visualization</h4>
@@ -1,15 +1,19 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { motion } from 'framer-motion';
+import { CONFIG } from '../../services/config';
+
+// Demo users are pre-filled only for the built-in mock provider
+const IS_DEMO = CONFIG.AUTH.PROVIDER === 'mock';
 
 const LoginPage = () => {
     const [activeRole, setActiveRole] = useState('admin');
-    const [username, setUsername] = useState('admin');
-    const [password, setPassword] = useState('password'); // Pre-filled for demo
+    const [username, setUsername] = useState(IS_DEMO ? 'admin' : '');
+    const [password, setPassword] = useState(IS_DEMO ? 'password' : ''); // Pre-filled for demo
     const [campusId, setCampusId] = useState('GEC-JODHPUR-01'); // Added Campus ID
     const [isLoading, setIsLoading] = useState(false);
-    const [error, setError] = useState('');
-    const { login } = useAuth();
+    const { login, redirectsForLogin, error: authError } = useAuth();
+    const [error, setError] = useState(authError);
 
     const handleRoleChange = (role) => {
         setActiveRole(role);
@@ -53,7 +57,18 @@ const LoginPage = () => {
                     <p>Please sign in to continue</p>
                 </div>
 
+                {/* Single sign-on: the identity provider collects credentials */}
+                {redirectsForLogin && (
+                    <form onSubmit={handleSubmit} className="login-form">
+                        {error && <div className="login-error">{error}</div>}
+                        <button type="submit" className="btn btn--primary btn--full-width" disabled={isLoading}>
+                            {isLoading ? 'Redirecting...' : 'Sign In with Campus SSO'}
+                        </button>
+                    </form>
+                )}
+
                 {/* Role Selector */}
+                {IS_DEMO && (
                 <div className="role-selector">
                     {roles.map(role => (
                         <button
@@ -72,8 +87,10 @@ const LoginPage = () => {
                         </button>
                     ))}
                 </div>
+                )}
 
                 {/* Login Form */}
+                {!redirectsForLogin && (
                 <form onSubmit={handleSubmit} className="login-form">
                     {error && <div className="login-error">{error}</div>}
                     
@@ -87,7 +104,7 @@ const LoginPage = () => {
                                 value={username}
                                 onChange={(e) => setUsername(e.target.value)}
                                 required
-                                disabled
+                                disabled={IS_DEMO}
                             />
                         </div>
                     </motion.div>
@@ -100,7 +117,7 @@ const LoginPage = () => {
                                 id="password"
                                 className="form-control"
                                 value={password}
-                                onChange={(e) => setPassword(e.targe.value)}
+                                onChange={(e) => setPassword(e.target.value)}
                                 required
                             />
                         </div>
@@ -126,6 +143,7 @@ const LoginPage = () => {
                         </button>
                     </motion.div>
                 </form>
+                )}
             </motion.div>
         </div>
     );
@@ -0,0 +1,298 @@
+import React, { useState } from 'react';
+import Card from '../common/Card';
+import AuditLogViewer from '../AuditLogViewer';
+import { useAuth } from '../../contexts/AuthContext';
+import { usePermissionsContext } from '../../contexts/PermissionsContext';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS, PERMISSION_LABELS, resolvePermissions } from '../../config/roles';
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+const NAV_PERMISSIONS = ALL_PERMISSIONS.filter(p => p.startsWith('nav_'));
+const FEATURE_PERMISSIONS = ALL_PERMISSIONS.filter(p => !p.startsWith('nav_'));
+
+const slugify = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const EMPTY_ROLE = { id: '', name: '', permissions: [] };
+const EMPTY_ASSIGNMENT = { username: '', role: '', grant: [], revoke: [] };
+
+// Shows the result of the last save/delete beneath a form
+const FormMessage = ({ message }) => message
+    ? <p className={`status status--${message.type}`}>{message.text}</p>
+    : null;
+
+const PermissionGroup = ({ title, permissions, selected, disabled, onToggle }) => (
+    <fieldset className="permission-group">
+        <legend className="form-label">{title}</legend>
+        {permissions.map(permission => (
+            <label key={permission} className="permission-option">
+                <input
+                    type="checkbox"
+                    checked={selected.includes(permission)}
+                    disabled={disabled}
+                    onChange={() => onToggle(permission)}
+                />
+                {PERMISSION_LABELS[permission] || permission}
+            </label>
+        ))}
+    </fieldset>
+);
+
+const RoleEditor = () => {
+    const { roles, assignments, saveRole, deleteRole } = usePermissionsContext();
+    const [draft, setDraft] = useState(EMPTY_ROLE);
+    const [message, setMessage] = useState(null);
+
+    const isNew = !roles.some(role => role.id === draft.id);
+    const usersOnRole = assignments.filter(a => a.role === draft.id).length;
+
+    const selectRole = (role) => {
+        setDraft(role ? { ...role, permissions: [...role.permissions] } : EMPTY_ROLE);
+        setMessage(null);
+    };
+
+    const togglePermission = (permission) => {
+        setDraft(current => ({
+            ...current,
+            permissions: current.permissions.includes(permission)
+                ? current.permissions.filter(p => p !== permission)
+                : [...current.permissions, permission]
+        }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const name = draft.name.trim();
+        if (!name) {
+            setMessage({ type: 'error', text: 'A role needs a name.' });
+            return;
+        }
+        const id = isNew ? slugify(name) : draft.id;
+        if (isNew && roles.some(role => role.id === id)) {
+            setMessage({ type: 'error', text: `A role called "${name}" already exists.` });
+            return;
+        }
+        try {
+            const saved = await saveRole({ ...draft, id, name });
+            setDraft(saved);
+            setMessage({ type: 'success', text: `Saved "${saved.name}".` });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            await deleteRole(draft.id);
+            setMessage({ type: 'success', text: `Deleted "${draft.name}".` });
+            setDraft(EMPTY_ROLE);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    return (
+        <Card title="Roles">
+            <div className="role-list">
+                {roles.map(role => (
+                    <button
+                        key={role.id}
+                        type="button"
+                        className={`btn btn--sm ${role.id === draft.id ? 'btn--primary' : 'btn--outline'}`}
+                        onClick={() => selectRole(role)}
+                    >
+                        {role.name}
+                    </button>
+                ))}
+                <button type="button" className="btn btn--sm btn--secondary" onClick={() => selectRole(null)}>
+                    + New Role
+                </button>
+            </div>
+            <form className="role-form" onSubmit={handleSave}>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="role-name">Role Name</label>
+                    <input
+                        id="role-name"
+                        className="form-control"
+                        value={draft.name}
+                        onChange={e => setDraft({ ...draft, name: e.target.value })}
+                        placeholder="e.g. Shift Supervisor"
+                    />
+                </div>
+                {draft.locked && <p className="form-hint">The administrator role always has every permission.</p>}
+                {draft.builtIn && !draft.locked && <p className="form-hint">Built-in roles can be edited but not deleted.</p>}
+                <PermissionGroup title="Modules" permissions={NAV_PERMISSIONS} selected={draft.permissions} disabled={draft.locked} onToggle={togglePermission} />
+                <PermissionGroup title="Features" permissions={FEATURE_PERMISSIONS} selected={draft.permissions} disabled={draft.locked} onToggle={togglePermission} />
+                <div className="form-actions">
+                    <button type="submit" className="btn btn--primary">{isNew ? 'Create Role' : 'Save Role'}</button>
+                    {!isNew && !draft.builtIn && (
+                        <button
+                            type="button"
+                            className="btn btn--outline"
+                            onClick={handleDelete}
+                            disabled={usersOnRole > 0}
+                            title={usersOnRole > 0 ? `${usersOnRole} user(s) are assigned to this role` : undefined}
+                        >
+                            Delete Role
+                        </button>
+                    )}
+                </div>
+                <FormMessage message={message} />
+            </form>
+        </Card>
+    );
+};
+
+// A per-user override is either inherited from the role, granted, or revoked
+const overrideOf = (assignment, permission) => {
+    if (assignment.grant.includes(permission)) return 'grant';
+    if (assignment.revoke.includes(permission)) return 'revoke';
+    return 'role';
+};
+
+const UserAccess = () => {
+    const { user } = useAuth();
+    const { roles, assignments, saveAssignment } = usePermissionsContext();
+    const [draft, setDraft] = useState(EMPTY_ASSIGNMENT);
+    const [message, setMessage] = useState(null);
+
+    const roleName = (id) => roles.find(role => role.id === id)?.name || id;
+
+    const editAssignment = (assignment) => {
+        setDraft({ grant: [], revoke: [], ...assignment });
+        setMessage(null);
+    };
+
+    const setOverride = (permission, value) => {
+        const grant = draft.grant.filter(p => p !== permission);
+        const revoke = draft.revoke.filter(p => p !== permission);
+        if (value === 'grant') grant.push(permission);
+        if (value === 'revoke') revoke.push(permission);
+        setDraft({ ...draft, grant, revoke });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const username = draft.username.trim();
+        if (!username || !draft.role) {
+            setMessage({ type: 'error', text: 'Enter a username and choose a role.' });
+            return;
+        }
+        if (username === user.username && !resolvePermissions(roles, draft).permissions.includes(PERMISSIONS.MANAGE_ROLES)) {
+            setMessage({ type: 'error', text: 'You cannot remove your own access to role management.' });
+            return;
+        }
+        try {
+            const saved = await saveAssignment({ ...draft, username });
+            setMessage({ type: 'success', text: `Updated access for ${saved.username}.` });
+            setDraft(EMPTY_ASSIGNMENT);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    return (
+        <Card title="User Access">
+            {assignments.length > 0 ? (
+                <table className="data-table">
+                    <thead>
+                        <tr><th>User</th><th>Role</th><th>Overrides</th><th /></tr>
+                    </thead>
+                    <tbody>
+                        {assignments.map(assignment => (
+                            <tr key={assignment.username}>
+                                <td>{assignment.username}</td>
+                                <td>{roleName(assignment.role)}</td>
+                                <td>
+                                    {[
+                                        ...(assignment.grant || []).map(p => `+ ${PERMISSION_LABELS[p] || p}`),
+                                        ...(assignment.revoke || []).map(p => `− ${PERMISSION_LABELS[p] || p}`)
+                                    ].join(', ') || '—'}
+                                </td>
+                                <td>
+                                    <button type="button" className="btn btn--sm btn--outline" onClick={() => editAssignment(assignment)}>Edit</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : <p>No users have been assigned yet. Users keep the role reported at sign-in until assigned here.</p>}
+
+            <form className="role-form" onSubmit={handleSave}>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="assign-username">Username</label>
+                    <input
+                        id="assign-username"
+                        className="form-control"
+                        value={draft.username}
+                        onChange={e => setDraft({ ...draft, username: e.target.value })}
+                    />
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="assign-role">Role</label>
+                    <select
+                        id="assign-role"
+                        className="form-control"
+                        value={draft.role}
+                        onChange={e => setDraft({ ...draft, role: e.target.value })}
+                    >
+                        <option value="">Select a role</option>
+                        {roles.map(role => <option key={role.id} value={role.id}>{role.name}</option>)}
+                    </select>
+                </div>
+                <fieldset className="permission-group">
+                    <legend className="form-label">Per-user Overrides</legend>
+                    {ALL_PERMISSIONS.map(permission => (
+                        <div key={permission} className="override-row">
+                            <span>{PERMISSION_LABELS[permission] || permission}</span>
+                            <select
+                                className="form-control"
+                                value={overrideOf(draft, permission)}
+                                onChange={e => setOverride(permission, e.target.value)}
+                                aria-label={`Override for ${PERMISSION_LABELS[permission] || permission}`}
+                            >
+                                <option value="role">From role</option>
+                                <option value="grant">Grant</option>
+                                <option value="revoke">Revoke</option>
+                            </select>
+                        </div>
+                    ))}
+                </fieldset>
+                <div className="form-actions">
+                    <button type="submit" className="btn btn--primary">Save Access</button>
+                    {draft.username && (
+                        <button type="button" className="btn btn--outline" onClick={() => editAssignment(EMPTY_ASSIGNMENT)}>Clear</button>
+                    )}
+                </div>
+                <FormMessage message={message} />
+            </form>
+        </Card>
+    );
+};
+
+const Admin = () => {
+    const { error } = usePermissionsContext();
+    const { hasPermission } = usePermissions();
+    const canManageRoles = hasPermission(PERMISSIONS.MANAGE_ROLES);
+    const canViewAudit = hasPermission(PERMISSIONS.VIEW_AUDIT_LOG);
+
+    if (!canManageRoles && !canViewAudit) {
+        return <h4>Your role does not allow any administration tasks.</h4>;
+    }
+
+    return (
+        <section id="admin" className="section active">
+            {canManageRoles && (
+                <>
+                    {error && <p className="status status--warning">Showing default roles: {error}</p>}
+                    <div className="admin-grid">
+                        <RoleEditor />
+                        <UserAccess />
+                    </div>
+                </>
+            )}
+            {canViewAudit && <AuditLogViewer />}
+        </section>
+    );
+};
+
+export default Admin;
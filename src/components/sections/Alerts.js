@@ -1,98 +1,106 @@
 import React, { useState } from 'react';
 import { useData } from '../../contexts/DataContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAlerts } from '../../hooks/useAlerts';
 import Card from '../common/Card';
-import { CONFIG } from '../../services/config';
+import AlertRuleEditor from '../AlertRuleEditor';
+import AlertRecordItem from '../AlertRecordItem';
+import NotificationPreferences from '../NotificationPreferences';
+import { OPEN_STATES, ALERT_STATES, isSuppressed } from '../../services/alerts/alertManager';
+import { ALERT_SEVERITIES } from '../../services/alerts/ruleTypes';
 
-// Re-using the ControlButton from the Control section for consistency
-const ControlButton = ({ initialText, asyncOnClick }) => {
-    const [status, setStatus] = useState('idle'); // idle, loading, success, error
-
-    const handleClick = async () => {
-        setStatus('loading');
-        try {
-            await asyncOnClick();
-            setStatus('success');
-        } catch (error) {
-            console.error("Action failed:", error);
-            setStatus('error');
-        } finally {
-            setTimeout(() => setStatus('idle'), 2000);
-        }
-    };
-
-    const buttonText = {
-        idle: initialText,
-        loading: 'Applying...',
-        success: 'Applied ✓',
-        error: 'Error!',
-    };
+// Open alerts are being worked on; suppressed ones (flapping, or from an asset under
+// maintenance) are kept for audit; the history holds resolved and closed ones
+const VIEWS = {
+    open: { label: 'Open', states: OPEN_STATES, includes: (record) => !isSuppressed(record) },
+    suppressed: { label: 'Suppressed', states: OPEN_STATES, includes: isSuppressed },
+    history: { label: 'History', states: [ALERT_STATES.RESOLVED, ALERT_STATES.CLOSED], includes: () => true }
+};
 
-    return (
-        <button
-            className="btn btn--primary"
-            type="button"
-            onClick={handleClick}
-            disabled={status === 'loading'}
-        >
-            {buttonText[status]}
-        </button>
-    );
+const EMPTY_TEXT = {
+    open: 'No open alerts.',
+    suppressed: 'No suppressed alerts.',
+    history: 'No resolved or closed alerts.'
 };
 
-const Alerts = () => {
-    const { loading, alerts } = useData();
+const inView = ({ states, includes }, record) => states.includes(record.state) && includes(record);
 
-    const saveConfiguration = async () => {
-        // Placeholder for an API call
-        console.log('Saving alert configuration...');
-        return new Promise(resolve => setTimeout(resolve, 750));
-    };
+const Alerts = () => {
+    const { loading } = useData();
+    const { user } = useAuth();
+    const { records, ...actions } = useAlerts();
+    const [view, setView] = useState('open');
+    const [filters, setFilters] = useState({ state: '', severity: '', asset: '' });
 
     if (loading) {
         return <div>Loading Alerts...</div>;
     }
 
+    const { states } = VIEWS[view];
+    const assets = [...new Set(records.map(record => record.asset).filter(Boolean))].sort();
+    const shown = records.filter(record => inView(VIEWS[view], record)
+        && (!filters.state || record.state === filters.state)
+        && (!filters.severity || record.type === filters.severity)
+        && (!filters.asset || record.asset === filters.asset));
+
+    const updateFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+    const switchView = (next) => {
+        setView(next);
+        setFilters({ ...filters, state: '' });
+    };
+
     return (
         <section id="alerts" className="section active">
              <div className="alerts-grid">
-                <Card title="Active Alerts">
-                    <div className="alerts-list">
-                        {alerts.length > 0 ? alerts.map((alert, index) => {
-                            const time = new Date(alert.timestamp).toLocaleTimeString(CONFIG.LOCALE, {
-                                 hour: '2-digit', minute: '2-digit'
-                            });
-                            return (
-                                <div key={index} className={`alert-item ${alert.type}`}>
-                                    <div className="alert-header">
-                                        <span className="alert-type">{alert.type.toUpperCase()}</span>
-                                        <span className="alert-time">{time}</span>
-                                    </div>
-                                    <p className="alert-message">{alert.message}</p>
-                                </div>
-                            );
-                        }) : <p>No active alerts.</p>}
-                    </div>
-                </Card>
-                <Card title="Alert Configuration">
-                    <form className="alert-config" onSubmit={e => e.preventDefault()}>
+                <Card title="Alerts">
+                    <div className="alerts-toolbar">
+                        <div className="alerts-view-toggle" role="group" aria-label="Alert view">
+                            {Object.entries(VIEWS).map(([id, v]) => (
+                                <button
+                                    key={id}
+                                    type="button"
+                                    className={`btn btn--sm ${view === id ? 'btn--primary' : 'btn--outline'}`}
+                                    onClick={() => switchView(id)}
+                                >
+                                    {v.label} ({records.filter(record => inView(v, record)).length})
+                                </button>
+                            ))}
+                        </div>
                         <div className="form-group">
-                            <label className="form-label" htmlFor="battery-threshold">Low Battery Threshold (%)</label>
-                            <input type="number" className="form-control" id="battery-threshold" defaultValue="20" />
+                            <label className="form-label" htmlFor="alerts-state">State</label>
+                            <select id="alerts-state" className="form-control" value={filters.state} onChange={updateFilter('state')}>
+                                <option value="">All states</option>
+                                {states.map(state => <option key={state} value={state}>{state}</option>)}
+                            </select>
                         </div>
                         <div className="form-group">
-                            <label className="form-label" htmlFor="load-threshold">High Load Threshold (kW)</label>
-                            <input type="number" className="form-control" id="load-threshold" defaultValue="400" />
+                            <label className="form-label" htmlFor="alerts-severity">Severity</label>
+                            <select id="alerts-severity" className="form-control" value={filters.severity} onChange={updateFilter('severity')}>
+                                <option value="">All severities</option>
+                                {ALERT_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                            </select>
                         </div>
                         <div className="form-group">
-                            <label className="form-label" htmlFor="performance-threshold">Equipment Performance Threshold (%)</label>
-                            <input type="number" className="form-control" id="performance-threshold" defaultValue="85" />
+                            <label className="form-label" htmlFor="alerts-asset">Asset</label>
+                            <select id="alerts-asset" className="form-control" value={filters.asset} onChange={updateFilter('asset')}>
+                                <option value="">All assets</option>
+                                {assets.map(asset => <option key={asset} value={asset}>{asset}</option>)}
+                            </select>
                         </div>
-                        <ControlButton initialText="Save Configuration" asyncOnClick={saveConfiguration} />
-                    </form>
+                    </div>
+                    <div className="alerts-list">
+                        {shown.length > 0
+                            ? shown.map(record => <AlertRecordItem key={record.id} record={record} actions={actions} username={user.username} />)
+                            : <p>{EMPTY_TEXT[view]}</p>}
+                    </div>
                 </Card>
+                <div className="alerts-side">
+                    <AlertRuleEditor />
+                    <NotificationPreferences />
+                </div>
             </div>
         </section>
     );
 };
 
-export default Alerts;
\ No newline at end of file
+export default Alerts;
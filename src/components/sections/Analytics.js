@@ -2,9 +2,25 @@ import React from 'react';
 import Card from '../common/Card';
 import ForecastChart from '../charts/ForecastChart'; // Assuming this component exists
 import ScenarioSimulator from '../ScenarioSimulator'; // <-- IMPORT THE NEW COMPONENT
+import GridBillCard from '../GridBillCard';
+import ForecastAccuracyCard from '../ForecastAccuracyCard';
+import RecommendationsCard from '../RecommendationsCard';
 import { useData } from '../../contexts/DataContext';
+import { CONFIG } from '../../services/config';
+
+const dayLabel = (time) => new Date(time).toLocaleDateString(CONFIG.LOCALE, { timeZone: CONFIG.TIMEZONE, weekday: 'short', day: 'numeric', month: 'short' });
+
+// Academic calendar events inside the forecast period, each with the day it starts
+const forecastEvents = (hours) => {
+    const events = new Map();
+    hours.forEach(hour => {
+        if (hour.event && !events.has(hour.event.name)) events.set(hour.event.name, { ...hour.event, from: hour.time });
+    });
+    return [...events.values()];
+};
+
 const Analytics = () => {
-const { loading, recommendations, forecasts } = useData();
+const { loading, forecast, forecastError } = useData();
 if (loading) {
     return <div>Loading Analytics...</div>;
 }
@@ -12,23 +28,23 @@ if (loading) {
 return (
     <section id="analytics" className="section active">
         <div className="analytics-grid">
-            <Card title="7-Day Generation Forecast">
-                <ForecastChart data={forecasts} />
+            <Card title="7-Day Generation and Load Forecast">
+                {forecastError && <p className="status status--error">Forecast unavailable: {forecastError.message}</p>}
+                {forecast ? (
+                    <>
+                        <ForecastChart hours={forecast.hours} />
+                        <p className="form-hint">
+                            Issued {new Date(forecast.issued_at).toLocaleString(CONFIG.LOCALE, { timeZone: CONFIG.TIMEZONE })} from {forecast.provider} weather data.
+                            Load learned from {forecast.load_model.days} days of history.
+                            {forecastEvents(forecast.hours).map(event => ` ${event.name} (${event.type}) from ${dayLabel(event.from)}.`)}
+                        </p>
+                    </>
+                ) : !forecastError && <p>Loading forecast...</p>}
             </Card>
+            <ForecastAccuracyCard />
 
-            <Card title="Optimization Recommendations">
-                <div className="recommendations">
-                    {recommendations.map((rec, index) => (
-                        <div key={index} className={`recommendation-item ${rec.priority}`}>
-                            <div className="recommendation-header">
-                                <span className={`recommendation-priority ${rec.priority}`}>{rec.priority.toUpperCase()}</span>
-                                <span className="recommendation-savings">{rec.savings}</span>
-                            </div>
-                            <p className="recommendation-message">{rec.message}</p>
-                        </div>
-                    ))}
-                </div>
-            </Card>
+            <RecommendationsCard />
+            <GridBillCard />
         </div>
         
         {/* ADD THE SIMULATOR COMPONENT HERE */}
@@ -1,50 +1,37 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import Card from '../common/Card';
-import apiService from '../../services/apiService';
+import ControlButton from '../common/ControlButton';
+import LoadScheduleEditor from '../LoadScheduleEditor';
+import DispatchPlanChart from '../charts/DispatchPlanChart';
+import CommandStatusPanel from '../CommandStatusPanel';
+import InterlockNotice, { isBlocked } from '../InterlockNotice';
+import { useData } from '../../contexts/DataContext';
 import { usePermissions } from '../../hooks/usePermissions';
+import { useInterlocks } from '../../hooks/useInterlocks';
+import { useControlActions, batteryRequest } from '../../hooks/useControlActions';
 import { PERMISSIONS } from '../../config/roles';
-
-// A reusable button that handles its own async state
-const ControlButton = ({ initialText, asyncOnClick }) => {
-    const [status, setStatus] = useState('idle'); // idle, loading, success, error
-
-    const handleClick = async () => {
-        setStatus('loading');
-        try {
-            await asyncOnClick();
-            setStatus('success');
-        } catch (error) {
-            console.error("Action failed:", error);
-            setStatus('error');
-        } finally {
-            setTimeout(() => setStatus('idle'), 2000);
-        }
-    };
-
-    const buttonText = {
-        idle: initialText,
-        loading: 'Applying...',
-        success: 'Applied ✓',
-        error: 'Error!',
-    };
-
-    return (
-        <button
-            className="btn btn--primary"
-            type="button"
-            onClick={handleClick}
-            disabled={status === 'loading'}
-        >
-            {buttonText[status]}
-        </button>
-    );
-};
-
+import { CONFIG } from '../../services/config';
+import { STRATEGIES, planDispatch } from '../../services/dispatch/planner';
+import { dispatchInputs, currentHour } from '../../services/dispatch/inputs';
+import { formatMoney } from '../../services/tariff';
 
 const Control = () => {
+    const { currentStatus, forecast, forecastError } = useData();
     const { hasPermission } = usePermissions();
+    const { check, canOverride } = useInterlocks();
+    const { applyBatterySettings } = useControlActions();
+    const [strategy, setStrategy] = useState(Object.keys(STRATEGIES)[0]);
     const [targetSoc, setTargetSoc] = useState(85);
+    const [override, setOverride] = useState({ enabled: false, reason: '' });
 
+    // Re-plan when the hour rolls over or the battery moves by a whole percent
+    const startHour = currentHour(currentStatus ? Date.parse(currentStatus.timestamp) : Date.now());
+    const currentSoc = Math.round(currentStatus?.battery_soc ?? CONFIG.BATTERY.min_soc);
+    const inputs = useMemo(() => (forecast ? dispatchInputs(forecast.hours, startHour) : null), [forecast, startHour]);
+    const plan = useMemo(
+        () => inputs && planDispatch({ strategy, inputs, soc: currentSoc, targetSoc: Number(targetSoc) }),
+        [strategy, inputs, currentSoc, targetSoc]
+    );
 
     if (!hasPermission(PERMISSIONS.ACCESS_CONTROL_SYSTEMS)) {
         return (
@@ -54,21 +41,18 @@ const Control = () => {
         );
     }
 
-
-    const applyBatterySettings = () => {
-        // In a real app, you'd get the strategy value from the select input
-        return apiService.updateBatterySettings({
-            strategy: 'Automatic Optimization',
-            target_soc: parseInt(targetSoc)
-        });
+    const settings = {
+        strategy,
+        target_soc: parseInt(targetSoc),
+        plan: plan ? plan.steps.map(({ time, power }) => ({ time, power })) : []
     };
+    const findings = check(batteryRequest(settings));
+    const blocked = isBlocked(findings, canOverride, override);
 
-    const updateLoadSchedule = () => {
-        // Dummy values from where form inputs would be
-        return apiService.updateLoadSchedule({
-            hvac_schedule: '11:00 - 13:00',
-            workshop_schedule: '12:00 - 15:00'
-        });
+    // Queues the command and returns straight away; its progress shows in the status panel
+    const applyPlan = async () => {
+        applyBatterySettings(settings, { override: override.enabled ? override : null, currentSoc });
+        setOverride({ enabled: false, reason: '' });
     };
 
     return (
@@ -78,12 +62,10 @@ const Control = () => {
                     <form onSubmit={e => e.preventDefault()}>
                         <div className="control-group">
                             <label className="form-label" htmlFor="battery-strategy">Charging Strategy</label>
-                            <select className="form-control" id="battery-strategy" defaultValue="Automatic Optimization">
-                                <option>Automatic Optimization</option>
-                                <option>Solar Priority</option>
-                                <option>Grid Price Based</option>
-                                <option>Manual Control</option>
+                            <select className="form-control" id="battery-strategy" value={strategy} onChange={(e) => setStrategy(e.target.value)}>
+                                {Object.keys(STRATEGIES).map(option => <option key={option}>{option}</option>)}
                             </select>
+                            <p className="form-hint">{STRATEGIES[strategy]}</p>
                         </div>
                         <div className="control-group">
                             <label className="form-label" htmlFor="target-soc">Target SOC (%)</label>
@@ -98,40 +80,33 @@ const Control = () => {
                             />
                             <span className="range-value">{targetSoc}%</span>
                         </div>
-                        <ControlButton initialText="Apply Settings" asyncOnClick={applyBatterySettings} />
-                    </form>
-                </Card>
-                 <Card title="Load Scheduling">
-                    <form onSubmit={e => e.preventDefault()}>
-                        <div className="schedule-item">
-                            <div className="schedule-info">
-                                <h4>HVAC System</h4>
-                                <p>Pre-cooling schedule</p>
-                            </div>
-                            <div className="schedule-control">
-                                <select className="form-control" defaultValue="11:00 - 13:00">
-                                    <option>11:00 - 13:00</option>
-                                    <option>12:00 - 14:00</option>
-                                    <option>13:00 - 15:00</option>
-                                </select>
-                            </div>
-                        </div>
-                        <div className="schedule-item">
-                            <div className="schedule-info">
-                                <h4>Workshop Equipment</h4>
-                                <p>Heavy machinery operation</p>
-                            </div>
-                            <div className="schedule-control">
-                                <select className="form-control" defaultValue="12:00 - 15:00">
-                                    <option>12:00 - 15:00</option>
-                                    <option>10:00 - 13:00</option>
-                                    <option>14:00 - 17:00</option>
-                                </select>
-                            </div>
+                        <div className="control-group">
+                            <h4>24-Hour Plan Preview</h4>
+                            {plan ? (
+                                <>
+                                    <DispatchPlanChart steps={plan.steps} />
+                                    <p className="schedule-summary">
+                                        Estimated grid cost {formatMoney(plan.summary.cost)} vs {formatMoney(plan.summary.baseline_cost)} without the battery,
+                                        charging {plan.summary.charged_kwh} kWh and discharging {plan.summary.discharged_kwh} kWh.
+                                        Ends at {plan.summary.final_soc}% SOC; net benefit including stored energy {formatMoney(plan.summary.savings)}.
+                                    </p>
+                                </>
+                            ) : forecastError ? (
+                                <p className="status status--error">No plan: the campus forecast is unavailable ({forecastError.message}).</p>
+                            ) : <p>Waiting for the campus forecast...</p>}
                         </div>
-                        <ControlButton initialText="Update Schedule" asyncOnClick={updateLoadSchedule} />
+                        <InterlockNotice
+                            findings={findings}
+                            canOverride={canOverride}
+                            override={override}
+                            onOverrideChange={setOverride}
+                            idPrefix="battery"
+                        />
+                        <ControlButton initialText="Apply Plan" successText="Queued ✓" asyncOnClick={applyPlan} disabled={blocked || !plan} />
                     </form>
                 </Card>
+                <CommandStatusPanel />
+                <LoadScheduleEditor />
             </div>
         </section>
     );
@@ -1,6 +1,9 @@
 import React from 'react';
 import { useData } from '../../contexts/DataContext';
 import { usePermissions } from '../../hooks/usePermissions';
+import { useFinancialHistory } from '../../hooks/useFinancialHistory';
+import { useCarbonToDate } from '../../hooks/useCarbonToDate';
+import { formatCarbon } from '../../services/carbon';
 import { PERMISSIONS } from '../../config/roles';
 import KpiCard from '../KpiCard';
 import Card from '../common/Card';
@@ -9,10 +12,14 @@ import AnimatedSection from '../common/AnimatedSection';
 import SkeletonCard from '../common/SkeletonCard';
 import EnergyFlowDiagram from '../EnergyFlowDiagram';
 import FinancialPerformanceChart from '../charts/FinancialPerformaceChart';
+import InvestmentPanel from '../InvestmentPanel';
 
 const Dashboard = () => {
     const { loading, currentStatus, historicalData } = useData();
     const { hasPermission } = usePermissions();
+    const canViewFinancials = hasPermission(PERMISSIONS.VIEW_FINANCIALS);
+    const financials = useFinancialHistory(canViewFinancials);
+    const carbon = useCarbonToDate();
 
     if (loading || !currentStatus) {
         return (
@@ -37,6 +44,12 @@ const Dashboard = () => {
                     <KpiCard title="Campus Load" value={`${campus_load} kW`} change="-5.2%" />
                     <KpiCard title="Battery SOC" value={`${battery_soc}%`} change="+3.1%" isPositive />
                     <KpiCard title="Grid Export" value={`${Math.abs(grid_power)} kW`} change="+18.7%" isPositive />
+                    <KpiCard
+                        title="CO₂ Avoided Today"
+                        value={carbon.today ? formatCarbon(carbon.today.avoided_kg) : '—'}
+                        change={carbon.month ? `${formatCarbon(carbon.month.avoided_kg)} this month` : ''}
+                        isPositive
+                    />
                 </div>
 
                 <Card title="System Status">
@@ -65,8 +78,8 @@ const Dashboard = () => {
 
                 <div className="performance-grid">
                     {/* Conditionally render the financial chart */}
-                    {hasPermission(PERMISSIONS.VIEW_FINANCIALS) && (
-                        <FinancialPerformanceChart />
+                    {canViewFinancials && (
+                        <FinancialPerformanceChart {...financials} />
                     )}
                     <Card title="Weather Conditions">
                         <div className="weather-grid">
@@ -81,6 +94,8 @@ const Dashboard = () => {
                         <DashboardChart data={historicalData} />
                     </Card>
                 </div>
+
+                {canViewFinancials && !financials.loading && <InvestmentPanel months={financials.months} />}
             </div>
         </AnimatedSection>
     );
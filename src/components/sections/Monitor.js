@@ -1,12 +1,34 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { useData } from '../../contexts/DataContext';
 import Card from '../common/Card';
 import GenerationChart from '../charts/GenerationChart';
 import LoadChart from '../charts/LoadChart';
 import BatteryChart from '../charts/BatteryChart';
+import DateRangePicker, { resolveRange } from '../common/DateRangePicker';
+import useHistoricalData from '../../hooks/useHistoricalData';
+import { CONFIG } from '../../services/config';
+
+const DAY = 24 * 60 * 60000;
+
+const formatLabel = (time, multiDay) => {
+    const options = multiDay
+        ? { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }
+        : { hour: '2-digit', minute: '2-digit' };
+    return new Date(time).toLocaleString(CONFIG.LOCALE, { timeZone: CONFIG.TIMEZONE, ...options });
+};
 
 const Monitor = () => {
     const { loading, historicalData } = useData();
+    // "live" shows the rolling in-memory history; other ranges are fetched through apiService
+    const [range, setRange] = useState({ preset: 'live', resolution: 'auto' });
+    const query = useMemo(() => resolveRange(range), [range]);
+    const history = useHistoricalData(query);
+
+    const chartData = useMemo(() => {
+        if (!query) return historicalData;
+        const multiDay = new Date(query.to) - new Date(query.from) > DAY;
+        return history.data.map(point => ({ ...point, time: formatLabel(point.time, multiDay) }));
+    }, [query, history.data, historicalData]);
 
     if (loading || historicalData.length === 0) {
         return <div>Loading Monitor...</div>;
@@ -14,19 +36,28 @@ const Monitor = () => {
 
     return (
         <section id="monitor" className="section active">
-            <div className="monitor-grid">
-                <Card title="Real-time Power Generation">
-                    <GenerationChart data={historicalData} />
-                </Card>
-                <Card title="Campus Load Profile">
-                    <LoadChart data={historicalData} />
-                </Card>
-                <Card title="Battery Performance">
-                    <BatteryChart data={historicalData} />
-                </Card>
+            <div className="monitor-toolbar">
+                <DateRangePicker value={range} onChange={setRange} presets={['live', 'today', '24h', '7d', 'custom']} idPrefix="monitor-range" />
             </div>
+            {query && !history.loading && chartData.length === 0 ? (
+                <Card>
+                    <p>{history.error ? 'Could not load history for this range.' : 'No history available for this range.'}</p>
+                </Card>
+            ) : (
+                <div className="monitor-grid">
+                    <Card title="Real-time Power Generation">
+                        <GenerationChart data={chartData} />
+                    </Card>
+                    <Card title="Campus Load Profile">
+                        <LoadChart data={chartData} />
+                    </Card>
+                    <Card title="Battery Performance">
+                        <BatteryChart data={chartData} />
+                    </Card>
+                </div>
+            )}
         </section>
     );
 };
 
-export default Monitor;
\ No newline at end of file
+export default Monitor;
@@ -1,6 +1,8 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import Card from '../common/Card';
 import HistoricalChart from '../charts/HistoricalChart';
+import CarbonReport from '../CarbonReport';
+import DateRangePicker, { resolveRange, rangeLabel } from '../common/DateRangePicker';
 
 const ComplianceItem = ({ title, value, target }) => (
     <div className="compliance-item">
@@ -11,6 +13,9 @@ const ComplianceItem = ({ title, value, target }) => (
 );
 
 const Reports = () => {
+    const [range, setRange] = useState({ preset: '30d', resolution: '1d' });
+    const query = useMemo(() => resolveRange(range), [range]);
+
     const handleGenerateReport = () => {
         alert('Generating report... (This is a placeholder)');
     };
@@ -29,8 +34,7 @@ const Reports = () => {
                             </select>
                         </div>
                         <div className="form-group">
-                            <label className="form-label" htmlFor="report-date">Date Range</label>
-                            <input type="date" className="form-control" id="report-date" />
+                            <DateRangePicker value={range} onChange={setRange} idPrefix="report-range" />
                         </div>
                         <button className="btn btn--primary" type="button" onClick={handleGenerateReport}>
                             Generate Report
@@ -38,8 +42,8 @@ const Reports = () => {
                     </form>
                 </Card>
 
-                <Card title="Historical Analysis (Last 30 Days)">
-                   <HistoricalChart />
+                <Card title={`Historical Analysis (${rangeLabel(range)})`}>
+                   <HistoricalChart query={query} />
                 </Card>
 
                 <Card title="Compliance Metrics">
@@ -49,6 +53,8 @@ const Reports = () => {
                         <ComplianceItem title="Energy Efficiency" value="94.8%" target="92%" />
                     </div>
                 </Card>
+
+                <CarbonReport query={query} />
             </div>
         </section>
     );
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useWorkOrders } from '../../hooks/useWorkOrders';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../config/roles';
+import { CAMPUS_ASSETS } from '../../config/campusAssets';
+import Card from '../common/Card';
+import WorkOrderItem from '../WorkOrderItem';
+import WorkOrderForm from '../WorkOrderForm';
+import { ACTIVE_STATUSES, WORK_ORDER_STATUSES } from '../../services/maintenance/workOrderManager';
+
+// Active orders are being worked on; completed ones make up the assets' maintenance history
+const VIEWS = {
+    active: { label: 'Active', statuses: ACTIVE_STATUSES },
+    completed: { label: 'Completed', statuses: [WORK_ORDER_STATUSES.COMPLETED] },
+    cancelled: { label: 'Cancelled', statuses: [WORK_ORDER_STATUSES.CANCELLED] }
+};
+
+const WorkOrders = () => {
+    const { user } = useAuth();
+    const { orders, ...actions } = useWorkOrders();
+    const { hasPermission } = usePermissions();
+    const canManage = hasPermission(PERMISSIONS.MANAGE_WORK_ORDERS);
+    const [view, setView] = useState('active');
+    const [filters, setFilters] = useState({ asset: '', mine: false });
+
+    const shown = orders.filter(order => VIEWS[view].statuses.includes(order.status)
+        && (!filters.asset || order.asset_id === filters.asset)
+        && (!filters.mine || order.assignee === user.username));
+
+    return (
+        <section id="work-orders" className="section active">
+            <div className="alerts-grid">
+                <Card title="Work Orders">
+                    <div className="alerts-toolbar">
+                        <div className="alerts-view-toggle" role="group" aria-label="Work order view">
+                            {Object.entries(VIEWS).map(([id, v]) => (
+                                <button
+                                    key={id}
+                                    type="button"
+                                    className={`btn btn--sm ${view === id ? 'btn--primary' : 'btn--outline'}`}
+                                    onClick={() => setView(id)}
+                                >
+                                    {v.label} ({orders.filter(order => v.statuses.includes(order.status)).length})
+                                </button>
+                            ))}
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="work-orders-asset">Asset</label>
+                            <select
+                                id="work-orders-asset"
+                                className="form-control"
+                                value={filters.asset}
+                                onChange={e => setFilters({ ...filters, asset: e.target.value })}
+                            >
+                                <option value="">All assets</option>
+                                {CAMPUS_ASSETS.map(asset => <option key={asset.id} value={asset.id}>{asset.name}</option>)}
+                            </select>
+                        </div>
+                        <label className="alert-rule-enabled">
+                            <input type="checkbox" checked={filters.mine} onChange={e => setFilters({ ...filters, mine: e.target.checked })} /> Assigned to me
+                        </label>
+                    </div>
+                    <div className="alerts-list">
+                        {shown.length > 0
+                            ? shown.map(order => (
+                                <WorkOrderItem key={order.id} order={order} actions={actions} username={user.username} canManage={canManage} />
+                            ))
+                            : <p>No {VIEWS[view].label.toLowerCase()} work orders.</p>}
+                    </div>
+                </Card>
+                {canManage && (
+                    <Card title="New Work Order">
+                        <WorkOrderForm />
+                    </Card>
+                )}
+            </div>
+        </section>
+    );
+};
+
+export default WorkOrders;
@@ -0,0 +1,26 @@
+// Academic calendar events that change how the campus uses energy, by campus local date
+// (`from` and `to` inclusive). Holidays and vacations empty the campus; exam weeks keep
+// labs, libraries and hostels busy late. Add each new academic year as the institute
+// publishes it; past years stay so the load forecaster can learn from them.
+export const EVENT_TYPES = ['holiday', 'vacation', 'exam']; // where events overlap, earlier types win
+
+export const ACADEMIC_CALENDAR = [
+    { name: 'Independence Day', type: 'holiday', from: '2025-08-15', to: '2025-08-15' },
+    { name: 'Mid-semester exams', type: 'exam', from: '2025-09-22', to: '2025-09-27' },
+    { name: 'Gandhi Jayanti / Dussehra', type: 'holiday', from: '2025-10-02', to: '2025-10-02' },
+    { name: 'Diwali break', type: 'holiday', from: '2025-10-20', to: '2025-10-22' },
+    { name: 'End-semester exams', type: 'exam', from: '2025-11-17', to: '2025-11-28' },
+    { name: 'Winter vacation', type: 'vacation', from: '2025-12-01', to: '2025-12-31' },
+    { name: 'Republic Day', type: 'holiday', from: '2026-01-26', to: '2026-01-26' },
+    { name: 'Mid-semester exams', type: 'exam', from: '2026-02-23', to: '2026-02-28' },
+    { name: 'Holi', type: 'holiday', from: '2026-03-04', to: '2026-03-04' },
+    { name: 'End-semester exams', type: 'exam', from: '2026-04-20', to: '2026-05-02' },
+    { name: 'Summer vacation', type: 'vacation', from: '2026-05-04', to: '2026-07-24' },
+    { name: 'Independence Day', type: 'holiday', from: '2026-08-15', to: '2026-08-15' },
+    { name: 'Mid-semester exams', type: 'exam', from: '2026-09-21', to: '2026-09-26' },
+    { name: 'Gandhi Jayanti', type: 'holiday', from: '2026-10-02', to: '2026-10-02' },
+    { name: 'Dussehra', type: 'holiday', from: '2026-10-20', to: '2026-10-20' },
+    { name: 'Diwali break', type: 'holiday', from: '2026-11-07', to: '2026-11-10' },
+    { name: 'End-semester exams', type: 'exam', from: '2026-11-16', to: '2026-11-27' },
+    { name: 'Winter vacation', type: 'vacation', from: '2026-12-01', to: '2026-12-31' }
+];
@@ -0,0 +1,8 @@
+// Starting alert rules, the thresholds the Alert Configuration form used to show. The live
+// set is loaded through apiService and edited in the Alerts section; see
+// src/services/alerts/ruleTypes.js for the rule shape and the types available.
+export const DEFAULT_ALERT_RULES = [
+    { id: 'low-battery', type: 'battery_soc', operator: '<', threshold: 20, duration: 5, hysteresis: 5, severity: 'warning', enabled: true },
+    { id: 'high-load', type: 'campus_load', operator: '>', threshold: 400, duration: 10, hysteresis: 20, severity: 'warning', enabled: true },
+    { id: 'equipment-performance', type: 'generation_performance', operator: '<', threshold: 85, duration: 15, hysteresis: 5, severity: 'warning', enabled: true }
+];
@@ -0,0 +1,9 @@
+// Grid emission factors in kg CO₂ per kWh, one entry per calendar year (campus local time).
+// Years without an entry use the latest earlier one, so add the new year's factor when it is
+// published rather than changing past years. Values follow the weighted average emission rate
+// of the Indian grid in the CEA CO₂ Baseline Database.
+export const GRID_EMISSION_FACTORS = [
+    { year: 2023, factor: 0.716, source: 'CEA CO₂ Baseline Database v19' },
+    { year: 2024, factor: 0.727, source: 'CEA CO₂ Baseline Database v20' },
+    { year: 2025, factor: 0.710, source: 'CEA CO₂ Baseline Database v21' }
+];
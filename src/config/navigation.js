@@ -0,0 +1,14 @@
+import { PERMISSIONS } from './roles';
+
+// Sidebar modules in display order; the first one a user may open is their landing page
+export const NAV_ITEMS = [
+    { id: 'dashboard', label: 'Dashboard', permission: PERMISSIONS.NAV_DASHBOARD },
+    { id: 'monitor', label: 'Monitor', permission: PERMISSIONS.NAV_MONITOR },
+    { id: 'analytics', label: 'Analytics', permission: PERMISSIONS.NAV_ANALYTICS },
+    { id: 'control', label: 'Control', permission: PERMISSIONS.NAV_CONTROL },
+    { id: 'reports', label: 'Reports', permission: PERMISSIONS.NAV_REPORTS },
+    { id: 'alerts', label: 'Alerts', permission: PERMISSIONS.NAV_ALERTS },
+    { id: 'work_orders', label: 'Work Orders', permission: PERMISSIONS.NAV_WORK_ORDERS },
+    { id: 'map', label: 'Campus Map', permission: PERMISSIONS.NAV_MAP },
+    { id: 'admin', label: 'Administration', permission: PERMISSIONS.NAV_ADMIN },
+];
@@ -0,0 +1,9 @@
+// Alert notification preferences for a user who has not saved any: critical alerts by email
+// and warnings upwards in the browser, once they give an address and allow notifications.
+// See src/services/notifications/notificationDispatcher.js for how they are applied.
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+    email: '',
+    webhook_url: '',
+    channels: { email: ['critical'], webhook: [], browser: ['warning', 'critical'] },
+    quiet_hours: { enabled: false, start: 22, end: 7, allow_critical: true }
+};
@@ -1,6 +1,9 @@
 export const ROLES = {
     ADMIN: 'admin',
-    TECHNICIAN: 'technician'
+    TECHNICIAN: 'technician',
+    VIEWER: 'viewer',
+    FINANCE_OFFICER: 'finance_officer',
+    FACILITY_MANAGER: 'facility_manager'
 };
 
 export const PERMISSIONS = {
@@ -11,29 +14,146 @@ export const PERMISSIONS = {
     NAV_CONTROL: 'nav_control',
     NAV_REPORTS: 'nav_reports',
     NAV_ALERTS: 'nav_alerts',
+    NAV_WORK_ORDERS: 'nav_work_orders',
     NAV_MAP: 'nav_map',
+    NAV_ADMIN: 'nav_admin',
 
     // Component-level permissions
     VIEW_FINANCIALS: 'view_financials',
-    ACCESS_CONTROL_SYSTEMS: 'access_control_systems'
+    ACCESS_CONTROL_SYSTEMS: 'access_control_systems',
+    MANAGE_ROLES: 'manage_roles',
+    VIEW_AUDIT_LOG: 'view_audit_log',
+    OVERRIDE_INTERLOCKS: 'override_interlocks',
+    CONFIGURE_ALERTS: 'configure_alerts',
+    SCHEDULE_MAINTENANCE: 'schedule_maintenance',
+    MANAGE_WORK_ORDERS: 'manage_work_orders'
 };
 
-// Assign permissions to roles
-export const ROLE_PERMISSIONS = {
-    [ROLES.ADMIN]: [
-        PERMISSIONS.NAV_DASHBOARD,
-        PERMISSIONS.NAV_MONITOR,
-        PERMISSIONS.NAV_ANALYTICS,
-        PERMISSIONS.NAV_CONTROL,
-        PERMISSIONS.NAV_REPORTS,
-        PERMISSIONS.NAV_ALERTS,
-        PERMISSIONS.NAV_MAP,
-        PERMISSIONS.VIEW_FINANCIALS,
-        PERMISSIONS.ACCESS_CONTROL_SYSTEMS
-    ],
-    [ROLES.TECHNICIAN]: [
-        PERMISSIONS.NAV_MONITOR,
-        PERMISSIONS.NAV_ALERTS,
-        PERMISSIONS.NAV_MAP
-    ]
-};
\ No newline at end of file
+// Human-readable names for the role administration UI
+export const PERMISSION_LABELS = {
+    [PERMISSIONS.NAV_DASHBOARD]: 'Dashboard',
+    [PERMISSIONS.NAV_MONITOR]: 'Monitor',
+    [PERMISSIONS.NAV_ANALYTICS]: 'Analytics',
+    [PERMISSIONS.NAV_CONTROL]: 'Control',
+    [PERMISSIONS.NAV_REPORTS]: 'Reports',
+    [PERMISSIONS.NAV_ALERTS]: 'Alerts',
+    [PERMISSIONS.NAV_WORK_ORDERS]: 'Work Orders',
+    [PERMISSIONS.NAV_MAP]: 'Campus Map',
+    [PERMISSIONS.NAV_ADMIN]: 'Administration',
+    [PERMISSIONS.VIEW_FINANCIALS]: 'View financials',
+    [PERMISSIONS.ACCESS_CONTROL_SYSTEMS]: 'Operate control systems',
+    [PERMISSIONS.MANAGE_ROLES]: 'Manage roles and users',
+    [PERMISSIONS.VIEW_AUDIT_LOG]: 'View audit log',
+    [PERMISSIONS.OVERRIDE_INTERLOCKS]: 'Override safety interlocks',
+    [PERMISSIONS.CONFIGURE_ALERTS]: 'Configure alert rules',
+    [PERMISSIONS.SCHEDULE_MAINTENANCE]: 'Schedule maintenance windows',
+    [PERMISSIONS.MANAGE_WORK_ORDERS]: 'Create and record work orders'
+};
+
+// Default permissions given to built-in roles after roles became editable, by the roles
+// version that added them. Stored built-in roles gain the additions newer than their own
+// version when they are loaded (upgradeRoles), while permissions an administrator removed
+// stay removed. Add an entry whenever a built-in role gets a new default permission.
+const DEFAULT_PERMISSION_ADDITIONS = [
+    { version: 2, role: ROLES.FACILITY_MANAGER, permissions: [PERMISSIONS.CONFIGURE_ALERTS] },
+    { version: 3, role: ROLES.TECHNICIAN, permissions: [PERMISSIONS.SCHEDULE_MAINTENANCE] },
+    { version: 3, role: ROLES.FACILITY_MANAGER, permissions: [PERMISSIONS.SCHEDULE_MAINTENANCE] },
+    { version: 4, role: ROLES.TECHNICIAN, permissions: [PERMISSIONS.NAV_WORK_ORDERS, PERMISSIONS.MANAGE_WORK_ORDERS] },
+    { version: 4, role: ROLES.FACILITY_MANAGER, permissions: [PERMISSIONS.NAV_WORK_ORDERS, PERMISSIONS.MANAGE_WORK_ORDERS] }
+];
+
+export const ROLES_VERSION = Math.max(1, ...DEFAULT_PERMISSION_ADDITIONS.map(addition => addition.version));
+
+// Default role definitions. The live set is loaded through apiService and can be
+// edited in the Administration section; these seed it and apply until it loads.
+// Built-in roles carry the roles version they were last brought up to.
+export const DEFAULT_ROLES = [
+    {
+        id: ROLES.ADMIN,
+        name: 'Administrator',
+        builtIn: true,
+        version: ROLES_VERSION,
+        // The admin role always keeps every permission so nobody can lock themselves out
+        locked: true,
+        permissions: Object.values(PERMISSIONS)
+    },
+    {
+        id: ROLES.TECHNICIAN,
+        name: 'Technician',
+        builtIn: true,
+        version: ROLES_VERSION,
+        permissions: [
+            PERMISSIONS.NAV_MONITOR,
+            PERMISSIONS.NAV_ALERTS,
+            PERMISSIONS.NAV_WORK_ORDERS,
+            PERMISSIONS.NAV_MAP,
+            PERMISSIONS.SCHEDULE_MAINTENANCE,
+            PERMISSIONS.MANAGE_WORK_ORDERS
+        ]
+    },
+    {
+        id: ROLES.VIEWER,
+        name: 'Viewer',
+        builtIn: true,
+        version: ROLES_VERSION,
+        permissions: [
+            PERMISSIONS.NAV_DASHBOARD,
+            PERMISSIONS.NAV_MONITOR,
+            PERMISSIONS.NAV_REPORTS,
+            PERMISSIONS.NAV_MAP
+        ]
+    },
+    {
+        id: ROLES.FINANCE_OFFICER,
+        name: 'Finance Officer',
+        builtIn: true,
+        version: ROLES_VERSION,
+        permissions: [
+            PERMISSIONS.NAV_DASHBOARD,
+            PERMISSIONS.NAV_ANALYTICS,
+            PERMISSIONS.NAV_REPORTS,
+            PERMISSIONS.VIEW_FINANCIALS
+        ]
+    },
+    {
+        id: ROLES.FACILITY_MANAGER,
+        name: 'Facility Manager',
+        builtIn: true,
+        version: ROLES_VERSION,
+        permissions: [
+            PERMISSIONS.NAV_DASHBOARD,
+            PERMISSIONS.NAV_MONITOR,
+            PERMISSIONS.NAV_ANALYTICS,
+            PERMISSIONS.NAV_CONTROL,
+            PERMISSIONS.NAV_REPORTS,
+            PERMISSIONS.NAV_ALERTS,
+            PERMISSIONS.NAV_WORK_ORDERS,
+            PERMISSIONS.NAV_MAP,
+            PERMISSIONS.ACCESS_CONTROL_SYSTEMS,
+            PERMISSIONS.CONFIGURE_ALERTS,
+            PERMISSIONS.SCHEDULE_MAINTENANCE,
+            PERMISSIONS.MANAGE_WORK_ORDERS
+        ]
+    }
+];
+
+// Brings stored roles up to ROLES_VERSION. Roles saved before versioning count as version 1.
+export const upgradeRoles = (roles) => roles.map(role => {
+    if (!role.builtIn || (role.version || 1) >= ROLES_VERSION) return role;
+    const added = DEFAULT_PERMISSION_ADDITIONS
+        .filter(addition => addition.role === role.id && addition.version > (role.version || 1))
+        .flatMap(addition => addition.permissions);
+    return { ...role, version: ROLES_VERSION, permissions: [...new Set([...role.permissions, ...added])] };
+});
+
+// Resolve a user's effective permissions from their role plus per-user overrides
+// (an assignment may move them to another role, grant extras or revoke some).
+export const resolvePermissions = (roles, assignment, fallbackRole) => {
+    const roleId = assignment?.role || fallbackRole;
+    const role = roles.find(r => r.id === roleId);
+    // A locked role always resolves to the full, current permission set
+    const base = role?.locked ? Object.values(PERMISSIONS) : role?.permissions || [];
+    const granted = new Set([...base, ...(assignment?.grant || [])]);
+    (assignment?.revoke || []).forEach(permission => granted.delete(permission));
+    return { roleId, permissions: [...granted] };
+};
@@ -0,0 +1,51 @@
+// Grid tariff definitions for the campus HT connection. Each version applies from its
+// effective_from date (campus local time) until the next version takes over; add a new
+// entry when the utility revises its tariff rather than editing an old one, so past
+// months keep being billed at the rates that applied then.
+//
+//   energy_rates      ₹/kWh by local hour window (end exclusive), covering the whole day
+//   export_rate       ₹/kWh credited for energy exported under net metering
+//   fixed_charge      ₹ per month, independent of consumption
+//   demand_charge     ₹ per kVA of billing demand per month
+//   contract_demand   kVA sanctioned for the connection
+//   min_billing_demand  fraction of contract demand billed even if the recorded peak is lower
+//   excess_demand_multiplier  demand above the contract demand is charged at this multiple
+//   power_factor      assumed to convert recorded kW peaks to kVA
+export const TARIFFS = [
+    {
+        id: 'ht-nd-2024',
+        name: 'HT Non-Domestic 2024-25',
+        effective_from: '2024-04-01',
+        energy_rates: [
+            { start: 0, end: 6, rate: 5.50, period: 'Off-peak' },
+            { start: 6, end: 18, rate: 7.05, period: 'Normal' },
+            { start: 18, end: 22, rate: 8.80, period: 'Peak' },
+            { start: 22, end: 24, rate: 5.50, period: 'Off-peak' }
+        ],
+        export_rate: 3.14,
+        fixed_charge: 4500,
+        demand_charge: 300,
+        contract_demand: 500,
+        min_billing_demand: 0.75,
+        excess_demand_multiplier: 2,
+        power_factor: 0.95
+    },
+    {
+        id: 'ht-nd-2025',
+        name: 'HT Non-Domestic 2025-26',
+        effective_from: '2025-04-01',
+        energy_rates: [
+            { start: 0, end: 6, rate: 5.80, period: 'Off-peak' },
+            { start: 6, end: 18, rate: 7.40, period: 'Normal' },
+            { start: 18, end: 22, rate: 9.25, period: 'Peak' },
+            { start: 22, end: 24, rate: 5.80, period: 'Off-peak' }
+        ],
+        export_rate: 3.26,
+        fixed_charge: 5000,
+        demand_charge: 330,
+        contract_demand: 500,
+        min_billing_demand: 0.75,
+        excess_demand_multiplier: 2,
+        power_factor: 0.95
+    }
+];
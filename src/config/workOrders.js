@@ -0,0 +1,8 @@
+// Checklist a new work order starts with, by the type of campus asset it is for
+// (src/config/campusAssets.js). Whoever creates the order can edit it.
+export const DEFAULT_CHECKLISTS = {
+    solar: ['Inspect panels for damage and soiling', 'Clean panels', 'Check strings and connectors', 'Check inverter readings and fault log'],
+    wind: ['Inspect blades', 'Check gearbox oil level', 'Check yaw and pitch systems', 'Test brake', 'Check controller fault log'],
+    battery: ['Check cell voltages and balance', 'Inspect terminals and cabling', 'Check cooling and enclosure temperature', 'Check BMS fault log'],
+    building: ['Inspect distribution board', 'Check energy meter readings']
+};
@@ -1,57 +1,42 @@
-import React, { createContext, useState, useContext } from 'react';
-
-// --- Mock User Database ---
-const MOCK_USERS = {
-    admin: {
-        password: 'password',
-        name: 'Admin User',
-        role: 'admin'
-    },
-    tech: {
-        password: 'password',
-        name: 'Technician',
-        role: 'technician'
-    }
-};
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import authService from '../services/auth/authService';
 
 const AuthContext = createContext();
 
 export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider = ({ children }) => {
-    const [isAuthenticated, setIsAuthenticated] = useState(false);
     const [user, setUser] = useState(null);
-
-    const login = (username, password) => {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                const foundUser = MOCK_USERS[username];
-                if (foundUser && foundUser.password === password) {
-                    const userData = {
-                        username,
-                        name: foundUser.name,
-                        role: foundUser.role
-                    };
-                    setUser(userData);
-                    setIsAuthenticated(true);
-                    resolve(userData);
-                } else {
-                    reject(new Error('Invalid credentials.'));
-                }
-            }, 500);
-        });
-    };
-
-    const logout = () => {
-        setUser(null);
-        setIsAuthenticated(false);
+    // True until a stored session has been restored (or found missing)
+    const [initializing, setInitializing] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribe = authService.subscribe(setUser);
+        authService.restore()
+            .catch(err => setError(err.message))
+            .finally(() => setInitializing(false));
+        return unsubscribe;
+    }, []);
+
+    // For OIDC this redirects to the identity provider and the returned promise never settles
+    const login = (username, password) => authService.login({ username, password });
+
+    const logout = () => authService.logout();
+
+    const value = {
+        isAuthenticated: Boolean(user),
+        user,
+        initializing,
+        error,
+        redirectsForLogin: authService.redirectsForLogin,
+        login,
+        logout
     };
 
-    const value = { isAuthenticated, user, login, logout };
-
     return (
         <AuthContext.Provider value={value}>
             {children}
         </AuthContext.Provider>
     );
-};
\ No newline at end of file
+};
@@ -1,62 +1,68 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef, useMemo } from 'react';
 import apiService from '../services/apiService';
+import TelemetryStream from '../services/telemetryStream';
+import CampusSimulator from '../services/simulation/campusSimulator';
+import batteryController from '../services/simulation/batteryController';
+import loadController from '../services/simulation/loadController';
+import commandQueue from '../services/commands/commandQueue';
+import forecastService from '../services/forecasting/forecastService';
+import generationAnomalyDetector from '../services/alerts/generationAnomalies';
+import alertRuleEngine from '../services/alerts/ruleEngine';
+import alertManager from '../services/alerts/alertManager';
+import notificationDispatcher from '../services/notifications/notificationDispatcher';
+import timeSeriesStore from '../services/storage/timeSeriesStore';
+import { RESOLUTION_MS, bucketStart } from '../services/aggregation';
 import { CONFIG } from '../services/config';
+import { useAuth } from './AuthContext';
 
 const DataContext = createContext();
 
 // Custom hook to use the data context
 export const useData = () => useContext(DataContext);
 
+const toTimeLabel = (time) =>
+    new Date(time).toLocaleTimeString(CONFIG.LOCALE, { timeZone: CONFIG.TIMEZONE, hour: '2-digit', minute: '2-digit' });
+
 // Provider component
 export const DataProvider = ({ children }) => {
+    const { user } = useAuth();
     const [loading, setLoading] = useState(true);
     const [currentStatus, setCurrentStatus] = useState(null);
     const [historicalData, setHistoricalData] = useState([]);
-    const [forecasts, setForecasts] = useState([]);
-    const [recommendations, setRecommendations] = useState([]);
+    // Latest issued forecast: { issued_at, provider, hours }
+    const [forecast, setForecast] = useState(null);
+    const [forecastError, setForecastError] = useState(null);
     const [alerts, setAlerts] = useState([]);
+    // Raised from live frames by the generation anomaly detector and the saved alert rules
+    const [anomalyAlerts, setAnomalyAlerts] = useState(generationAnomalyDetector.alerts);
+    const [ruleAlerts, setRuleAlerts] = useState(alertRuleEngine.alerts);
+    // 'simulated' when no stream is configured, otherwise one of STREAM_STATES
+    const [connectionState, setConnectionState] = useState(CONFIG.TELEMETRY.MODE === 'simulated' ? 'simulated' : 'connecting');
+    const [lastGap, setLastGap] = useState(null);
 
-    // Function to simulate real-time data fluctuations
-    const simulateRealTimeData = (status) => {
-        const sim = CONFIG.SIMULATION;
-        const clamp = (val, min, max) => Math.max(min, Math.min(val, max));
-        
-        const newStatus = { ...status };
-        newStatus.solar_generation = clamp(status.solar_generation + (Math.random() - 0.5) * sim.solar_variation, 0, CONFIG.CAMPUS_INFO.solar_capacity);
-        newStatus.wind_generation = clamp(status.wind_generation + (Math.random() - 0.5) * sim.wind_variation, 0, CONFIG.CAMPUS_INFO.wind_capacity);
-        newStatus.campus_load = clamp(status.campus_load + (Math.random() - 0.5) * sim.load_variation, 200, CONFIG.CAMPUS_INFO.peak_demand);
-        newStatus.battery_soc = clamp(status.battery_soc + (Math.random() - 0.5) * sim.battery_variation, 20, 100);
-
-        newStatus.total_generation = newStatus.solar_generation + newStatus.wind_generation;
-        newStatus.grid_power = newStatus.campus_load - newStatus.total_generation - status.battery_power;
-
-        // Round values
-        Object.keys(newStatus).forEach(key => {
-            if (typeof newStatus[key] === 'number') {
-                newStatus[key] = parseFloat(newStatus[key].toFixed(1));
-            }
-        });
-        
-        return newStatus;
-    };
+    const isStreaming = CONFIG.TELEMETRY.MODE !== 'simulated';
 
+    // Seeded physics simulator that drives live updates when no stream is configured
+    const simulatorRef = useRef(null);
 
     // Fetch initial data on component mount
     useEffect(() => {
         const loadData = async () => {
             try {
                 setLoading(true);
-                const [status, historical, forecasts, recommendations, alerts] = await Promise.all([
+                const [status, historical, alerts] = await Promise.all([
                     apiService.getCurrentStatus(),
-                    apiService.getHistoricalData(),
-                    apiService.getForecasts(),
-                    apiService.getRecommendations(),
+                    // Today's hourly history seeds the live charts
+                    apiService.getHistoricalData({
+                        from: new Date(bucketStart(Date.now(), RESOLUTION_MS['1d'])).toISOString(),
+                        to: new Date().toISOString(),
+                        resolution: '1h'
+                    }),
                     apiService.getAlerts()
                 ]);
                 setCurrentStatus(status);
-                setHistoricalData(historical);
-                setForecasts(forecasts);
-                setRecommendations(recommendations);
+                timeSeriesStore.append(status);
+                setHistoricalData(historical.map(point => ({ ...point, time: toTimeLabel(point.time) })));
                 setAlerts(alerts);
             } catch (error) {
                 console.error("Failed to load initial data:", error);
@@ -67,36 +73,117 @@ export const DataProvider = ({ children }) => {
         loadData();
     }, []);
 
-    // Set up interval for real-time updates
+    // Alert rules are evaluated whether or not anyone has the Alerts section open
+    useEffect(() => {
+        apiService.getAlertRules()
+            .then(rules => alertRuleEngine.setRules(rules))
+            .catch(error => console.error('Failed to load alert rules:', error));
+    }, []);
+
+    // Forecasts are issued hourly and refreshed in the background
+    useEffect(() => {
+        let cancelled = false;
+        const refresh = () => forecastService.getForecast()
+            .then(result => {
+                if (cancelled) return;
+                setForecast(result);
+                setForecastError(null);
+            })
+            .catch(error => {
+                console.error('Failed to load forecast:', error);
+                if (!cancelled) setForecastError(error);
+            });
+        refresh();
+        const interval = setInterval(refresh, CONFIG.FORECAST.REFRESH_INTERVAL);
+        return () => {
+            cancelled = true;
+            clearInterval(interval);
+        };
+    }, []);
+
+    // Apply a status frame to currentStatus, the rolling history used by live charts and the persistent store
+    const applyStatus = useCallback((status) => {
+        setCurrentStatus(status);
+        timeSeriesStore.append(status);
+        commandQueue.observe(status);
+        setAnomalyAlerts(generationAnomalyDetector.observe(status));
+        setRuleAlerts(alertRuleEngine.observe(status));
+        setHistoricalData(prevData => {
+            const newData = [...prevData, {
+                time: toTimeLabel(status.timestamp),
+                solar: status.solar_generation,
+                wind: status.wind_generation,
+                load: status.campus_load,
+                battery: status.battery_soc
+            }];
+            // Keep the data array from growing indefinitely
+            return newData.length > 20 ? newData.slice(1) : newData;
+        });
+    }, []);
+
+    // Set up interval for simulated real-time updates
     useEffect(() => {
+        if (isStreaming) return;
+
         const interval = setInterval(() => {
             if (currentStatus) {
-                const newStatus = simulateRealTimeData(currentStatus);
-                setCurrentStatus(newStatus);
-
-                // Update historical data for live charts
-                setHistoricalData(prevData => {
-                    const newData = [...prevData, {
-                        time: new Date().toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }),
-                        solar: newStatus.solar_generation,
-                        load: newStatus.campus_load
-                    }];
-                    // Keep the data array from growing indefinitely
-                    return newData.length > 20 ? newData.slice(1) : newData;
-                });
+                if (!simulatorRef.current) {
+                    // Continue from the battery state the data source reported, following
+                    // any battery settings and load schedules applied through the mock adapter
+                    simulatorRef.current = new CampusSimulator({
+                        initialSoc: currentStatus.battery_soc,
+                        controller: batteryController,
+                        loads: loadController
+                    });
+                }
+                applyStatus(simulatorRef.current.step(new Date()));
             }
         }, CONFIG.UPDATE_INTERVAL);
 
         return () => clearInterval(interval);
-    }, [currentStatus]);
+    }, [currentStatus, isStreaming, applyStatus]);
+
+    // Subscribe to the push telemetry feed when streaming is configured
+    useEffect(() => {
+        if (!isStreaming) return;
+
+        const stream = new TelemetryStream({
+            mode: CONFIG.TELEMETRY.MODE,
+            url: CONFIG.TELEMETRY.STREAM_URL,
+            expectedInterval: CONFIG.UPDATE_INTERVAL,
+            gapTolerance: CONFIG.TELEMETRY.GAP_TOLERANCE,
+            baseDelay: CONFIG.TELEMETRY.RECONNECT_BASE_DELAY,
+            maxDelay: CONFIG.TELEMETRY.RECONNECT_MAX_DELAY,
+            onFrame: applyStatus,
+            onStateChange: setConnectionState,
+            // Shown by ConnectionStatus
+            onGap: (gap) => setLastGap({ ...gap, detectedAt: Date.now() })
+        });
+        stream.connect();
+
+        return () => stream.close();
+    }, [isStreaming, applyStatus]);
+
+    const allAlerts = useMemo(() => [...ruleAlerts, ...anomalyAlerts, ...alerts], [ruleAlerts, anomalyAlerts, alerts]);
+
+    // Alert events are sent out from here; browser notifications go to whoever is signed in
+    const username = user?.username || null;
+    useEffect(() => notificationDispatcher.start(username), [username]);
+
+    // Everything raised becomes a tracked record (see useAlerts) once the initial load is in
+    useEffect(() => {
+        if (!loading) alertManager.sync(allAlerts);
+    }, [loading, allAlerts]);
 
     const value = {
         loading,
         currentStatus,
         historicalData,
-        forecasts,
-        recommendations,
-        alerts
+        forecast,
+        forecastError,
+        alerts: allAlerts,
+        connectionState,
+        lastGap
     };
 
     return (
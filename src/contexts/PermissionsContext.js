@@ -0,0 +1,85 @@
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import apiService from '../services/apiService';
+import { useAuth } from './AuthContext';
+import { DEFAULT_ROLES, resolvePermissions, upgradeRoles } from '../config/roles';
+
+const PermissionsContext = createContext();
+
+export const usePermissionsContext = () => useContext(PermissionsContext);
+
+export const PermissionsProvider = ({ children }) => {
+    const { user } = useAuth();
+    // Defaults apply until the stored roles load, so navigation renders straight away
+    const [roles, setRoles] = useState(DEFAULT_ROLES);
+    const [assignments, setAssignments] = useState([]);
+    const [error, setError] = useState('');
+
+    const reload = useCallback(async () => {
+        try {
+            const [loadedRoles, loadedAssignments] = await Promise.all([
+                apiService.getRoles(),
+                apiService.getUserAssignments()
+            ]);
+            // Stored built-in roles pick up default permissions added since they were saved
+            setRoles(upgradeRoles(loadedRoles));
+            setAssignments(loadedAssignments);
+            setError('');
+        } catch (err) {
+            console.error('Failed to load roles:', err);
+            setError(err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (user) reload();
+    }, [user, reload]);
+
+    const saveRole = async (role) => {
+        const saved = await apiService.saveRole(role);
+        setRoles(current => current.some(r => r.id === saved.id)
+            ? current.map(r => (r.id === saved.id ? saved : r))
+            : [...current, saved]);
+        return saved;
+    };
+
+    const deleteRole = async (id) => {
+        // Sign-in role claims name the built-in roles, so their users would be left with no permissions
+        if (roles.find(r => r.id === id)?.builtIn) throw new Error('Built-in roles cannot be deleted.');
+        if (assignments.some(a => a.role === id)) {
+            throw new Error('Reassign the users on this role before deleting it.');
+        }
+        await apiService.deleteRole(id);
+        setRoles(current => current.filter(r => r.id !== id));
+    };
+
+    const saveAssignment = async (assignment) => {
+        const saved = await apiService.saveUserAssignment(assignment);
+        setAssignments(current => current.some(a => a.username === saved.username)
+            ? current.map(a => (a.username === saved.username ? saved : a))
+            : [...current, saved]);
+        return saved;
+    };
+
+    const assignment = user ? assignments.find(a => a.username === user.username) : null;
+    const { roleId, permissions } = user
+        ? resolvePermissions(roles, assignment, user.role)
+        : { roleId: null, permissions: [] };
+
+    const value = {
+        roles,
+        assignments,
+        error,
+        roleId,
+        permissions,
+        reload,
+        saveRole,
+        deleteRole,
+        saveAssignment
+    };
+
+    return (
+        <PermissionsContext.Provider value={value}>
+            {children}
+        </PermissionsContext.Provider>
+    );
+};
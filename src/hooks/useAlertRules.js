@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import apiService from '../services/apiService';
+import alertRuleEngine from '../services/alerts/ruleEngine';
+
+// The saved alert rules and a save action that also puts them into effect
+export const useAlertRules = () => {
+    const [rules, setRules] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        apiService.getAlertRules()
+            .then(setRules)
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const save = async (next) => {
+        const saved = await apiService.saveAlertRules(next);
+        alertRuleEngine.setRules(saved);
+        setRules(saved);
+        return saved;
+    };
+
+    return { rules, loading, error, save };
+};
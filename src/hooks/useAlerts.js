@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import alertManager from '../services/alerts/alertManager';
+import { useAuth } from '../contexts/AuthContext';
+
+// Live view of tracked alert records and the lifecycle actions, attributed to the signed-in user
+export const useAlerts = () => {
+    const { user } = useAuth();
+    const [records, setRecords] = useState(alertManager.records);
+
+    useEffect(() => alertManager.subscribe(setRecords), []);
+
+    return {
+        records,
+        acknowledge: (id) => alertManager.acknowledge(id, user.username),
+        assign: (id, assignee) => alertManager.assign(id, assignee, user.username),
+        resolve: (id, note) => alertManager.resolve(id, user.username, note),
+        close: (id) => alertManager.close(id, user.username),
+        addNote: (id, text) => alertManager.addNote(id, user.username, text)
+    };
+};
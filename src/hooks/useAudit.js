@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { usePermissions } from './usePermissions';
+import auditService from '../services/auditService';
+
+// Binds the signed-in user to audited control commands. `auditCommand(details)` returns the
+// runner for a queued command's sends (see auditService.commandAudit):
+//   const audited = auditCommand({ action: 'battery.settings', next: settings });
+//   send: (queued, attempt) => audited(queued, attempt, {}, () => apiService.updateBatterySettings(settings))
+export const useAudit = () => {
+    const { user } = useAuth();
+    const { role } = usePermissions();
+
+    const auditCommand = (details) => auditService.commandAudit({ ...details, user: user.username, role });
+
+    return { auditCommand };
+};
+
+// Audit entries the data source failed to store this session, and a retry for them
+export const useUnrecordedAudit = () => {
+    const [entries, setEntries] = useState(auditService.unrecorded);
+
+    useEffect(() => auditService.subscribe(setEntries), []);
+
+    return { entries, retry: () => auditService.retryUnrecorded() };
+};
@@ -0,0 +1,22 @@
+import { useState } from 'react';
+import useHistoricalData from './useHistoricalData';
+import { billingPeriod } from '../services/tariff';
+
+export const ENERGY_METRICS = ['solar', 'wind', 'load', 'battery_power', 'grid'];
+
+// Hourly energy query for [from, to); hourly averages in kW are kWh per hour
+export const hourlyEnergyQuery = (from, to) => ({
+    from,
+    // End just before `to` so the next period's first hour is not included
+    to: new Date(Date.parse(to) - 1).toISOString(),
+    resolution: '1h',
+    metrics: ENERGY_METRICS,
+    aggregate: 'avg'
+});
+
+// Hourly energy history for the last complete local month, for bills and cost scenarios
+export const useBillingMonth = () => {
+    const [period] = useState(() => billingPeriod(1));
+    const { data, loading, error } = useHistoricalData(hourlyEnergyQuery(period.from, period.to));
+    return { period, points: data, loading, error: error ? error.message : '' };
+};
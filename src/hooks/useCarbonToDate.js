@@ -0,0 +1,22 @@
+import { useState, useMemo } from 'react';
+import useHistoricalData from './useHistoricalData';
+import { hourlyEnergyQuery } from './useBillingMonth';
+import { billingPeriod } from '../services/tariff';
+import { localDate } from '../services/aggregation';
+import { carbonSummary } from '../services/carbon';
+
+// Today's and this month's emission totals from hourly history since the start of the month
+export const useCarbonToDate = () => {
+    const [query] = useState(() => hourlyEnergyQuery(billingPeriod(0).from, new Date().toISOString()));
+    const { data, loading } = useHistoricalData(query);
+
+    const totals = useMemo(() => {
+        const today = localDate(Date.now());
+        return {
+            today: carbonSummary(data, 'day').find(day => day.period === today) || null,
+            month: carbonSummary(data, 'month')[0] || null
+        };
+    }, [data]);
+
+    return { ...totals, loading };
+};
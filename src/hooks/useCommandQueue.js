@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import commandQueue from '../services/commands/commandQueue';
+
+// Live view of the control command queue
+export const useCommandQueue = () => {
+    const [commands, setCommands] = useState(commandQueue.commands);
+
+    useEffect(() => commandQueue.subscribe(setCommands), []);
+
+    return {
+        commands,
+        enqueue: (spec) => commandQueue.enqueue(spec),
+        cancel: (id) => commandQueue.cancel(id),
+        retry: (id) => commandQueue.retry(id)
+    };
+};
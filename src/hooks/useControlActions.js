@@ -0,0 +1,50 @@
+import apiService from '../services/apiService';
+import { useCommandQueue } from './useCommandQueue';
+import { useInterlocks } from './useInterlocks';
+import { CONFIG } from '../services/config';
+import { batterySettingsExpectation } from '../services/commands/expectations';
+import { describeWindows } from '../services/loadScheduling';
+
+// Interlock requests for the control actions, for previewing findings with check()
+export const batteryRequest = (settings) => ({ action: 'battery.settings', target: 'battery', settings });
+export const scheduleRequest = (schedule) => ({ action: 'load.schedule', target: schedule.load_id, settings: schedule });
+
+// Queues the campus control commands, shared by the Control section and accepted
+// recommendations. Each returns the queued command straight away; its progress shows in
+// the status panel and interlocks are checked again when the queue sends it.
+export const useControlActions = () => {
+    const { enqueue } = useCommandQueue();
+    const { guardedSend } = useInterlocks();
+
+    // settings: { strategy, target_soc, plan }; `currentSoc` stands in until telemetry arrives
+    const applyBatterySettings = (settings, { override = null, currentSoc } = {}) => enqueue({
+        target: 'battery',
+        label: `Battery: ${settings.strategy}`,
+        detail: `Target SOC ${settings.target_soc}%`,
+        expect: (frame) => batterySettingsExpectation(settings, frame?.battery_soc ?? currentSoc),
+        send: guardedSend(
+            batteryRequest(settings),
+            { action: 'battery.settings', next: { strategy: settings.strategy, target_soc: settings.target_soc } },
+            override,
+            () => apiService.updateBatterySettings(settings)
+        )
+    });
+
+    // Schedules have no telemetry of their own, so the command completes once accepted. The
+    // audit entry's previous windows are read from the data source when the command is first sent.
+    const saveLoadSchedule = (schedule, { override = null } = {}) => {
+        const load = CONFIG.LOAD_SCHEDULING.CONTROLLABLE_LOADS.find(l => l.id === schedule.load_id);
+        return enqueue({
+            target: schedule.load_id,
+            label: `Schedule: ${load ? load.name : schedule.load_id}`,
+            detail: describeWindows(schedule.windows),
+            send: guardedSend(scheduleRequest(schedule), {
+                action: 'load.schedule',
+                target: schedule.load_id,
+                next: { windows: describeWindows(schedule.windows) }
+            }, override, () => apiService.updateLoadSchedule(schedule))
+        });
+    };
+
+    return { applyBatterySettings, saveLoadSchedule };
+};
@@ -0,0 +1,19 @@
+import { useState, useMemo } from 'react';
+import useHistoricalData from './useHistoricalData';
+import { hourlyEnergyQuery } from './useBillingMonth';
+import { billingPeriod, unpricedHours } from '../services/tariff';
+import { monthlyPerformance } from '../services/finance/performance';
+
+export const FINANCIAL_MONTHS = 12;
+
+// Monthly financial performance for the last twelve complete months, and how many hours of
+// them no tariff prices. Pass enabled = false to skip the fetch for users who cannot see financials.
+export const useFinancialHistory = (enabled = true) => {
+    const [query] = useState(() => hourlyEnergyQuery(billingPeriod(FINANCIAL_MONTHS).from, billingPeriod(1).to));
+    const { data, loading, error } = useHistoricalData(enabled ? query : null);
+
+    const months = useMemo(() => monthlyPerformance(data), [data]);
+    const unpriced = useMemo(() => unpricedHours(data), [data]);
+
+    return { months, unpriced, loading, error: error ? error.message : '' };
+};
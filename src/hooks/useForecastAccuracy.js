@@ -0,0 +1,54 @@
+import { useState, useEffect, useMemo } from 'react';
+import useHistoricalData from './useHistoricalData';
+import apiService from '../services/apiService';
+import { useData } from '../contexts/DataContext';
+import { CONFIG } from '../services/config';
+import { RESOLUTION_MS, bucketStart } from '../services/aggregation';
+import { FORECAST_SOURCES, forecastErrors, accuracyByHorizon, dailyAccuracy, worstDays } from '../services/forecasting/accuracy';
+
+const HOUR = RESOLUTION_MS['1h'];
+const DAY = RESOLUTION_MS['1d'];
+
+// Accuracy of the forecasts archived over the last WINDOW_DAYS against hourly actuals,
+// recomputed whenever a new forecast is issued
+export const useForecastAccuracy = () => {
+    const { forecast } = useData();
+    const issuedAt = forecast?.issued_at;
+
+    // Complete hours up to the latest forecast
+    const range = useMemo(() => {
+        const to = bucketStart(issuedAt ? Date.parse(issuedAt) : Date.now(), HOUR);
+        return {
+            from: new Date(to - CONFIG.FORECAST.ACCURACY.WINDOW_DAYS * DAY).toISOString(),
+            to: new Date(to - 1).toISOString()
+        };
+    }, [issuedAt]);
+
+    const [archive, setArchive] = useState({ forecasts: [], loading: true, error: null });
+    useEffect(() => {
+        let cancelled = false;
+        apiService.getForecastArchive(range)
+            .then(forecasts => !cancelled && setArchive({ forecasts, loading: false, error: null }))
+            .catch(error => {
+                console.error('Failed to load forecast archive:', error);
+                if (!cancelled) setArchive({ forecasts: [], loading: false, error });
+            });
+        return () => { cancelled = true; };
+    }, [range]);
+
+    const actuals = useHistoricalData({ ...range, resolution: '1h', metrics: FORECAST_SOURCES, aggregate: 'avg' });
+
+    const accuracy = useMemo(() => {
+        const rows = forecastErrors(archive.forecasts, actuals.data);
+        const daily = dailyAccuracy(rows);
+        return { hours: rows.length, byHorizon: accuracyByHorizon(rows), daily, worst: worstDays(daily) };
+    }, [archive.forecasts, actuals.data]);
+
+    const error = archive.error || actuals.error;
+    return {
+        ...accuracy,
+        forecasts: archive.forecasts.length,
+        loading: archive.loading || actuals.loading,
+        error: error ? error.message : ''
+    };
+};
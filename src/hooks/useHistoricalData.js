@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import apiService from '../services/apiService';
+
+// Fetches aggregated history from apiService for a query built with resolveRange().
+// A null query (e.g. the "live" preset) skips fetching.
+const useHistoricalData = (query) => {
+    const [data, setData] = useState([]);
+    const [loading, setLoading] = useState(Boolean(query));
+    const [error, setError] = useState(null);
+
+    // Serialise the query so callers can pass inline objects and arrays
+    const queryKey = JSON.stringify(query);
+
+    useEffect(() => {
+        const parsed = JSON.parse(queryKey);
+        if (!parsed) {
+            setData([]);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+        setLoading(true);
+        apiService.getHistoricalData(parsed)
+            .then(points => {
+                if (!cancelled) {
+                    setData(points);
+                    setError(null);
+                }
+            })
+            .catch(err => {
+                console.error('Failed to load historical data:', err);
+                if (!cancelled) setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => { cancelled = true; };
+    }, [queryKey]);
+
+    return { data, loading, error };
+};
+
+export default useHistoricalData;
@@ -0,0 +1,43 @@
+import { useData } from '../contexts/DataContext';
+import { usePermissions } from './usePermissions';
+import { useAudit } from './useAudit';
+import { useCommandQueue } from './useCommandQueue';
+import commandQueue from '../services/commands/commandQueue';
+import { PERMISSIONS } from '../config/roles';
+import { evaluateInterlocks, blockingFindings, InterlockError } from '../services/commands/interlocks';
+
+// Safety interlocks for control commands. `check` previews the findings for the form;
+// `guardedSend` builds a queued command's send that re-checks against the plant state at
+// each attempt. The command is audited once, with any override, however many attempts it takes:
+//   enqueue({ ..., send: guardedSend(request, auditDetails, override, () => apiService.update...()) })
+export const useInterlocks = () => {
+    const { currentStatus } = useData();
+    const { commands } = useCommandQueue();
+    const { hasPermission } = usePermissions();
+    const { auditCommand } = useAudit();
+    const canOverride = hasPermission(PERMISSIONS.OVERRIDE_INTERLOCKS);
+
+    const check = (request) => evaluateInterlocks(request, { status: currentStatus, commands });
+
+    const guardedSend = (request, details, override, command) => {
+        const audited = auditCommand(details);
+        return (queued, attempt) => {
+            // Only commands queued ahead of this one count as concurrent
+            const blocks = blockingFindings(evaluateInterlocks(request, {
+                status: commandQueue.lastFrame || currentStatus,
+                commands: commandQueue.commands.filter(c => c.id < queued.id)
+            }));
+            const reason = override?.reason?.trim();
+            const overridden = blocks.length > 0 && canOverride && reason
+                ? { reason, rules: blocks.map(b => b.rule) }
+                : null;
+
+            return audited(queued, attempt, overridden ? { override: overridden } : {}, async () => {
+                if (blocks.length > 0 && !overridden) throw new InterlockError(blocks);
+                return command();
+            });
+        };
+    };
+
+    return { check, guardedSend, canOverride };
+};
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import apiService from '../services/apiService';
+import alertManager from '../services/alerts/alertManager';
+import { useAuth } from '../contexts/AuthContext';
+
+// Scheduled maintenance windows, with actions that put changes into effect for alert
+// suppression straight away
+export const useMaintenanceWindows = () => {
+    const { user } = useAuth();
+    const [windows, setWindows] = useState(alertManager.maintenanceWindows);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        alertManager.load()
+            .then(() => setWindows(alertManager.maintenanceWindows))
+            .catch(err => setError(err.message));
+    }, []);
+
+    const apply = (next) => {
+        alertManager.setMaintenanceWindows(next);
+        setWindows(next);
+    };
+
+    const schedule = async (window) => {
+        const saved = await apiService.saveMaintenanceWindow({ ...window, created_by: window.created_by || user.username });
+        apply([...alertManager.maintenanceWindows.filter(w => w.id !== saved.id), saved]);
+        return saved;
+    };
+
+    // Ending a window early keeps it on record; cancelling removes one that has not started
+    const end = (window) => schedule({ ...window, end: new Date().toISOString() });
+
+    const cancel = async (id) => {
+        await apiService.deleteMaintenanceWindow(id);
+        apply(alertManager.maintenanceWindows.filter(w => w.id !== id));
+    };
+
+    return { windows, error, schedule, end, cancel };
+};
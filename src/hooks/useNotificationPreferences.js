@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import apiService from '../services/apiService';
+import notificationDispatcher from '../services/notifications/notificationDispatcher';
+import { DEFAULT_NOTIFICATION_PREFERENCES } from '../config/notifications';
+import { useAuth } from '../contexts/AuthContext';
+import { usePermissions } from './usePermissions';
+
+// The signed-in user's alert notification preferences, a save action that puts them into
+// effect and a test send for one channel
+export const useNotificationPreferences = () => {
+    const { user } = useAuth();
+    const { role } = usePermissions();
+    const [preferences, setPreferences] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        apiService.getNotificationPreferences()
+            .then(all => setPreferences(all.find(p => p.username === user.username)
+                || { ...DEFAULT_NOTIFICATION_PREFERENCES, username: user.username, role }))
+            .catch(err => setError(err.message));
+    }, [user.username, role]);
+
+    // The role is saved with the preferences so escalations reach the right people
+    const save = async (next) => {
+        const saved = await apiService.saveNotificationPreferences({ ...next, username: user.username, role });
+        notificationDispatcher.setPreferences(saved);
+        setPreferences(saved);
+        return saved;
+    };
+
+    const sendTest = (draft, channel) => notificationDispatcher.sendTest({ ...draft, username: user.username }, channel);
+
+    return { preferences, loading: !preferences && !error, error, save, sendTest };
+};
@@ -1,18 +1,17 @@
 import { useAuth } from '../contexts/AuthContext';
-import { ROLE_PERMISSIONS } from '../config/roles';
+import { usePermissionsContext } from '../contexts/PermissionsContext';
 
 export const usePermissions = () => {
     const { user } = useAuth();
+    const { permissions, roleId } = usePermissionsContext();
 
     if (!user) {
         return { hasPermission: () => false };
     }
 
-    const userPermissions = ROLE_PERMISSIONS[user.role] || [];
-
     const hasPermission = (permission) => {
-        return userPermissions.includes(permission);
+        return permissions.includes(permission);
     };
 
-    return { hasPermission, role: user.role };
-};
\ No newline at end of file
+    return { hasPermission, role: roleId };
+};
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import apiService from '../services/apiService';
+
+// The image of a work order photo, loaded from the data source's photo storage by id
+export const usePhoto = (id) => {
+    const [dataUrl, setDataUrl] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        apiService.getPhoto(id)
+            .then(photo => {
+                if (!cancelled) setDataUrl(photo.data_url);
+            })
+            .catch(err => {
+                if (!cancelled) setError(err.message);
+            });
+        return () => { cancelled = true; };
+    }, [id]);
+
+    return { dataUrl, error };
+};
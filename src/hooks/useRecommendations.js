@@ -0,0 +1,92 @@
+import { useState, useEffect, useMemo } from 'react';
+import apiService from '../services/apiService';
+import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useControlActions } from './useControlActions';
+import { CONFIG } from '../services/config';
+import { currentHour } from '../services/dispatch/inputs';
+import { evaluateRecommendations, pendingRecommendations } from '../services/recommendations/engine';
+import { newId } from '../services/ids';
+
+const HOUR = 3600000;
+
+// Recommendations from the engine for the coming day, the outcome history, and the
+// accept/snooze/dismiss actions. Accepting queues the recommendation's Control action.
+export const useRecommendations = () => {
+    const { forecast, currentStatus } = useData();
+    const { user } = useAuth();
+    const { applyBatterySettings, saveLoadSchedule } = useControlActions();
+    const [schedules, setSchedules] = useState(null);
+    const [outcomes, setOutcomes] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const loadSchedules = () => apiService.getLoadSchedules().then(setSchedules);
+
+    useEffect(() => {
+        Promise.all([
+            apiService.getLoadSchedules().then(setSchedules),
+            apiService.getRecommendationOutcomes().then(setOutcomes)
+        ])
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    // Re-evaluate when the hour rolls over or the battery moves by a whole percent
+    const now = currentStatus ? Date.parse(currentStatus.timestamp) : Date.now();
+    const hour = currentHour(now);
+    const soc = Math.round(currentStatus?.battery_soc ?? CONFIG.BATTERY.min_soc);
+    const recommendations = useMemo(
+        () => (forecast && schedules ? evaluateRecommendations({ forecastHours: forecast.hours, soc, schedules, now: hour }) : []),
+        [forecast, schedules, soc, hour]
+    );
+
+    const record = async (recommendation, outcome, extra = {}) => {
+        const saved = await apiService.recordRecommendationOutcome({
+            id: newId(),
+            recommendation_id: recommendation.id,
+            rule: recommendation.rule,
+            title: recommendation.title,
+            outcome,
+            savings: recommendation.savings,
+            user: user.username,
+            timestamp: new Date().toISOString(),
+            ...extra
+        });
+        setOutcomes(current => [saved, ...current]);
+        return saved;
+    };
+
+    // Accepted once queued; a command the controller rejects records 'failed', which shows the
+    // recommendation again and keeps it out of the accepted savings
+    const accept = (recommendation, override = null) => {
+        const { action } = recommendation;
+        const command = action.kind === 'battery.settings'
+            ? applyBatterySettings(action.settings, { override, currentSoc: soc })
+            : saveLoadSchedule(action.schedule, { override });
+        const accepted = record(recommendation, 'accepted');
+        command.result
+            .then(
+                () => { if (action.kind !== 'battery.settings') loadSchedules().catch(() => {}); },
+                () => accepted.then(() => record(recommendation, 'failed'))
+            )
+            .catch(err => setError(err.message));
+        return accepted;
+    };
+
+    const snooze = (recommendation) => record(recommendation, 'snoozed', {
+        snoozed_until: new Date(Date.now() + CONFIG.RECOMMENDATIONS.SNOOZE_HOURS * HOUR).toISOString()
+    });
+
+    const dismiss = (recommendation) => record(recommendation, 'dismissed');
+
+    return {
+        recommendations: pendingRecommendations(recommendations, outcomes, now),
+        outcomes,
+        loading: loading || !forecast,
+        error,
+        accept,
+        snooze,
+        dismiss
+    };
+};
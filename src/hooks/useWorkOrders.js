@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import workOrderManager from '../services/maintenance/workOrderManager';
+import { useAuth } from '../contexts/AuthContext';
+
+// Live view of work orders and the actions on them, attributed to the signed-in user
+export const useWorkOrders = () => {
+    const { user } = useAuth();
+    const [orders, setOrders] = useState(workOrderManager.orders);
+
+    useEffect(() => {
+        workOrderManager.load().catch(() => {});
+        return workOrderManager.subscribe(setOrders);
+    }, []);
+
+    return {
+        orders,
+        create: (order) => workOrderManager.create(order, user.username),
+        assign: (id, assignee) => workOrderManager.assign(id, assignee, user.username),
+        setStatus: (id, status, note) => workOrderManager.setStatus(id, status, user.username, note),
+        toggleChecklistItem: (id, index) => workOrderManager.toggleChecklistItem(id, index, user.username),
+        addPart: (id, part) => workOrderManager.addPart(id, part, user.username),
+        removePart: (id, index) => workOrderManager.removePart(id, index, user.username),
+        addPhoto: (id, photo) => workOrderManager.addPhoto(id, photo, user.username),
+        removePhoto: (id, photoId) => workOrderManager.removePhoto(id, photoId, user.username)
+    };
+};
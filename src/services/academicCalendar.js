@@ -0,0 +1,11 @@
+// Academic calendar lookups (src/config/academicCalendar.js) by campus local date
+import { ACADEMIC_CALENDAR, EVENT_TYPES } from '../config/academicCalendar';
+import { localDate } from './aggregation';
+
+// The event in force on the local date of `date`, or null
+export const calendarEventOn = (date, calendar = ACADEMIC_CALENDAR) => {
+    const day = localDate(date);
+    return calendar
+        .filter(event => event.from <= day && day <= event.to)
+        .sort((a, b) => EVENT_TYPES.indexOf(a.type) - EVENT_TYPES.indexOf(b.type))[0] || null;
+};
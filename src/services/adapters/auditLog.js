@@ -0,0 +1,20 @@
+// Filtering shared by the adapters that keep the audit log client-side.
+// query: { from, to, action, target, outcome, user, search, limit }; results are newest first.
+export const queryAuditLog = (entries, { from, to, action, target, outcome, user, search, limit } = {}) => {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+    const needle = search?.trim().toLowerCase();
+
+    const matches = entries.filter(entry => {
+        const time = Date.parse(entry.timestamp);
+        if (time < fromTime || time > toTime) return false;
+        if (action && entry.action !== action) return false;
+        if (target && entry.target !== target) return false;
+        if (outcome && entry.outcome !== outcome) return false;
+        if (user && entry.user !== user) return false;
+        return !needle || JSON.stringify(entry).toLowerCase().includes(needle);
+    });
+
+    matches.sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    return limit ? matches.slice(0, limit) : matches;
+};
@@ -0,0 +1,283 @@
+// The shared contract every data-source adapter must fulfil.
+// apiService validates each response against it before handing data to the UI,
+// so a misbehaving backend or a stale recording fails loudly instead of rendering NaN.
+
+export class DataContractError extends Error {
+    constructor(method, problem) {
+        super(`${method}: ${problem}`);
+        this.name = 'DataContractError';
+        this.method = method;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const requireFields = (method, record, fields, label = 'response') => {
+    if (!isObject(record)) {
+        throw new DataContractError(method, `${label} must be an object`);
+    }
+    Object.entries(fields).forEach(([field, check]) => {
+        if (!check(record[field])) {
+            throw new DataContractError(method, `${label}.${field} is missing or invalid`);
+        }
+    });
+};
+
+const requireList = (method, list, fields) => {
+    if (!Array.isArray(list)) {
+        throw new DataContractError(method, 'response must be an array');
+    }
+    list.forEach((item, index) => requireFields(method, item, fields, `[${index}]`));
+};
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isOptionalNumber = (value) => value === undefined || value === null || isNumber(value);
+const isIsoTime = (value) => isString(value) && !Number.isNaN(Date.parse(value));
+
+const STATUS_FIELDS = {
+    timestamp: isString,
+    solar_generation: isNumber,
+    wind_generation: isNumber,
+    total_generation: isNumber,
+    campus_load: isNumber,
+    battery_soc: isNumber,
+    battery_power: isNumber,
+    // Not every source reports it; interlocks treat a missing reading as unknown
+    battery_temperature: isOptionalNumber,
+    grid_power: isNumber,
+    weather: isObject
+};
+
+const WEATHER_FIELDS = {
+    temperature: isNumber,
+    irradiance: isNumber,
+    wind_speed: isNumber,
+    cloud_cover: isNumber
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isOptionalStringList = (value) => value === undefined || isStringList(value);
+
+const ROLE_FIELDS = {
+    id: isString,
+    name: isString,
+    permissions: isStringList
+};
+
+const ASSIGNMENT_FIELDS = {
+    username: isString,
+    role: isString,
+    grant: isOptionalStringList,
+    revoke: isOptionalStringList
+};
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 24;
+const isScheduleWindows = (value) => Array.isArray(value) && value.every(w =>
+    isObject(w) && Number.isInteger(w.day) && w.day >= 0 && w.day <= 6 && isHour(w.start) && isHour(w.end) && w.start < w.end);
+
+const SCHEDULE_FIELDS = {
+    load_id: isString,
+    windows: isScheduleWindows
+};
+
+// Present when an authorised user overrode blocking safety interlocks
+const isOptionalOverride = (value) => value === undefined || value === null
+    || (isObject(value) && isString(value.reason) && isStringList(value.rules));
+
+const AUDIT_FIELDS = {
+    id: isString,
+    timestamp: isIsoTime,
+    user: isString,
+    action: isString,
+    outcome: (value) => ['success', 'failure', 'rejected'].includes(value),
+    override: isOptionalOverride,
+    attempts: isOptionalNumber
+};
+
+const isNumberList = (value) => Array.isArray(value) && value.every(isNumber);
+
+// An issued forecast as archived for accuracy tracking: hourly values from `start`
+const ARCHIVED_FORECAST_FIELDS = {
+    start: isIsoTime,
+    issued_at: isIsoTime,
+    provider: isString,
+    solar: isNumberList,
+    wind: isNumberList,
+    load: isNumberList
+};
+
+// What a user decided about a recommendation from the engine
+const RECOMMENDATION_OUTCOME_FIELDS = {
+    id: isString,
+    recommendation_id: isString,
+    rule: isString,
+    title: isString,
+    outcome: (value) => ['accepted', 'snoozed', 'dismissed', 'failed'].includes(value),
+    savings: isNumber,
+    user: isString,
+    timestamp: isIsoTime,
+    snoozed_until: (value) => value === undefined || isIsoTime(value)
+};
+
+// A saved alert rule (src/services/alerts/ruleTypes.js)
+const ALERT_RULE_FIELDS = {
+    id: isString,
+    type: isString,
+    operator: (value) => ['>', '>=', '<', '<='].includes(value),
+    threshold: isNumber,
+    duration: (value) => isNumber(value) && value >= 0,
+    hysteresis: (value) => isNumber(value) && value >= 0,
+    severity: (value) => ['info', 'warning', 'critical'].includes(value),
+    enabled: (value) => typeof value === 'boolean'
+};
+
+// A raised alert as tracked through its lifecycle (src/services/alerts/alertManager.js)
+const ALERT_RECORD_FIELDS = {
+    id: isString,
+    type: isString,
+    message: isString,
+    timestamp: isIsoTime,
+    state: (value) => ['new', 'acknowledged', 'assigned', 'resolved', 'closed'].includes(value),
+    assignee: (value) => value === null || isString(value),
+    notes: (value) => Array.isArray(value) && value.every(isObject),
+    history: (value) => Array.isArray(value) && value.every(item => isObject(item) && isString(item.action) && isIsoTime(item.at)),
+    // Set while the alert is held back by a maintenance window or for flapping
+    suppressed: (value) => value === undefined || value === null
+        || (isObject(value) && ['maintenance', 'flapping'].includes(value.reason) && isIsoTime(value.at))
+};
+
+// A planned service period for a campus asset (src/config/campusAssets.js), during which
+// alerts it sets off are suppressed
+const MAINTENANCE_WINDOW_FIELDS = {
+    id: isString,
+    asset_id: isString,
+    start: isIsoTime,
+    end: isIsoTime,
+    reason: (value) => typeof value === 'string',
+    created_by: isString
+};
+
+// A work order photo, stored apart from the order (src/services/maintenance/photos.js)
+const PHOTO_FIELDS = {
+    id: isString,
+    name: isString,
+    data_url: (value) => isString(value) && value.startsWith('data:image/')
+};
+
+// A maintenance work order (src/services/maintenance/workOrderManager.js)
+const WORK_ORDER_FIELDS = {
+    id: isString,
+    title: isString,
+    asset_id: isString,
+    alert_id: (value) => value === null || isString(value),
+    assignee: (value) => value === null || isString(value),
+    status: (value) => ['open', 'in_progress', 'on_hold', 'completed', 'cancelled'].includes(value),
+    checklist: (value) => Array.isArray(value) && value.every(item => isObject(item) && isString(item.text) && typeof item.done === 'boolean'),
+    parts: (value) => Array.isArray(value) && value.every(part => isObject(part) && isString(part.name) && isNumber(part.quantity) && part.quantity > 0),
+    // References to photos in the data source's photo storage (getPhoto)
+    photos: (value) => Array.isArray(value) && value.every(photo => isObject(photo) && isString(photo.id) && isString(photo.name)),
+    created_by: isString,
+    created_at: isIsoTime,
+    history: (value) => Array.isArray(value) && value.every(item => isObject(item) && isString(item.action) && isIsoTime(item.at))
+};
+
+const isSeverityList = (value) => Array.isArray(value) && value.every(item => ['info', 'warning', 'critical'].includes(item));
+const isQuietHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+// How one user wants to hear about alerts (src/services/notifications/notificationDispatcher.js):
+// the severities sent on each channel, and quiet hours that hold back all but critical alerts
+const NOTIFICATION_PREFERENCE_FIELDS = {
+    username: isString,
+    role: isString,
+    email: (value) => typeof value === 'string',
+    webhook_url: (value) => typeof value === 'string',
+    channels: (value) => isObject(value) && ['email', 'webhook', 'browser'].every(channel => isSeverityList(value[channel])),
+    quiet_hours: (value) => isObject(value) && typeof value.enabled === 'boolean'
+        && isQuietHour(value.start) && isQuietHour(value.end) && typeof value.allow_critical === 'boolean'
+};
+
+// One validator per contract method. Adding a method to the contract means adding it here.
+const VALIDATORS = {
+    getCurrentStatus: (data) => {
+        requireFields('getCurrentStatus', data, STATUS_FIELDS);
+        requireFields('getCurrentStatus', data.weather, WEATHER_FIELDS, 'weather');
+    },
+    getHistoricalData: (data) => requireList('getHistoricalData', data, {
+        time: isIsoTime,
+        solar: isOptionalNumber,
+        wind: isOptionalNumber,
+        load: isOptionalNumber,
+        battery: isOptionalNumber
+    }),
+    getAlerts: (data) => requireList('getAlerts', data, {
+        type: isString,
+        message: isString,
+        timestamp: isString
+    }),
+    getAlertRules: (data) => requireList('getAlertRules', data, ALERT_RULE_FIELDS),
+    saveAlertRules: (data) => requireList('saveAlertRules', data, ALERT_RULE_FIELDS),
+    getAlertRecords: (data) => requireList('getAlertRecords', data, ALERT_RECORD_FIELDS),
+    saveAlertRecord: (data) => requireFields('saveAlertRecord', data, ALERT_RECORD_FIELDS),
+    getMaintenanceWindows: (data) => requireList('getMaintenanceWindows', data, MAINTENANCE_WINDOW_FIELDS),
+    saveMaintenanceWindow: (data) => requireFields('saveMaintenanceWindow', data, MAINTENANCE_WINDOW_FIELDS),
+    deleteMaintenanceWindow: (data) => requireFields('deleteMaintenanceWindow', data, {
+        success: (value) => typeof value === 'boolean'
+    }),
+    getWorkOrders: (data) => requireList('getWorkOrders', data, WORK_ORDER_FIELDS),
+    saveWorkOrder: (data) => requireFields('saveWorkOrder', data, WORK_ORDER_FIELDS),
+    getPhoto: (data) => requireFields('getPhoto', data, PHOTO_FIELDS),
+    savePhoto: (data) => requireFields('savePhoto', data, PHOTO_FIELDS),
+    deletePhoto: (data) => requireFields('deletePhoto', data, {
+        success: (value) => typeof value === 'boolean'
+    }),
+    getNotificationPreferences: (data) => requireList('getNotificationPreferences', data, NOTIFICATION_PREFERENCE_FIELDS),
+    saveNotificationPreferences: (data) => requireFields('saveNotificationPreferences', data, NOTIFICATION_PREFERENCE_FIELDS),
+    // Whether this caller is the first to claim sending the notification `key`
+    claimNotification: (data) => requireFields('claimNotification', data, {
+        key: isString,
+        claimed: (value) => typeof value === 'boolean'
+    }),
+    // The settings in force, or null while the battery runs on its default self-consumption
+    getBatterySettings: (data) => data === null || requireFields('getBatterySettings', data, {
+        strategy: isString,
+        target_soc: isNumber
+    }),
+    updateBatterySettings: (data) => requireFields('updateBatterySettings', data, {
+        success: (value) => typeof value === 'boolean'
+    }),
+    getRoles: (data) => requireList('getRoles', data, ROLE_FIELDS),
+    saveRole: (data) => requireFields('saveRole', data, ROLE_FIELDS),
+    deleteRole: (data) => requireFields('deleteRole', data, {
+        success: (value) => typeof value === 'boolean'
+    }),
+    getUserAssignments: (data) => requireList('getUserAssignments', data, ASSIGNMENT_FIELDS),
+    saveUserAssignment: (data) => requireFields('saveUserAssignment', data, ASSIGNMENT_FIELDS),
+    getLoadSchedules: (data) => requireList('getLoadSchedules', data, SCHEDULE_FIELDS),
+    updateLoadSchedule: (data) => requireFields('updateLoadSchedule', data, SCHEDULE_FIELDS),
+    getAuditLog: (data) => requireList('getAuditLog', data, AUDIT_FIELDS),
+    recordAuditEntry: (data) => requireFields('recordAuditEntry', data, AUDIT_FIELDS),
+    getForecastArchive: (data) => requireList('getForecastArchive', data, ARCHIVED_FORECAST_FIELDS),
+    recordForecast: (data) => requireFields('recordForecast', data, ARCHIVED_FORECAST_FIELDS),
+    getRecommendationOutcomes: (data) => requireList('getRecommendationOutcomes', data, RECOMMENDATION_OUTCOME_FIELDS),
+    recordRecommendationOutcome: (data) => requireFields('recordRecommendationOutcome', data, RECOMMENDATION_OUTCOME_FIELDS)
+};
+
+export const CONTRACT_METHODS = Object.keys(VALIDATORS);
+
+export const validateResponse = (method, data) => {
+    const validate = VALIDATORS[method];
+    if (!validate) {
+        throw new DataContractError(method, 'is not part of the data-source contract');
+    }
+    validate(data);
+    return data;
+};
+
+// Checked once when an adapter is selected so a half-implemented adapter is caught at startup.
+export const assertImplementsContract = (name, adapter) => {
+    const missing = CONTRACT_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Data adapter "${name}" does not implement: ${missing.join(', ')}`);
+    }
+};
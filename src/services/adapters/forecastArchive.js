@@ -0,0 +1,15 @@
+// Forecast archive handling shared by the adapters that keep it client-side.
+// Archived forecasts are keyed by their start hour; a forecast re-issued in the same hour
+// (e.g. after a reload) replaces the earlier one.
+export const archiveForecast = (forecasts, forecast) => [...forecasts.filter(f => f.start !== forecast.start), forecast]
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+// query: { from, to } on the forecast start; results are oldest first
+export const queryForecastArchive = (forecasts, { from, to } = {}) => {
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? Date.parse(to) : Infinity;
+    return forecasts.filter(forecast => {
+        const start = Date.parse(forecast.start);
+        return start >= fromTime && start <= toTime;
+    });
+};
@@ -0,0 +1,124 @@
+import authService from '../auth/authService';
+import { CommandRejectedError } from '../errors';
+
+// Statuses meaning the backend understood the request but refused to carry it out
+const REJECTED_STATUSES = [403, 409, 422];
+
+// Talks to the campus energy backend over plain REST/JSON, sending the signed-in
+// user's access token when there is one.
+class HttpAdapter {
+  constructor({ baseUrl, timeout }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      const token = await authService.getAccessToken();
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        ...options,
+        headers: {
+          Accept: 'application/json',
+          ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...options.headers
+        },
+        signal: controller.signal
+      });
+      if (REJECTED_STATUSES.includes(response.status)) {
+        const body = await response.json().catch(() => ({}));
+        throw new CommandRejectedError(body.message || `Request to ${path} was rejected with status ${response.status}`);
+      }
+      if (!response.ok) {
+        throw new Error(`Request to ${path} failed with status ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request to ${path} timed out after ${this.timeout} ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  getCurrentStatus() { return this.request('/status'); }
+  // Aggregation happens server-side
+  getHistoricalData({ from, to, resolution, metrics, aggregate }) {
+    const params = new URLSearchParams({ from, to, resolution, metrics: metrics.join(','), aggregate });
+    return this.request(`/historical?${params}`);
+  }
+  getAlerts() { return this.request('/alerts'); }
+  getAlertRules() { return this.request('/alerts/rules'); }
+  saveAlertRules(rules) { return this.request('/alerts/rules', { method: 'PUT', body: JSON.stringify(rules) }); }
+  getAlertRecords() { return this.request('/alerts/records'); }
+  saveAlertRecord(record) {
+    return this.request(`/alerts/records/${encodeURIComponent(record.id)}`, { method: 'PUT', body: JSON.stringify(record) });
+  }
+  getMaintenanceWindows() { return this.request('/maintenance/windows'); }
+  saveMaintenanceWindow(window) {
+    return this.request(`/maintenance/windows/${encodeURIComponent(window.id)}`, { method: 'PUT', body: JSON.stringify(window) });
+  }
+  deleteMaintenanceWindow(id) { return this.request(`/maintenance/windows/${encodeURIComponent(id)}`, { method: 'DELETE' }); }
+  getWorkOrders() { return this.request('/work-orders'); }
+  saveWorkOrder(order) {
+    return this.request(`/work-orders/${encodeURIComponent(order.id)}`, { method: 'PUT', body: JSON.stringify(order) });
+  }
+  getPhoto(id) { return this.request(`/work-orders/photos/${encodeURIComponent(id)}`); }
+  savePhoto(photo) {
+    return this.request(`/work-orders/photos/${encodeURIComponent(photo.id)}`, { method: 'PUT', body: JSON.stringify(photo) });
+  }
+  deletePhoto(id) { return this.request(`/work-orders/photos/${encodeURIComponent(id)}`, { method: 'DELETE' }); }
+  getNotificationPreferences() { return this.request('/notifications/preferences'); }
+  saveNotificationPreferences(preferences) {
+    return this.request(`/notifications/preferences/${encodeURIComponent(preferences.username)}`, {
+      method: 'PUT',
+      body: JSON.stringify(preferences)
+    });
+  }
+  claimNotification(claim) {
+    return this.request('/notifications/claims', { method: 'POST', body: JSON.stringify(claim) });
+  }
+  getBatterySettings() { return this.request('/battery/settings'); }
+  updateBatterySettings(settings) {
+    return this.request('/battery/settings', { method: 'POST', body: JSON.stringify(settings) });
+  }
+
+  getLoadSchedules() { return this.request('/loads/schedules'); }
+  updateLoadSchedule(schedule) {
+    return this.request(`/loads/${encodeURIComponent(schedule.load_id)}/schedule`, { method: 'PUT', body: JSON.stringify(schedule) });
+  }
+
+  getRoles() { return this.request('/roles'); }
+  saveRole(role) {
+    return this.request(`/roles/${encodeURIComponent(role.id)}`, { method: 'PUT', body: JSON.stringify(role) });
+  }
+  deleteRole(id) { return this.request(`/roles/${encodeURIComponent(id)}`, { method: 'DELETE' }); }
+  getUserAssignments() { return this.request('/users/assignments'); }
+  saveUserAssignment(assignment) {
+    return this.request(`/users/assignments/${encodeURIComponent(assignment.username)}`, { method: 'PUT', body: JSON.stringify(assignment) });
+  }
+
+  // Filtering and search happen server-side
+  getAuditLog(query = {}) {
+    const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== ''));
+    return this.request(`/audit?${params}`);
+  }
+  recordAuditEntry(entry) { return this.request('/audit', { method: 'POST', body: JSON.stringify(entry) }); }
+
+  getForecastArchive(query = {}) {
+    const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== ''));
+    return this.request(`/forecasts?${params}`);
+  }
+  recordForecast(forecast) { return this.request('/forecasts', { method: 'POST', body: JSON.stringify(forecast) }); }
+
+  getRecommendationOutcomes() { return this.request('/recommendations/outcomes'); }
+  recordRecommendationOutcome(outcome) {
+    return this.request('/recommendations/outcomes', { method: 'POST', body: JSON.stringify(outcome) });
+  }
+}
+
+export default HttpAdapter;
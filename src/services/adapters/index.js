@@ -0,0 +1,24 @@
+import MockAdapter from './mockAdapter';
+import HttpAdapter from './httpAdapter';
+import RecordedAdapter from './recordedAdapter';
+import { assertImplementsContract } from './contract';
+
+// Available data sources, selected by CONFIG.DATA_SOURCE.ADAPTER
+const ADAPTERS = {
+  mock: () => new MockAdapter(),
+  http: (options) => new HttpAdapter({ baseUrl: options.API_BASE_URL, timeout: options.REQUEST_TIMEOUT }),
+  recorded: (options) => new RecordedAdapter({ url: options.RECORDING_URL })
+};
+
+// This runs when apiService is imported, before anything can render, so a misconfigured
+// adapter name falls back to the mock data rather than leaving a blank page
+export const createAdapter = (options) => {
+  let name = options.ADAPTER;
+  if (!ADAPTERS[name]) {
+    console.error(`Unknown data adapter "${name}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}. Falling back to "mock".`);
+    name = 'mock';
+  }
+  const adapter = ADAPTERS[name](options);
+  assertImplementsContract(name, adapter);
+  return adapter;
+};
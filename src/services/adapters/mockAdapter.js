@@ -0,0 +1,169 @@
+import { MOCK_DATA } from '../mockData';
+import CampusSimulator from '../simulation/campusSimulator';
+import batteryController from '../simulation/batteryController';
+import loadController from '../simulation/loadController';
+import { CONFIG } from '../config';
+import { RESOLUTION_MS, bucketStart, frameToSample, aggregateSamples } from '../aggregation';
+import { readCollection, writeCollection, upsert } from './mockStore';
+import mockPhotoStore from './mockPhotoStore';
+import { DEFAULT_ROLES } from '../../config/roles';
+import { DEFAULT_ALERT_RULES } from '../../config/alertRules';
+import { queryAuditLog } from './auditLog';
+import { queryForecastArchive, archiveForecast } from './forecastArchive';
+import { DEFAULT_SCHEDULES } from '../loadScheduling';
+
+// Demo users start on the role their login reports, so no assignments are needed up front
+const DEFAULT_ASSIGNMENTS = [];
+
+const fakeFetch = (data, delay = 250) =>
+  new Promise(resolve => setTimeout(() => resolve(JSON.parse(JSON.stringify(data))), delay));
+
+const MINUTE = 60000;
+const DAY = RESOLUTION_MS['1d'];
+// Simulation step used to synthesise history at each requested resolution
+const HISTORY_STEP_MINUTES = { '1m': 1, '15m': 15, '1h': 15, '1d': 60 };
+const MAX_CACHED_DAYS = 800;
+// Oldest audit entries are dropped beyond this so localStorage does not fill up
+const MAX_AUDIT_ENTRIES = 5000;
+// Two weeks of hourly forecasts
+const MAX_ARCHIVED_FORECASTS = 336;
+const MAX_RECOMMENDATION_OUTCOMES = 500;
+const MAX_ALERT_RECORDS = 1000;
+const MAX_NOTIFICATION_CLAIMS = 1000;
+
+// Each campus day is simulated on its own, seeded by its date, so any query
+// for the same day returns the same history regardless of the requested range.
+const daySeed = (dayStart) => CONFIG.SIMULATION.seed + Math.round(dayStart / DAY);
+
+// Serves simulated campus data with a small artificial latency. Live status and history
+// come from the seeded campus simulator; the rest is the bundled MOCK_DATA.
+class MockAdapter {
+  constructor() {
+    this.simulator = null;
+    this.dayCache = new Map();
+    loadController.apply(readCollection('schedules', DEFAULT_SCHEDULES));
+  }
+
+  // Run today's simulation from local midnight so SOC and weather have a realistic state by "now"
+  warmUp() {
+    if (this.simulator) return;
+    const now = Date.now();
+    const midnight = bucketStart(now, DAY);
+    this.simulator = new CampusSimulator({ seed: daySeed(midnight) });
+    for (let t = midnight; t < now; t += 15 * MINUTE) {
+      this.simulator.step(new Date(t));
+    }
+  }
+
+  daySamples(dayStart, stepMinutes) {
+    const key = `${dayStart}:${stepMinutes}`;
+    if (!this.dayCache.has(key)) {
+      if (this.dayCache.size >= MAX_CACHED_DAYS) {
+        this.dayCache.delete(this.dayCache.keys().next().value);
+      }
+      const simulator = new CampusSimulator({ seed: daySeed(dayStart) });
+      const samples = [];
+      for (let t = dayStart; t < dayStart + DAY; t += stepMinutes * MINUTE) {
+        samples.push(frameToSample(simulator.step(new Date(t))));
+      }
+      this.dayCache.set(key, samples);
+    }
+    return this.dayCache.get(key);
+  }
+
+  getCurrentStatus() {
+    this.warmUp();
+    return fakeFetch(this.simulator.step(new Date()));
+  }
+
+  getHistoricalData(query) {
+    const from = new Date(query.from).getTime();
+    // History never extends into the future
+    const to = Math.min(new Date(query.to).getTime(), Date.now());
+    const stepMinutes = HISTORY_STEP_MINUTES[query.resolution];
+
+    const samples = [];
+    for (let day = bucketStart(from, DAY); day <= to; day += DAY) {
+      samples.push(...this.daySamples(day, stepMinutes));
+    }
+    return fakeFetch(aggregateSamples(samples, { ...query, to }));
+  }
+
+  getAlerts() { return fakeFetch(MOCK_DATA.alerts); }
+  getAlertRules() { return fakeFetch(readCollection('alert-rules', DEFAULT_ALERT_RULES)); }
+  saveAlertRules(rules) { return fakeFetch(writeCollection('alert-rules', rules)); }
+  getAlertRecords() { return fakeFetch(readCollection('alert-records', [])); }
+  saveAlertRecord(record) {
+    upsert('alert-records', [], record);
+    writeCollection('alert-records', readCollection('alert-records', []).slice(-MAX_ALERT_RECORDS));
+    return fakeFetch(record);
+  }
+  getMaintenanceWindows() { return fakeFetch(readCollection('maintenance-windows', [])); }
+  saveMaintenanceWindow(window) { return fakeFetch(upsert('maintenance-windows', [], window)); }
+  deleteMaintenanceWindow(id) {
+    writeCollection('maintenance-windows', readCollection('maintenance-windows', []).filter(window => window.id !== id));
+    return fakeFetch({ success: true });
+  }
+  getWorkOrders() { return fakeFetch(readCollection('work-orders', [])); }
+  saveWorkOrder(order) { return fakeFetch(upsert('work-orders', [], order)); }
+  async getPhoto(id) { return fakeFetch(await mockPhotoStore.get(id)); }
+  async savePhoto(photo) { return fakeFetch(await mockPhotoStore.save(photo)); }
+  async deletePhoto(id) {
+    await mockPhotoStore.delete(id);
+    return fakeFetch({ success: true });
+  }
+  getNotificationPreferences() { return fakeFetch(readCollection('notification-preferences', [])); }
+  saveNotificationPreferences(preferences) {
+    return fakeFetch(upsert('notification-preferences', [], preferences, 'username'));
+  }
+  // Claims are written before the simulated latency, so tabs sharing this storage see them at once
+  claimNotification(claim) {
+    const claims = readCollection('notification-claims', []);
+    const claimed = !claims.some(c => c.key === claim.key);
+    if (claimed) writeCollection('notification-claims', [...claims, claim].slice(-MAX_NOTIFICATION_CLAIMS));
+    return fakeFetch({ key: claim.key, claimed });
+  }
+  getBatterySettings() { return fakeFetch(batteryController.settings); }
+  updateBatterySettings(settings) {
+    console.log('API: Updating battery settings', settings);
+    batteryController.apply(settings);
+    return fakeFetch({ success: true, settings });
+  }
+
+  getLoadSchedules() { return fakeFetch(readCollection('schedules', DEFAULT_SCHEDULES)); }
+  updateLoadSchedule(schedule) {
+    upsert('schedules', DEFAULT_SCHEDULES, schedule, 'load_id');
+    loadController.apply(readCollection('schedules', DEFAULT_SCHEDULES));
+    return fakeFetch(schedule);
+  }
+
+  getRoles() { return fakeFetch(readCollection('roles', DEFAULT_ROLES)); }
+  saveRole(role) { return fakeFetch(upsert('roles', DEFAULT_ROLES, role)); }
+  deleteRole(id) {
+    const roles = readCollection('roles', DEFAULT_ROLES);
+    writeCollection('roles', roles.filter(role => role.id !== id));
+    return fakeFetch({ success: true });
+  }
+  getUserAssignments() { return fakeFetch(readCollection('assignments', DEFAULT_ASSIGNMENTS)); }
+  saveUserAssignment(assignment) { return fakeFetch(upsert('assignments', DEFAULT_ASSIGNMENTS, assignment, 'username')); }
+
+  getAuditLog(query) { return fakeFetch(queryAuditLog(readCollection('audit', []), query)); }
+  recordAuditEntry(entry) {
+    writeCollection('audit', [...readCollection('audit', []), entry].slice(-MAX_AUDIT_ENTRIES));
+    return fakeFetch(entry);
+  }
+
+  getForecastArchive(query) { return fakeFetch(queryForecastArchive(readCollection('forecasts', []), query)); }
+  recordForecast(forecast) {
+    writeCollection('forecasts', archiveForecast(readCollection('forecasts', []), forecast).slice(-MAX_ARCHIVED_FORECASTS));
+    return fakeFetch(forecast);
+  }
+
+  getRecommendationOutcomes() { return fakeFetch(readCollection('recommendation-outcomes', [])); }
+  recordRecommendationOutcome(outcome) {
+    writeCollection('recommendation-outcomes', [outcome, ...readCollection('recommendation-outcomes', [])].slice(0, MAX_RECOMMENDATION_OUTCOMES));
+    return fakeFetch(outcome);
+  }
+}
+
+export default MockAdapter;
@@ -0,0 +1,58 @@
+// IndexedDB-backed photo storage for the mock adapter. Photos are too large for localStorage,
+// whose few megabytes a handful of them would fill, so work orders keep only a reference and
+// the image lives here. Together the photos may take up to CONFIG.WORK_ORDERS.PHOTO_STORAGE_BUDGET.
+import { CONFIG } from '../config';
+import openBackend from '../storage/openBackend';
+
+const DB_NAME = 'vidyut-mock-photos';
+
+const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+class MockPhotoStore {
+    constructor(options = CONFIG.WORK_ORDERS) {
+        this.budget = options.PHOTO_STORAGE_BUDGET;
+        this.backend = null;
+        // Saves are serialised so two photos added at once cannot both squeeze under the budget
+        this.queue = Promise.resolve();
+    }
+
+    // Opened on first use, so sessions that never touch a photo never open the database.
+    // 'sizes' holds { id, bytes } so the budget is checked without reading every image.
+    open() {
+        if (!this.backend) this.backend = openBackend(DB_NAME, ['photos', 'sizes'], { keyPath: 'id', contents: 'work order photos' });
+        return this.backend;
+    }
+
+    save(photo) {
+        const saved = this.queue.then(async () => {
+            const backend = await this.open();
+            const used = (await backend.all('sizes'))
+                .filter(size => size.id !== photo.id)
+                .reduce((total, size) => total + size.bytes, 0);
+            const bytes = photo.data_url.length;
+            if (used + bytes > this.budget) {
+                throw new Error(`Not enough photo storage for ${photo.name}: ${megabytes(used)} of ${megabytes(this.budget)} MB in use. Remove photos from finished work orders to make room.`);
+            }
+            await backend.put('photos', photo);
+            await backend.put('sizes', { id: photo.id, bytes });
+            return photo;
+        });
+        this.queue = saved.catch(() => {});
+        return saved;
+    }
+
+    async get(id) {
+        const photo = await (await this.open()).get('photos', id);
+        if (!photo) throw new Error(`Photo ${id} is not stored in this browser`);
+        return photo;
+    }
+
+    async delete(id) {
+        const backend = await this.open();
+        await backend.delete('photos', id);
+        await backend.delete('sizes', id);
+    }
+}
+
+const mockPhotoStore = new MockPhotoStore();
+export default mockPhotoStore;
@@ -0,0 +1,26 @@
+// localStorage-backed collections that let the mock adapter behave like a backend
+// that remembers writes across reloads. Each collection is seeded from its defaults.
+const PREFIX = 'vidyut-mock-';
+
+export const readCollection = (name, defaults) => {
+    try {
+        const stored = localStorage.getItem(PREFIX + name);
+        return stored ? JSON.parse(stored) : JSON.parse(JSON.stringify(defaults));
+    } catch {
+        return JSON.parse(JSON.stringify(defaults));
+    }
+};
+
+export const writeCollection = (name, items) => {
+    localStorage.setItem(PREFIX + name, JSON.stringify(items));
+    return items;
+};
+
+// Insert or replace the item whose `key` field matches
+export const upsert = (name, defaults, item, key = 'id') => {
+    const items = readCollection(name, defaults);
+    const index = items.findIndex(existing => existing[key] === item[key]);
+    if (index >= 0) items[index] = item; else items.push(item);
+    writeCollection(name, items);
+    return item;
+};
@@ -0,0 +1,160 @@
+import { aggregateSamples } from '../aggregation';
+import { DEFAULT_ROLES } from '../../config/roles';
+import { DEFAULT_ALERT_RULES } from '../../config/alertRules';
+import { CommandRejectedError } from '../errors';
+import { queryAuditLog } from './auditLog';
+import { queryForecastArchive, archiveForecast } from './forecastArchive';
+import { DEFAULT_SCHEDULES } from '../loadScheduling';
+
+const READ_ONLY = 'Changes are not available while replaying a recording.';
+const CONTROL_UNAVAILABLE = 'Control commands are not available while replaying a recording.';
+
+// Replays a recorded session from a JSON file, e.g. public/recordings/campus-day.json.
+// Each getCurrentStatus() call returns the next status frame stamped with the current
+// time, looping at the end, so the dashboard can be demoed or debugged against real
+// captured data. Recorded history is shifted so that `recorded_at` lines up with "now".
+class RecordedAdapter {
+  constructor({ url }) {
+    this.url = url;
+    this.recording = null;
+    this.frameIndex = 0;
+    // Attempts to control a replay are still audited, for the lifetime of the page,
+    // and forecasts issued, recommendation outcomes, alert rules, alert records, maintenance
+    // windows, work orders and their photos, notification preferences and notification claims kept
+    this.auditLog = [];
+    this.forecasts = [];
+    this.recommendationOutcomes = [];
+    this.alertRules = JSON.parse(JSON.stringify(DEFAULT_ALERT_RULES));
+    this.alertRecords = [];
+    this.maintenanceWindows = [];
+    this.workOrders = [];
+    this.photos = new Map();
+    this.notificationPreferences = [];
+    this.notificationClaims = new Set();
+  }
+
+  async load() {
+    if (!this.recording) {
+      this.recording = fetch(this.url).then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not load recording ${this.url} (status ${response.status})`);
+        }
+        return response.json();
+      });
+      // Let a failed load be retried on the next call
+      this.recording.catch(() => { this.recording = null; });
+    }
+    return this.recording;
+  }
+
+  async section(key) {
+    const recording = await this.load();
+    if (!(key in recording)) {
+      throw new Error(`Recording ${this.url} has no "${key}" section`);
+    }
+    return JSON.parse(JSON.stringify(recording[key]));
+  }
+
+  async getCurrentStatus() {
+    const frames = await this.section('status_frames');
+    if (frames.length === 0) {
+      throw new Error(`Recording ${this.url} contains no status frames`);
+    }
+    const frame = frames[this.frameIndex % frames.length];
+    this.frameIndex += 1;
+    return { ...frame, timestamp: new Date().toISOString() };
+  }
+
+  async getHistoricalData(query) {
+    const recording = await this.load();
+    const history = await this.section('historical_data');
+    const shift = Date.now() - new Date(recording.recorded_at).getTime();
+    const samples = history.map(({ time, ...values }) => ({ t: new Date(time).getTime() + shift, ...values }));
+    return aggregateSamples(samples, query);
+  }
+
+  getAlerts() { return this.section('alerts'); }
+  async getAlertRules() { return JSON.parse(JSON.stringify(this.alertRules)); }
+  async saveAlertRules(rules) {
+    this.alertRules = JSON.parse(JSON.stringify(rules));
+    return rules;
+  }
+  async getAlertRecords() { return JSON.parse(JSON.stringify(this.alertRecords)); }
+  async saveAlertRecord(record) {
+    this.alertRecords = [...this.alertRecords.filter(r => r.id !== record.id), JSON.parse(JSON.stringify(record))];
+    return record;
+  }
+  async getMaintenanceWindows() { return JSON.parse(JSON.stringify(this.maintenanceWindows)); }
+  async saveMaintenanceWindow(window) {
+    this.maintenanceWindows = [...this.maintenanceWindows.filter(w => w.id !== window.id), JSON.parse(JSON.stringify(window))];
+    return window;
+  }
+  async deleteMaintenanceWindow(id) {
+    this.maintenanceWindows = this.maintenanceWindows.filter(w => w.id !== id);
+    return { success: true };
+  }
+  async getWorkOrders() { return JSON.parse(JSON.stringify(this.workOrders)); }
+  async saveWorkOrder(order) {
+    this.workOrders = [...this.workOrders.filter(o => o.id !== order.id), JSON.parse(JSON.stringify(order))];
+    return order;
+  }
+  async getPhoto(id) {
+    if (!this.photos.has(id)) throw new Error(`Photo ${id} not found`);
+    return { ...this.photos.get(id) };
+  }
+  async savePhoto(photo) {
+    this.photos.set(photo.id, { ...photo });
+    return photo;
+  }
+  async deletePhoto(id) { return { success: this.photos.delete(id) }; }
+  async getNotificationPreferences() { return JSON.parse(JSON.stringify(this.notificationPreferences)); }
+  async saveNotificationPreferences(preferences) {
+    this.notificationPreferences = [
+      ...this.notificationPreferences.filter(p => p.username !== preferences.username),
+      JSON.parse(JSON.stringify(preferences))
+    ];
+    return preferences;
+  }
+  async claimNotification(claim) {
+    const claimed = !this.notificationClaims.has(claim.key);
+    this.notificationClaims.add(claim.key);
+    return { key: claim.key, claimed };
+  }
+  // A recording carries no control state
+  async getBatterySettings() { return null; }
+  updateBatterySettings() {
+    return Promise.reject(new CommandRejectedError(CONTROL_UNAVAILABLE));
+  }
+
+  async getLoadSchedules() { return JSON.parse(JSON.stringify(DEFAULT_SCHEDULES)); }
+  updateLoadSchedule() {
+    return Promise.reject(new CommandRejectedError(CONTROL_UNAVAILABLE));
+  }
+
+  // Access control is not part of a recording; replay with the default roles, read-only
+  async getRoles() { return JSON.parse(JSON.stringify(DEFAULT_ROLES)); }
+  saveRole() { return Promise.reject(new Error(READ_ONLY)); }
+  deleteRole() { return Promise.reject(new Error(READ_ONLY)); }
+  async getUserAssignments() { return []; }
+  saveUserAssignment() { return Promise.reject(new Error(READ_ONLY)); }
+
+  async getAuditLog(query) { return JSON.parse(JSON.stringify(queryAuditLog(this.auditLog, query))); }
+  async recordAuditEntry(entry) {
+    this.auditLog.push(entry);
+    return entry;
+  }
+
+  async getForecastArchive(query) { return JSON.parse(JSON.stringify(queryForecastArchive(this.forecasts, query))); }
+  async recordForecast(forecast) {
+    this.forecasts = archiveForecast(this.forecasts, forecast);
+    return forecast;
+  }
+
+  async getRecommendationOutcomes() { return JSON.parse(JSON.stringify(this.recommendationOutcomes)); }
+  async recordRecommendationOutcome(outcome) {
+    this.recommendationOutcomes.unshift(outcome);
+    return outcome;
+  }
+}
+
+export default RecordedAdapter;
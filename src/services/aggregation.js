@@ -0,0 +1,109 @@
+// Time bucketing and aggregation shared by the data adapters and the local time-series store.
+// Buckets are aligned to campus local time, so hourly and daily buckets match the wall clock.
+import { CONFIG } from './config';
+
+const MINUTE = 60000;
+
+export const RESOLUTION_MS = {
+    '1m': MINUTE,
+    '15m': 15 * MINUTE,
+    '1h': 60 * MINUTE,
+    '1d': 24 * 60 * MINUTE
+};
+
+export const AGGREGATES = ['avg', 'min', 'max', 'sum'];
+
+// Metrics derived from a status frame, keyed by the names charts already use
+const FRAME_METRICS = {
+    solar: (f) => f.solar_generation,
+    wind: (f) => f.wind_generation,
+    load: (f) => f.campus_load,
+    battery: (f) => f.battery_soc,
+    battery_power: (f) => f.battery_power,
+    grid: (f) => f.grid_power,
+    temperature: (f) => f.weather?.temperature,
+    irradiance: (f) => f.weather?.irradiance,
+    wind_speed: (f) => f.weather?.wind_speed,
+    cloud_cover: (f) => f.weather?.cloud_cover
+};
+export const METRICS = Object.keys(FRAME_METRICS);
+
+// Flatten a status frame into a { t, <metric>: number } sample
+export const frameToSample = (frame) => {
+    const sample = { t: new Date(frame.timestamp).getTime() };
+    Object.entries(FRAME_METRICS).forEach(([metric, read]) => {
+        const value = read(frame);
+        if (typeof value === 'number' && Number.isFinite(value)) sample[metric] = value;
+    });
+    return sample;
+};
+
+const offsetFormatter = new Intl.DateTimeFormat('en-US', { timeZone: CONFIG.TIMEZONE, timeZoneName: 'longOffset' });
+
+// Campus UTC offset in ms at time `t`
+export const timezoneOffset = (t) => {
+    const name = offsetFormatter.formatToParts(new Date(t)).find(p => p.type === 'timeZoneName').value;
+    const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return 0;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return (match[1] === '-' ? -minutes : minutes) * MINUTE;
+};
+
+const localDateFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: CONFIG.TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+});
+
+// Campus local calendar date as 'YYYY-MM-DD'
+export const localDate = (date) => localDateFormatter.format(new Date(date));
+
+// Campus local calendar month as 'YYYY-MM'
+export const localMonth = (date) => localDate(date).slice(0, 7);
+
+export const bucketStart = (t, size) => {
+    const offset = timezoneOffset(t);
+    return Math.floor((t + offset) / size) * size - offset;
+};
+
+// Finest resolution that keeps a range under maxPoints
+export const pickResolution = (from, to, maxPoints = 200) => {
+    const span = new Date(to).getTime() - new Date(from).getTime();
+    const fit = Object.entries(RESOLUTION_MS).find(([, size]) => span / size <= maxPoints);
+    return fit ? fit[0] : '1d';
+};
+
+const reduce = (values, aggregate) => {
+    if (values.length === 0) return null;
+    switch (aggregate) {
+        case 'min': return Math.min(...values);
+        case 'max': return Math.max(...values);
+        case 'sum': return values.reduce((a, b) => a + b, 0);
+        default: return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+};
+
+// Groups samples ({ t, <metric>: number }) into resolution buckets within [from, to]
+// and returns [{ time: ISO bucket start, <metric>: aggregated value }] in time order.
+export const aggregateSamples = (samples, { from, to, resolution, metrics, aggregate }) => {
+    const size = RESOLUTION_MS[resolution];
+    const fromMs = new Date(from).getTime();
+    const toMs = new Date(to).getTime();
+    const buckets = new Map();
+
+    samples.forEach(sample => {
+        if (sample.t < fromMs || sample.t > toMs) return;
+        const start = bucketStart(sample.t, size);
+        if (!buckets.has(start)) buckets.set(start, Object.fromEntries(metrics.map(m => [m, []])));
+        const bucket = buckets.get(start);
+        metrics.forEach(metric => {
+            const value = sample[metric];
+            if (typeof value === 'number' && Number.isFinite(value)) bucket[metric].push(value);
+        });
+    });
+
+    return [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, bucket]) => ({
+            time: new Date(start).toISOString(),
+            ...Object.fromEntries(metrics.map(metric => [metric, reduce(bucket[metric], aggregate)]))
+        }));
+};
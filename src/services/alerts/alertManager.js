@@ -0,0 +1,338 @@
+// Turns raised alerts into tracked records that technicians work through:
+//   new -> acknowledged -> assigned -> resolved -> closed
+// (an alert can also be assigned or resolved straight from new). Records keep their
+// assignee, notes and a history of every change, and are saved through the data source
+// so everyone sees the same state. A critical alert left unacknowledged for
+// CONFIG.ALERTS.ESCALATE_AFTER is escalated to the ESCALATE_TO role. Repeats of an open alert
+// are counted on its record, and flapping alerts and alerts from assets under maintenance are
+// suppressed (see suppression.js). Every history entry added in this session is also emitted
+// as an event, which is what notifications follow.
+import apiService from '../apiService';
+import { CONFIG } from '../config';
+import { SUPPRESSION_REASONS, alertKey, activeMaintenanceWindow, isWindowActive, recentRaises } from './suppression';
+
+export const ALERT_STATES = {
+    NEW: 'new',
+    ACKNOWLEDGED: 'acknowledged',
+    ASSIGNED: 'assigned',
+    RESOLVED: 'resolved',
+    CLOSED: 'closed'
+};
+
+export const OPEN_STATES = [ALERT_STATES.NEW, ALERT_STATES.ACKNOWLEDGED, ALERT_STATES.ASSIGNED];
+
+// States each state may move to; assigning again hands the alert to someone else
+const TRANSITIONS = {
+    [ALERT_STATES.NEW]: [ALERT_STATES.ACKNOWLEDGED, ALERT_STATES.ASSIGNED, ALERT_STATES.RESOLVED],
+    [ALERT_STATES.ACKNOWLEDGED]: [ALERT_STATES.ASSIGNED, ALERT_STATES.RESOLVED],
+    [ALERT_STATES.ASSIGNED]: [ALERT_STATES.ASSIGNED, ALERT_STATES.RESOLVED],
+    [ALERT_STATES.RESOLVED]: [ALERT_STATES.CLOSED],
+    [ALERT_STATES.CLOSED]: []
+};
+
+const SYSTEM_USER = 'system';
+
+export const canTransition = (record, state) => TRANSITIONS[record.state].includes(state);
+
+const elapsed = (from, to) => (to ? Date.parse(to) - Date.parse(from) : null);
+export const timeToAcknowledge = (record) => elapsed(record.timestamp, record.acknowledged_at);
+export const timeToResolve = (record) => elapsed(record.timestamp, record.resolved_at);
+
+// Alerts from the data source carry no id; derive one from their content so the same
+// alert maps to the same record on every load
+const contentId = (alert) => {
+    const text = `${alert.timestamp}|${alert.type}|${alert.message}`;
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    return `alert-${hash.toString(36)}`;
+};
+
+export const alertId = (alert) => alert.id || contentId(alert);
+
+// Suppressed records are kept for audit but are not worked as open alerts
+export const isSuppressed = (record) => Boolean(record.suppressed) && OPEN_STATES.includes(record.state);
+
+class AlertManager {
+    constructor(options = CONFIG.ALERTS) {
+        this.options = options;
+        this.records = [];
+        this.maintenanceWindows = [];
+        this.listeners = new Set();
+        this.eventListeners = new Set();
+        this.loaded = null;
+        this.timer = null;
+    }
+
+    // --- Subscribers (useAlerts) ---
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.records);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.records = [...this.records].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        this.listeners.forEach(listener => listener(this.records));
+        this.ensureTimer();
+    }
+
+    // --- Events (notificationDispatcher): called with (entry, record) for each new history entry ---
+    onEvent(listener) {
+        this.eventListeners.add(listener);
+        return () => this.eventListeners.delete(listener);
+    }
+
+    // Saved records, and the maintenance windows that decide which new alerts are expected
+    load() {
+        if (!this.loaded) {
+            this.loaded = Promise.all([apiService.getAlertRecords(), apiService.getMaintenanceWindows()]).then(([records, windows]) => {
+                // Keep anything raised while the saved records were loading
+                const loaded = new Set(records.map(record => record.id));
+                this.records = [...records, ...this.records.filter(record => !loaded.has(record.id))];
+                this.maintenanceWindows = windows;
+                this.notify();
+            });
+            // Let a failed load be retried on the next sync
+            this.loaded.catch(error => {
+                console.error('Failed to load alert records:', error);
+                this.loaded = null;
+            });
+        }
+        return this.loaded;
+    }
+
+    find(id) {
+        return this.records.find(record => record.id === id);
+    }
+
+    setMaintenanceWindows(windows) {
+        this.maintenanceWindows = windows;
+        this.checkSuppressions();
+    }
+
+    save(record) {
+        const previous = this.find(record.id);
+        this.records = this.records.some(r => r.id === record.id)
+            ? this.records.map(r => (r.id === record.id ? record : r))
+            : [...this.records, record];
+        this.notify();
+        apiService.saveAlertRecord(record).catch(error => console.error('Failed to save alert record:', error, record));
+        record.history.slice(previous ? previous.history.length : 0)
+            .forEach(entry => this.eventListeners.forEach(listener => listener(entry, record)));
+        return record;
+    }
+
+    // --- Raised alerts (DataContext) ---
+    // `alerts` is everything currently raised. New ones become records, or count as repeats of
+    // the open record with the same key; generated alerts that are no longer raised are marked
+    // cleared, but stay open until someone resolves them.
+    async sync(alerts, now = new Date().toISOString()) {
+        await this.load().catch(() => {});
+        const raised = new Set(alerts.map(alertId));
+
+        alerts
+            .filter(alert => !this.records.some(record => record.id === alertId(alert) || record.last_alert_id === alertId(alert)))
+            .forEach(alert => {
+                const open = this.records.find(record => OPEN_STATES.includes(record.state) && record.key === alertKey(alert));
+                const window = activeMaintenanceWindow(alert, this.maintenanceWindows, Date.parse(now));
+                if (open) this.repeat(open, alert, window, now);
+                else this.raise(alert, window, now);
+            });
+
+        this.records
+            .filter(record => record.kind && !record.cleared_at && !raised.has(record.last_alert_id || record.id))
+            .forEach(record => this.save({
+                ...record,
+                cleared_at: now,
+                history: [...record.history, { action: 'cleared', at: now, user: SYSTEM_USER, note: 'Condition no longer present' }]
+            }));
+    }
+
+    raise(alert, window, now) {
+        const id = alertId(alert);
+        const suppressed = window && this.suppression('maintenance', now, window);
+        this.save({
+            ...alert,
+            id,
+            key: alertKey(alert),
+            last_alert_id: id,
+            count: 1,
+            last_seen: alert.timestamp,
+            raised_times: [alert.timestamp],
+            state: ALERT_STATES.NEW,
+            assignee: null,
+            notes: [],
+            suppressed: suppressed || null,
+            history: [
+                { action: 'raised', at: alert.timestamp, user: SYSTEM_USER, note: alert.message },
+                ...(suppressed ? [this.suppressedEntry(suppressed)] : [])
+            ]
+        });
+    }
+
+    // The latest occurrence's severity, message and evidence replace the record's own
+    repeat(record, alert, window, now) {
+        const count = (record.count || 1) + 1;
+        const raisedTimes = recentRaises(record.raised_times || [], alert.timestamp, Date.parse(now), this.options);
+        const suppressed = !record.suppressed && (
+            (window && this.suppression('maintenance', now, window))
+            || (raisedTimes.length >= this.options.FLAP_THRESHOLD && this.suppression('flapping', now, null,
+                `Raised ${raisedTimes.length} times in ${Math.round(this.options.FLAP_WINDOW / 60000)} min`)));
+        this.save({
+            ...record,
+            type: alert.type,
+            message: alert.message,
+            ...(alert.evidence && { evidence: alert.evidence }),
+            last_alert_id: alertId(alert),
+            count,
+            last_seen: alert.timestamp,
+            raised_times: raisedTimes,
+            cleared_at: null,
+            suppressed: record.suppressed || suppressed || null,
+            history: [
+                ...record.history,
+                { action: 'repeated', at: alert.timestamp, user: SYSTEM_USER, note: `Raised again (${count} times)` },
+                ...(suppressed ? [this.suppressedEntry(suppressed)] : [])
+            ]
+        });
+    }
+
+    suppression(reason, at, window = null, note = window?.reason) {
+        return { reason, at, note: note || '', ...(window && { window_id: window.id }) };
+    }
+
+    suppressedEntry(suppressed) {
+        const note = `${SUPPRESSION_REASONS[suppressed.reason]}${suppressed.note ? `: ${suppressed.note}` : ''}`;
+        return { action: 'suppressed', at: suppressed.at, user: SYSTEM_USER, note };
+    }
+
+    // --- Technician actions ---
+    transition(id, state, user, { note = '', ...changes } = {}) {
+        const record = this.find(id);
+        if (!record || !canTransition(record, state)) {
+            throw new Error(`Alert ${id} cannot move from ${record?.state || 'unknown'} to ${state}`);
+        }
+        const at = new Date().toISOString();
+        return this.save({
+            ...record,
+            ...changes,
+            state,
+            // Assigning or resolving an alert nobody acknowledged acknowledges it as well
+            acknowledged_at: record.acknowledged_at || at,
+            ...(state === ALERT_STATES.RESOLVED && { resolved_at: at }),
+            ...(state === ALERT_STATES.CLOSED && { closed_at: at }),
+            history: [...record.history, { action: state, at, user, note }]
+        });
+    }
+
+    acknowledge(id, user) {
+        return this.transition(id, ALERT_STATES.ACKNOWLEDGED, user);
+    }
+
+    assign(id, assignee, user) {
+        return this.transition(id, ALERT_STATES.ASSIGNED, user, { assignee, note: `Assigned to ${assignee}` });
+    }
+
+    resolve(id, user, note = '') {
+        return this.transition(id, ALERT_STATES.RESOLVED, user, { note });
+    }
+
+    close(id, user) {
+        return this.transition(id, ALERT_STATES.CLOSED, user);
+    }
+
+    addNote(id, user, text) {
+        const record = this.find(id);
+        if (!record) throw new Error(`Unknown alert ${id}`);
+        const note = { at: new Date().toISOString(), user, text };
+        return this.save({
+            ...record,
+            notes: [...record.notes, note],
+            history: [...record.history, { action: 'note', at: note.at, user, note: text }]
+        });
+    }
+
+    // Notifications sent about an alert go into its history, so they are audited with it
+    logNotification(id, { event, channel, recipient, ok, detail = '' }) {
+        const record = this.find(id);
+        if (!record) return null;
+        return this.save({
+            ...record,
+            history: [...record.history, {
+                action: ok ? 'notified' : 'notification_failed',
+                at: new Date().toISOString(),
+                user: SYSTEM_USER,
+                note: `${event} by ${channel} to ${recipient}${detail ? `: ${detail}` : ''}`,
+                event,
+                channel,
+                recipient
+            }]
+        });
+    }
+
+    // --- Escalation and suppression, checked on a timer ---
+    awaitingEscalation() {
+        return this.records.filter(record => record.state === ALERT_STATES.NEW && record.type === 'critical'
+            && !record.escalated_at && !record.suppressed);
+    }
+
+    checkEscalations(now = Date.now()) {
+        this.awaitingEscalation()
+            .filter(record => now - Date.parse(record.timestamp) >= this.options.ESCALATE_AFTER)
+            .forEach(record => {
+                const at = new Date(now).toISOString();
+                this.save({
+                    ...record,
+                    escalated_at: at,
+                    escalated_to: this.options.ESCALATE_TO,
+                    history: [...record.history, {
+                        action: 'escalated',
+                        at,
+                        user: SYSTEM_USER,
+                        note: `Unacknowledged for ${Math.round(this.options.ESCALATE_AFTER / 60000)} min`
+                    }]
+                });
+            });
+    }
+
+    // Whether the reason a record was suppressed no longer holds
+    suppressionEnded(record, now) {
+        if (record.suppressed.reason === 'maintenance') {
+            const window = this.maintenanceWindows.find(w => w.id === record.suppressed.window_id);
+            return !window || !isWindowActive(window, now);
+        }
+        return now - Date.parse(record.last_seen) >= this.options.FLAP_WINDOW;
+    }
+
+    // A suppressed alert whose condition is still present once maintenance ends, or which has
+    // held steady since it stopped flapping, is shown again. One that cleared stays suppressed.
+    checkSuppressions(now = Date.now()) {
+        this.records
+            .filter(record => isSuppressed(record) && !record.cleared_at && this.suppressionEnded(record, now))
+            .forEach(record => {
+                const at = new Date(now).toISOString();
+                const note = record.suppressed.reason === 'maintenance' ? 'Maintenance window ended' : 'No longer flapping';
+                this.save({
+                    ...record,
+                    suppressed: null,
+                    history: [...record.history, { action: 'unsuppressed', at, user: SYSTEM_USER, note }]
+                });
+            });
+    }
+
+    ensureTimer() {
+        const waiting = this.awaitingEscalation().length > 0 || this.records.some(record => isSuppressed(record) && !record.cleared_at);
+        if (waiting && !this.timer) {
+            this.timer = setInterval(() => {
+                this.checkEscalations();
+                this.checkSuppressions();
+            }, this.options.CHECK_INTERVAL);
+        } else if (!waiting && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+const alertManager = new AlertManager();
+export default alertManager;
@@ -0,0 +1,304 @@
+import alertManager, { ALERT_STATES, alertId, canTransition, isSuppressed, timeToAcknowledge, timeToResolve } from './alertManager';
+
+// The data source's saved alert records, by id, and its maintenance windows. Plain functions:
+// CRA resets jest.fn mocks before each test.
+let mockRecords;
+let mockWindows;
+jest.mock('../apiService', () => ({
+    __esModule: true,
+    default: {
+        getAlertRecords: () => Promise.resolve([...mockRecords.values()]),
+        getMaintenanceWindows: () => Promise.resolve(mockWindows),
+        saveAlertRecord: (record) => {
+            mockRecords.set(record.id, record);
+            return Promise.resolve(record);
+        }
+    }
+}));
+
+const MINUTE = 60000;
+
+// The high-load rule fired at 14:05 local on 20 November 2025
+const RAISED = Date.parse('2025-11-20T14:05:00+05:30');
+const highLoad = {
+    id: `rule-high-load-${RAISED}`,
+    type: 'warning',
+    asset: 'campus',
+    kind: 'threshold',
+    rule: 'high-load',
+    message: 'Campus load above 400 kW for 10 min: 430 kW now',
+    timestamp: new Date(RAISED).toISOString()
+};
+// An alert from the data source, which carries no id
+const inverterTrip = { type: 'critical', message: 'Inverter 2 tripped on overvoltage', timestamp: new Date(RAISED).toISOString() };
+
+const minutesLater = (minutes) => jest.setSystemTime(RAISED + minutes * MINUTE);
+
+// The high-load rule firing again `minutes` after the first time
+const highLoadAgain = (minutes) => ({
+    ...highLoad,
+    id: `rule-high-load-${RAISED + minutes * MINUTE}`,
+    message: 'Campus load above 400 kW for 10 min: 445 kW now',
+    timestamp: new Date(RAISED + minutes * MINUTE).toISOString()
+});
+
+let manager;
+
+beforeEach(() => {
+    mockRecords = new Map();
+    mockWindows = [];
+    jest.useFakeTimers();
+    jest.setSystemTime(RAISED);
+    manager = new alertManager.constructor();
+});
+
+afterEach(() => {
+    clearInterval(manager.timer);
+    jest.useRealTimers();
+});
+
+describe('raising', () => {
+    test('turns each newly raised alert into a saved record', async () => {
+        await manager.sync([highLoad, inverterTrip]);
+        await manager.sync([highLoad, inverterTrip]);
+        expect(manager.records).toHaveLength(2);
+        expect(manager.find(highLoad.id)).toMatchObject({ state: ALERT_STATES.NEW, assignee: null, notes: [] });
+        expect(manager.find(highLoad.id).history).toEqual([
+            { action: 'raised', at: highLoad.timestamp, user: 'system', note: highLoad.message }
+        ]);
+        expect([...mockRecords.keys()].sort()).toEqual([alertId(inverterTrip), highLoad.id].sort());
+    });
+
+    test('gives an alert without an id the same id on every load', () => {
+        expect(alertId({ ...inverterTrip })).toBe(alertId(inverterTrip));
+        expect(alertId({ ...inverterTrip, message: 'Inverter 3 tripped on overvoltage' })).not.toBe(alertId(inverterTrip));
+    });
+
+    test('marks a generated alert cleared once it is no longer raised, but leaves it open', async () => {
+        await manager.sync([highLoad, inverterTrip]);
+        minutesLater(7);
+        await manager.sync([]);
+        expect(manager.find(highLoad.id)).toMatchObject({ state: ALERT_STATES.NEW, cleared_at: new Date(RAISED + 7 * MINUTE).toISOString() });
+        // Data source alerts have no condition to clear
+        expect(manager.find(alertId(inverterTrip)).cleared_at).toBeUndefined();
+    });
+
+    test('another session loads the same records from the data source', async () => {
+        await manager.sync([highLoad]);
+        manager.acknowledge(highLoad.id, 'ravi');
+        const other = new alertManager.constructor();
+        await other.load();
+        expect(other.find(highLoad.id).state).toBe(ALERT_STATES.ACKNOWLEDGED);
+    });
+});
+
+describe('lifecycle', () => {
+    beforeEach(() => manager.sync([highLoad]));
+
+    test('goes from new through acknowledged, assigned and resolved to closed', () => {
+        minutesLater(3);
+        manager.acknowledge(highLoad.id, 'ravi');
+        manager.assign(highLoad.id, 'ravi', 'meena');
+        minutesLater(10);
+        manager.assign(highLoad.id, 'arjun', 'meena');
+        manager.addNote(highLoad.id, 'arjun', 'Chiller 2 short-cycling');
+        minutesLater(40);
+        manager.resolve(highLoad.id, 'arjun', 'Reset the chiller controller');
+        manager.close(highLoad.id, 'meena');
+
+        const record = manager.find(highLoad.id);
+        expect(record).toMatchObject({ state: ALERT_STATES.CLOSED, assignee: 'arjun', notes: [{ user: 'arjun', text: 'Chiller 2 short-cycling' }] });
+        expect(record.history.map(entry => [entry.action, entry.user])).toEqual([
+            ['raised', 'system'], ['acknowledged', 'ravi'], ['assigned', 'meena'], ['assigned', 'meena'],
+            ['note', 'arjun'], ['resolved', 'arjun'], ['closed', 'meena']
+        ]);
+        expect(timeToAcknowledge(record)).toBe(3 * MINUTE);
+        expect(timeToResolve(record)).toBe(40 * MINUTE);
+        expect(mockRecords.get(highLoad.id)).toBe(record);
+    });
+
+    test('resolving an alert nobody acknowledged acknowledges it too', () => {
+        minutesLater(20);
+        manager.resolve(highLoad.id, 'ravi');
+        expect(timeToAcknowledge(manager.find(highLoad.id))).toBe(20 * MINUTE);
+    });
+
+    test('refuses moves the lifecycle does not allow', () => {
+        expect(() => manager.close(highLoad.id, 'meena')).toThrow(`Alert ${highLoad.id} cannot move from new to closed`);
+        manager.acknowledge(highLoad.id, 'ravi');
+        expect(() => manager.acknowledge(highLoad.id, 'ravi')).toThrow('cannot move from acknowledged to acknowledged');
+        manager.resolve(highLoad.id, 'ravi');
+        manager.close(highLoad.id, 'meena');
+        Object.values(ALERT_STATES).forEach(state => expect(canTransition(manager.find(highLoad.id), state)).toBe(false));
+    });
+});
+
+describe('events', () => {
+    test('emits each history entry added in this session, with the record', async () => {
+        const events = [];
+        const stop = manager.onEvent((entry, record) => events.push([entry.action, record.state]));
+        await manager.sync([highLoad]);
+        manager.assign(highLoad.id, 'arjun', 'meena');
+        stop();
+        manager.resolve(highLoad.id, 'arjun');
+        expect(events).toEqual([['raised', ALERT_STATES.NEW], ['assigned', ALERT_STATES.ASSIGNED]]);
+    });
+
+    test('records notifications in the alert\'s history', async () => {
+        await manager.sync([highLoad]);
+        manager.logNotification(highLoad.id, { event: 'raised', channel: 'email', recipient: 'meena@gecj.ac.in', ok: false, detail: 'relay unreachable' });
+        expect(manager.find(highLoad.id).history.pop()).toMatchObject({
+            action: 'notification_failed',
+            user: 'system',
+            note: 'raised by email to meena@gecj.ac.in: relay unreachable'
+        });
+        expect(manager.logNotification('alert-unknown', { event: 'raised', channel: 'email', recipient: 'x', ok: true })).toBeNull();
+    });
+});
+
+describe('escalation', () => {
+    test('escalates a critical alert left unacknowledged for ESCALATE_AFTER', async () => {
+        await manager.sync([highLoad, inverterTrip]);
+        const id = alertId(inverterTrip);
+        manager.checkEscalations(RAISED + 14 * MINUTE);
+        expect(manager.find(id).escalated_at).toBeUndefined();
+        manager.checkEscalations(RAISED + 15 * MINUTE);
+        expect(manager.find(id)).toMatchObject({ escalated_to: 'facility_manager', escalated_at: new Date(RAISED + 15 * MINUTE).toISOString() });
+        expect(manager.find(id).history.pop()).toMatchObject({ action: 'escalated', note: 'Unacknowledged for 15 min' });
+        // Warnings are never escalated
+        expect(manager.find(highLoad.id).escalated_at).toBeUndefined();
+    });
+
+    test('runs on a timer while a critical alert is waiting', async () => {
+        await manager.sync([inverterTrip]);
+        minutesLater(15);
+        jest.advanceTimersByTime(30000);
+        expect(manager.find(alertId(inverterTrip)).escalated_to).toBe('facility_manager');
+        expect(manager.timer).toBeNull();
+    });
+
+    test('leaves acknowledged alerts alone', async () => {
+        await manager.sync([inverterTrip]);
+        manager.acknowledge(alertId(inverterTrip), 'ravi');
+        manager.checkEscalations(RAISED + 60 * MINUTE);
+        expect(manager.find(alertId(inverterTrip)).escalated_at).toBeUndefined();
+    });
+});
+
+describe('grouping', () => {
+    test('counts a repeat of an open alert on its record', async () => {
+        await manager.sync([highLoad]);
+        minutesLater(12);
+        await manager.sync([]);
+        minutesLater(20);
+        await manager.sync([highLoadAgain(20)]);
+
+        expect(manager.records).toHaveLength(1);
+        expect(manager.find(highLoad.id)).toMatchObject({
+            count: 2,
+            message: 'Campus load above 400 kW for 10 min: 445 kW now',
+            last_alert_id: highLoadAgain(20).id,
+            last_seen: highLoadAgain(20).timestamp,
+            cleared_at: null
+        });
+        expect(manager.find(highLoad.id).history.pop()).toMatchObject({ action: 'repeated', note: 'Raised again (2 times)' });
+        // Still raised, so not cleared on the next sync
+        await manager.sync([highLoadAgain(20)]);
+        expect(manager.find(highLoad.id)).toMatchObject({ count: 2, cleared_at: null });
+    });
+
+    test('opens a new record once the earlier one is resolved', async () => {
+        await manager.sync([highLoad]);
+        manager.resolve(highLoad.id, 'ravi');
+        minutesLater(20);
+        await manager.sync([highLoadAgain(20)]);
+        expect(manager.find(highLoad.id)).toMatchObject({ state: ALERT_STATES.RESOLVED, count: 1 });
+        expect(manager.find(highLoadAgain(20).id)).toMatchObject({ state: ALERT_STATES.NEW, count: 1 });
+    });
+});
+
+describe('suppression', () => {
+    // Raises the alert for the `from`th to `to`th times, five minutes apart and clearing in between
+    const flap = async (from, to) => {
+        for (let n = from; n <= to; n++) {
+            if (n > 0) await manager.sync([], new Date(RAISED + (5 * n - 3) * MINUTE).toISOString());
+            minutesLater(5 * n);
+            await manager.sync([n ? highLoadAgain(5 * n) : highLoad]);
+        }
+    };
+
+    test('holds back an alert raised FLAP_THRESHOLD times within FLAP_WINDOW', async () => {
+        await flap(0, 2);
+        expect(isSuppressed(manager.find(highLoad.id))).toBe(false);
+        await flap(3, 3);
+        const record = manager.find(highLoad.id);
+        expect(isSuppressed(record)).toBe(true);
+        expect(record.suppressed).toEqual({ reason: 'flapping', at: new Date(RAISED + 15 * MINUTE).toISOString(), note: 'Raised 4 times in 30 min' });
+        expect(record.history.pop()).toMatchObject({ action: 'suppressed', note: 'Flapping: Raised 4 times in 30 min' });
+    });
+
+    test('shows a flapping alert again once it has held steady for FLAP_WINDOW', async () => {
+        await flap(0, 3);
+        manager.checkSuppressions(RAISED + 44 * MINUTE);
+        expect(isSuppressed(manager.find(highLoad.id))).toBe(true);
+        manager.checkSuppressions(RAISED + 45 * MINUTE);
+        expect(manager.find(highLoad.id).suppressed).toBeNull();
+        expect(manager.find(highLoad.id).history.pop()).toMatchObject({ action: 'unsuppressed', note: 'No longer flapping' });
+    });
+
+    test('keeps a flapping alert that cleared suppressed', async () => {
+        await flap(0, 3);
+        minutesLater(16);
+        await manager.sync([]);
+        manager.checkSuppressions(RAISED + 60 * MINUTE);
+        expect(isSuppressed(manager.find(highLoad.id))).toBe(true);
+    });
+
+    describe('during maintenance', () => {
+        // Inverter work on the main building array from 13:30 to 15:00
+        const firmwareUpdate = {
+            id: 'mw-inverter-firmware',
+            asset_id: 'solar-main',
+            start: new Date(RAISED - 35 * MINUTE).toISOString(),
+            end: new Date(RAISED + 55 * MINUTE).toISOString(),
+            reason: 'Inverter firmware update'
+        };
+        const solarDown = {
+            id: `solar-underperformance-${RAISED}`,
+            type: 'critical',
+            asset: 'solar',
+            kind: 'underperformance',
+            message: 'Solar output is 30% of what the weather should produce over the last 15 min',
+            timestamp: new Date(RAISED).toISOString()
+        };
+
+        beforeEach(() => {
+            mockWindows = [firmwareUpdate];
+        });
+
+        test('holds back alerts from the assets being serviced, and does not escalate them', async () => {
+            await manager.sync([solarDown, highLoad]);
+            expect(manager.find(solarDown.id).suppressed).toEqual({
+                reason: 'maintenance', at: solarDown.timestamp, note: 'Inverter firmware update', window_id: 'mw-inverter-firmware'
+            });
+            expect(manager.find(solarDown.id).history.pop()).toMatchObject({ action: 'suppressed', note: 'Maintenance window: Inverter firmware update' });
+            expect(isSuppressed(manager.find(highLoad.id))).toBe(false);
+            manager.checkEscalations(RAISED + 20 * MINUTE);
+            expect(manager.find(solarDown.id).escalated_at).toBeUndefined();
+        });
+
+        test('shows the alert again when the window ends with the condition still present', async () => {
+            await manager.sync([solarDown]);
+            manager.checkSuppressions(RAISED + 54 * MINUTE);
+            expect(isSuppressed(manager.find(solarDown.id))).toBe(true);
+            manager.checkSuppressions(RAISED + 55 * MINUTE);
+            expect(manager.find(solarDown.id).history.pop()).toMatchObject({ action: 'unsuppressed', note: 'Maintenance window ended' });
+        });
+
+        test('lifts at once when the window is removed', async () => {
+            await manager.sync([solarDown]);
+            manager.setMaintenanceWindows([]);
+            expect(isSuppressed(manager.find(solarDown.id))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+// Watches live solar and wind output for faults. Each status frame's output is compared with
+// what the PV and turbine models (src/services/simulation) expect from the weather reported
+// in the same frame, and three conditions raise alerts:
+//   underperformance  output well below expected, averaged over a window
+//   stuck sensor      a reading that does not change while the expected output does
+//   sudden drop       a fall between consecutive frames that the weather does not explain
+// Alerts follow the getAlerts shape, with `type` as the severity, plus the asset, the kind of
+// anomaly and the evidence it was raised on. They stay active until the condition clears.
+import { CONFIG } from '../config';
+import { pvOutput } from '../simulation/solar';
+import { turbinePower } from '../simulation/wind';
+
+export const ANOMALY_KINDS = {
+    underperformance: 'Underperformance',
+    stuck_sensor: 'Stuck sensor',
+    sudden_drop: 'Sudden drop'
+};
+
+const round = (val) => parseFloat(val.toFixed(1)) || 0;
+const kw = (value) => `${round(value)} kW`;
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+const minutes = (ms) => `${Math.round(ms / 60000)} min`;
+
+const SOURCES = {
+    solar: {
+        label: 'Solar',
+        field: 'solar_generation',
+        capacity: (config) => config.CAMPUS_INFO.solar_capacity,
+        expected: (weather, config) => pvOutput(weather.irradiance, weather.temperature, config.CAMPUS_INFO.solar_capacity, {
+            performanceRatio: config.SIMULATION.performance_ratio,
+            tempCoefficient: config.SIMULATION.temp_coefficient,
+            noct: config.SIMULATION.noct
+        }),
+        conditions: (weather) => `Irradiance ${weather.irradiance} W/m², ${weather.temperature} °C`
+    },
+    wind: {
+        label: 'Wind',
+        field: 'wind_generation',
+        capacity: (config) => config.CAMPUS_INFO.wind_capacity,
+        expected: (weather, config) => turbinePower(weather.wind_speed, config.CAMPUS_INFO.wind_capacity, {
+            cutIn: config.WIND_TURBINE.cut_in,
+            ratedSpeed: config.WIND_TURBINE.rated_speed,
+            cutOut: config.WIND_TURBINE.cut_out
+        }),
+        conditions: (weather) => `Wind speed ${weather.wind_speed} m/s`
+    }
+};
+
+// Output the models expect from a frame's weather, kW per source
+export const expectedGeneration = (weather, config = CONFIG) => Object.fromEntries(
+    Object.entries(SOURCES).map(([source, spec]) => [source, round(spec.expected(weather, config))])
+);
+
+// Each check looks at a source's recent samples ({ t, actual, expected, weather }, oldest first)
+// and returns a finding ({ severity, message, evidence }) while the condition holds, null once
+// it has cleared, or undefined when there is not enough data to judge either way.
+const CHECKS = {
+    underperformance: ({ samples, since, spec, capacity, options, active }) => {
+        const latest = samples[samples.length - 1];
+        if (latest.t - since < options.WINDOW) return undefined;
+        const window = samples.filter(sample => sample.t > latest.t - options.WINDOW);
+        const actual = window.reduce((total, sample) => total + sample.actual, 0) / window.length;
+        const expected = window.reduce((total, sample) => total + sample.expected, 0) / window.length;
+        if (expected < options.MIN_EXPECTED * capacity) return null;
+
+        const ratio = actual / expected;
+        if (ratio >= (active ? options.RECOVERY_RATIO : options.UNDERPERFORMANCE_RATIO)) return null;
+        return {
+            severity: ratio < options.CRITICAL_RATIO ? 'critical' : 'warning',
+            message: `${spec.label} output is ${percent(ratio)} of what the weather should produce over the last ${minutes(options.WINDOW)}`,
+            evidence: [
+                { label: 'Average output', value: kw(actual) },
+                { label: 'Expected from weather', value: kw(expected) },
+                { label: 'Conditions', value: spec.conditions(latest.weather) }
+            ]
+        };
+    },
+
+    stuck_sensor: ({ samples, since, spec, capacity, options }) => {
+        const latest = samples[samples.length - 1];
+        if (latest.t - since < options.STUCK_DURATION) return undefined;
+        const window = samples.filter(sample => sample.t >= latest.t - options.STUCK_DURATION);
+        if (window.some(sample => sample.actual !== latest.actual)) return null;
+
+        const expected = window.map(sample => sample.expected);
+        const change = Math.max(...expected) - Math.min(...expected);
+        if (change < options.STUCK_MIN_CHANGE * capacity) return null;
+        return {
+            severity: 'warning',
+            message: `${spec.label} reading has been ${kw(latest.actual)} for ${minutes(options.STUCK_DURATION)} while the weather changed`,
+            evidence: [
+                { label: 'Unchanged reading', value: `${kw(latest.actual)} in ${window.length} frames` },
+                { label: 'Expected range', value: `${kw(Math.min(...expected))} to ${kw(Math.max(...expected))}` },
+                { label: 'Conditions', value: spec.conditions(latest.weather) }
+            ]
+        };
+    },
+
+    sudden_drop: ({ samples, spec, capacity, options, active }) => {
+        if (samples.length < 2) return undefined;
+        const [previous, latest] = samples.slice(-2);
+        if (latest.t - previous.t <= options.MAX_FRAME_GAP) {
+            const fall = previous.actual - latest.actual;
+            const explained = Math.max(0, previous.expected - latest.expected);
+            if (fall - explained >= options.DROP_FRACTION * capacity) {
+                const tripped = latest.actual <= options.TRIP_FRACTION * capacity;
+                return {
+                    severity: tripped ? 'critical' : 'warning',
+                    message: `${spec.label} output fell from ${kw(previous.actual)} to ${kw(latest.actual)}${tripped ? ', the source appears to have tripped' : ''}`,
+                    evidence: [
+                        { label: 'Drop', value: `${kw(fall)} in ${Math.round((latest.t - previous.t) / 1000)} s` },
+                        { label: 'Explained by weather', value: kw(explained) },
+                        { label: 'Expected now', value: kw(latest.expected) },
+                        { label: 'Conditions', value: spec.conditions(latest.weather) }
+                    ]
+                };
+            }
+        }
+        if (!active) return null;
+        // A drop stays active until output is back near expected, or there is too little to judge
+        const recovered = latest.actual >= options.RECOVERY_RATIO * latest.expected
+            || latest.expected < options.MIN_EXPECTED * capacity;
+        return recovered ? null : undefined;
+    }
+};
+
+export class GenerationAnomalyDetector {
+    constructor(config = CONFIG) {
+        this.config = config;
+        this.options = config.ANOMALIES;
+        // Per source: recent samples, when the current unbroken run of frames started,
+        // and active alerts by anomaly kind
+        this.sources = Object.fromEntries(Object.keys(SOURCES).map(source => [
+            source, { samples: [], since: null, active: {} }
+        ]));
+        this.alerts = [];
+    }
+
+    // Feed a status frame; returns the active alerts, the same array while nothing changed
+    observe(frame) {
+        const t = Date.parse(frame.timestamp);
+        if (!frame.weather || !Number.isFinite(t)) return this.alerts;
+        const expected = expectedGeneration(frame.weather, this.config);
+        const keep = Math.max(this.options.WINDOW, this.options.STUCK_DURATION);
+        let changed = false;
+
+        Object.entries(SOURCES).forEach(([source, spec]) => {
+            const state = this.sources[source];
+            const actual = frame[spec.field];
+            if (typeof actual !== 'number') return;
+
+            const last = state.samples[state.samples.length - 1];
+            if (last && t <= last.t) return;
+            // A gap in the feed starts a new run; windows are only judged once fully covered
+            if (!last || t - last.t > this.options.MAX_FRAME_GAP) state.since = t;
+            state.samples = [...state.samples.filter(sample => sample.t >= t - keep), {
+                t, actual, expected: expected[source], weather: frame.weather
+            }];
+
+            const capacity = spec.capacity(this.config);
+            Object.entries(CHECKS).forEach(([kind, check]) => {
+                const active = state.active[kind];
+                const finding = check({ samples: state.samples, since: state.since, spec, capacity, options: this.options, active });
+                if (finding === undefined) return;
+                if (finding === null) {
+                    if (active) {
+                        delete state.active[kind];
+                        changed = true;
+                    }
+                } else if (!active || active.type !== finding.severity) {
+                    // Escalations keep the alert's identity and the time it was first raised
+                    state.active[kind] = {
+                        id: active?.id || `${source}-${kind}-${t}`,
+                        type: finding.severity,
+                        asset: source,
+                        kind,
+                        message: finding.message,
+                        evidence: finding.evidence,
+                        timestamp: active?.timestamp || new Date(t).toISOString()
+                    };
+                    changed = true;
+                }
+            });
+        });
+
+        if (changed) {
+            this.alerts = Object.values(this.sources)
+                .flatMap(state => Object.values(state.active))
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        }
+        return this.alerts;
+    }
+}
+
+const generationAnomalyDetector = new GenerationAnomalyDetector();
+export default generationAnomalyDetector;
@@ -0,0 +1,107 @@
+import { GenerationAnomalyDetector, expectedGeneration } from './generationAnomalies';
+
+// Frames arrive every 30 s from midday on 10 June 2025
+const NOON = Date.parse('2025-06-10T12:00:00+05:30');
+const FRAME = 30000;
+
+const SUNNY = { irradiance: 800, temperature: 32, wind_speed: 12 };
+const EXPECTED = expectedGeneration(SUNNY);
+
+// Frame `n` of the feed; output follows the weather unless given
+const frame = (n, { weather = SUNNY, solar, wind } = {}) => {
+    const expected = expectedGeneration(weather);
+    return {
+        timestamp: new Date(NOON + n * FRAME).toISOString(),
+        weather,
+        solar_generation: solar ?? expected.solar,
+        wind_generation: wind ?? expected.wind
+    };
+};
+
+// Feeds frames `from` to `to` inclusive and returns the alerts after the last one
+const run = (detector, from, to, output = {}) => {
+    let alerts = detector.alerts;
+    for (let n = from; n <= to; n++) alerts = detector.observe(frame(n, typeof output === 'function' ? output(n) : output));
+    return alerts;
+};
+
+const kinds = (alerts) => alerts.map(alert => `${alert.asset}:${alert.kind}:${alert.type}`);
+
+let detector;
+
+beforeEach(() => {
+    detector = new GenerationAnomalyDetector();
+});
+
+test('the models expect rated wind and most of the solar capacity in the reference weather', () => {
+    expect(EXPECTED.wind).toBe(100);
+    expect(EXPECTED.solar).toBeGreaterThan(250);
+});
+
+describe('underperformance', () => {
+    test('is judged once a whole window of frames is in', () => {
+        // The window is 15 minutes, i.e. 30 frames after the first
+        expect(run(detector, 0, 29, { solar: 0.6 * EXPECTED.solar })).toEqual([]);
+        const [alert] = run(detector, 30, 30, { solar: 0.6 * EXPECTED.solar });
+        expect(alert).toMatchObject({ asset: 'solar', kind: 'underperformance', type: 'warning', timestamp: frame(30).timestamp });
+        expect(alert.message).toBe('Solar output is 60% of what the weather should produce over the last 15 min');
+        expect(alert.evidence.map(item => item.label)).toEqual(['Average output', 'Expected from weather', 'Conditions']);
+    });
+
+    test('escalates below the critical ratio and keeps the alert', () => {
+        const [warning] = run(detector, 0, 30, { solar: 0.6 * EXPECTED.solar });
+        const [critical] = run(detector, 31, 61, { solar: 0.3 * EXPECTED.solar });
+        expect(critical).toMatchObject({ id: warning.id, type: 'critical', timestamp: warning.timestamp });
+    });
+
+    test('clears only once output is back above the recovery ratio', () => {
+        run(detector, 0, 30, { solar: 0.6 * EXPECTED.solar });
+        expect(kinds(run(detector, 31, 61, { solar: 0.8 * EXPECTED.solar }))).toEqual(['solar:underperformance:warning']);
+        expect(run(detector, 62, 92)).toEqual([]);
+    });
+
+    test('is not judged when there is too little to expect', () => {
+        const night = { irradiance: 0, temperature: 24, wind_speed: 12 };
+        expect(run(detector, 0, 40, { weather: night, solar: 0 })).toEqual([]);
+    });
+
+    test('starts over after a gap in the feed', () => {
+        run(detector, 0, 20, { solar: 0.6 * EXPECTED.solar });
+        // Frames resume five minutes later
+        expect(run(detector, 30, 55, { solar: 0.6 * EXPECTED.solar })).toEqual([]);
+    });
+});
+
+test('flags a reading that does not move while the weather does', () => {
+    const brightening = (n) => ({ weather: { ...SUNNY, irradiance: 500 + 10 * n }, solar: 250 });
+    const alerts = run(detector, 0, 30, brightening).filter(alert => alert.kind === 'stuck_sensor');
+    expect(kinds(alerts)).toEqual(['solar:stuck_sensor:warning']);
+    expect(alerts[0].evidence[0].value).toBe('250 kW in 31 frames');
+});
+
+describe('sudden drop', () => {
+    test('is critical when the source trips', () => {
+        run(detector, 0, 2);
+        const [alert] = run(detector, 3, 3, { wind: 0 });
+        expect(alert).toMatchObject({ asset: 'wind', kind: 'sudden_drop', type: 'critical' });
+        expect(alert.message).toBe('Wind output fell from 100 kW to 0 kW, the source appears to have tripped');
+    });
+
+    test('is a warning for a partial drop, and stays until output recovers', () => {
+        run(detector, 0, 2);
+        expect(kinds(run(detector, 3, 3, { wind: 60 }))).toEqual(['wind:sudden_drop:warning']);
+        expect(kinds(run(detector, 4, 6, { wind: 60 }))).toEqual(['wind:sudden_drop:warning']);
+        expect(run(detector, 7, 7)).toEqual([]);
+    });
+
+    test('is not raised when the weather explains the fall', () => {
+        run(detector, 0, 2);
+        expect(run(detector, 3, 3, { weather: { ...SUNNY, wind_speed: 2 } })).toEqual([]);
+    });
+});
+
+test('ignores frames without weather and returns the same alerts while nothing changes', () => {
+    const alerts = detector.alerts;
+    expect(detector.observe({ timestamp: frame(0).timestamp, solar_generation: 0, wind_generation: 0 })).toBe(alerts);
+    expect(run(detector, 0, 5)).toBe(alerts);
+});
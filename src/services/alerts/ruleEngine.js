@@ -0,0 +1,98 @@
+// Evaluates the saved alert rules (see ruleTypes.js) against every live status frame.
+// A rule's condition must hold on every frame for its duration before an alert is raised;
+// the alert then stays active until the value is back past the threshold by the rule's
+// hysteresis, so a reading hovering around the threshold does not raise it over and over.
+import { CONFIG } from '../config';
+import { ALERT_RULE_TYPES, ALERT_OPERATORS, describeRule, formatRuleValue } from './ruleTypes';
+
+const MINUTE = 60000;
+
+const toTimeLabel = (time) =>
+    new Date(time).toLocaleTimeString(CONFIG.LOCALE, { timeZone: CONFIG.TIMEZONE, hour: '2-digit', minute: '2-digit' });
+
+// Where an active alert clears: the threshold moved back by the hysteresis
+const clearingThreshold = (rule) => rule.threshold + (rule.operator.startsWith('>') ? -rule.hysteresis : rule.hysteresis);
+
+// The condition, or while an alert is active the condition against the clearing threshold
+const holds = (rule, value, active) =>
+    ALERT_OPERATORS[rule.operator].compare(value, active ? clearingThreshold(rule) : rule.threshold);
+
+export class AlertRuleEngine {
+    constructor(types = ALERT_RULE_TYPES) {
+        this.types = types;
+        this.rules = [];
+        // Per rule id: when its condition started holding and its active alert
+        this.state = new Map();
+        this.alerts = [];
+    }
+
+    // Replace the rule set. Rules that changed start over, so an edited threshold is
+    // judged afresh; unchanged rules keep their progress and active alerts.
+    setRules(rules) {
+        const previous = new Map(this.rules.map(rule => [rule.id, JSON.stringify(rule)]));
+        this.rules = rules.filter(rule => rule.enabled && this.types[rule.type] && ALERT_OPERATORS[rule.operator]);
+        const kept = new Set(this.rules.filter(rule => previous.get(rule.id) === JSON.stringify(rule)).map(rule => rule.id));
+        [...this.state.keys()].forEach(id => !kept.has(id) && this.state.delete(id));
+        this.publish();
+    }
+
+    // Feed a status frame; returns the active alerts, the same array while nothing changed
+    observe(frame) {
+        const t = Date.parse(frame.timestamp);
+        if (!Number.isFinite(t)) return this.alerts;
+        let changed = false;
+
+        this.rules.forEach(rule => {
+            const value = this.types[rule.type].value(frame);
+            const state = this.state.get(rule.id) || { since: null, alert: null };
+            this.state.set(rule.id, state);
+            // A frame without the reading restarts the duration but leaves an active alert alone
+            if (value === null || !Number.isFinite(value)) {
+                state.since = null;
+                return;
+            }
+
+            if (!holds(rule, value, Boolean(state.alert))) {
+                state.since = null;
+                if (state.alert) {
+                    state.alert = null;
+                    changed = true;
+                }
+                return;
+            }
+            if (state.alert) return;
+            if (state.since === null) state.since = t;
+            if (t - state.since < rule.duration * MINUTE) return;
+
+            state.alert = {
+                id: `rule-${rule.id}-${t}`,
+                type: rule.severity,
+                asset: this.types[rule.type].asset,
+                kind: 'threshold',
+                rule: rule.id,
+                message: `${describeRule(rule, this.types)}: ${formatRuleValue(rule, value, this.types)} now`,
+                evidence: [
+                    { label: 'Rule', value: describeRule(rule, this.types) },
+                    { label: 'Value', value: formatRuleValue(rule, value, this.types) },
+                    { label: 'Holding since', value: toTimeLabel(state.since) },
+                    { label: 'Clears at', value: formatRuleValue(rule, clearingThreshold(rule), this.types) }
+                ],
+                timestamp: new Date(t).toISOString()
+            };
+            changed = true;
+        });
+
+        if (changed) this.publish();
+        return this.alerts;
+    }
+
+    publish() {
+        this.alerts = [...this.state.values()]
+            .filter(state => state.alert)
+            .map(state => state.alert)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+}
+
+const alertRuleEngine = new AlertRuleEngine();
+export default alertRuleEngine;
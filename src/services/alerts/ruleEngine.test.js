@@ -0,0 +1,93 @@
+import { AlertRuleEngine } from './ruleEngine';
+import { DEFAULT_ALERT_RULES } from '../../config/alertRules';
+
+const MINUTE = 60000;
+
+// Battery below 20% for 5 min (clears at 25%) and campus load above 400 kW for 10 min (clears at 380 kW)
+const [LOW_BATTERY, HIGH_LOAD] = DEFAULT_ALERT_RULES;
+
+// The status stream from 08:00 local on 3 March 2026, one frame a minute
+const EIGHT_AM = Date.parse('2026-03-03T08:00:00+05:30');
+const frameAt = (minute, reading) => ({ timestamp: new Date(EIGHT_AM + minute * MINUTE).toISOString(), ...reading });
+
+// Plays campus load readings a minute apart from `minute` and returns the alerts after the last
+const playLoad = (engine, minute, loads) =>
+    loads.reduce((_, load, index) => engine.observe(frameAt(minute + index, { campus_load: load })), engine.alerts);
+
+const engineFor = (...rules) => {
+    const engine = new AlertRuleEngine();
+    engine.setRules(rules);
+    return engine;
+};
+
+describe('duration', () => {
+    test('raises once the condition has held on every frame for the rule\'s duration', () => {
+        const engine = engineFor(HIGH_LOAD);
+        expect(playLoad(engine, 0, Array(10).fill(430))).toEqual([]);
+        const [alert] = playLoad(engine, 10, [430]);
+        expect(alert).toMatchObject({
+            type: 'warning',
+            asset: 'campus',
+            kind: 'threshold',
+            rule: 'high-load',
+            message: 'Campus load above 400 kW for 10 min: 430 kW now',
+            timestamp: frameAt(10).timestamp
+        });
+        expect(alert.evidence).toEqual([
+            { label: 'Rule', value: 'Campus load above 400 kW for 10 min' },
+            { label: 'Value', value: '430 kW' },
+            { label: 'Holding since', value: '08:00 am' },
+            { label: 'Clears at', value: '380 kW' }
+        ]);
+    });
+
+    test('starts the duration again after a frame that breaks the condition or lacks the reading', () => {
+        const engine = engineFor(HIGH_LOAD);
+        expect(playLoad(engine, 0, [430, 430, 400, ...Array(9).fill(430), null, ...Array(10).fill(430)])).toEqual([]);
+        expect(playLoad(engine, 23, [430])).toHaveLength(1);
+    });
+
+    test('raises on the first frame for a rule without a duration, at the rule\'s severity', () => {
+        const engine = engineFor({ ...HIGH_LOAD, duration: 0, severity: 'critical' });
+        expect(playLoad(engine, 0, [401])[0].type).toBe('critical');
+    });
+});
+
+describe('hysteresis', () => {
+    test('keeps an above rule active until the value falls past the threshold by the hysteresis', () => {
+        const engine = engineFor({ ...HIGH_LOAD, duration: 0 });
+        const alerts = playLoad(engine, 0, [430]);
+        expect(playLoad(engine, 1, [399, 410, 381, null])).toBe(alerts);
+        expect(playLoad(engine, 5, [380])).toEqual([]);
+    });
+
+    test('works upwards for a below rule', () => {
+        const engine = engineFor({ ...LOW_BATTERY, duration: 0 });
+        const soc = (minute, value) => engine.observe(frameAt(minute, { battery_soc: value }));
+        expect(soc(0, 19)).toHaveLength(1);
+        expect(soc(1, 24)).toHaveLength(1);
+        expect(soc(2, 25)).toEqual([]);
+    });
+});
+
+describe('setRules', () => {
+    test('keeps the progress of rules that did not change', () => {
+        const engine = engineFor(HIGH_LOAD);
+        playLoad(engine, 0, Array(10).fill(430));
+        engine.setRules([HIGH_LOAD, LOW_BATTERY]);
+        expect(playLoad(engine, 10, [430])).toHaveLength(1);
+    });
+
+    test('starts an edited rule over and drops its alert', () => {
+        const engine = engineFor({ ...HIGH_LOAD, duration: 0 });
+        playLoad(engine, 0, [430]);
+        engine.setRules([{ ...HIGH_LOAD, duration: 0, threshold: 420 }]);
+        expect(engine.alerts).toEqual([]);
+        expect(playLoad(engine, 1, [430])[0].message).toBe('Campus load above 420 kW: 430 kW now');
+    });
+
+    test('ignores disabled rules and rules of unknown types', () => {
+        const engine = engineFor({ ...HIGH_LOAD, duration: 0, enabled: false }, { ...HIGH_LOAD, id: 'chiller', type: 'chiller_load', duration: 0 });
+        expect(playLoad(engine, 0, [500])).toEqual([]);
+    });
+});
@@ -0,0 +1,50 @@
+// What alert rules can watch. A rule is
+//   { id, type, operator, threshold, duration, hysteresis, severity, enabled }
+// where `type` names an entry below, `duration` is the minutes the condition must hold
+// before an alert is raised and `hysteresis` how far back past the threshold (in the
+// type's unit) the value must come before the alert clears.
+// To watch something new, add an entry here: `value` reads it from a status frame and
+// returns null when the frame says nothing about it.
+import { CONFIG } from '../config';
+import { expectedGeneration } from './generationAnomalies';
+
+export const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+export const ALERT_OPERATORS = {
+    '>': { label: 'above', compare: (value, threshold) => value > threshold },
+    '>=': { label: 'at or above', compare: (value, threshold) => value >= threshold },
+    '<': { label: 'below', compare: (value, threshold) => value < threshold },
+    '<=': { label: 'at or below', compare: (value, threshold) => value <= threshold }
+};
+
+// Total solar and wind output as a percentage of what the weather should produce
+const generationPerformance = (frame, config = CONFIG) => {
+    if (!frame.weather) return null;
+    const expected = expectedGeneration(frame.weather, config);
+    const total = expected.solar + expected.wind;
+    const capacity = config.CAMPUS_INFO.solar_capacity + config.CAMPUS_INFO.wind_capacity;
+    if (total < config.ANOMALIES.MIN_EXPECTED * capacity) return null;
+    return 100 * (frame.solar_generation + frame.wind_generation) / total;
+};
+
+const reading = (field) => (frame) => (typeof frame[field] === 'number' ? frame[field] : null);
+
+export const ALERT_RULE_TYPES = {
+    battery_soc: { label: 'Battery state of charge', unit: '%', asset: 'battery', value: reading('battery_soc') },
+    battery_temperature: { label: 'Battery temperature', unit: '°C', asset: 'battery', value: reading('battery_temperature') },
+    campus_load: { label: 'Campus load', unit: 'kW', asset: 'campus', value: reading('campus_load') },
+    grid_power: { label: 'Grid import', unit: 'kW', asset: 'grid', value: reading('grid_power') },
+    generation_performance: { label: 'Equipment performance', unit: '%', asset: 'generation', value: generationPerformance }
+};
+
+const formatValue = (value, unit) => `${parseFloat(value.toFixed(1))}${unit === '%' ? '' : ' '}${unit}`;
+
+// e.g. "Campus load above 400 kW for 10 min"
+export const describeRule = (rule, types = ALERT_RULE_TYPES) => {
+    const type = types[rule.type];
+    const label = type ? type.label : rule.type;
+    const condition = `${label} ${ALERT_OPERATORS[rule.operator]?.label || rule.operator} ${formatValue(rule.threshold, type?.unit || '')}`;
+    return rule.duration > 0 ? `${condition} for ${rule.duration} min` : condition;
+};
+
+export const formatRuleValue = (rule, value, types = ALERT_RULE_TYPES) => formatValue(value, types[rule.type]?.unit || '');
@@ -0,0 +1,43 @@
+// How raised alerts are grouped and held back (see alertManager.sync):
+//  - repeats of an open alert are grouped into it, counted rather than tracked anew
+//  - an alert raised CONFIG.ALERTS.FLAP_THRESHOLD times within FLAP_WINDOW is flapping
+//  - an alert from an asset with an active maintenance window is expected
+// Flapping and expected alerts are suppressed: kept for audit but not shown as open,
+// escalated or notified.
+import { findCampusAsset } from '../../config/campusAssets';
+
+export const SUPPRESSION_REASONS = {
+    maintenance: 'Maintenance window',
+    flapping: 'Flapping'
+};
+
+// Alert assets (the `asset` of a raised alert) that servicing each type of campus asset can
+// set off; taking a generator offline also drags down overall generation performance
+const MAINTENANCE_COVERS = {
+    solar: ['solar', 'generation'],
+    wind: ['wind', 'generation'],
+    battery: ['battery'],
+    building: []
+};
+
+// Alerts with the same key are repeats of each other. Generated alerts repeat their rule or
+// their asset and kind; alerts from the data source repeat their severity and message.
+export const alertKey = (alert) => {
+    if (alert.rule) return `rule:${alert.rule}`;
+    if (alert.kind) return `${alert.asset}:${alert.kind}`;
+    return `${alert.type}:${alert.message}`;
+};
+
+export const isWindowActive = (window, now) => Date.parse(window.start) <= now && now < Date.parse(window.end);
+
+export const windowCovers = (window, alert) => {
+    const asset = findCampusAsset(window.asset_id);
+    return Boolean(asset && alert.asset && MAINTENANCE_COVERS[asset.type].includes(alert.asset));
+};
+
+export const activeMaintenanceWindow = (alert, windows, now) =>
+    windows.find(window => isWindowActive(window, now) && windowCovers(window, alert));
+
+// Raise times still inside the flapping window, `at` included
+export const recentRaises = (times, at, now, options) =>
+    [...times, at].filter(time => now - Date.parse(time) < options.FLAP_WINDOW);
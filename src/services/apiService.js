@@ -1,83 +1,96 @@
-// This file remains the same as the original apiService.js,
-// as it correctly abstracts data fetching.
-// Mock data derived from the legacy app.js file
-const MOCK_DATA = {
-    current_status: {
-        timestamp: "2025-09-27T16:33:00+05:30",
-        solar_generation: 385.5,
-        wind_generation: 23.8,
-        total_generation: 409.3,
-        campus_load: 342.7,
-        battery_soc: 78.5,
-        battery_power: 25.2,
-        grid_power: -41.4,
-        weather: {
-            temperature: 32.5,
-            irradiance: 785,
-            wind_speed: 4.2,
-            cloud_cover: 15
-        }
-    },
-    historical_data: [
-        {"time": "06:00", "solar": 0, "wind": 15, "load": 180, "battery": 65},
-        {"time": "07:00", "solar": 45, "wind": 18, "load": 220, "battery": 68},
-        {"time": "08:00", "solar": 125, "wind": 22, "load": 280, "battery": 72},
-        {"time": "09:00", "solar": 245, "wind": 28, "load": 320, "battery": 75},
-        {"time": "10:00", "solar": 335, "wind": 31, "load": 350, "battery": 77},
-        {"time": "11:00", "solar": 398, "wind": 35, "load": 380, "battery": 78},
-        {"time": "12:00", "solar": 445, "wind": 38, "load": 395, "battery": 82},
-        {"time": "13:00", "solar": 465, "wind": 42, "load": 405, "battery": 85},
-        {"time": "14:00", "solar": 425, "wind": 38, "load": 385, "battery": 83},
-        {"time": "15:00", "solar": 398, "wind": 32, "load": 365, "battery": 80},
-        {"time": "16:00", "solar": 385, "wind": 24, "load": 343, "battery": 78}
-    ],
-    forecasts: [
-        {"day": "Today", "solar_max": 465, "wind_avg": 32, "load_peak": 405},
-        {"day": "Tomorrow", "solar_max": 445, "wind_avg": 28, "load_peak": 395},
-        {"day": "Day 3", "solar_max": 385, "wind_avg": 22, "load_peak": 380},
-    ],
-    recommendations: [
-        {
-            type: "battery",
-            priority: "high",
-            message: "Optimal battery charging window: 11:00-14:00 today due to excess solar generation",
-            savings: "₹2,450"
-        },
-        {
-            type: "load",
-            priority: "medium", 
-            message: "Schedule workshop activities for 12:00-15:00 when renewable generation peaks",
-            savings: "₹1,850"
-        },
-    ],
-    alerts: [
-        {
-            type: "warning",
-            message: "Wind generation below forecast - maintenance check recommended for turbine",
-            timestamp: "2025-09-27T14:15:00+05:30"
-        },
-        {
-            type: "info",
-            message: "Battery system performing optimally - 95.2% efficiency over last 24 hours",
-            timestamp: "2025-09-27T10:30:00+05:30"
-        }
-    ]
-};
+// Single entry point for data fetching. The actual data source is a pluggable
+// adapter (mock, http or recorded) chosen by CONFIG.DATA_SOURCE, and every
+// response is checked against the shared adapter contract before it is returned.
+// History is served from the browser's own recorded frames where it has them.
+import { CONFIG } from './config';
+import { createAdapter } from './adapters';
+import { validateResponse } from './adapters/contract';
+import { RESOLUTION_MS, AGGREGATES, pickResolution } from './aggregation';
+import { withRecordedHistory } from './storage/recordedHistory';
+
+const DAY = 24 * 60 * 60000;
+export const HISTORY_METRICS = ['solar', 'wind', 'load', 'battery'];
 
-const fakeFetch = (data, delay = 250) => 
-  new Promise(resolve => setTimeout(() => resolve(JSON.parse(JSON.stringify(data))), delay));
+// Fill in defaults and resolve 'auto' so every adapter receives a complete, valid query
+const normalizeHistoryQuery = ({ from, to, resolution = 'auto', metrics = HISTORY_METRICS, aggregate = 'avg' } = {}) => {
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DAY);
+  if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate > toDate) {
+    throw new Error('getHistoricalData: "from" and "to" must be valid timestamps with from <= to');
+  }
+  const chosen = resolution === 'auto' ? pickResolution(fromDate, toDate) : resolution;
+  if (!(chosen in RESOLUTION_MS)) {
+    throw new Error(`getHistoricalData: unknown resolution "${resolution}"`);
+  }
+  if (!AGGREGATES.includes(aggregate)) {
+    throw new Error(`getHistoricalData: unknown aggregate "${aggregate}"`);
+  }
+  return { from: fromDate.toISOString(), to: toDate.toISOString(), resolution: chosen, metrics, aggregate };
+};
 
 class ApiService {
-  getCurrentStatus() { return fakeFetch(MOCK_DATA.current_status); }
-  getHistoricalData() { return fakeFetch(MOCK_DATA.historical_data); }
-  getForecasts() { return fakeFetch(MOCK_DATA.forecasts); }
-  getRecommendations() { return fakeFetch(MOCK_DATA.recommendations); }
-  getAlerts() { return fakeFetch(MOCK_DATA.alerts); }
-  updateBatterySettings(settings) {
-    console.log('API: Updating battery settings', settings);
-    return fakeFetch({ success: true, settings });
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  async call(method, ...args) {
+    const data = await this.adapter[method](...args);
+    return validateResponse(method, data);
+  }
+
+  getCurrentStatus() { return this.call('getCurrentStatus'); }
+  // query: { from, to, resolution: '1m'|'15m'|'1h'|'1d'|'auto', metrics, aggregate: 'avg'|'min'|'max'|'sum' }
+  // Buckets this browser has recorded come from its time-series store; the adapter fills the rest.
+  getHistoricalData(query) {
+    return withRecordedHistory(normalizeHistoryQuery(query), (gap) => this.call('getHistoricalData', gap));
   }
+  getAlerts() { return this.call('getAlerts'); }
+  getAlertRules() { return this.call('getAlertRules'); }
+  // rules: the whole set, replacing what was saved
+  saveAlertRules(rules) { return this.call('saveAlertRules', rules); }
+  getAlertRecords() { return this.call('getAlertRecords'); }
+  // record: a raised alert with { state, assignee, notes, history }, replacing the saved one
+  saveAlertRecord(record) { return this.call('saveAlertRecord', record); }
+  getMaintenanceWindows() { return this.call('getMaintenanceWindows'); }
+  // window: { id, asset_id, start, end, reason, created_by }, replacing the saved one
+  saveMaintenanceWindow(window) { return this.call('saveMaintenanceWindow', window); }
+  deleteMaintenanceWindow(id) { return this.call('deleteMaintenanceWindow', id); }
+  getWorkOrders() { return this.call('getWorkOrders'); }
+  // order: { id, title, asset_id, alert_id, assignee, status, checklist, parts, photos: [{ id, name }], history }, replacing the saved one
+  saveWorkOrder(order) { return this.call('saveWorkOrder', order); }
+  // photo: { id, name, data_url }, kept apart from the order, which references it by id
+  getPhoto(id) { return this.call('getPhoto', id); }
+  savePhoto(photo) { return this.call('savePhoto', photo); }
+  deletePhoto(id) { return this.call('deletePhoto', id); }
+  // Every user's alert notification preferences
+  getNotificationPreferences() { return this.call('getNotificationPreferences'); }
+  // preferences: one user's { username, email, webhook_url, channels, quiet_hours }, replacing the saved ones
+  saveNotificationPreferences(preferences) { return this.call('saveNotificationPreferences', preferences); }
+  // claim: { key, by, at }; only the first claim of a key is granted, so one client sends each notification
+  claimNotification(claim) { return this.call('claimNotification', claim); }
+  // { strategy, target_soc, plan } in force, or null when none have been applied
+  getBatterySettings() { return this.call('getBatterySettings'); }
+  updateBatterySettings(settings) { return this.call('updateBatterySettings', settings); }
+  getLoadSchedules() { return this.call('getLoadSchedules'); }
+  // schedule: { load_id, windows: [{ day, start, end }] } for one controllable load
+  updateLoadSchedule(schedule) { return this.call('updateLoadSchedule', schedule); }
+  getRoles() { return this.call('getRoles'); }
+  saveRole(role) { return this.call('saveRole', role); }
+  deleteRole(id) { return this.call('deleteRole', id); }
+  getUserAssignments() { return this.call('getUserAssignments'); }
+  saveUserAssignment(assignment) { return this.call('saveUserAssignment', assignment); }
+  // query: { from, to, action, target, outcome, user, search, limit }, newest first
+  getAuditLog(query) { return this.call('getAuditLog', query); }
+  recordAuditEntry(entry) { return this.call('recordAuditEntry', entry); }
+  // query: { from, to } on the forecast start; oldest first
+  getForecastArchive(query) { return this.call('getForecastArchive', query); }
+  // forecast: { start, issued_at, provider, solar: [], wind: [], load: [] }, one per start hour
+  recordForecast(forecast) { return this.call('recordForecast', forecast); }
+  // Newest first
+  getRecommendationOutcomes() { return this.call('getRecommendationOutcomes'); }
+  // outcome: { id, recommendation_id, rule, title, outcome, savings, user, timestamp, snoozed_until? }
+  recordRecommendationOutcome(outcome) { return this.call('recordRecommendationOutcome', outcome); }
 }
 
-const apiService = new ApiService();
-export default apiService;
\ No newline at end of file
+const apiService = new ApiService(createAdapter(CONFIG.DATA_SOURCE));
+export default apiService;
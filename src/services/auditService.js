@@ -0,0 +1,121 @@
+// Records every control command with who issued it, the value it replaced, the value
+// requested and how it ended, so changes to campus equipment can be traced afterwards.
+import apiService from './apiService';
+import { CommandRejectedError } from './errors';
+import { describeWindows } from './loadScheduling';
+import { newId } from './ids';
+
+export const AUDIT_ACTIONS = {
+    'battery.settings': 'Battery settings',
+    'load.schedule': 'Load schedule'
+};
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'rejected'];
+
+// What each action replaces, read from the data source just before the command runs, so
+// it reflects changes made outside the dashboard too. Shaped like the entries' `next`.
+const CURRENT_VALUE = {
+    'battery.settings': async () => {
+        const settings = await apiService.getBatterySettings();
+        return settings && { strategy: settings.strategy, target_soc: settings.target_soc };
+    },
+    'load.schedule': async (target) => {
+        const schedule = (await apiService.getLoadSchedules()).find(s => s.load_id === target);
+        return { windows: describeWindows(schedule ? schedule.windows : []) };
+    }
+};
+
+class AuditService {
+    constructor() {
+        // Entries the data source failed to store, kept for a retry and shown in the Control
+        // section so a command never goes unaudited without anyone noticing
+        this.unrecorded = [];
+        this.listeners = new Set();
+    }
+
+    // --- Subscribers (useUnrecordedAudit) ---
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.unrecorded);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.unrecorded));
+    }
+
+    async currentValue(action, target) {
+        try {
+            return await CURRENT_VALUE[action](target);
+        } catch (error) {
+            console.error(`Failed to read the current ${action} before the command:`, error);
+            return null;
+        }
+    }
+
+    async record(entry) {
+        try {
+            return await apiService.recordAuditEntry(entry);
+        } catch (error) {
+            // Never let a logging problem mask the outcome of the command itself
+            console.error('Failed to record audit entry:', error, entry);
+            this.unrecorded = [...this.unrecorded, entry];
+            this.notify();
+            return entry;
+        }
+    }
+
+    // Tries the unrecorded entries again; any that fail again stay unrecorded
+    async retryUnrecorded() {
+        const entries = this.unrecorded;
+        this.unrecorded = [];
+        this.notify();
+        for (const entry of entries) {
+            await this.record(entry);
+        }
+    }
+
+    // An entry for a command about to run. `target` names the equipment when an action
+    // applies to several (e.g. which load); `previous` defaults to the value in force, read
+    // from the data source.
+    async open({ user, role, action, target, previous, next }) {
+        const timestamp = new Date().toISOString();
+        const replaced = previous !== undefined ? previous : await this.currentValue(action, target);
+        return { id: newId(), timestamp, user, role, action, target, previous: replaced, next };
+    }
+
+    // Records how the command ended, with the error it failed with if it did
+    close(entry, error = null) {
+        if (!error) return this.record({ ...entry, outcome: 'success', detail: '' });
+        const outcome = error instanceof CommandRejectedError ? 'rejected' : 'failure';
+        return this.record({ ...entry, outcome, detail: error.message });
+    }
+
+    // Audits a queued command once, however many times the queue sends it. Returns a runner
+    // for each send: the entry is opened on the first attempt and recorded, with the number
+    // of attempts, once a send succeeds or fails for good. Errors are re-thrown. `changes`
+    // come from the attempt that ends it, e.g. `override` ({ reason, rules }) for interlocks
+    // the user chose to bypass.
+    commandAudit(details) {
+        const opened = new Map();
+        return async (queued, { willRetry }, changes, command) => {
+            if (!opened.has(queued.id)) opened.set(queued.id, this.open(details));
+            const entry = await opened.get(queued.id);
+            const settle = (error) => {
+                opened.delete(queued.id);
+                return this.close({ ...entry, ...changes, attempts: queued.attempts }, error);
+            };
+            try {
+                const result = await command();
+                await settle();
+                return result;
+            } catch (error) {
+                if (!willRetry(error)) await settle(error);
+                throw error;
+            }
+        };
+    }
+}
+
+const auditService = new AuditService();
+export default auditService;
@@ -0,0 +1,119 @@
+import auditService from './auditService';
+import commandQueue, { COMMAND_STATES } from './commands/commandQueue';
+import { CommandRejectedError } from './errors';
+
+// Entries the data source stored, and the battery settings in force. Plain functions: CRA
+// resets jest.fn mocks before each test.
+let mockAuditLog;
+let mockSettingsReads;
+jest.mock('./apiService', () => ({
+    __esModule: true,
+    default: {
+        recordAuditEntry: (entry) => {
+            mockAuditLog.push(entry);
+            return Promise.resolve(entry);
+        },
+        getBatterySettings: () => {
+            mockSettingsReads++;
+            return Promise.resolve({ strategy: 'Auto', target_soc: 60, plan: [] });
+        }
+    }
+}));
+
+const details = { user: 'ravi', role: 'technician', action: 'battery.settings', next: { strategy: 'Manual Control', target_soc: 80 } };
+
+// The queue retries network errors up to the third attempt
+const attempt = (attempts) => ({ willRetry: (error) => !(error instanceof CommandRejectedError) && attempts < 3 });
+const failing = (message) => () => Promise.reject(new Error(message));
+
+let audited;
+
+beforeEach(() => {
+    mockAuditLog = [];
+    mockSettingsReads = 0;
+    audited = auditService.commandAudit(details);
+});
+
+describe('commandAudit', () => {
+    test('records a command sent several times once, with its attempts and final outcome', async () => {
+        const command = { id: 7 };
+        await expect(audited({ ...command, attempts: 1 }, attempt(1), {}, failing('Gateway timeout'))).rejects.toThrow();
+        await expect(audited({ ...command, attempts: 2 }, attempt(2), {}, failing('Gateway timeout'))).rejects.toThrow();
+        expect(mockAuditLog).toEqual([]);
+
+        await expect(audited({ ...command, attempts: 3 }, attempt(3), {}, () => Promise.resolve('ok'))).resolves.toBe('ok');
+        expect(mockAuditLog).toEqual([expect.objectContaining({
+            ...details,
+            previous: { strategy: 'Auto', target_soc: 60 },
+            outcome: 'success',
+            detail: '',
+            attempts: 3
+        })]);
+        // The value replaced is read once, before the first attempt
+        expect(mockSettingsReads).toBe(1);
+    });
+
+    test('records a rejected command straight away, with changes from the attempt that ended it', async () => {
+        const override = { reason: 'Cell temperatures checked on site', rules: ['battery_temperature'] };
+        const rejected = () => Promise.reject(new CommandRejectedError('Controller is in local mode'));
+        await expect(audited({ id: 8, attempts: 1 }, attempt(1), { override }, rejected)).rejects.toThrow('local mode');
+        expect(mockAuditLog).toEqual([expect.objectContaining({ outcome: 'rejected', detail: 'Controller is in local mode', attempts: 1, override })]);
+    });
+
+    test('gives each queued command its own entry', async () => {
+        await expect(audited({ id: 9, attempts: 3 }, attempt(3), {}, failing('Gateway timeout'))).rejects.toThrow();
+        // An operator retry queues the command again under a new id
+        await audited({ id: 10, attempts: 1 }, attempt(1), {}, () => Promise.resolve());
+        expect(mockAuditLog.map(entry => [entry.outcome, entry.attempts])).toEqual([['failure', 3], ['success', 1]]);
+        expect(mockAuditLog[0].id).not.toBe(mockAuditLog[1].id);
+    });
+});
+
+describe('a command the queue retries', () => {
+    const OPTIONS = { ACK_TIMEOUT: 30000, EXECUTE_TIMEOUT: 900000, MAX_ATTEMPTS: 3, RETRY_DELAY: 2000, HISTORY_LIMIT: 50 };
+    let queue;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        queue = new commandQueue.constructor(OPTIONS);
+    });
+
+    afterEach(() => {
+        clearInterval(queue.timer);
+        jest.useRealTimers();
+    });
+
+    // Sends the battery settings, failing with a network error the first `failures` times
+    const enqueueFlaky = (failures) => {
+        let sends = 0;
+        return queue.enqueue({
+            target: 'battery',
+            label: 'Battery: Manual Control',
+            send: (queued, attempt) => audited(queued, attempt, {}, () => (++sends <= failures
+                ? Promise.reject(new Error('Gateway timeout'))
+                : Promise.resolve()))
+        });
+    };
+
+    // Lets each send settle, then runs the retry the queue scheduled after it
+    const runRetries = async () => {
+        for (let attempt = 1; attempt < OPTIONS.MAX_ATTEMPTS; attempt++) {
+            for (let i = 0; i < 10; i++) await Promise.resolve();
+            jest.advanceTimersByTime(OPTIONS.RETRY_DELAY * attempt);
+        }
+    };
+
+    test('is one audit record with the outcome of its last attempt', async () => {
+        const command = enqueueFlaky(2);
+        await runRetries();
+        await expect(command.result).resolves.toMatchObject({ state: COMMAND_STATES.EXECUTED, attempts: 3 });
+        expect(mockAuditLog).toEqual([expect.objectContaining({ action: 'battery.settings', user: 'ravi', outcome: 'success', attempts: 3 })]);
+    });
+
+    test('is recorded as a failure once the queue gives up', async () => {
+        const command = enqueueFlaky(OPTIONS.MAX_ATTEMPTS);
+        await runRetries();
+        await expect(command.result).rejects.toThrow('Gateway timeout');
+        expect(mockAuditLog).toEqual([expect.objectContaining({ outcome: 'failure', detail: 'Gateway timeout', attempts: 3 })]);
+    });
+});
@@ -0,0 +1,230 @@
+// Owns the signed-in session independently of React: restores it on load, refreshes
+// tokens silently before they expire, and keeps every open tab in sync.
+//
+// Storage: tokens are never written to storage. The persisted session holds only the user
+// profile and the access token's expiry. The refresh token either stays with the auth
+// backend as an httpOnly cookie (the 'password' provider), which is what lets a reload stay
+// signed in, or lives in memory only (OIDC), where a reload takes the session from another
+// open tab or signs in again. Tabs share the session over a BroadcastChannel, and refreshes
+// are serialised across tabs with the Web Locks API so two tabs never spend the same
+// single-use refresh token.
+import { CONFIG } from '../config';
+import MockAuthProvider from './mockAuthProvider';
+import PasswordAuthProvider from './passwordAuthProvider';
+import OidcAuthProvider from './oidcAuthProvider';
+import { SessionExpiredError } from '../errors';
+
+const PROVIDERS = {
+    mock: () => new MockAuthProvider(),
+    password: (options) => new PasswordAuthProvider({ apiUrl: options.API_URL }),
+    oidc: (options) => new OidcAuthProvider({
+        issuer: options.OIDC.ISSUER,
+        clientId: options.OIDC.CLIENT_ID,
+        redirectUri: options.OIDC.REDIRECT_URI,
+        scope: options.OIDC.SCOPE,
+        roleClaim: options.OIDC.ROLE_CLAIM
+    })
+};
+
+class AuthService {
+    constructor(options = CONFIG.AUTH) {
+        // The service is built at import, so a bad setting must not take the whole app down
+        let name = options.PROVIDER;
+        if (!PROVIDERS[name]) {
+            console.error(`Unknown auth provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}. Falling back to "mock".`);
+            name = 'mock';
+        }
+        this.provider = PROVIDERS[name](options);
+        this.storageKey = options.STORAGE_KEY;
+        this.refreshMargin = options.REFRESH_MARGIN;
+        this.refreshRetry = options.REFRESH_RETRY;
+        this.tabReplyTimeout = options.TAB_REPLY_TIMEOUT;
+        this.session = null;
+        this.refreshTimer = null;
+        this.pendingTabRequest = null;
+        this.listeners = new Set();
+
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(this.storageKey) : null;
+        if (this.channel) {
+            this.channel.onmessage = ({ data }) => this.handleTabMessage(data);
+        }
+    }
+
+    get redirectsForLogin() {
+        return this.provider.redirectsForLogin;
+    }
+
+    // --- Subscribers (AuthContext) ---
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.session?.user || null));
+    }
+
+    // --- Persistence ---
+    persist(session) {
+        const { accessToken, refreshToken, ...stored } = session;
+        localStorage.setItem(this.storageKey, JSON.stringify(stored));
+    }
+
+    readStored() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch {
+            return null;
+        }
+    }
+
+    setSession(session, { broadcast = true } = {}) {
+        this.session = session;
+        clearTimeout(this.refreshTimer);
+        if (session) {
+            this.persist(session);
+            this.scheduleRefresh();
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+        if (broadcast) {
+            this.channel?.postMessage(session ? { type: 'session', session } : { type: 'logout' });
+        }
+        this.notify();
+    }
+
+    handleTabMessage(message) {
+        if (message.type === 'logout') {
+            this.setSession(null, { broadcast: false });
+        } else if (message.type === 'session') {
+            if (this.pendingTabRequest) {
+                this.pendingTabRequest(message.session);
+            } else {
+                this.setSession(message.session, { broadcast: false });
+            }
+        } else if (message.type === 'request-session' && this.session) {
+            this.channel.postMessage({ type: 'session', session: this.session });
+        }
+    }
+
+    // The in-memory session of another open tab, or null if none answers in time
+    requestFromOtherTabs() {
+        if (!this.channel) return Promise.resolve(null);
+        return new Promise(resolve => {
+            const done = (session) => {
+                clearTimeout(timer);
+                this.pendingTabRequest = null;
+                resolve(session);
+            };
+            const timer = setTimeout(() => done(null), this.tabReplyTimeout);
+            this.pendingTabRequest = done;
+            this.channel.postMessage({ type: 'request-session' });
+        });
+    }
+
+    canRefresh(session) {
+        return Boolean(this.provider.refreshesWithCookie || session?.refreshToken);
+    }
+
+    // --- Lifecycle ---
+    // Called once on startup. Finishes an OIDC redirect if there is one, otherwise takes the
+    // session from another open tab, or exchanges the refresh cookie for a fresh access token.
+    async restore() {
+        const redirected = await this.provider.completeLogin?.();
+        if (redirected) {
+            this.setSession(redirected);
+            return this.session.user;
+        }
+
+        const stored = this.readStored();
+        if (!stored) return null;
+        if (!stored.expiresAt) {
+            // Token-less (mock) sessions are restored as they are
+            this.setSession(stored, { broadcast: false });
+            return stored.user;
+        }
+        if (!this.provider.refreshesWithCookie) {
+            // The refresh token was only ever in memory
+            const shared = await this.requestFromOtherTabs();
+            this.setSession(shared, { broadcast: false });
+            return shared?.user || null;
+        }
+        try {
+            await this.refresh(stored);
+        } catch (error) {
+            console.warn('Could not restore session:', error.message);
+            // A transient failure leaves the cookie in place for the next reload
+            if (error instanceof SessionExpiredError) this.setSession(null, { broadcast: false });
+        }
+        return this.session?.user || null;
+    }
+
+    async login(credentials) {
+        const session = await this.provider.login(credentials);
+        this.setSession(session);
+        return session.user;
+    }
+
+    async logout() {
+        const session = this.session;
+        this.setSession(null);
+        if (session) {
+            try {
+                await this.provider.logout(session);
+            } catch (error) {
+                console.warn('Logout request failed:', error.message);
+            }
+        }
+    }
+
+    // Only a refused refresh signs out. Network and server failures are retried with backoff
+    // until the access token expires.
+    scheduleRefresh(delay = null, attempt = 0) {
+        if (!this.session?.expiresAt || !this.canRefresh(this.session)) return;
+        const wait = delay ?? Math.max(0, this.session.expiresAt - Date.now() - this.refreshMargin);
+        this.refreshTimer = setTimeout(async () => {
+            try {
+                await this.refresh();
+            } catch (error) {
+                if (error instanceof SessionExpiredError || !this.session || Date.now() >= this.session.expiresAt) {
+                    console.warn('Silent token refresh failed:', error.message);
+                    this.setSession(null);
+                    return;
+                }
+                const retry = Math.max(1000, Math.min(this.refreshRetry * 2 ** attempt, this.session.expiresAt - Date.now()));
+                console.warn(`Silent token refresh failed, retrying in ${Math.round(retry / 1000)}s:`, error.message);
+                this.scheduleRefresh(retry, attempt + 1);
+            }
+        }, wait);
+    }
+
+    async refresh(fallback = this.session) {
+        const run = async () => {
+            // Another tab may already have refreshed (and shared the session) while we waited for the lock
+            if (this.session && this.session.expiresAt - Date.now() > this.refreshMargin) {
+                return this.session;
+            }
+            const session = await this.provider.refresh(this.session || fallback);
+            this.setSession(session);
+            return session;
+        };
+        return navigator.locks ? navigator.locks.request(`${this.storageKey}-refresh`, run) : run();
+    }
+
+    // For API clients: a valid access token, refreshing first if it is about to expire
+    async getAccessToken() {
+        if (!this.session?.accessToken) return null;
+        if (this.session.expiresAt && this.session.expiresAt - Date.now() < this.refreshMargin) {
+            try {
+                await this.refresh();
+            } catch (error) {
+                if (error instanceof SessionExpiredError) this.setSession(null);
+                throw error;
+            }
+        }
+        return this.session.accessToken;
+    }
+}
+
+const authService = new AuthService();
+export default authService;
@@ -0,0 +1,30 @@
+describe('provider', () => {
+    const configured = process.env.REACT_APP_AUTH_PROVIDER;
+
+    afterEach(() => {
+        process.env.REACT_APP_AUTH_PROVIDER = configured;
+        if (configured === undefined) delete process.env.REACT_APP_AUTH_PROVIDER;
+    });
+
+    // The service is built when the module is imported, with CONFIG read from the environment
+    const importWithProvider = (provider) => {
+        process.env.REACT_APP_AUTH_PROVIDER = provider;
+        let authService;
+        jest.isolateModules(() => {
+            authService = require('./authService').default;
+        });
+        return authService;
+    };
+
+    test('falls back to the mock provider on an unknown REACT_APP_AUTH_PROVIDER', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const authService = importWithProvider('okta');
+        expect(authService.provider.constructor.name).toBe('MockAuthProvider');
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unknown auth provider "okta"'));
+        console.error.mockRestore();
+    });
+
+    test('uses the configured provider', () => {
+        expect(importWithProvider('password').provider.constructor.name).toBe('PasswordAuthProvider');
+    });
+});
@@ -0,0 +1,15 @@
+// Reads (but does not verify) JWT claims. Signature checks belong to the backend;
+// the client only needs the expiry and the user's identity.
+export const decodeJwt = (token) => {
+    const [, payload] = token.split('.');
+    if (!payload) throw new Error('Malformed token');
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(atob(base64).split('').map(c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+    return JSON.parse(json);
+};
+
+// Expiry of a JWT in epoch ms, or null if it has no `exp` claim
+export const tokenExpiry = (token) => {
+    const { exp } = decodeJwt(token);
+    return typeof exp === 'number' ? exp * 1000 : null;
+};
@@ -0,0 +1,45 @@
+// --- Mock User Database ---
+// Built-in demo users for running the dashboard without an auth backend.
+const MOCK_USERS = {
+    admin: {
+        password: 'password',
+        name: 'Admin User',
+        role: 'admin'
+    },
+    tech: {
+        password: 'password',
+        name: 'Technician',
+        role: 'technician'
+    }
+};
+
+class MockAuthProvider {
+    redirectsForLogin = false;
+
+    login({ username, password }) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                const foundUser = MOCK_USERS[username];
+                if (foundUser && foundUser.password === password) {
+                    // Mock sessions carry no tokens and never expire
+                    resolve({
+                        user: { username, name: foundUser.name, role: foundUser.role },
+                        accessToken: null,
+                        refreshToken: null,
+                        expiresAt: null
+                    });
+                } else {
+                    reject(new Error('Invalid credentials.'));
+                }
+            }, 500);
+        });
+    }
+
+    async refresh(session) {
+        return session;
+    }
+
+    async logout() {}
+}
+
+export default MockAuthProvider;
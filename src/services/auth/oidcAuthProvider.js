@@ -0,0 +1,127 @@
+import { decodeJwt, tokenExpiry } from './jwt';
+import { SessionExpiredError } from '../errors';
+
+// OpenID Connect sign-in using the Authorization Code flow with PKCE.
+// login() redirects to the identity provider; completeLogin() finishes the flow when
+// the browser comes back to REDIRECT_URI with ?code=...&state=...
+const PENDING_KEY = 'vidyut-oidc-pending';
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const randomString = () => base64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+const pkceChallenge = async (verifier) =>
+    base64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+
+class OidcAuthProvider {
+    redirectsForLogin = true;
+
+    constructor({ issuer, clientId, redirectUri, scope, roleClaim }) {
+        this.issuer = issuer.replace(/\/$/, '');
+        this.clientId = clientId;
+        this.redirectUri = redirectUri;
+        this.scope = scope;
+        this.roleClaim = roleClaim;
+        this.metadata = null;
+    }
+
+    async discover() {
+        if (!this.metadata) {
+            const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+            if (!response.ok) throw new Error('Could not reach the identity provider.');
+            this.metadata = await response.json();
+        }
+        return this.metadata;
+    }
+
+    async tokenRequest(params) {
+        const { token_endpoint: tokenEndpoint } = await this.discover();
+        const response = await fetch(tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ client_id: this.clientId, ...params })
+        });
+        if (!response.ok) {
+            // invalid_grant: the code or refresh token is expired, revoked or already used
+            const { error } = await response.json().catch(() => ({}));
+            if (error === 'invalid_grant' || response.status === 401) throw new SessionExpiredError();
+            throw new Error(`Identity provider error (status ${response.status}).`);
+        }
+        return response.json();
+    }
+
+    toSession(tokens, previous = {}) {
+        // Identity comes from the ID token; refreshes may omit it, so keep the previous user
+        const claims = tokens.id_token ? decodeJwt(tokens.id_token) : null;
+        return {
+            user: claims
+                ? { username: claims.preferred_username || claims.sub, name: claims.name || claims.sub, role: claims[this.roleClaim] }
+                : previous.user,
+            accessToken: tokens.access_token,
+            refreshToken: tokens.refresh_token || previous.refreshToken,
+            idToken: tokens.id_token || previous.idToken,
+            expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : tokenExpiry(tokens.access_token)
+        };
+    }
+
+    async login() {
+        const { authorization_endpoint: authorizationEndpoint } = await this.discover();
+        const verifier = randomString();
+        const state = randomString();
+        sessionStorage.setItem(PENDING_KEY, JSON.stringify({ verifier, state }));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scope,
+            state,
+            code_challenge: await pkceChallenge(verifier),
+            code_challenge_method: 'S256'
+        });
+        window.location.assign(`${authorizationEndpoint}?${params}`);
+        // The page is navigating away; never settle
+        return new Promise(() => {});
+    }
+
+    // Returns a session if the current URL is an authorization response, otherwise null
+    async completeLogin() {
+        const params = new URLSearchParams(window.location.search);
+        const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || 'null');
+        if (!pending || (!params.has('code') && !params.has('error'))) return null;
+
+        sessionStorage.removeItem(PENDING_KEY);
+        window.history.replaceState(null, '', window.location.pathname);
+        if (params.has('error')) {
+            throw new Error(params.get('error_description') || 'Sign-in was cancelled.');
+        }
+        if (params.get('state') !== pending.state) {
+            throw new Error('Sign-in response did not match the request. Please try again.');
+        }
+
+        return this.toSession(await this.tokenRequest({
+            grant_type: 'authorization_code',
+            code: params.get('code'),
+            redirect_uri: this.redirectUri,
+            code_verifier: pending.verifier
+        }));
+    }
+
+    async refresh(session) {
+        return this.toSession(await this.tokenRequest({
+            grant_type: 'refresh_token',
+            refresh_token: session.refreshToken
+        }), session);
+    }
+
+    async logout(session) {
+        const { end_session_endpoint: endSessionEndpoint } = await this.discover();
+        if (endSessionEndpoint && session.idToken) {
+            const params = new URLSearchParams({ id_token_hint: session.idToken, post_logout_redirect_uri: this.redirectUri });
+            window.location.assign(`${endSessionEndpoint}?${params}`);
+        }
+    }
+}
+
+export default OidcAuthProvider;
@@ -0,0 +1,58 @@
+import { decodeJwt, tokenExpiry } from './jwt';
+import { SessionExpiredError } from '../errors';
+
+// Username/password against the auth backend, which returns a JWT access token and keeps the
+// refresh token in an httpOnly cookie that page scripts cannot read:
+//   POST {API_URL}/login   { username, password }  -> { access_token }, sets the refresh cookie
+//   POST {API_URL}/refresh (refresh cookie)        -> { access_token }, rotates the cookie
+//   POST {API_URL}/logout  (refresh cookie)        -> clears the cookie
+// The access token's claims carry the user: sub (username), name and role.
+class PasswordAuthProvider {
+    redirectsForLogin = false;
+    refreshesWithCookie = true;
+
+    constructor({ apiUrl }) {
+        this.apiUrl = apiUrl.replace(/\/$/, '');
+    }
+
+    async post(path, body) {
+        const response = await fetch(`${this.apiUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            // Sends and receives the refresh cookie
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+        if (response.status === 401) {
+            if (path === '/login') throw new Error('Invalid credentials.');
+            throw new SessionExpiredError();
+        }
+        if (!response.ok) {
+            throw new Error(`Authentication server error (status ${response.status}).`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    toSession({ access_token: accessToken }) {
+        const claims = decodeJwt(accessToken);
+        return {
+            user: { username: claims.sub, name: claims.name || claims.sub, role: claims.role },
+            accessToken,
+            expiresAt: tokenExpiry(accessToken)
+        };
+    }
+
+    async login({ username, password }) {
+        return this.toSession(await this.post('/login', { username, password }));
+    }
+
+    async refresh() {
+        return this.toSession(await this.post('/refresh', {}));
+    }
+
+    async logout() {
+        await this.post('/logout', {});
+    }
+}
+
+export default PasswordAuthProvider;
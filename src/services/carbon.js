@@ -0,0 +1,89 @@
+// Carbon accounting for the campus grid connection. Grid imports are charged at the grid
+// emission factor for their year (src/config/emissionFactors.js); renewable energy used on
+// campus and energy exported to the grid are credited as avoided emissions, since both
+// displace grid generation at the same factor.
+import { CONFIG } from './config';
+import { GRID_EMISSION_FACTORS } from '../config/emissionFactors';
+import { localDate } from './aggregation';
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+export const CARBON_PERIODS = {
+    day: (time) => localDate(time),
+    month: (time) => localDate(time).slice(0, 7),
+    year: (time) => localDate(time).slice(0, 4)
+};
+
+// Factor for the campus-local year of `date`: that year's entry, else the latest earlier one,
+// else the earliest defined
+export const emissionFactorAt = (date, factors = GRID_EMISSION_FACTORS) => {
+    const year = Number(localDate(date).slice(0, 4));
+    const sorted = [...factors].sort((a, b) => a.year - b.year);
+    return sorted.filter(f => f.year <= year).pop() || sorted[0];
+};
+
+// Emissions for hourly points ({ time, load, grid } in average kW, grid positive when importing).
+// Avoided emissions are measured against importing the whole `load` from the grid.
+// Self-consumption is load minus import, and goes negative in hours when the battery charges
+// from the grid. It is deliberately not clamped at zero: summed over a period, the grid energy
+// stored in the battery is netted against its later discharge instead of being credited.
+export const hourlyEmissions = (points) => points
+    .filter(point => Number.isFinite(point.load) && Number.isFinite(point.grid))
+    .map(({ time, load, grid }) => {
+        const { factor } = emissionFactorAt(time);
+        const importKwh = Math.max(grid, 0);
+        const exportKwh = Math.max(-grid, 0);
+        // Load not met from the grid was met by on-site generation, directly or through the battery
+        const selfConsumedKwh = load - importKwh;
+        return {
+            time,
+            factor,
+            import_kwh: importKwh,
+            self_consumed_kwh: selfConsumedKwh,
+            export_kwh: exportKwh,
+            emissions_kg: importKwh * factor,
+            avoided_self_consumption_kg: selfConsumedKwh * factor,
+            avoided_export_kg: exportKwh * factor
+        };
+    });
+
+// Totals per day, month or year, in time order
+export const carbonSummary = (points, period = 'month') => {
+    const keyOf = CARBON_PERIODS[period];
+    const groups = new Map();
+    hourlyEmissions(points).forEach(hour => {
+        const key = keyOf(hour.time);
+        const totals = groups.get(key) || {
+            period: key, hours: 0, import_kwh: 0, self_consumed_kwh: 0, export_kwh: 0,
+            emissions_kg: 0, avoided_self_consumption_kg: 0, avoided_export_kg: 0
+        };
+        totals.hours += 1;
+        ['import_kwh', 'self_consumed_kwh', 'export_kwh', 'emissions_kg', 'avoided_self_consumption_kg', 'avoided_export_kg']
+            .forEach(field => { totals[field] += hour[field]; });
+        groups.set(key, totals);
+    });
+    return [...groups.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(totals => ({
+            ...Object.fromEntries(Object.entries(totals).map(([field, value]) => [field, typeof value === 'number' ? round(value) : value])),
+            hours: totals.hours,
+            avoided_kg: round(totals.avoided_self_consumption_kg + totals.avoided_export_kg)
+        }));
+};
+
+// Grand total over all points
+export const carbonTotals = (points) => {
+    const summaries = carbonSummary(points, 'year');
+    const sum = (field) => round(summaries.reduce((total, s) => total + s[field], 0));
+    return {
+        import_kwh: sum('import_kwh'),
+        self_consumed_kwh: sum('self_consumed_kwh'),
+        export_kwh: sum('export_kwh'),
+        emissions_kg: sum('emissions_kg'),
+        avoided_kg: sum('avoided_kg')
+    };
+};
+
+export const formatCarbon = (kg) => (Math.abs(kg) >= 1000
+    ? `${(kg / 1000).toLocaleString(CONFIG.LOCALE, { maximumFractionDigits: 1 })} t CO₂`
+    : `${Math.round(kg).toLocaleString(CONFIG.LOCALE)} kg CO₂`);
@@ -0,0 +1,80 @@
+import { emissionFactorAt, hourlyEmissions, carbonSummary, carbonTotals, formatCarbon } from './carbon';
+
+// Campus local time (Asia/Kolkata) as an ISO timestamp
+const local = (text) => new Date(`${text}+05:30`).toISOString();
+
+describe('emissionFactorAt', () => {
+    const factors = [{ year: 2024, factor: 0.8 }, { year: 2022, factor: 0.9 }];
+
+    test.each([
+        ['2022-06-01T12:00:00', 0.9],
+        ['2023-06-01T12:00:00', 0.9],
+        ['2024-06-01T12:00:00', 0.8],
+        ['2027-06-01T12:00:00', 0.8],
+        ['2020-06-01T12:00:00', 0.9]
+    ])('at %s local is %f', (time, factor) => {
+        expect(emissionFactorAt(local(time), factors).factor).toBe(factor);
+    });
+
+    test('goes by the campus year', () => {
+        // Still 2024 in UTC
+        expect(emissionFactorAt(local('2025-01-01T01:00:00')).year).toBe(2025);
+    });
+});
+
+describe('hourlyEmissions', () => {
+    // 2025 factor: 0.710 kg/kWh
+    test('charges imports and credits the load met on site', () => {
+        const [hour] = hourlyEmissions([{ time: local('2025-06-10T12:00:00'), load: 300, grid: 100 }]);
+        expect(hour).toMatchObject({ factor: 0.71, import_kwh: 100, self_consumed_kwh: 200, export_kwh: 0 });
+        expect(hour.emissions_kg).toBeCloseTo(71);
+        expect(hour.avoided_self_consumption_kg).toBeCloseTo(142);
+    });
+
+    test('credits exports as well as the load they leave over', () => {
+        const [hour] = hourlyEmissions([{ time: local('2025-06-10T12:00:00'), load: 100, grid: -50 }]);
+        expect(hour).toMatchObject({ import_kwh: 0, self_consumed_kwh: 100, export_kwh: 50, emissions_kg: 0 });
+        expect(hour.avoided_export_kg).toBeCloseTo(35.5);
+    });
+
+    test('nets grid energy charged into the battery against its later discharge', () => {
+        // 200 kWh charged from the grid overnight and discharged into the evening load
+        const [night, evening] = hourlyEmissions([
+            { time: local('2025-06-10T02:00:00'), load: 100, grid: 300 },
+            { time: local('2025-06-10T19:00:00'), load: 200, grid: 0 }
+        ]);
+        expect(night.self_consumed_kwh).toBe(-200);
+        expect(night.emissions_kg).toBeCloseTo(213);
+        expect(night.self_consumed_kwh + evening.self_consumed_kwh).toBe(0);
+        expect(night.avoided_self_consumption_kg + evening.avoided_self_consumption_kg).toBeCloseTo(0);
+    });
+
+    test('skips hours without both readings', () => {
+        expect(hourlyEmissions([{ time: local('2025-06-10T12:00:00'), load: 100, grid: null }])).toEqual([]);
+    });
+});
+
+describe('carbonSummary', () => {
+    const points = [
+        { time: local('2025-01-01T10:00:00'), load: 200, grid: 100 },
+        { time: local('2024-12-31T10:00:00'), load: 200, grid: 200 },
+        { time: local('2025-01-01T12:00:00'), load: 100, grid: -100 }
+    ];
+
+    test('totals each local day in order', () => {
+        const [december, january] = carbonSummary(points, 'day');
+        expect(december).toMatchObject({ period: '2024-12-31', hours: 1, import_kwh: 200, emissions_kg: 145.4, avoided_kg: 0 });
+        // 100 kWh met on site at 10:00, 100 kWh met on site and 100 kWh exported at 12:00
+        expect(january).toMatchObject({ period: '2025-01-01', hours: 2, import_kwh: 100, self_consumed_kwh: 200, export_kwh: 100, emissions_kg: 71, avoided_kg: 213 });
+    });
+
+    test('applies each year\'s factor within a longer period', () => {
+        expect(carbonSummary(points, 'year').map(year => year.period)).toEqual(['2024', '2025']);
+        expect(carbonTotals(points)).toEqual({ import_kwh: 300, self_consumed_kwh: 200, export_kwh: 100, emissions_kg: 216.4, avoided_kg: 213 });
+    });
+});
+
+test('formatCarbon switches to tonnes from 1000 kg', () => {
+    expect(formatCarbon(999.4)).toBe('999 kg CO₂');
+    expect(formatCarbon(12345)).toBe('12.3 t CO₂');
+});
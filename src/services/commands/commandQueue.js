@@ -0,0 +1,232 @@
+// Tracks control commands from request to confirmed effect. Each command moves through
+//   pending -> sent -> acknowledged -> executed
+// or ends as failed, timed_out or cancelled. Commands for the same target run one at a
+// time in order; acknowledgement and execution are confirmed from live telemetry frames
+// (see expectations.js), and sends that fail for transient reasons are retried.
+import { CONFIG } from '../config';
+import { CommandRejectedError } from '../errors';
+
+export const COMMAND_STATES = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    ACKNOWLEDGED: 'acknowledged',
+    EXECUTED: 'executed',
+    FAILED: 'failed',
+    TIMED_OUT: 'timed_out',
+    CANCELLED: 'cancelled'
+};
+
+const FINAL_STATES = [COMMAND_STATES.EXECUTED, COMMAND_STATES.FAILED, COMMAND_STATES.TIMED_OUT, COMMAND_STATES.CANCELLED];
+const ACTIVE_STATES = [COMMAND_STATES.SENT, COMMAND_STATES.ACKNOWLEDGED];
+const TIMEOUT_CHECK_INTERVAL = 1000;
+
+export const isFinal = (command) => FINAL_STATES.includes(command.state);
+
+let nextId = 1;
+
+class CommandQueue {
+    constructor(options = CONFIG.COMMANDS) {
+        this.options = options;
+        this.commands = [];
+        this.listeners = new Set();
+        this.lastFrame = null;
+        this.timer = null;
+        // Per command: its spec (kept so it can be retried), the expectation for the current
+        // attempt, the baseline frame and result callbacks
+        this.runtime = new Map();
+    }
+
+    // --- Subscribers (useCommandQueue) ---
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.commands);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.commands = [...this.commands];
+        this.listeners.forEach(listener => listener(this.commands));
+    }
+
+    // --- Queueing ---
+    // spec: { target, label, detail, send: (command, { willRetry }) => Promise, expect?: (lastFrame) => expectation }
+    // `willRetry(error)` tells the send whether the queue will send again after that error
+    // Returns the command; `command.result` settles when it reaches a final state.
+    enqueue(spec) {
+        const { target, label, detail = '' } = spec;
+        const now = Date.now();
+        const command = {
+            id: nextId++,
+            target,
+            label,
+            detail,
+            state: COMMAND_STATES.PENDING,
+            attempts: 0,
+            error: '',
+            created_at: now,
+            updated_at: now,
+            history: [{ state: COMMAND_STATES.PENDING, at: now, note: '' }]
+        };
+        const runtime = { spec };
+        command.result = new Promise((resolve, reject) => Object.assign(runtime, { resolve, reject }));
+        // Callers that do not wait for the outcome should not cause unhandled rejections
+        command.result.catch(() => {});
+        this.runtime.set(command.id, runtime);
+
+        this.commands = [command, ...this.commands];
+        this.trim();
+        this.notify();
+        this.process();
+        return command;
+    }
+
+    // Drop the oldest finished commands beyond HISTORY_LIMIT, with their runtime state.
+    // Commands still under way are always kept, so their result settles.
+    trim() {
+        let excess = this.commands.length - this.options.HISTORY_LIMIT;
+        const dropped = new Set();
+        for (let i = this.commands.length - 1; i >= 0 && excess > 0; i--) {
+            if (isFinal(this.commands[i])) {
+                dropped.add(this.commands[i].id);
+                excess--;
+            }
+        }
+        if (dropped.size === 0) return;
+        this.commands = this.commands.filter(command => !dropped.has(command.id));
+        dropped.forEach(id => this.runtime.delete(id));
+    }
+
+    find(id) {
+        return this.commands.find(command => command.id === id);
+    }
+
+    update(id, state, note = '') {
+        const current = this.find(id);
+        if (!current) return null;
+        const now = Date.now();
+        const updated = {
+            ...current,
+            state,
+            updated_at: now,
+            error: [COMMAND_STATES.FAILED, COMMAND_STATES.TIMED_OUT].includes(state) ? note : current.error,
+            history: [...current.history, { state, at: now, note }]
+        };
+        this.commands = this.commands.map(command => (command.id === id ? updated : command));
+
+        if (FINAL_STATES.includes(state)) {
+            const runtime = this.runtime.get(id);
+            if (state === COMMAND_STATES.EXECUTED) runtime?.resolve(updated);
+            // Failed sends keep their original error (e.g. a CommandRejectedError)
+            else runtime?.reject(runtime.error || new Error(note || `Command ${state.replace('_', ' ')}`));
+        }
+        this.notify();
+        if (FINAL_STATES.includes(state)) this.process();
+        return updated;
+    }
+
+    // Start the oldest pending command of every target that has nothing in flight
+    process() {
+        const busy = new Set(this.commands.filter(c => ACTIVE_STATES.includes(c.state)).map(c => c.target));
+        [...this.commands].reverse().forEach(command => {
+            if (command.state !== COMMAND_STATES.PENDING || busy.has(command.target)) return;
+            busy.add(command.target);
+            this.send(command.id);
+        });
+        this.ensureTimer();
+    }
+
+    async send(id) {
+        const runtime = this.runtime.get(id);
+        const command = this.find(id);
+        // A retry can outlive its command (e.g. the queue was reset); there is nothing to send
+        if (!runtime || !command || isFinal(command)) return;
+        const attempt = command.attempts + 1;
+        this.commands = this.commands.map(c => (c.id === id ? { ...c, attempts: attempt } : c));
+        runtime.error = null;
+        runtime.baseline = this.lastFrame;
+        runtime.expectation = runtime.spec.expect ? runtime.spec.expect(this.lastFrame) : null;
+        this.update(id, COMMAND_STATES.SENT, attempt > 1 ? `Attempt ${attempt}` : '');
+
+        const willRetry = (error) => !(error instanceof CommandRejectedError) && attempt < this.options.MAX_ATTEMPTS;
+        try {
+            await runtime.spec.send(this.find(id), { willRetry });
+        } catch (error) {
+            if (willRetry(error)) {
+                // Stay 'sent' so the target remains reserved until the retry goes out
+                this.update(id, COMMAND_STATES.SENT, `Send failed, retrying: ${error.message}`);
+                setTimeout(() => this.send(id), this.options.RETRY_DELAY * attempt);
+            } else {
+                runtime.error = error;
+                this.update(id, COMMAND_STATES.FAILED, error.message);
+            }
+            return;
+        }
+
+        if (!runtime.expectation) {
+            this.update(id, COMMAND_STATES.EXECUTED, 'Accepted by the controller');
+        } else {
+            runtime.sentAt = Date.now();
+        }
+    }
+
+    // --- Telemetry matching ---
+    observe(frame) {
+        this.lastFrame = frame;
+        this.commands.filter(c => ACTIVE_STATES.includes(c.state)).forEach(command => {
+            const runtime = this.runtime.get(command.id);
+            if (!runtime?.expectation || !runtime.sentAt) return;
+            const baseline = runtime.baseline || frame;
+            if (command.state === COMMAND_STATES.SENT && runtime.expectation.acknowledged(frame, baseline)) {
+                runtime.acknowledgedAt = Date.now();
+                this.update(command.id, COMMAND_STATES.ACKNOWLEDGED, runtime.expectation.describe || '');
+            }
+            if (this.find(command.id).state === COMMAND_STATES.ACKNOWLEDGED && runtime.expectation.executed(frame, baseline)) {
+                this.update(command.id, COMMAND_STATES.EXECUTED, 'Confirmed by telemetry');
+            }
+        });
+    }
+
+    ensureTimer() {
+        const active = this.commands.some(c => ACTIVE_STATES.includes(c.state));
+        if (active && !this.timer) {
+            this.timer = setInterval(() => this.checkTimeouts(), TIMEOUT_CHECK_INTERVAL);
+        } else if (!active && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    checkTimeouts() {
+        const now = Date.now();
+        this.commands.filter(c => ACTIVE_STATES.includes(c.state)).forEach(command => {
+            const runtime = this.runtime.get(command.id);
+            if (!runtime?.sentAt) return;
+            if (command.state === COMMAND_STATES.SENT && now - runtime.sentAt > this.options.ACK_TIMEOUT) {
+                this.update(command.id, COMMAND_STATES.TIMED_OUT, 'No response seen in telemetry');
+            } else if (command.state === COMMAND_STATES.ACKNOWLEDGED
+                && now - runtime.acknowledgedAt > (runtime.expectation.executeTimeout || this.options.EXECUTE_TIMEOUT)) {
+                this.update(command.id, COMMAND_STATES.TIMED_OUT, 'Did not complete in time');
+            }
+        });
+        this.ensureTimer();
+    }
+
+    // --- Operator actions ---
+    // Only commands that have not reached the controller can be withdrawn
+    cancel(id) {
+        if (this.find(id)?.state !== COMMAND_STATES.PENDING) return false;
+        this.update(id, COMMAND_STATES.CANCELLED, 'Cancelled by operator');
+        return true;
+    }
+
+    // Queue a failed or timed out command again, as a new command with the same spec
+    retry(id) {
+        const command = this.find(id);
+        const runtime = this.runtime.get(id);
+        if (!runtime || ![COMMAND_STATES.FAILED, COMMAND_STATES.TIMED_OUT].includes(command?.state)) return null;
+        return this.enqueue(runtime.spec);
+    }
+}
+
+const commandQueue = new CommandQueue();
+export default commandQueue;
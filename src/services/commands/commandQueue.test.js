@@ -0,0 +1,179 @@
+import commandQueue, { COMMAND_STATES } from './commandQueue';
+import { batterySettingsExpectation } from './expectations';
+import { CommandRejectedError } from '../errors';
+
+const { PENDING, SENT, ACKNOWLEDGED, EXECUTED, FAILED, TIMED_OUT, CANCELLED } = COMMAND_STATES;
+
+const OPTIONS = { ACK_TIMEOUT: 30000, EXECUTE_TIMEOUT: 900000, MAX_ATTEMPTS: 3, RETRY_DELAY: 2000, HISTORY_LIMIT: 50 };
+
+let queue;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    queue = new commandQueue.constructor(OPTIONS);
+});
+
+afterEach(() => {
+    clearInterval(queue.timer);
+    jest.useRealTimers();
+});
+
+// Lets the awaited send settle
+const settle = async () => {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+const states = (command) => queue.find(command.id).history.map(entry => entry.state);
+
+// A battery frame as the telemetry stream delivers it
+const battery = (soc, power) => ({ timestamp: new Date().toISOString(), battery_soc: soc, battery_power: power });
+
+// Move the battery from 60% to 80% under manual control
+const chargeTo80 = (send = () => Promise.resolve()) => ({
+    target: 'battery',
+    label: 'Battery: Manual Control',
+    send,
+    expect: (lastFrame) => batterySettingsExpectation({ strategy: 'Manual Control', target_soc: 80 }, lastFrame.battery_soc)
+});
+
+describe('transitions', () => {
+    test('a command without an expectation is executed once the backend accepts it', async () => {
+        const command = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send: () => Promise.resolve() });
+        await expect(command.result).resolves.toMatchObject({ state: EXECUTED, attempts: 1 });
+        expect(states(command)).toEqual([PENDING, SENT, EXECUTED]);
+    });
+
+    test('telemetry acknowledges the command and then confirms it', async () => {
+        queue.observe(battery(60, 0));
+        const command = queue.enqueue(chargeTo80());
+        await settle();
+        expect(queue.find(command.id).state).toBe(SENT);
+
+        queue.observe(battery(60, 0));
+        expect(queue.find(command.id).state).toBe(SENT);
+        queue.observe(battery(61, 150));
+        expect(queue.find(command.id).state).toBe(ACKNOWLEDGED);
+        queue.observe(battery(79.5, 150));
+        await expect(command.result).resolves.toMatchObject({ state: EXECUTED });
+        expect(states(command)).toEqual([PENDING, SENT, ACKNOWLEDGED, EXECUTED]);
+    });
+
+    test('times out when telemetry never shows a response', async () => {
+        queue.observe(battery(60, 0));
+        const command = queue.enqueue(chargeTo80());
+        await settle();
+        jest.advanceTimersByTime(OPTIONS.ACK_TIMEOUT + 1000);
+        expect(queue.find(command.id)).toMatchObject({ state: TIMED_OUT, error: 'No response seen in telemetry' });
+        await expect(command.result).rejects.toThrow('No response seen in telemetry');
+    });
+
+    test('fails at once when the backend rejects the command', async () => {
+        const rejection = new CommandRejectedError('Read-only data source');
+        const command = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send: () => Promise.reject(rejection) });
+        await expect(command.result).rejects.toBe(rejection);
+        expect(queue.find(command.id)).toMatchObject({ state: FAILED, attempts: 1, error: 'Read-only data source' });
+    });
+
+    test('runs commands for one target in order and others alongside', async () => {
+        queue.observe(battery(60, 0));
+        const first = queue.enqueue(chargeTo80());
+        const second = queue.enqueue(chargeTo80());
+        const other = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send: () => Promise.resolve() });
+        await settle();
+        expect([first, second, other].map(command => queue.find(command.id).state)).toEqual([SENT, PENDING, EXECUTED]);
+
+        queue.observe(battery(80, 0));
+        queue.observe(battery(80, 0));
+        expect(queue.find(first.id).state).toBe(EXECUTED);
+        expect(queue.find(second.id).state).toBe(SENT);
+    });
+
+    test('only pending commands can be cancelled', async () => {
+        queue.observe(battery(60, 0));
+        const first = queue.enqueue(chargeTo80());
+        const second = queue.enqueue(chargeTo80());
+        await settle();
+        expect(queue.cancel(first.id)).toBe(false);
+        expect(queue.cancel(second.id)).toBe(true);
+        expect(states(second)).toEqual([PENDING, CANCELLED]);
+        await expect(second.result).rejects.toThrow('Cancelled by operator');
+    });
+});
+
+describe('retries', () => {
+    test('retries a failed send after a growing delay and keeps the target reserved', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce(new Error('Network error'))
+            .mockRejectedValueOnce(new Error('Network error'))
+            .mockResolvedValueOnce();
+        const command = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send });
+        await settle();
+        expect(queue.find(command.id)).toMatchObject({ state: SENT, attempts: 1 });
+
+        jest.advanceTimersByTime(OPTIONS.RETRY_DELAY);
+        await settle();
+        expect(send).toHaveBeenCalledTimes(2);
+        jest.advanceTimersByTime(2 * OPTIONS.RETRY_DELAY - 1);
+        expect(send).toHaveBeenCalledTimes(2);
+        jest.advanceTimersByTime(1);
+
+        await expect(command.result).resolves.toMatchObject({ state: EXECUTED, attempts: 3 });
+        expect(states(command)).toEqual([PENDING, SENT, SENT, SENT, SENT, SENT, EXECUTED]);
+    });
+
+    test('gives up after MAX_ATTEMPTS sends', async () => {
+        const send = jest.fn().mockRejectedValue(new Error('Network error'));
+        const command = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send });
+        await settle();
+        jest.advanceTimersByTime(OPTIONS.RETRY_DELAY);
+        await settle();
+        jest.advanceTimersByTime(2 * OPTIONS.RETRY_DELAY);
+        await expect(command.result).rejects.toThrow('Network error');
+        expect(send).toHaveBeenCalledTimes(OPTIONS.MAX_ATTEMPTS);
+        expect(queue.find(command.id)).toMatchObject({ state: FAILED, attempts: 3 });
+    });
+
+    test('tells each send which failures will be retried', async () => {
+        const decisions = [];
+        const send = (command, { willRetry }) => {
+            decisions.push([command.attempts, willRetry(new Error('Network error')), willRetry(new CommandRejectedError('Busy'))]);
+            return Promise.reject(new Error('Network error'));
+        };
+        const command = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send });
+        await settle();
+        jest.advanceTimersByTime(OPTIONS.RETRY_DELAY);
+        await settle();
+        jest.advanceTimersByTime(2 * OPTIONS.RETRY_DELAY);
+        await expect(command.result).rejects.toThrow('Network error');
+        expect(decisions).toEqual([[1, true, false], [2, true, false], [3, false, false]]);
+    });
+
+    test('an operator retry queues the same command again', async () => {
+        const send = jest.fn().mockRejectedValueOnce(new CommandRejectedError('Busy')).mockResolvedValueOnce();
+        const command = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send });
+        await settle();
+        const retried = queue.retry(command.id);
+        expect(retried.id).not.toBe(command.id);
+        await expect(retried.result).resolves.toMatchObject({ state: EXECUTED });
+        expect(queue.retry(retried.id)).toBeNull();
+    });
+});
+
+describe('history', () => {
+    test('drops the oldest finished commands beyond HISTORY_LIMIT but keeps those under way', async () => {
+        queue = new commandQueue.constructor({ ...OPTIONS, HISTORY_LIMIT: 2 });
+        const stuck = queue.enqueue({ target: 'chiller', label: 'Chiller setpoint', send: () => new Promise(() => {}) });
+        const first = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send: () => Promise.resolve() });
+        await first.result;
+        const second = queue.enqueue({ target: 'hvac', label: 'HVAC schedule', send: () => Promise.resolve() });
+        await second.result;
+
+        expect(queue.commands.map(command => command.id)).toEqual([second.id, stuck.id]);
+        expect(queue.runtime.has(first.id)).toBe(false);
+        expect(queue.find(stuck.id).state).toBe(SENT);
+    });
+
+    test('a send for a command that is gone does nothing', async () => {
+        await expect(queue.send('cmd-gone')).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,58 @@
+// How telemetry confirms a command. An expectation is
+//   { acknowledged(frame, baseline), executed(frame, baseline), executeTimeout }
+// where `baseline` is the last frame seen before the command was sent. Commands without
+// an expectation (configuration changes) count as executed once the backend accepts them.
+import { CONFIG } from '../config';
+
+const HOUR = 3600000;
+// Battery power below this is treated as idle (kW)
+const IDLE_POWER = 1;
+const SOC_TOLERANCE = 1;
+
+const direction = (power) => (Math.abs(power) < IDLE_POWER ? 0 : Math.sign(power));
+
+const plannedPowerAt = (plan, time) => {
+    const step = plan?.find(s => time >= Date.parse(s.time) && time < Date.parse(s.time) + HOUR);
+    return step ? step.power : null;
+};
+
+// Battery settings: the battery must start moving the way the command asks (SOC heading
+// toward target_soc, or power following the plan for the current hour), then either reach
+// the target (manual control) or keep following the plan for a few consecutive frames.
+export const batterySettingsExpectation = (settings, currentSoc, { followFrames = 3 } = {}) => {
+    const usesPlan = settings.strategy !== 'Manual Control' && Array.isArray(settings.plan);
+    let followed = 0;
+
+    const expectedDirection = (frame, baseline) => {
+        const planned = usesPlan ? plannedPowerAt(settings.plan, Date.parse(frame.timestamp)) : null;
+        if (planned !== null) return direction(planned);
+        const gap = settings.target_soc - baseline.battery_soc;
+        return Math.abs(gap) <= SOC_TOLERANCE ? 0 : Math.sign(gap);
+    };
+
+    const responding = (frame, baseline) => {
+        const expected = expectedDirection(frame, baseline);
+        if (expected === 0) return direction(frame.battery_power) === 0;
+        const socMoved = (frame.battery_soc - baseline.battery_soc) * expected > 0;
+        return direction(frame.battery_power) === expected || socMoved;
+    };
+
+    // Long enough to cover the whole SOC change at full power, with margin
+    const socGapHours = (Math.abs(settings.target_soc - currentSoc) / 100)
+        * CONFIG.CAMPUS_INFO.battery_capacity / CONFIG.BATTERY.max_power;
+
+    return {
+        describe: usesPlan
+            ? `Battery follows the ${settings.strategy} plan`
+            : `Battery SOC moves toward ${settings.target_soc}%`,
+        acknowledged: responding,
+        executed: (frame, baseline) => {
+            if (!usesPlan) return Math.abs(frame.battery_soc - settings.target_soc) <= SOC_TOLERANCE;
+            followed = responding(frame, baseline) ? followed + 1 : 0;
+            return followed >= followFrames;
+        },
+        executeTimeout: usesPlan
+            ? CONFIG.COMMANDS.EXECUTE_TIMEOUT
+            : Math.max(CONFIG.COMMANDS.EXECUTE_TIMEOUT, socGapHours * 1.5 * HOUR)
+    };
+};
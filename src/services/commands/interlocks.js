@@ -0,0 +1,138 @@
+// Rule-based safety interlocks for control commands. Every rule looks at the request and
+// the latest plant state and may return a finding:
+//   { rule, severity: 'block' | 'warn', message }
+// Blocking findings stop the command unless an authorised user overrides them with a reason.
+import { CONFIG } from '../config';
+import { CommandRejectedError } from '../errors';
+import { COMMAND_STATES } from './commandQueue';
+import { findPeakOverlaps, describeWindows } from '../loadScheduling';
+import { contractDemandKwAt, tariffAt } from '../tariff';
+
+const HOUR = 3600000;
+
+// request: { action, target, settings }; context: { status, commands, now }
+const currentPlannedPower = (settings, now) => {
+    const step = settings.plan?.find(s => now >= Date.parse(s.time) && now < Date.parse(s.time) + HOUR);
+    if (step && settings.strategy !== 'Manual Control') return step.power;
+    return null;
+};
+
+const isBattery = (request) => request.action === 'battery.settings';
+
+export const INTERLOCK_RULES = [
+    {
+        id: 'telemetry_fresh',
+        description: 'Plant state must be known from recent telemetry',
+        applies: isBattery,
+        check: (request, { status, now }) => {
+            if (!status) return { severity: 'block', message: 'No telemetry has been received yet, so the plant state is unknown.' };
+            const age = now - Date.parse(status.timestamp);
+            if (age > CONFIG.INTERLOCKS.TELEMETRY_MAX_AGE) {
+                return { severity: 'block', message: `The latest telemetry is ${Math.round(age / 1000)} s old; plant state cannot be confirmed.` };
+            }
+            return null;
+        }
+    },
+    {
+        id: 'battery_temperature',
+        description: 'Battery must be within its safe temperature range',
+        applies: isBattery,
+        check: (request, { status }) => {
+            const temperature = status?.battery_temperature;
+            const { BATTERY_TEMP_WARN, BATTERY_TEMP_MAX } = CONFIG.INTERLOCKS;
+            if (temperature === undefined || temperature === null) {
+                return { severity: 'warn', message: 'Battery temperature is not reported; thermal limits cannot be checked.' };
+            }
+            if (temperature >= BATTERY_TEMP_MAX) {
+                return { severity: 'block', message: `Battery is at ${temperature} °C, at or above the ${BATTERY_TEMP_MAX} °C limit. Let it cool before commanding it.` };
+            }
+            if (temperature >= BATTERY_TEMP_WARN) {
+                return { severity: 'warn', message: `Battery is warm (${temperature} °C). Sustained full-power operation may reach the ${BATTERY_TEMP_MAX} °C limit.` };
+            }
+            return null;
+        }
+    },
+    {
+        id: 'soc_limits',
+        description: 'Target SOC must respect the battery limits and outage reserve',
+        applies: isBattery,
+        check: ({ settings }) => {
+            const { min_soc: minSoc, max_soc: maxSoc } = CONFIG.BATTERY;
+            const { RESERVE_SOC } = CONFIG.INTERLOCKS;
+            if (settings.target_soc < minSoc || settings.target_soc > maxSoc) {
+                return { severity: 'block', message: `Target SOC ${settings.target_soc}% is outside the battery's ${minSoc}–${maxSoc}% operating range.` };
+            }
+            if (settings.target_soc < RESERVE_SOC) {
+                return { severity: 'block', message: `Target SOC ${settings.target_soc}% would eat into the ${RESERVE_SOC}% reserve kept for grid outages.` };
+            }
+            return null;
+        }
+    },
+    {
+        id: 'grid_import_limit',
+        description: 'Charging must not push grid import above the contract demand',
+        applies: isBattery,
+        check: ({ settings }, { status, now }) => {
+            if (!status) return null;
+            const planned = currentPlannedPower(settings, now);
+            const gap = settings.target_soc - status.battery_soc;
+            const charge = planned !== null ? planned : (gap > 1 ? CONFIG.BATTERY.max_power : 0);
+            if (charge <= 0) return null;
+            // Import once the battery's present contribution is replaced by the new one
+            const importKw = status.grid_power - status.battery_power + charge;
+            // The contract demand the bill is charged against, in kW
+            const tariff = tariffAt(now);
+            const limit = contractDemandKwAt(now, tariff);
+            if (importKw > limit) {
+                return {
+                    severity: 'block',
+                    message: `Charging at ${Math.round(charge)} kW now would draw about ${Math.round(importKw)} kW from the grid, above the ${tariff.contract_demand} kVA contract demand (${Math.round(limit)} kW at ${tariff.power_factor} power factor).`
+                };
+            }
+            return null;
+        }
+    },
+    {
+        id: 'concurrent_commands',
+        description: 'Only one command may be in progress per device',
+        check: ({ target }, { commands }) => {
+            const busy = commands.find(c => c.target === target
+                && [COMMAND_STATES.PENDING, COMMAND_STATES.SENT, COMMAND_STATES.ACKNOWLEDGED].includes(c.state));
+            return busy
+                ? { severity: 'block', message: `"${busy.label}" is still ${busy.state.replace('_', ' ')}. Wait for it to finish or cancel it first.` }
+                : null;
+        }
+    },
+    {
+        id: 'schedule_peak_overlap',
+        description: 'Schedules should avoid peak-demand periods',
+        applies: (request) => request.action === 'load.schedule',
+        check: ({ settings }) => {
+            const overlaps = findPeakOverlaps(settings.windows);
+            return overlaps.length > 0
+                ? { severity: 'warn', message: `Runs during peak demand: ${describeWindows(overlaps)}.` }
+                : null;
+        }
+    }
+];
+
+export const evaluateInterlocks = (request, context, rules = INTERLOCK_RULES) => {
+    const ctx = { commands: [], now: Date.now(), ...context };
+    return rules
+        .filter(rule => !rule.applies || rule.applies(request))
+        .map(rule => {
+            const finding = rule.check(request, ctx);
+            return finding ? { rule: rule.id, ...finding } : null;
+        })
+        .filter(Boolean);
+};
+
+export const blockingFindings = (findings) => findings.filter(f => f.severity === 'block');
+
+export class InterlockError extends CommandRejectedError {
+    constructor(findings) {
+        super(`Blocked by safety interlocks: ${findings.map(f => f.message).join(' ')}`);
+        this.name = 'InterlockError';
+        this.findings = findings;
+    }
+}
@@ -0,0 +1,105 @@
+import { INTERLOCK_RULES, evaluateInterlocks, blockingFindings, InterlockError } from './interlocks';
+import { COMMAND_STATES } from './commandQueue';
+import { CommandRejectedError } from '../errors';
+
+const now = Date.now();
+
+// The latest telemetry: a 60% battery at rest and 30 °C, the campus importing 200 kW
+const frame = { timestamp: new Date(now - 2000).toISOString(), battery_soc: 60, battery_power: 0, battery_temperature: 30, grid_power: 200 };
+
+const manual = (targetSoc) => ({ action: 'battery.settings', target: 'battery', settings: { strategy: 'Manual Control', target_soc: targetSoc } });
+
+// Runs one rule on its own and returns its finding, if any
+const check = (ruleId, request, context = {}) => {
+    const rules = INTERLOCK_RULES.filter(rule => rule.id === ruleId);
+    return evaluateInterlocks(request, { status: frame, now, ...context }, rules)[0] || null;
+};
+
+test.each([
+    ['no telemetry', null, 'block'],
+    ['a frame 31 s old', { ...frame, timestamp: new Date(now - 31000).toISOString() }, 'block'],
+    ['a frame 2 s old', frame, undefined]
+])('telemetry_fresh with %s', (_, status, severity) => {
+    expect(check('telemetry_fresh', manual(80), { status })?.severity).toBe(severity);
+});
+
+test.each([
+    [null, 'warn'],
+    [30, undefined],
+    [40, 'warn'],
+    [45, 'block']
+])('battery_temperature at %p °C', (temperature, severity) => {
+    expect(check('battery_temperature', manual(80), { status: { ...frame, battery_temperature: temperature } })?.severity).toBe(severity);
+});
+
+test.each([
+    [10, /outside the battery's 20–100% operating range/],
+    [101, /outside the battery's 20–100% operating range/],
+    [25, /30% reserve/]
+])('soc_limits blocks a %i%% target', (targetSoc, message) => {
+    expect(check('soc_limits', manual(targetSoc))).toMatchObject({ severity: 'block', message: expect.stringMatching(message) });
+});
+
+test.each([30, 100])('soc_limits allows a %i%% target', (targetSoc) => {
+    expect(check('soc_limits', manual(targetSoc))).toBeNull();
+});
+
+describe('grid_import_limit', () => {
+    test('blocks charging at full power that would exceed the contract demand', () => {
+        const finding = check('grid_import_limit', manual(80), { status: { ...frame, grid_power: 300 } });
+        expect(finding.message).toBe('Charging at 200 kW now would draw about 500 kW from the grid, above the 500 kVA contract demand (475 kW at 0.95 power factor).');
+    });
+
+    test('replaces the power the battery is already charging at', () => {
+        expect(check('grid_import_limit', manual(80), { status: { ...frame, grid_power: 300, battery_power: 100 } })).toBeNull();
+    });
+
+    test('ignores targets the battery would discharge to', () => {
+        expect(check('grid_import_limit', manual(50), { status: { ...frame, grid_power: 440 } })).toBeNull();
+    });
+
+    test('uses the planned power for the current hour', () => {
+        const request = manual(80);
+        request.settings = { ...request.settings, strategy: 'Peak Shaving', plan: [{ time: new Date(now - 60000).toISOString(), power: 50 }] };
+        expect(check('grid_import_limit', request, { status: { ...frame, grid_power: 425 } })).toBeNull();
+        expect(check('grid_import_limit', request, { status: { ...frame, grid_power: 426 } }).severity).toBe('block');
+    });
+});
+
+describe('concurrent_commands', () => {
+    const command = (target, state) => ({ target, label: 'Battery: Manual Control', state });
+
+    test.each([COMMAND_STATES.PENDING, COMMAND_STATES.SENT, COMMAND_STATES.ACKNOWLEDGED])('blocks while a command is %s', (state) => {
+        expect(check('concurrent_commands', manual(80), { commands: [command('battery', state)] }).severity).toBe('block');
+    });
+
+    test('passes once earlier commands have finished or are for another device', () => {
+        const commands = [command('battery', COMMAND_STATES.EXECUTED), command('hvac_precool', COMMAND_STATES.SENT)];
+        expect(check('concurrent_commands', manual(80), { commands })).toBeNull();
+    });
+});
+
+describe('schedule_peak_overlap', () => {
+    const schedule = (windows) => ({ action: 'load.schedule', target: 'workshop', settings: { load_id: 'workshop', windows } });
+
+    test('warns about the hours that run in the weekday peak', () => {
+        expect(check('schedule_peak_overlap', schedule([{ day: 1, start: 8, end: 12 }]))).toMatchObject({ severity: 'warn', message: expect.stringContaining('Mon') });
+    });
+
+    test('passes weekend and off-peak windows', () => {
+        expect(check('schedule_peak_overlap', schedule([{ day: 0, start: 10, end: 15 }, { day: 3, start: 15, end: 18 }]))).toBeNull();
+    });
+
+    test('is the only rule that applies to schedules', () => {
+        expect(evaluateInterlocks(schedule([]), { status: null, now })).toEqual([]);
+    });
+});
+
+test('blocking findings become an InterlockError, which counts as a rejection', () => {
+    const findings = evaluateInterlocks(manual(10), { status: { ...frame, battery_temperature: 42 }, now });
+    expect(findings.map(finding => [finding.rule, finding.severity])).toEqual([['battery_temperature', 'warn'], ['soc_limits', 'block']]);
+
+    const error = new InterlockError(blockingFindings(findings));
+    expect(error).toBeInstanceOf(CommandRejectedError);
+    expect(error.findings.map(finding => finding.rule)).toEqual(['soc_limits']);
+});
@@ -6,16 +6,213 @@ export const CONFIG = {
     CAMPUS_INFO: {
         name: "Government Engineering College, Jodhpur",
         location: "Rajasthan, India",
+        latitude: 26.4730,
+        longitude: 73.1140,
         solar_capacity: 500,
         wind_capacity: 100,
         battery_capacity: 800,
         peak_demand: 450
     },
+    // Physical parameters used by the campus simulator (src/services/simulation)
+    BATTERY: {
+        max_power: 200, // kW, charge and discharge
+        efficiency: 0.95, // one-way
+        min_soc: 20,
+        max_soc: 100,
+        // Enclosure thermal model used by the simulator
+        enclosure_offset: 3, // °C above ambient when idle
+        heating_at_max_power: 10, // extra °C at full charge or discharge power
+        thermal_time_constant: 0.75 // hours
+    },
+    WIND_TURBINE: {
+        cut_in: 3, // m/s
+        rated_speed: 12,
+        cut_out: 25
+    },
+    LOAD_PROFILE: {
+        // Fraction of peak_demand for each local hour, 00:00 to 23:00
+        weekday: [0.40, 0.38, 0.37, 0.37, 0.38, 0.42, 0.50, 0.62, 0.75, 0.83, 0.86, 0.88,
+                  0.87, 0.88, 0.86, 0.82, 0.74, 0.66, 0.62, 0.60, 0.56, 0.50, 0.45, 0.42],
+        weekend: [0.38, 0.36, 0.35, 0.35, 0.35, 0.37, 0.40, 0.44, 0.48, 0.52, 0.54, 0.55,
+                  0.55, 0.54, 0.53, 0.52, 0.50, 0.50, 0.52, 0.54, 0.52, 0.48, 0.43, 0.40],
+        cooling_threshold: 28, // °C above which HVAC load grows
+        cooling_kw_per_degree: 4,
+        // Load on academic calendar event days relative to an ordinary day
+        calendar_factors: { holiday: 0.6, vacation: 0.55, exam: 1.08 }
+    },
     SIMULATION: {
-        solar_variation: 10,
-        wind_variation: 3,
-        load_variation: 8,
-        battery_variation: 0.5,
+        seed: 20250927,
+        performance_ratio: 0.8,
+        temp_coefficient: -0.004, // per °C of cell temperature above 25
+        noct: 45, // nominal operating cell temperature, °C
+        mean_temperature: 30,
+        temperature_swing: 6, // ± °C around the mean over the day
+        mean_wind_speed: 4.5, // m/s
+        mean_cloud_cover: 15, // %
+        load_noise: 0.03 // relative standard deviation
+    },
+    // Loads whose operating hours can be shifted from the Control section.
+    // Weekly windows use local campus time with weekday 0 = Sunday.
+    LOAD_SCHEDULING: {
+        CONTROLLABLE_LOADS: [
+            // shiftable_hours: [earliest start, latest end] a recommendation may move the load within
+            { id: 'hvac_precool', name: 'HVAC System', description: 'Pre-cooling schedule', rated_kw: 60, shiftable_hours: [8, 16] },
+            { id: 'workshop', name: 'Workshop Equipment', description: 'Heavy machinery operation', rated_kw: 45, shiftable_hours: [8, 18] },
+            { id: 'pumps', name: 'Water Pumps', description: 'Borewell and overhead tank pumping', rated_kw: 25, shiftable_hours: [0, 24] }
+        ],
+        // Hours when campus demand is highest (see LOAD_PROFILE); load placed here raises the peak
+        PEAK_PERIODS: [
+            { days: [1, 2, 3, 4, 5], start: 10, end: 15 }
+        ]
+    },
+    // Recommendations engine (src/services/recommendations)
+    RECOMMENDATIONS: {
+        MIN_SAVINGS: 100, // ₹; smaller opportunities are not worth an operator's attention
+        HIGH_PRIORITY_SAVINGS: 1000, // ₹
+        MIN_SURPLUS_KW: 10, // forecast surplus that counts as a charging opportunity
+        MIN_KWH: 20, // smallest battery energy worth recommending
+        SNOOZE_HOURS: 4
+    },
+    // Control command lifecycle (src/services/commands)
+    COMMANDS: {
+        ACK_TIMEOUT: 30000, // telemetry must show the device responding within this
+        EXECUTE_TIMEOUT: 900000, // default for commands that do not estimate their own
+        MAX_ATTEMPTS: 3, // sends retried automatically after transient failures
+        RETRY_DELAY: 2000, // grows linearly with each attempt
+        HISTORY_LIMIT: 50
+    },
+    // Safety interlocks checked before any control command is sent
+    INTERLOCKS: {
+        BATTERY_TEMP_WARN: 40, // °C
+        BATTERY_TEMP_MAX: 45, // °C; no charging or discharging above this
+        RESERVE_SOC: 30, // % kept for outages; lower targets need an override
+        TELEMETRY_MAX_AGE: 30000 // ms; older readings are too stale to judge safety
+    },
+    // Generation anomaly detection (src/services/alerts/generationAnomalies.js). Live output is
+    // compared with what the PV and turbine models expect from the reported weather.
+    // Fractions are of the source's installed capacity.
+    ANOMALIES: {
+        WINDOW: 900000, // ms of frames averaged when judging underperformance
+        MIN_EXPECTED: 0.1, // expected output below this (night, calm) is too little to judge
+        UNDERPERFORMANCE_RATIO: 0.75, // actual / expected over the window below this raises a warning
+        CRITICAL_RATIO: 0.4, // and below this a critical alert
+        RECOVERY_RATIO: 0.85, // an active alert clears only above this, so it does not flap
+        STUCK_DURATION: 900000, // ms a reading may stay exactly the same while the weather changes
+        STUCK_MIN_CHANGE: 0.05, // change in expected output over that time that a live sensor would follow
+        DROP_FRACTION: 0.3, // fall between consecutive frames not explained by the weather
+        TRIP_FRACTION: 0.02, // output left after a drop below which the source has tripped (critical)
+        MAX_FRAME_GAP: 60000 // ms; frames further apart are not compared for drops
+    },
+    // Alert lifecycle (src/services/alerts/alertManager.js)
+    ALERTS: {
+        ESCALATE_AFTER: 900000, // ms a critical alert may stay unacknowledged
+        ESCALATE_TO: 'facility_manager', // role that escalated alerts are raised to
+        FLAP_WINDOW: 1800000, // ms; an alert raised FLAP_THRESHOLD times within this is flapping
+        FLAP_THRESHOLD: 4, // and stays suppressed until it has held steady for FLAP_WINDOW
+        CHECK_INTERVAL: 30000 // ms between checks for escalations and suppressions to lift
+    },
+    // Maintenance work orders (src/services/maintenance)
+    WORK_ORDERS: {
+        MAX_PHOTOS: 6, // per work order
+        PHOTO_MAX_DIMENSION: 1024, // px; photos are scaled down to fit before they are stored
+        PHOTO_QUALITY: 0.7, // JPEG quality of stored photos
+        PHOTO_STORAGE_BUDGET: 25 * 1024 * 1024 // bytes of photos the mock data source keeps in a browser
+    },
+    // Alert notifications (src/services/notifications). Browsers cannot send email, so it goes
+    // through a relay that speaks SMTP; `npm run notification-server` runs one locally.
+    NOTIFICATIONS: {
+        EMAIL_RELAY_URL: process.env.REACT_APP_EMAIL_RELAY_URL || 'http://localhost:4003/notify/email',
+        REQUEST_TIMEOUT: 10000 // ms
+    },
+    // Where dashboard data comes from: 'mock', 'http' or 'recorded'
+    DATA_SOURCE: {
+        ADAPTER: process.env.REACT_APP_DATA_ADAPTER || 'mock',
+        API_BASE_URL: process.env.REACT_APP_API_BASE_URL || '/api',
+        RECORDING_URL: process.env.REACT_APP_RECORDING_URL || `${process.env.PUBLIC_URL}/recordings/campus-day.json`,
+        REQUEST_TIMEOUT: 10000
+    },
+    // Generation forecasts. Weather comes from a pluggable provider: 'file' (offline stub)
+    // or 'open-meteo' (https://open-meteo.com, no API key needed).
+    FORECAST: {
+        PROVIDER: process.env.REACT_APP_WEATHER_PROVIDER || 'file',
+        STUB_URL: process.env.REACT_APP_WEATHER_STUB_URL || `${process.env.PUBLIC_URL}/forecasts/weather-week.json`,
+        OPEN_METEO_URL: 'https://api.open-meteo.com/v1/forecast',
+        DAYS: 7,
+        REFRESH_INTERVAL: 3600000, // ms
+        HUB_HEIGHT: 30, // m
+        SHEAR_EXPONENT: 0.14, // wind power law, for providers reporting wind at another height
+        // Weather forecast error (1σ) growing with days ahead, used for the confidence bands
+        CLOUD_SPREAD: { base: 8, per_day: 5, max: 35 }, // percentage points of cloud cover
+        WIND_SPREAD: { base: 0.12, per_day: 0.05, max: 0.4 }, // fraction of forecast wind speed
+        BAND_Z: 1.28, // bands cover the central 80%
+        // Load forecasts, learned from stored hourly history and the academic calendar
+        LOAD: {
+            TRAINING_DAYS: 84,
+            COOLING_BASES: [22, 32], // °C range searched for the temperature where cooling load starts
+            MIN_EVENT_DAYS: 2, // days of an event type in the history before its effect is learned
+            // Load relative to an ordinary day, used for event types the history has too few days of
+            EVENT_PRIORS: { holiday: 0.65, vacation: 0.6, exam: 1.05 },
+            TEMPERATURE_SPREAD: { base: 1, per_day: 0.4, max: 3 } // 1σ °C of the weather forecast
+        },
+        // Accuracy of archived forecasts against actuals (src/services/forecasting/accuracy.js)
+        ACCURACY: {
+            WINDOW_DAYS: 14,
+            MAPE_FLOOR: 10, // kW; hours with smaller actuals (e.g. solar at night) are left out of MAPE
+            WORST_DAYS: 5
+        }
+    },
+    // Live status feed: 'simulated' (the seeded campus physics simulator, CampusSimulator), 'websocket' or 'sse'
+    TELEMETRY: {
+        MODE: process.env.REACT_APP_TELEMETRY_MODE || 'simulated',
+        STREAM_URL: process.env.REACT_APP_TELEMETRY_URL || 'http://localhost:4001/telemetry',
+        RECONNECT_BASE_DELAY: 1000,
+        RECONNECT_MAX_DELAY: 30000,
+        GAP_TOLERANCE: 2.5 // multiples of UPDATE_INTERVAL before a pause counts as a gap
+    },
+    // Browser-side history (IndexedDB). Retention is in days per resolution.
+    STORAGE: {
+        DB_NAME: 'vidyut-timeseries',
+        RETENTION_DAYS: {
+            raw: 1,
+            '1m': 7,
+            '15m': 90,
+            '1h': 730
+        },
+        PRUNE_INTERVAL: 600000
+    },
+    // Sign-in: 'mock' (built-in demo users), 'password' (JWT backend) or 'oidc'
+    AUTH: {
+        PROVIDER: process.env.REACT_APP_AUTH_PROVIDER || 'mock',
+        API_URL: process.env.REACT_APP_AUTH_URL || 'http://localhost:4002/auth',
+        STORAGE_KEY: 'vidyut-session',
+        REFRESH_MARGIN: 60000, // refresh this long before the access token expires
+        REFRESH_RETRY: 5000, // first retry after a failed refresh, doubling up to the token's expiry
+        TAB_REPLY_TIMEOUT: 500, // how long a new tab waits for another tab to share the session
+        OIDC: {
+            ISSUER: process.env.REACT_APP_OIDC_ISSUER || '',
+            CLIENT_ID: process.env.REACT_APP_OIDC_CLIENT_ID || '',
+            REDIRECT_URI: process.env.REACT_APP_OIDC_REDIRECT_URI || window.location.origin,
+            SCOPE: 'openid profile offline_access',
+            ROLE_CLAIM: process.env.REACT_APP_OIDC_ROLE_CLAIM || 'role'
+        }
+    },
+    // Investment and running-cost assumptions for the financial views (₹). Each asset's
+    // `energy` names the history metric used for its LCOE.
+    FINANCE: {
+        ASSETS: {
+            solar: { name: 'Solar PV', capex: 21000000, om_per_year: 300000, energy: 'solar' },
+            wind: { name: 'Wind Turbine', capex: 7000000, om_per_year: 140000, energy: 'wind' },
+            // Battery energy is what it discharges; cells are replaced partway through the project
+            battery: {
+                name: 'Battery Storage', capex: 17600000, om_per_year: 264000, energy: 'discharge',
+                replacement_year: 10, replacement_fraction: 0.6
+            }
+        },
+        DISCOUNT_RATE: 0.08,
+        LIFETIME_YEARS: 25,
+        DEGRADATION: 0.005, // yearly loss of output
+        TARIFF_ESCALATION: 0.03, // yearly rise in grid prices
+        OM_ESCALATION: 0.04
     },
     LOCALE: 'en-IN',
     CURRENCY: '₹',
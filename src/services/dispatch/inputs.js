@@ -0,0 +1,24 @@
+// Hourly forecasts and prices for the next day, in the shape planDispatch() expects, taken
+// from the issued campus forecast (see src/services/forecasting).
+import { importRateAt, exportRateAt } from '../tariff';
+import { RESOLUTION_MS, bucketStart } from '../aggregation';
+
+const HOUR = RESOLUTION_MS['1h'];
+
+// Start of the current local campus hour (tariff windows are in local hours). Plans begin
+// here so that an applied plan takes effect immediately.
+export const currentHour = (now = Date.now()) => bucketStart(now, HOUR);
+
+// forecastHours: forecastService hours; a forecast issued in an earlier hour still covers
+// the plan once its past hours are skipped
+export const dispatchInputs = (forecastHours, start = currentHour(), hours = 24) => forecastHours
+    .filter(hour => Date.parse(hour.time) >= start)
+    .slice(0, hours)
+    .map(({ time, solar, wind, load }) => ({
+        time,
+        solar,
+        wind,
+        load,
+        import_rate: importRateAt(time),
+        export_rate: exportRateAt(time)
+    }));
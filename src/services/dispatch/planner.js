@@ -0,0 +1,159 @@
+// 24-hour battery dispatch planning. Each charging strategy turns hourly forecasts and
+// prices into a charge/discharge schedule; every plan is then replayed through the same
+// battery model the simulator uses, so capacity, power and SOC limits always hold.
+//
+// inputs: [{ time, solar, wind, load, import_rate, export_rate }] one entry per hour.
+// Battery power is positive when charging, negative when discharging (kW over one hour).
+import { CONFIG } from '../config';
+import { stepBattery } from '../simulation/battery';
+
+export const STRATEGIES = {
+    'Automatic Optimization': 'Minimises the day\'s grid bill using generation, load and tariff forecasts, ending at or above the target SOC.',
+    'Solar Priority': 'Stores surplus renewable energy and uses it to cover shortfalls, never discharging below the target SOC. Never charges from the grid.',
+    'Grid Price Based': 'Charges in the cheapest tariff hours and discharges in the most expensive ones, ending at or above the target SOC.',
+    'Manual Control': 'Moves the battery straight to the target SOC and holds it there.'
+};
+
+const batteryLimits = (config = CONFIG) => ({
+    capacity: config.CAMPUS_INFO.battery_capacity,
+    maxPower: config.BATTERY.max_power,
+    efficiency: config.BATTERY.efficiency,
+    minSoc: config.BATTERY.min_soc,
+    maxSoc: config.BATTERY.max_soc
+});
+
+const netLoad = (hour) => hour.load - hour.solar - hour.wind;
+
+const gridCost = (grid, hour) => (grid > 0 ? grid * hour.import_rate : grid * hour.export_rate);
+
+// Terminal power (kW for one hour) that moves the battery from one SOC to another
+const powerForSocChange = (fromSoc, toSoc, battery) => {
+    const energy = ((toSoc - fromSoc) / 100) * battery.capacity;
+    return energy > 0 ? energy / battery.efficiency : energy * battery.efficiency;
+};
+
+// Dynamic programme over whole-percent SOC states. `hourCost(index, power)` prices a
+// decision and `powerRange(index)` bounds it; the cheapest path ending at or above the
+// target (or as close as the battery can get) wins.
+const optimise = (inputs, { soc, targetSoc, hourCost, powerRange }, battery) => {
+    const states = [];
+    for (let s = battery.minSoc; s <= battery.maxSoc; s++) states.push(s);
+    const start = Math.min(battery.maxSoc, Math.max(battery.minSoc, Math.round(soc)));
+
+    let cost = states.map(s => (s === start ? 0 : Infinity));
+    const choices = [];
+    inputs.forEach((_, index) => {
+        const [minPower, maxPower] = powerRange(index);
+        const nextCost = states.map(() => Infinity);
+        const choice = states.map(() => -1);
+        states.forEach((from, i) => {
+            if (cost[i] === Infinity) return;
+            states.forEach((to, j) => {
+                const power = powerForSocChange(from, to, battery);
+                if (Math.abs(power) > battery.maxPower + 1e-9 || power < minPower - 1e-9 || power > maxPower + 1e-9) return;
+                const total = cost[i] + hourCost(index, power);
+                if (total < nextCost[j]) {
+                    nextCost[j] = total;
+                    choice[j] = i;
+                }
+            });
+        });
+        cost = nextCost;
+        choices.push(choice);
+    });
+
+    const reachable = states.map((s, j) => ({ s, j, cost: cost[j] })).filter(state => state.cost < Infinity);
+    const meetsTarget = reachable.filter(state => state.s >= targetSoc);
+    const end = meetsTarget.length > 0
+        ? meetsTarget.reduce((best, state) => (state.cost < best.cost ? state : best))
+        : reachable.reduce((best, state) => (state.s > best.s ? state : best));
+
+    const powers = [];
+    let j = end.j;
+    for (let index = inputs.length - 1; index >= 0; index--) {
+        const i = choices[index][j];
+        powers[index] = powerForSocChange(states[i], states[j], battery);
+        j = i;
+    }
+    return powers;
+};
+
+const PLANNERS = {
+    'Automatic Optimization': (inputs, options, battery) => optimise(inputs, {
+        ...options,
+        hourCost: (index, power) => gridCost(netLoad(inputs[index]) + power, inputs[index]),
+        powerRange: () => [-battery.maxPower, battery.maxPower]
+    }, battery),
+
+    // Battery energy is valued at the import price only; discharge is capped at the
+    // hour's shortfall so nothing is exported to chase a price
+    'Grid Price Based': (inputs, options, battery) => optimise(inputs, {
+        ...options,
+        hourCost: (index, power) => power * inputs[index].import_rate,
+        powerRange: (index) => [-Math.max(0, netLoad(inputs[index])), battery.maxPower]
+    }, battery),
+
+    'Solar Priority': (inputs, { soc, targetSoc }, battery) => inputs.map(hour => {
+        const surplus = -netLoad(hour);
+        const reserve = ((soc - targetSoc) / 100) * battery.capacity * battery.efficiency;
+        const power = surplus > 0 ? surplus : -Math.min(-surplus, Math.max(0, reserve));
+        soc = stepBattery({ ...battery, soc, requestedPower: power, hours: 1 }).soc;
+        return power;
+    }),
+
+    'Manual Control': (inputs, { soc, targetSoc }, battery) => inputs.map(() => {
+        const power = powerForSocChange(soc, targetSoc, battery);
+        soc = stepBattery({ ...battery, soc, requestedPower: power, hours: 1 }).soc;
+        return power;
+    })
+};
+
+const round = (val, digits = 1) => parseFloat(val.toFixed(digits)) || 0;
+
+// Build the plan for `strategy`. Returns the hourly steps and a cost summary compared
+// with running the same day without the battery.
+export const planDispatch = ({ strategy, inputs, soc, targetSoc, config = CONFIG }) => {
+    const planner = PLANNERS[strategy];
+    if (!planner) throw new Error(`Unknown charging strategy "${strategy}"`);
+    const battery = batteryLimits(config);
+    const requested = planner(inputs, { soc, targetSoc }, battery);
+
+    let currentSoc = soc;
+    const steps = inputs.map((hour, index) => {
+        const result = stepBattery({ ...battery, soc: currentSoc, requestedPower: requested[index], hours: 1 });
+        currentSoc = result.soc;
+        const grid = netLoad(hour) + result.power;
+        return {
+            time: hour.time,
+            solar: round(hour.solar),
+            wind: round(hour.wind),
+            load: round(hour.load),
+            import_rate: hour.import_rate,
+            power: round(result.power),
+            soc: round(currentSoc),
+            grid: round(grid),
+            cost: round(gridCost(grid, hour), 2)
+        };
+    });
+
+    const cost = steps.reduce((sum, step) => sum + step.cost, 0);
+    const baselineCost = inputs.reduce((sum, hour) => sum + gridCost(netLoad(hour), hour), 0);
+    // Plans end at different SOCs; energy left in (or taken out of) the battery is valued at
+    // the day's average import rate so that strategies compare fairly
+    const averageRate = inputs.reduce((sum, hour) => sum + hour.import_rate, 0) / inputs.length;
+    const storedValue = ((currentSoc - soc) / 100) * battery.capacity * battery.efficiency * averageRate;
+    return {
+        strategy,
+        target_soc: targetSoc,
+        steps,
+        summary: {
+            cost: round(cost, 0),
+            baseline_cost: round(baselineCost, 0),
+            stored_value: round(storedValue, 0),
+            savings: round(baselineCost - cost + storedValue, 0),
+            charged_kwh: round(steps.reduce((sum, step) => sum + Math.max(0, step.power), 0), 0),
+            discharged_kwh: round(steps.reduce((sum, step) => sum + Math.max(0, -step.power), 0), 0),
+            final_soc: round(currentSoc)
+        }
+    };
+};
@@ -0,0 +1,63 @@
+import { planDispatch, STRATEGIES } from './planner';
+
+// A lossless 100 kWh battery that moves 10% of its charge per hour at full power, so every
+// expected SOC below is a whole step
+const config = {
+    CAMPUS_INFO: { battery_capacity: 100 },
+    BATTERY: { max_power: 10, efficiency: 1, min_soc: 20, max_soc: 100 }
+};
+
+// Two cheap night hours, two midday hours with 30 kW of solar surplus and two peak hours;
+// the campus draws 50 kW throughout
+const inputs = [4, 4, 8, 8, 12, 12].map((importRate, hour) => ({
+    time: new Date(Date.UTC(2025, 5, 10, hour)).toISOString(),
+    solar: hour === 2 || hour === 3 ? 80 : 0,
+    wind: 0,
+    load: 50,
+    import_rate: importRate,
+    export_rate: 3
+}));
+
+const plan = (strategy, soc, targetSoc) => planDispatch({ strategy, inputs, soc, targetSoc, config });
+const socs = ({ steps }) => steps.map(step => step.soc);
+const powers = ({ steps }) => steps.map(step => step.power);
+
+test.each(Object.keys(STRATEGIES))('%s stays within the power and SOC limits', (strategy) => {
+    [[20, 100], [100, 20], [50, 50]].forEach(([soc, targetSoc]) => {
+        plan(strategy, soc, targetSoc).steps.forEach(step => {
+            expect(Math.abs(step.power)).toBeLessThanOrEqual(10);
+            expect(step.soc).toBeGreaterThanOrEqual(20);
+            expect(step.soc).toBeLessThanOrEqual(100);
+        });
+    });
+});
+
+describe('Automatic Optimization', () => {
+    test('stores the solar surplus for the peak and ends at the target', () => {
+        const result = plan('Automatic Optimization', 50, 50);
+        expect(powers(result).slice(2)).toEqual([10, 10, -10, -10]);
+        expect(result.summary).toMatchObject({ final_soc: 50, cost: 1240, baseline_cost: 1420, savings: 180 });
+    });
+
+    test('ends as full as it can when the target is out of reach', () => {
+        expect(plan('Automatic Optimization', 20, 100).summary.final_soc).toBe(80);
+    });
+});
+
+test('Grid Price Based charges in the cheapest hours and never discharges into an export', () => {
+    const result = plan('Grid Price Based', 50, 50);
+    expect(powers(result)).toEqual([10, 10, 0, 0, -10, -10]);
+    expect(socs(result)).toEqual([60, 70, 70, 70, 60, 50]);
+});
+
+test('Solar Priority charges from the surplus and discharges only down to the target', () => {
+    expect(socs(plan('Solar Priority', 50, 50))).toEqual([50, 50, 60, 70, 60, 50]);
+});
+
+test('Manual Control moves to the target and holds it', () => {
+    expect(socs(plan('Manual Control', 40, 70))).toEqual([50, 60, 70, 70, 70, 70]);
+});
+
+test('rejects an unknown strategy', () => {
+    expect(() => plan('Coin Toss', 50, 50)).toThrow('Unknown charging strategy "Coin Toss"');
+});
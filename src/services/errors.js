@@ -0,0 +1,17 @@
+// Thrown when a control command is refused before it takes effect (invalid values, a
+// read-only data source, or the backend declining it), as opposed to failing mid-way.
+export class CommandRejectedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommandRejectedError';
+    }
+}
+
+// Thrown when the auth backend refuses a refresh (expired, revoked or already-used refresh
+// token), as opposed to a network or server failure that is worth retrying.
+export class SessionExpiredError extends Error {
+    constructor(message = 'Session expired. Please sign in again.') {
+        super(message);
+        this.name = 'SessionExpiredError';
+    }
+}
@@ -0,0 +1,77 @@
+// Investment appraisal for the campus plant: yearly cash flows over the project life and
+// the usual measures derived from them (simple payback, NPV, IRR and LCOE).
+// Year 0 is the capital outlay; benefits and costs arrive at the end of each later year.
+import { CONFIG } from '../config';
+
+const IRR_ITERATIONS = 100;
+
+const growth = (rate, year) => Math.pow(1 + rate, year - 1);
+
+// Replacement outlays (e.g. battery cells) due in `year`
+const replacementsIn = (assets, year) => Object.values(assets)
+    .filter(asset => asset.replacement_year === year)
+    .reduce((total, asset) => total + asset.capex * asset.replacement_fraction, 0);
+
+const totalCapex = (assets) => Object.values(assets).reduce((total, asset) => total + asset.capex, 0);
+const totalOm = (assets) => Object.values(assets).reduce((total, asset) => total + asset.om_per_year, 0);
+
+// annualBenefit: first-year avoided grid cost plus export revenue, before O&M.
+// Returns [{ year, benefit, om, replacement, net }], year 0 holding the capex.
+export const cashFlows = ({ assets, annualBenefit, finance = CONFIG.FINANCE }) => {
+    const flows = [{ year: 0, benefit: 0, om: 0, replacement: 0, net: -totalCapex(assets) }];
+    for (let year = 1; year <= finance.LIFETIME_YEARS; year += 1) {
+        const benefit = annualBenefit * growth(finance.TARIFF_ESCALATION, year) * growth(-finance.DEGRADATION, year);
+        const om = totalOm(assets) * growth(finance.OM_ESCALATION, year);
+        const replacement = replacementsIn(assets, year);
+        flows.push({ year, benefit, om, replacement, net: benefit - om - replacement });
+    }
+    return flows;
+};
+
+export const npv = (rate, flows) =>
+    flows.reduce((total, flow) => total + flow.net / Math.pow(1 + rate, flow.year), 0);
+
+// Discount rate at which NPV is zero, found by bisection; null when the flows never break even
+export const irr = (flows) => {
+    let low = -0.99;
+    let high = 1;
+    if (npv(low, flows) * npv(high, flows) > 0) return null;
+    for (let i = 0; i < IRR_ITERATIONS; i += 1) {
+        const mid = (low + high) / 2;
+        if (npv(low, flows) * npv(mid, flows) <= 0) high = mid; else low = mid;
+    }
+    return (low + high) / 2;
+};
+
+// Years for the first year's net benefit to repay the capex, ignoring discounting and growth
+export const simplePayback = (flows) => {
+    const capex = -flows[0].net;
+    const firstYear = flows[1]?.net ?? 0;
+    return firstYear > 0 ? capex / firstYear : null;
+};
+
+// Levelised cost of one asset's energy in ₹/kWh: discounted lifetime costs over discounted
+// lifetime output, where annualEnergy is its first-year kWh
+export const lcoe = (asset, annualEnergy, finance = CONFIG.FINANCE) => {
+    let costs = asset.capex;
+    let energy = 0;
+    for (let year = 1; year <= finance.LIFETIME_YEARS; year += 1) {
+        const discount = Math.pow(1 + finance.DISCOUNT_RATE, year);
+        const replacement = asset.replacement_year === year ? asset.capex * asset.replacement_fraction : 0;
+        costs += (asset.om_per_year * growth(finance.OM_ESCALATION, year) + replacement) / discount;
+        energy += annualEnergy * growth(-finance.DEGRADATION, year) / discount;
+    }
+    return energy > 0 ? costs / energy : null;
+};
+
+export const appraise = ({ assets, annualBenefit, annualEnergy, finance = CONFIG.FINANCE }) => {
+    const flows = cashFlows({ assets, annualBenefit, finance });
+    return {
+        flows,
+        capex: totalCapex(assets),
+        payback_years: simplePayback(flows),
+        npv: npv(finance.DISCOUNT_RATE, flows),
+        irr: irr(flows),
+        lcoe: Object.fromEntries(Object.entries(assets).map(([id, asset]) => [id, lcoe(asset, annualEnergy[id] || 0, finance)]))
+    };
+};
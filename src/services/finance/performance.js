@@ -0,0 +1,56 @@
+// Monthly financial performance of the campus plant, computed from hourly energy history
+// ({ time, solar, wind, load, battery_power, grid }) and priced by the tariff engine.
+//   avoided_cost    what the campus did not pay for grid energy and demand thanks to the plant
+//   export_revenue  net-metering credit for exported energy
+//   om_cost         operation and maintenance, spread evenly over the year
+//   net_benefit     avoided_cost + export_revenue - om_cost
+import { CONFIG } from '../config';
+import { isPriced, monthlyBills } from '../tariff';
+import { localMonth } from '../aggregation';
+
+const round = (value, digits = 0) => Number(value.toFixed(digits));
+
+const isComplete = (point) => ['solar', 'wind', 'load', 'grid'].every(key => Number.isFinite(point[key]));
+
+// Energy produced or delivered by each asset per month, in kWh
+const monthlyEnergy = (points) => {
+    const months = new Map();
+    points.forEach(point => {
+        const month = localMonth(point.time);
+        const totals = months.get(month) || { solar: 0, wind: 0, discharge: 0 };
+        totals.solar += point.solar;
+        totals.wind += point.wind;
+        totals.discharge += Math.max(-(point.battery_power ?? 0), 0);
+        months.set(month, totals);
+    });
+    return months;
+};
+
+export const annualOm = (assets = CONFIG.FINANCE.ASSETS) =>
+    Object.values(assets).reduce((total, asset) => total + asset.om_per_year, 0);
+
+export const monthlyPerformance = (points, assets = CONFIG.FINANCE.ASSETS) => {
+    // Energy is counted only for hours the tariff engine prices, so it matches the bills
+    const complete = points.filter(point => isComplete(point) && isPriced(point.time));
+    const actual = monthlyBills(complete);
+    // The same months had the campus imported its whole load
+    const baseline = new Map(monthlyBills(complete.map(p => ({ time: p.time, grid: p.load }))).map(bill => [bill.month, bill]));
+    const energy = monthlyEnergy(complete);
+    const omPerMonth = annualOm(assets) / 12;
+
+    return actual.map(bill => {
+        const avoided = baseline.get(bill.month).total - bill.total - bill.export_credit;
+        const totals = energy.get(bill.month);
+        return {
+            month: bill.month,
+            hours: bill.hours,
+            solar_kwh: round(totals.solar),
+            wind_kwh: round(totals.wind),
+            discharge_kwh: round(totals.discharge),
+            avoided_cost: round(avoided),
+            export_revenue: round(bill.export_credit),
+            om_cost: round(omPerMonth),
+            net_benefit: round(avoided + bill.export_credit - omPerMonth)
+        };
+    });
+};
@@ -0,0 +1,79 @@
+// Forecast accuracy: archived forecasts (apiService.getForecastArchive) paired hour by hour
+// with the actuals from history. Errors are forecast minus actual, so a positive bias means
+// the forecast ran high. Horizons are whole days ahead: day 1 covers the first 24 hours.
+import { CONFIG } from '../config';
+import { RESOLUTION_MS, localDate } from '../aggregation';
+
+const HOUR = RESOLUTION_MS['1h'];
+
+export const FORECAST_SOURCES = ['solar', 'wind', 'load'];
+export const SOURCE_LABELS = { solar: 'Solar', wind: 'Wind', load: 'Load' };
+export const HORIZON_DAYS = Array.from({ length: CONFIG.FORECAST.DAYS }, (_, index) => index + 1);
+
+const round = (value, digits = 1) => (value === null ? null : Number(value.toFixed(digits)));
+
+// One row per forecast hour and source that has an actual: { source, time, date, horizon_day, forecast, actual, error }
+export const forecastErrors = (forecasts, actuals) => {
+    const actualAt = new Map(actuals.map(point => [Date.parse(point.time), point]));
+    const rows = [];
+    forecasts.forEach(forecast => {
+        const start = Date.parse(forecast.start);
+        FORECAST_SOURCES.forEach(source => forecast[source].forEach((value, index) => {
+            const time = start + index * HOUR;
+            const actual = actualAt.get(time)?.[source];
+            if (typeof actual !== 'number' || !Number.isFinite(actual)) return;
+            rows.push({
+                source,
+                time,
+                date: localDate(time),
+                horizon_day: Math.floor(index / 24) + 1,
+                forecast: value,
+                actual,
+                error: value - actual
+            });
+        }));
+    });
+    return rows;
+};
+
+// MAE and bias in kW and MAPE in %, for rows of one source
+export const errorStats = (rows, { mapeFloor = CONFIG.FORECAST.ACCURACY.MAPE_FLOOR } = {}) => {
+    if (rows.length === 0) return { hours: 0, mae: null, mape: null, bias: null };
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const measurable = rows.filter(row => Math.abs(row.actual) >= mapeFloor);
+    return {
+        hours: rows.length,
+        mae: round(mean(rows.map(row => Math.abs(row.error)))),
+        mape: measurable.length ? round(100 * mean(measurable.map(row => Math.abs(row.error / row.actual)))) : null,
+        bias: round(mean(rows.map(row => row.error)))
+    };
+};
+
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+    const k = key(row);
+    (groups[k] = groups[k] || []).push(row);
+    return groups;
+}, {});
+
+// { solar: { 1: stats, 2: stats, ... }, wind: ..., load: ... }
+export const accuracyByHorizon = (rows) => Object.fromEntries(FORECAST_SOURCES.map(source => {
+    const byHorizon = groupBy(rows.filter(row => row.source === source), row => row.horizon_day);
+    return [source, Object.fromEntries(HORIZON_DAYS.map(day => [day, errorStats(byHorizon[day] || [])]))];
+}));
+
+// Day-ahead (horizon day 1) stats per local date and source, oldest first:
+// [{ date, solar: stats, wind: stats, load: stats }]
+export const dailyAccuracy = (rows) => {
+    const byDate = groupBy(rows.filter(row => row.horizon_day === 1), row => row.date);
+    return Object.keys(byDate).sort().map(date => ({
+        date,
+        ...Object.fromEntries(FORECAST_SOURCES.map(source => [source, errorStats(byDate[date].filter(row => row.source === source))]))
+    }));
+};
+
+// Days and sources with the largest day-ahead MAE: [{ date, source, ...stats }]
+export const worstDays = (daily, limit = CONFIG.FORECAST.ACCURACY.WORST_DAYS) => daily
+    .flatMap(day => FORECAST_SOURCES.map(source => ({ date: day.date, source, ...day[source] })))
+    .filter(entry => entry.mae !== null)
+    .sort((a, b) => b.mae - a.mae)
+    .slice(0, limit);
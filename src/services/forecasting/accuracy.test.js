@@ -0,0 +1,79 @@
+import { forecastErrors, errorStats, accuracyByHorizon, dailyAccuracy, worstDays, HORIZON_DAYS } from './accuracy';
+
+const HOUR = 3600000;
+
+// Forecasts issued at local midnight on 10 and 11 June 2025
+const JUNE_10 = Date.parse('2025-06-10T00:00:00+05:30');
+const JUNE_11 = JUNE_10 + 24 * HOUR;
+
+// An archived forecast of `hours` hours with the same value every hour
+const archived = (start, hours, { solar = 0, wind = 0, load = 0 }) => ({
+    start: new Date(start).toISOString(),
+    solar: Array(hours).fill(solar),
+    wind: Array(hours).fill(wind),
+    load: Array(hours).fill(load)
+});
+
+// Actual hourly history from `start`; `values(index)` gives each hour's readings
+const actuals = (start, hours, values) => Array.from({ length: hours }, (_, index) => ({
+    time: new Date(start + index * HOUR).toISOString(),
+    ...values(index)
+}));
+
+describe('forecastErrors', () => {
+    test('pairs each forecast hour with the actual and its horizon day', () => {
+        const rows = forecastErrors([archived(JUNE_10, 26, { load: 300 })], actuals(JUNE_10, 26, () => ({ load: 280 })));
+        const load = rows.filter(row => row.source === 'load');
+        expect(load).toHaveLength(26);
+        expect(load[0]).toMatchObject({ time: JUNE_10, date: '2025-06-10', horizon_day: 1, forecast: 300, actual: 280, error: 20 });
+        expect(load[24]).toMatchObject({ date: '2025-06-11', horizon_day: 2 });
+    });
+
+    test('skips hours without an actual reading', () => {
+        const history = actuals(JUNE_10, 3, (index) => ({ solar: index === 1 ? null : 50 }));
+        const rows = forecastErrors([archived(JUNE_10, 6, { solar: 60 })], history);
+        expect(rows.filter(row => row.source === 'solar').map(row => row.time)).toEqual([JUNE_10, JUNE_10 + 2 * HOUR]);
+    });
+});
+
+describe('errorStats', () => {
+    const row = (forecast, actual) => ({ forecast, actual, error: forecast - actual });
+
+    test('gives MAE and bias in kW and MAPE in percent', () => {
+        expect(errorStats([row(110, 100), row(180, 200)])).toEqual({ hours: 2, mae: 15, mape: 10, bias: -5 });
+    });
+
+    test('leaves hours with small actuals out of MAPE only', () => {
+        expect(errorStats([row(5, 1), row(110, 100)], { mapeFloor: 10 })).toEqual({ hours: 2, mae: 7, mape: 10, bias: 7 });
+        expect(errorStats([row(5, 1)], { mapeFloor: 10 }).mape).toBeNull();
+    });
+
+    test('has no figures without rows', () => {
+        expect(errorStats([])).toEqual({ hours: 0, mae: null, mape: null, bias: null });
+    });
+});
+
+describe('summaries', () => {
+    // Day-ahead load 10 kW high on the 10th and 40 kW low on the 11th; wind always right
+    const forecasts = [archived(JUNE_10, 48, { wind: 20, load: 310 }), archived(JUNE_11, 48, { wind: 20, load: 260 })];
+    const history = actuals(JUNE_10, 72, () => ({ wind: 20, load: 300 }));
+    const rows = forecastErrors(forecasts, history);
+
+    test('accuracyByHorizon reports every horizon day for every source', () => {
+        const byHorizon = accuracyByHorizon(rows);
+        expect(Object.keys(byHorizon.load).map(Number)).toEqual(HORIZON_DAYS);
+        expect(byHorizon.load[1]).toMatchObject({ hours: 48, mae: 25, bias: -15 });
+        expect(byHorizon.load[2]).toMatchObject({ hours: 48, mae: 25 });
+        expect(byHorizon.load[3].hours).toBe(0);
+    });
+
+    test('dailyAccuracy uses the day-ahead hours of each date', () => {
+        const daily = dailyAccuracy(rows);
+        expect(daily.map(day => [day.date, day.load.bias, day.wind.mae])).toEqual([['2025-06-10', 10, 0], ['2025-06-11', -40, 0]]);
+    });
+
+    test('worstDays ranks dates and sources by MAE', () => {
+        const worst = worstDays(dailyAccuracy(rows), 2);
+        expect(worst.map(day => [day.date, day.source, day.mae])).toEqual([['2025-06-11', 'load', 40], ['2025-06-10', 'load', 10]]);
+    });
+});
@@ -0,0 +1,89 @@
+// Issues the campus forecasts: seven days of hourly generation from the configured weather
+// provider and load from the learned load model, starting at the current local hour. A
+// forecast is reused until the hour changes; the load model is retrained once a day.
+import { CONFIG } from '../config';
+import apiService from '../apiService';
+import { RESOLUTION_MS, bucketStart } from '../aggregation';
+import { createWeatherProvider } from './weatherProviders';
+import { forecastGeneration } from './generationForecast';
+import { trainLoadModel, forecastLoad } from './loadForecast';
+
+const HOUR = RESOLUTION_MS['1h'];
+const DAY = RESOLUTION_MS['1d'];
+
+// Reuses the promise cached in `slot` while `key` matches, forgetting it if it fails
+const cached = (owner, slot, key, create) => {
+    if (owner[slot]?.key !== key) {
+        const promise = create();
+        // Let a failure be retried on the next call
+        promise.catch(() => { if (owner[slot]?.promise === promise) owner[slot] = null; });
+        owner[slot] = { key, promise };
+    }
+    return owner[slot].promise;
+};
+
+class ForecastService {
+    constructor(options = CONFIG.FORECAST) {
+        this.options = options;
+        this.provider = createWeatherProvider(options);
+        // { key, promise } for the forecast issued this hour and the model trained today
+        this.current = null;
+        this.loadModel = null;
+    }
+
+    // Resolves to { issued_at, provider, load_model, hours: [{ time, solar, wind, load, ... }] }
+    getForecast(now = Date.now()) {
+        const start = bucketStart(now, HOUR);
+        return cached(this, 'current', start, () => this.issue(start, now));
+    }
+
+    // Load model trained on the last TRAINING_DAYS of hourly history
+    getLoadModel(now = Date.now()) {
+        const today = bucketStart(now, DAY);
+        return cached(this, 'loadModel', today, async () => {
+            const points = await apiService.getHistoricalData({
+                from: new Date(today - this.options.LOAD.TRAINING_DAYS * DAY).toISOString(),
+                to: new Date(now).toISOString(),
+                resolution: '1h',
+                metrics: ['load', 'temperature'],
+                aggregate: 'avg'
+            });
+            return trainLoadModel(points);
+        });
+    }
+
+    async issue(start, now) {
+        const { latitude, longitude } = CONFIG.CAMPUS_INFO;
+        const [weather, model] = await Promise.all([
+            this.provider.getForecast({ latitude, longitude, from: start, hours: this.options.DAYS * 24 }),
+            this.getLoadModel(now)
+        ]);
+        const generation = forecastGeneration(weather, { windHeight: this.provider.windHeight, issuedAt: start });
+        const load = forecastLoad(model, weather, { issuedAt: start });
+        const { profile, ...loadModel } = model;
+        const forecast = {
+            issued_at: new Date(now).toISOString(),
+            provider: this.provider.name,
+            load_model: loadModel,
+            hours: generation.map((hour, index) => ({ ...hour, ...load[index] }))
+        };
+        await this.archive(start, forecast);
+        return forecast;
+    }
+
+    // Keeps the central values for accuracy tracking; failing to archive does not hold up the forecast
+    archive(start, { issued_at, provider, hours }) {
+        const values = (key) => hours.map(hour => hour[key]);
+        return apiService.recordForecast({
+            start: new Date(start).toISOString(),
+            issued_at,
+            provider,
+            solar: values('solar'),
+            wind: values('wind'),
+            load: values('load')
+        }).catch(error => console.error('Failed to archive forecast:', error));
+    }
+}
+
+const forecastService = new ForecastService();
+export default forecastService;
@@ -0,0 +1,61 @@
+// Hourly solar and wind forecasts from a weather forecast. Solar runs the clear-sky model for
+// the campus coordinates through the forecast cloud cover and the PV model; wind runs the
+// forecast hub-height wind speed through the turbine power curve. Confidence bands repeat
+// the calculation with the weather moved by its expected error, which grows with horizon.
+import { CONFIG } from '../config';
+import { RESOLUTION_MS } from '../aggregation';
+import { sunPosition, clearSkyIrradiance, applyCloudCover, pvOutput } from '../simulation/solar';
+import { turbinePower } from '../simulation/wind';
+
+const HOUR = RESOLUTION_MS['1h'];
+const DAY = RESOLUTION_MS['1d'];
+
+const clamp = (val, min, max) => Math.max(min, Math.min(val, max));
+const round = (val) => parseFloat(val.toFixed(1)) || 0;
+
+// 1σ forecast error `daysAhead` days out for a { base, per_day, max } spread
+export const spreadAt = ({ base, per_day: perDay, max }, daysAhead) => Math.min(max, base + perDay * daysAhead);
+
+// Wind power law from the provider's measurement height to the turbine hub
+const toHubHeight = (speed, fromHeight, { HUB_HEIGHT, SHEAR_EXPONENT }) =>
+    (fromHeight && fromHeight !== HUB_HEIGHT ? speed * Math.pow(HUB_HEIGHT / fromHeight, SHEAR_EXPONENT) : speed);
+
+// weather: provider output; windHeight: the height its wind speeds refer to (null = hub height)
+export const forecastGeneration = (weather, { windHeight = null, issuedAt = Date.now(), config = CONFIG } = {}) => {
+    const { CAMPUS_INFO, WIND_TURBINE, SIMULATION, FORECAST } = config;
+    const pv = { performanceRatio: SIMULATION.performance_ratio, tempCoefficient: SIMULATION.temp_coefficient, noct: SIMULATION.noct };
+    const curve = { cutIn: WIND_TURBINE.cut_in, ratedSpeed: WIND_TURBINE.rated_speed, cutOut: WIND_TURBINE.cut_out };
+    const z = FORECAST.BAND_Z;
+
+    return weather.map(hour => {
+        const start = Date.parse(hour.time);
+        const daysAhead = Math.max(0, (start - issuedAt) / DAY);
+
+        // Sun position at mid-hour represents the hour's average output
+        const { elevation } = sunPosition(new Date(start + HOUR / 2), CAMPUS_INFO.latitude, CAMPUS_INFO.longitude);
+        const clearSky = clearSkyIrradiance(elevation);
+        const solarAt = (cloud) =>
+            pvOutput(applyCloudCover(clearSky, clamp(cloud, 0, 100)), hour.temperature, CAMPUS_INFO.solar_capacity, pv);
+        const cloudSpread = z * (hour.cloud_cover_spread ?? spreadAt(FORECAST.CLOUD_SPREAD, daysAhead));
+
+        const speed = toHubHeight(hour.wind_speed, windHeight, FORECAST);
+        const speedSpread = z * (hour.wind_speed_spread ?? speed * spreadAt(FORECAST.WIND_SPREAD, daysAhead));
+        // The power curve drops to zero past cut-out, so the band is the range over the spread
+        const windAt = (v) => turbinePower(Math.max(0, v), CAMPUS_INFO.wind_capacity, curve);
+        const windOptions = [windAt(speed - speedSpread), windAt(speed), windAt(speed + speedSpread)];
+
+        return {
+            time: hour.time,
+            horizon_hours: Math.round((start - issuedAt) / HOUR),
+            solar: round(solarAt(hour.cloud_cover)),
+            solar_low: round(solarAt(hour.cloud_cover + cloudSpread)),
+            solar_high: round(solarAt(hour.cloud_cover - cloudSpread)),
+            wind: round(windAt(speed)),
+            wind_low: round(Math.min(...windOptions)),
+            wind_high: round(Math.max(...windOptions)),
+            temperature: hour.temperature,
+            cloud_cover: hour.cloud_cover,
+            wind_speed: round(speed)
+        };
+    });
+};
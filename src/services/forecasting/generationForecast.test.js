@@ -0,0 +1,75 @@
+import { forecastGeneration } from './generationForecast';
+
+const HOUR = 3600000;
+
+// Campus local time (Asia/Kolkata) as an ISO timestamp
+const local = (text) => new Date(`${text}+05:30`).toISOString();
+
+const ISSUED = Date.parse(local('2025-06-10T00:00:00'));
+
+// One provider hour `hoursAhead` after the forecast is issued; wind is at hub height
+const weatherAt = (hoursAhead, { cloud = 0, wind = 8, temperature = 30 } = {}) => ({
+    time: new Date(ISSUED + hoursAhead * HOUR).toISOString(),
+    temperature,
+    cloud_cover: cloud,
+    wind_speed: wind
+});
+
+const forecast = (weather, options = {}) => forecastGeneration(weather, { issuedAt: ISSUED, ...options });
+
+describe('solar', () => {
+    test('is zero at night', () => {
+        const [night] = forecast([weatherAt(0)]);
+        expect([night.solar, night.solar_low, night.solar_high]).toEqual([0, 0, 0]);
+    });
+
+    test('falls with cloud cover, within a band around the forecast', () => {
+        const [clear, cloudy] = forecast([weatherAt(12), weatherAt(12, { cloud: 60 })]);
+        expect(clear.solar).toBeGreaterThan(300);
+        expect(cloudy.solar).toBeLessThan(clear.solar);
+        expect(cloudy.solar_low).toBeLessThan(cloudy.solar);
+        expect(cloudy.solar_high).toBeGreaterThan(cloudy.solar);
+        // A clear sky cannot get any clearer
+        expect(clear.solar_high).toBe(clear.solar);
+    });
+
+    test('widens the band further ahead', () => {
+        const [today, later] = forecast([weatherAt(12, { cloud: 40 }), weatherAt(5 * 24 + 12, { cloud: 40 })]);
+        expect(later.horizon_hours).toBe(132);
+        expect(later.solar_high - later.solar_low).toBeGreaterThan(today.solar_high - today.solar_low);
+    });
+
+    test('uses the provider\'s own spread when it reports one', () => {
+        const [hour] = forecast([{ ...weatherAt(12, { cloud: 40 }), cloud_cover_spread: 0 }]);
+        expect(hour.solar_low).toBe(hour.solar);
+        expect(hour.solar_high).toBe(hour.solar);
+    });
+});
+
+describe('wind', () => {
+    test.each([
+        [2, 0],
+        [12, 100],
+        [25, 0]
+    ])('follows the power curve at %i m/s', (speed, power) => {
+        expect(forecast([weatherAt(0, { wind: speed })])[0].wind).toBe(power);
+    });
+
+    test('ramps up between cut-in and rated speed', () => {
+        const [hour] = forecast([weatherAt(0, { wind: 8 })]);
+        expect(hour.wind).toBeGreaterThan(0);
+        expect(hour.wind).toBeLessThan(100);
+        expect(hour.wind_low).toBeLessThan(hour.wind);
+        expect(hour.wind_high).toBeGreaterThan(hour.wind);
+    });
+
+    test('includes a cut-out shutdown in the band', () => {
+        const [hour] = forecast([weatherAt(0, { wind: 24 })]);
+        expect(hour).toMatchObject({ wind: 100, wind_low: 0, wind_high: 100 });
+    });
+
+    test('scales wind measured at another height to the hub', () => {
+        const [hour] = forecast([weatherAt(0, { wind: 5 })], { windHeight: 10 });
+        expect(hour.wind_speed).toBe(5.8);
+    });
+});
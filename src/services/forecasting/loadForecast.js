@@ -0,0 +1,150 @@
+// Hourly campus load forecasts learned from stored history. The model keeps an average
+// weather-normalised profile for each weekday and hour, a cooling term fitted to outdoor
+// temperature, and a load factor for each type of academic calendar event; forecasting
+// applies it to the weather forecast's temperatures and the calendar for the coming days.
+import { CONFIG } from '../config';
+import { RESOLUTION_MS, localDate } from '../aggregation';
+import { localTime } from '../simulation/campusSimulator';
+import { calendarEventOn } from '../academicCalendar';
+import { ACADEMIC_CALENDAR } from '../../config/academicCalendar';
+import { spreadAt } from './generationForecast';
+
+const DAY = RESOLUTION_MS['1d'];
+
+const round = (val) => parseFloat(val.toFixed(1)) || 0;
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+const coolingDegrees = (temperature, base) => Math.max(0, temperature - base);
+const isWeekend = (weekday) => weekday === 0 || weekday === 6;
+
+const groupBy = (items, key) => {
+    const groups = new Map();
+    items.forEach(item => {
+        const k = key(item);
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(item);
+    });
+    return groups;
+};
+
+// Hourly history points ({ time, load, temperature? }) with their local calendar context
+const describe = (points, calendar) => points
+    .filter(point => Number.isFinite(point.load))
+    .map(point => {
+        const { hour, weekday } = localTime(new Date(point.time));
+        return {
+            date: localDate(point.time),
+            weekday,
+            hour: Math.floor(hour),
+            load: point.load,
+            temperature: Number.isFinite(point.temperature) ? point.temperature : null,
+            event: calendarEventOn(point.time, calendar)
+        };
+    });
+
+// Least-squares cooling slope (kW per °C above `base`). Fitted to deviations from each
+// weekday-hour mean, so the daily rhythm of the campus is not mistaken for temperature.
+const fitCooling = (samples, base) => {
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    groupBy(samples, s => s.weekday * 24 + s.hour).forEach(cell => {
+        const loadMean = mean(cell.map(s => s.load));
+        const degreesMean = mean(cell.map(s => coolingDegrees(s.temperature, base)));
+        cell.forEach(s => {
+            const dx = coolingDegrees(s.temperature, base) - degreesMean;
+            const dy = s.load - loadMean;
+            sxy += dx * dy;
+            sxx += dx * dx;
+            syy += dy * dy;
+        });
+    });
+    const slope = sxx > 0 ? Math.max(0, sxy / sxx) : 0;
+    return { base, slope, sse: syy - 2 * slope * sxy + slope * slope * sxx };
+};
+
+// Learns the load model from hourly history. Ordinary days build the profile and cooling
+// term; event days then set the factor for their event type.
+export const trainLoadModel = (points, { calendar = ACADEMIC_CALENDAR, config = CONFIG } = {}) => {
+    const { COOLING_BASES: [lowestBase, highestBase], MIN_EVENT_DAYS, EVENT_PRIORS } = config.FORECAST.LOAD;
+    const samples = describe(points, calendar);
+    const ordinary = samples.filter(s => !s.event);
+    if (ordinary.length === 0) {
+        throw new Error('Load forecast needs history from at least one ordinary campus day');
+    }
+
+    // The base temperature is chosen by fit, trying each whole degree in the configured range
+    const withTemperature = ordinary.filter(s => s.temperature !== null);
+    let cooling = { base: highestBase, slope: 0 };
+    if (withTemperature.length > 0) {
+        for (let base = lowestBase; base <= highestBase; base++) {
+            const fit = fitCooling(withTemperature, base);
+            if (cooling.sse === undefined || fit.sse < cooling.sse) cooling = fit;
+        }
+    }
+    const coolingLoad = (temperature) => (temperature === null ? 0 : cooling.slope * coolingDegrees(temperature, cooling.base));
+    const normalised = ordinary.map(s => ({ ...s, base: s.load - coolingLoad(s.temperature) }));
+
+    // Weekday-hour means, falling back to the same hour on the same kind of day, then the
+    // same hour on any day, then the overall mean where the history has gaps
+    const means = (key) => new Map([...groupBy(normalised, key)].map(([k, group]) => [k, mean(group.map(s => s.base))]));
+    const byCell = means(s => `${s.weekday}:${s.hour}`);
+    const byDayType = means(s => `${isWeekend(s.weekday)}:${s.hour}`);
+    const byHour = means(s => s.hour);
+    const overall = mean(normalised.map(s => s.base));
+    const profile = Array.from({ length: 7 }, (_, weekday) => Array.from({ length: 24 }, (_, hour) =>
+        byCell.get(`${weekday}:${hour}`) ?? byDayType.get(`${isWeekend(weekday)}:${hour}`) ?? byHour.get(hour) ?? overall
+    ));
+    const expected = (s) => profile[s.weekday][s.hour] + coolingLoad(s.temperature);
+    const sigma = Math.sqrt(mean(ordinary.map(s => (s.load - expected(s)) ** 2)));
+
+    // Event factor: the event days' load over what an ordinary day would have drawn
+    const eventFactors = Object.fromEntries(Object.entries(EVENT_PRIORS).map(([type, prior]) => {
+        const eventSamples = samples.filter(s => s.event?.type === type);
+        const days = new Set(eventSamples.map(s => s.date)).size;
+        const learned = days >= MIN_EVENT_DAYS;
+        const factor = learned
+            ? eventSamples.reduce((sum, s) => sum + s.load, 0) / eventSamples.reduce((sum, s) => sum + expected(s), 0)
+            : prior;
+        return [type, { factor: Number(factor.toFixed(3)), learned, days }];
+    }));
+
+    return {
+        trained_from: points[0]?.time ?? null,
+        trained_to: points[points.length - 1]?.time ?? null,
+        days: new Set(samples.map(s => s.date)).size,
+        cooling_base: cooling.base,
+        cooling_kw_per_degree: Number(cooling.slope.toFixed(2)),
+        sigma: round(sigma),
+        event_factors: eventFactors,
+        profile
+    };
+};
+
+// weather: hourly [{ time, temperature }] for the forecast period
+export const forecastLoad = (model, weather, { issuedAt = Date.now(), calendar = ACADEMIC_CALENDAR, config = CONFIG } = {}) => {
+    const { BAND_Z, LOAD } = config.FORECAST;
+    return weather.map(hour => {
+        const start = Date.parse(hour.time);
+        const daysAhead = Math.max(0, (start - issuedAt) / DAY);
+        const { hour: localHour, weekday } = localTime(new Date(start));
+        const event = calendarEventOn(start, calendar);
+        const factor = model.event_factors[event?.type]?.factor ?? 1;
+
+        const degrees = coolingDegrees(hour.temperature, model.cooling_base);
+        const load = (model.profile[weekday][Math.floor(localHour)] + model.cooling_kw_per_degree * degrees) * factor;
+        // Temperature forecast error only moves the load once it reaches the cooling base
+        const temperatureSpread = spreadAt(LOAD.TEMPERATURE_SPREAD, daysAhead);
+        const coolingSpread = hour.temperature + temperatureSpread > model.cooling_base
+            ? model.cooling_kw_per_degree * temperatureSpread
+            : 0;
+        const spread = BAND_Z * factor * Math.hypot(model.sigma, coolingSpread);
+
+        return {
+            time: hour.time,
+            load: round(load),
+            load_low: round(Math.max(0, load - spread)),
+            load_high: round(load + spread),
+            event: event && { name: event.name, type: event.type }
+        };
+    });
+};
@@ -0,0 +1,85 @@
+import { trainLoadModel, forecastLoad } from './loadForecast';
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// Local midnight (Asia/Kolkata) starting Monday 2 June 2025
+const MONDAY = Date.parse('2025-06-02T00:00:00+05:30');
+
+const calendar = [
+    { name: 'Holiday one', type: 'holiday', from: '2025-06-11', to: '2025-06-11' },
+    { name: 'Holiday two', type: 'holiday', from: '2025-06-19', to: '2025-06-19' },
+    { name: 'Viva', type: 'exam', from: '2025-06-24', to: '2025-06-24' }
+];
+
+// The campus the history comes from: 300 kW in weekday working hours, 200 kW otherwise,
+// 120 kW at weekends, 5 kW more per °C above 26 °C, and half the load on holidays
+const weekday = (day) => (1 + day) % 7;
+const baseLoad = (day, hour) => {
+    if (weekday(day) === 0 || weekday(day) === 6) return 120;
+    return hour >= 9 && hour < 17 ? 300 : 200;
+};
+const temperatureAt = (day, hour) => 20 + 3 * (day % 5) + 0.3 * hour;
+const holiday = (day) => day === 9 || day === 17;
+
+// Four weeks of hourly history
+const history = Array.from({ length: 28 * 24 }, (_, index) => {
+    const day = Math.floor(index / 24);
+    const hour = index % 24;
+    const temperature = temperatureAt(day, hour);
+    const load = (baseLoad(day, hour) + 5 * Math.max(0, temperature - 26)) * (holiday(day) ? 0.5 : 1);
+    return { time: new Date(MONDAY + index * HOUR).toISOString(), load, temperature };
+});
+
+const model = trainLoadModel(history, { calendar });
+
+describe('trainLoadModel', () => {
+    test('finds the cooling base and slope', () => {
+        expect(model).toMatchObject({ days: 28, cooling_base: 26, cooling_kw_per_degree: 5, sigma: 0 });
+    });
+
+    test('learns the weather-normalised profile for each weekday and hour', () => {
+        expect(model.profile[1][10]).toBeCloseTo(300);
+        expect(model.profile[3][20]).toBeCloseTo(200);
+        expect(model.profile[6][12]).toBeCloseTo(120);
+    });
+
+    test('learns event factors once there are enough event days, and uses the prior before', () => {
+        expect(model.event_factors.holiday).toEqual({ factor: 0.5, learned: true, days: 2 });
+        expect(model.event_factors.exam).toEqual({ factor: 1.05, learned: false, days: 1 });
+    });
+
+    test('needs at least one ordinary day', () => {
+        const holidayOnly = history.filter((_, index) => holiday(Math.floor(index / 24)));
+        expect(() => trainLoadModel(holidayOnly, { calendar })).toThrow('at least one ordinary campus day');
+    });
+});
+
+describe('forecastLoad', () => {
+    // Issued at local midnight on Monday 30 June, the day after the history ends
+    const issuedAt = MONDAY + 28 * DAY;
+    const at = (day, hour, temperature) => ({ time: new Date(issuedAt + day * DAY + hour * HOUR).toISOString(), temperature });
+
+    test('adds the cooling load for the forecast temperature', () => {
+        const [hour] = forecastLoad(model, [at(0, 10, 30)], { issuedAt, calendar });
+        expect(hour).toMatchObject({ load: 320, event: null });
+    });
+
+    test('applies the factor of the calendar event that day', () => {
+        const holidayCalendar = [...calendar, { name: 'Founders\' Day', type: 'holiday', from: '2025-07-02', to: '2025-07-02' }];
+        const [hour] = forecastLoad(model, [at(2, 10, 26)], { issuedAt, calendar: holidayCalendar });
+        expect(hour).toMatchObject({ load: 150, event: { name: 'Founders\' Day', type: 'holiday' } });
+    });
+
+    test('widens the band with the temperature forecast error further ahead', () => {
+        // Issued at 10:00, so the first hour is 0 days ahead: 1.28 × 5 kW/°C × (1 °C, then 3 °C capped)
+        const [today, later] = forecastLoad(model, [at(0, 10, 30), at(6, 10, 30)], { issuedAt: issuedAt + 10 * HOUR, calendar });
+        expect(today.load_high - today.load).toBeCloseTo(6.4, 1);
+        expect(later.load_high - later.load).toBeCloseTo(19.2, 1);
+    });
+
+    test('keeps the band to the model error while it stays below the cooling base', () => {
+        const [hour] = forecastLoad(model, [at(0, 10, 20)], { issuedAt, calendar });
+        expect([hour.load_low, hour.load, hour.load_high]).toEqual([300, 300, 300]);
+    });
+});
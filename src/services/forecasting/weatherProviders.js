@@ -0,0 +1,103 @@
+// Weather forecast providers for the generation forecaster. A provider has a `name`, the
+// `windHeight` (m) its wind speeds refer to, and
+//   getForecast({ latitude, longitude, from, hours }) -> Promise<[{ time, temperature, cloud_cover, wind_speed }]>
+// returning one entry per hour starting at `from` (ms, start of an hour). Entries may also
+// carry `cloud_cover_spread` and `wind_speed_spread` (1σ) when the source provides them.
+import { RESOLUTION_MS, bucketStart } from '../aggregation';
+
+const HOUR = RESOLUTION_MS['1h'];
+const DAY = RESOLUTION_MS['1d'];
+
+// Offline stub: a typical week of hourly weather from a JSON file (see
+// public/forecasts/weather-week.json). Its first entry is local midnight today; requests
+// beyond the file wrap around to its start.
+export class FileWeatherProvider {
+    constructor({ url }) {
+        this.name = 'file';
+        this.url = url;
+        this.file = null;
+        this.windHeight = null;
+    }
+
+    async load() {
+        if (!this.file) {
+            this.file = fetch(this.url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load weather stub ${this.url} (status ${response.status})`);
+                }
+                return response.json();
+            });
+            this.file.catch(() => { this.file = null; });
+        }
+        return this.file;
+    }
+
+    async getForecast({ from, hours }) {
+        const file = await this.load();
+        if (!Array.isArray(file.hours) || file.hours.length === 0) {
+            throw new Error(`Weather stub ${this.url} contains no hours`);
+        }
+        this.windHeight = file.wind_height;
+        const midnight = bucketStart(from, DAY);
+        return Array.from({ length: hours }, (_, index) => {
+            const time = from + index * HOUR;
+            const entry = file.hours[Math.round((time - midnight) / HOUR) % file.hours.length];
+            return { time: new Date(time).toISOString(), ...entry };
+        });
+    }
+}
+
+// Open-Meteo's free forecast API, hourly at 10 m
+export class OpenMeteoProvider {
+    constructor({ url }) {
+        this.name = 'open-meteo';
+        this.url = url;
+        this.windHeight = 10;
+    }
+
+    async getForecast({ latitude, longitude, from, hours }) {
+        const params = new URLSearchParams({
+            latitude,
+            longitude,
+            hourly: 'temperature_2m,cloud_cover,wind_speed_10m',
+            wind_speed_unit: 'ms',
+            timezone: 'UTC',
+            // Today counts as the first day, so ask for one more to cover `hours` from now
+            forecast_days: String(Math.min(16, Math.ceil(hours / 24) + 1))
+        });
+        const response = await fetch(`${this.url}?${params}`);
+        if (!response.ok) {
+            throw new Error(`Weather forecast request failed (status ${response.status})`);
+        }
+        const { hourly } = await response.json();
+        const to = from + hours * HOUR;
+        return hourly.time
+            .map((time, index) => ({
+                time: new Date(`${time}:00Z`).toISOString(),
+                temperature: hourly.temperature_2m[index],
+                cloud_cover: hourly.cloud_cover[index],
+                wind_speed: hourly.wind_speed_10m[index]
+            }))
+            .filter(entry => {
+                const t = Date.parse(entry.time);
+                return t >= from && t < to;
+            });
+    }
+}
+
+// Available providers, selected by CONFIG.FORECAST.PROVIDER
+const PROVIDERS = {
+    file: (options) => new FileWeatherProvider({ url: options.STUB_URL }),
+    'open-meteo': (options) => new OpenMeteoProvider({ url: options.OPEN_METEO_URL })
+};
+
+// Called while the forecast service is built at import, so a bad setting falls back to the
+// offline stub rather than taking the app down
+export const createWeatherProvider = (options) => {
+    let name = options.PROVIDER;
+    if (!PROVIDERS[name]) {
+        console.error(`Unknown weather provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}. Falling back to "file".`);
+        name = 'file';
+    }
+    return PROVIDERS[name](options);
+};
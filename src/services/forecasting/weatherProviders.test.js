@@ -0,0 +1,75 @@
+import { FileWeatherProvider, OpenMeteoProvider, createWeatherProvider } from './weatherProviders';
+
+const HOUR = 3600000;
+
+// Campus local time (Asia/Kolkata) as an ISO timestamp
+const local = (text) => new Date(`${text}+05:30`).toISOString();
+
+const realFetch = global.fetch;
+
+const respondWith = (body, status = 200) => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) }));
+};
+
+afterEach(() => {
+    global.fetch = realFetch;
+});
+
+describe('FileWeatherProvider', () => {
+    // A two-hour "week": the stub repeats from its start
+    const stub = { wind_height: 30, hours: [{ temperature: 20, cloud_cover: 0, wind_speed: 3 }, { temperature: 21, cloud_cover: 10, wind_speed: 4 }] };
+    const provider = () => new FileWeatherProvider({ url: '/forecasts/weather-week.json' });
+
+    test('lines the stub up with local midnight and wraps around', async () => {
+        respondWith(stub);
+        const from = Date.parse(local('2025-06-10T01:00:00'));
+        const hours = await provider().getForecast({ from, hours: 3 });
+        expect(hours).toEqual([
+            { time: local('2025-06-10T01:00:00'), temperature: 21, cloud_cover: 10, wind_speed: 4 },
+            { time: local('2025-06-10T02:00:00'), temperature: 20, cloud_cover: 0, wind_speed: 3 },
+            { time: local('2025-06-10T03:00:00'), temperature: 21, cloud_cover: 10, wind_speed: 4 }
+        ]);
+    });
+
+    test('loads the file once and again after a failure', async () => {
+        respondWith(stub, 404);
+        const weather = provider();
+        await expect(weather.getForecast({ from: Date.parse(local('2025-06-10T00:00:00')), hours: 1 })).rejects.toThrow('status 404');
+        respondWith(stub);
+        await weather.getForecast({ from: Date.parse(local('2025-06-10T00:00:00')), hours: 1 });
+        await weather.getForecast({ from: Date.parse(local('2025-06-10T00:00:00')), hours: 1 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(weather.windHeight).toBe(30);
+    });
+});
+
+test('OpenMeteoProvider keeps the requested hours of the UTC series', async () => {
+    respondWith({
+        hourly: {
+            time: ['2025-06-10T00:00', '2025-06-10T01:00', '2025-06-10T02:00', '2025-06-10T03:00'],
+            temperature_2m: [25, 26, 27, 28],
+            cloud_cover: [0, 5, 10, 15],
+            wind_speed_10m: [3, 4, 5, 6]
+        }
+    });
+    const from = Date.parse('2025-06-10T01:00:00Z');
+    const hours = await new OpenMeteoProvider({ url: 'https://api.open-meteo.com/v1/forecast' })
+        .getForecast({ latitude: 26.473, longitude: 73.114, from, hours: 2 });
+    expect(hours).toEqual([
+        { time: new Date(from).toISOString(), temperature: 26, cloud_cover: 5, wind_speed: 4 },
+        { time: new Date(from + HOUR).toISOString(), temperature: 27, cloud_cover: 10, wind_speed: 5 }
+    ]);
+    expect(global.fetch.mock.calls[0][0]).toContain('forecast_days=2');
+});
+
+test('createWeatherProvider builds the configured provider', () => {
+    expect(createWeatherProvider({ PROVIDER: 'file', STUB_URL: '/stub.json' })).toBeInstanceOf(FileWeatherProvider);
+    expect(createWeatherProvider({ PROVIDER: 'open-meteo', OPEN_METEO_URL: 'https://example.test' })).toBeInstanceOf(OpenMeteoProvider);
+});
+
+test('createWeatherProvider falls back to the offline stub on an unknown provider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(createWeatherProvider({ PROVIDER: 'openmeteo', STUB_URL: '/stub.json' })).toBeInstanceOf(FileWeatherProvider);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unknown weather provider "openmeteo"'));
+    console.error.mockRestore();
+});
@@ -0,0 +1,3 @@
+// Client-generated ids for stored records (audit entries, rules, outcomes, work orders):
+// time-ordered with a random suffix, optionally prefixed with the record kind.
+export const newId = (prefix = '') => `${prefix}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
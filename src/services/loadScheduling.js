@@ -0,0 +1,63 @@
+// Weekly schedules for controllable loads. A schedule is { load_id, windows } where each
+// window is { day, start, end }: local weekday (0 = Sunday) and whole hours, end exclusive.
+import { CONFIG } from './config';
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+const windowsOn = (days, start, end) => days.map(day => ({ day, start, end }));
+
+// Starting schedules, matching what the Control section used to show
+export const DEFAULT_SCHEDULES = [
+    { load_id: 'hvac_precool', windows: windowsOn(WEEKDAYS, 11, 13) },
+    { load_id: 'workshop', windows: windowsOn(WEEKDAYS, 12, 15) },
+    { load_id: 'pumps', windows: windowsOn(EVERY_DAY, 6, 8) }
+];
+
+export const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+export const slotKey = (day, hour) => `${day}:${hour}`;
+
+export const windowsToSlots = (windows) => {
+    const slots = new Set();
+    windows.forEach(({ day, start, end }) => {
+        for (let hour = start; hour < end; hour++) slots.add(slotKey(day, hour));
+    });
+    return slots;
+};
+
+// Merge hour slots back into the fewest contiguous windows, ordered by day and start
+export const slotsToWindows = (slots) => {
+    const windows = [];
+    for (let day = 0; day < 7; day++) {
+        let start = null;
+        for (let hour = 0; hour <= 24; hour++) {
+            const on = hour < 24 && slots.has(slotKey(day, hour));
+            if (on && start === null) start = hour;
+            if (!on && start !== null) {
+                windows.push({ day, start, end: hour });
+                start = null;
+            }
+        }
+    }
+    return windows;
+};
+
+export const isPeakSlot = (day, hour, peakPeriods = CONFIG.LOAD_SCHEDULING.PEAK_PERIODS) =>
+    peakPeriods.some(period => period.days.includes(day) && hour >= period.start && hour < period.end);
+
+// The parts of a schedule that fall inside peak-demand periods, as merged windows
+export const findPeakOverlaps = (windows, peakPeriods = CONFIG.LOAD_SCHEDULING.PEAK_PERIODS) => {
+    const overlapping = new Set([...windowsToSlots(windows)].filter(key => {
+        const [day, hour] = key.split(':').map(Number);
+        return isPeakSlot(day, hour, peakPeriods);
+    }));
+    return slotsToWindows(overlapping);
+};
+
+export const windowHours = (windows) => windows.reduce((sum, w) => sum + (w.end - w.start), 0);
+
+export const describeWindows = (windows) => windows.length === 0
+    ? 'Not scheduled'
+    : windows.map(w => `${WEEKDAY_LABELS[w.day]} ${formatHour(w.start)}–${formatHour(w.end)}`).join(', ');
@@ -0,0 +1,35 @@
+// Turns a photo picked for a work order into a scaled-down JPEG data URL, ready for the data
+// source's photo storage (apiService.savePhoto).
+import { CONFIG } from '../config';
+import { newId } from '../ids';
+
+const readDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+});
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Not an image the browser can open'));
+    image.src = src;
+});
+
+export const readPhoto = async (file, options = CONFIG.WORK_ORDERS) => {
+    if (!file.type.startsWith('image/')) {
+        throw new Error(`${file.name} is not an image`);
+    }
+    const image = await loadImage(await readDataUrl(file));
+    const scale = Math.min(1, options.PHOTO_MAX_DIMENSION / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return {
+        id: newId(),
+        name: file.name,
+        data_url: canvas.toDataURL('image/jpeg', options.PHOTO_QUALITY)
+    };
+};
@@ -0,0 +1,220 @@
+// Maintenance work orders, raised from an alert or straight against a campus asset:
+//   open -> in_progress <-> on_hold -> completed
+// (open, in-progress and on-hold orders can also be cancelled). Orders carry an assignee, a
+// checklist, the parts used and photos, and a history of every change, and are saved through
+// the data source. Completed orders make up each asset's maintenance history; completing an
+// order raised from an alert resolves the alert.
+import apiService from '../apiService';
+import alertManager, { ALERT_STATES, canTransition as canAlertTransition } from '../alerts/alertManager';
+import { CONFIG } from '../config';
+import { newId } from '../ids';
+
+export const WORK_ORDER_STATUSES = {
+    OPEN: 'open',
+    IN_PROGRESS: 'in_progress',
+    ON_HOLD: 'on_hold',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+export const WORK_ORDER_STATUS_LABELS = {
+    open: 'Open',
+    in_progress: 'In progress',
+    on_hold: 'On hold',
+    completed: 'Completed',
+    cancelled: 'Cancelled'
+};
+
+export const ACTIVE_STATUSES = [WORK_ORDER_STATUSES.OPEN, WORK_ORDER_STATUSES.IN_PROGRESS, WORK_ORDER_STATUSES.ON_HOLD];
+
+const TRANSITIONS = {
+    [WORK_ORDER_STATUSES.OPEN]: [WORK_ORDER_STATUSES.IN_PROGRESS, WORK_ORDER_STATUSES.CANCELLED],
+    [WORK_ORDER_STATUSES.IN_PROGRESS]: [WORK_ORDER_STATUSES.ON_HOLD, WORK_ORDER_STATUSES.COMPLETED, WORK_ORDER_STATUSES.CANCELLED],
+    [WORK_ORDER_STATUSES.ON_HOLD]: [WORK_ORDER_STATUSES.IN_PROGRESS, WORK_ORDER_STATUSES.CANCELLED],
+    [WORK_ORDER_STATUSES.COMPLETED]: [],
+    [WORK_ORDER_STATUSES.CANCELLED]: []
+};
+
+export const canChangeStatus = (order, status) => TRANSITIONS[order.status].includes(status);
+
+// Completed orders for one asset, most recent first
+export const maintenanceHistory = (orders, assetId) => orders
+    .filter(order => order.asset_id === assetId && order.status === WORK_ORDER_STATUSES.COMPLETED)
+    .sort((a, b) => b.completed_at.localeCompare(a.completed_at));
+
+class WorkOrderManager {
+    constructor(options = CONFIG.WORK_ORDERS) {
+        this.options = options;
+        this.orders = [];
+        this.listeners = new Set();
+        this.loaded = null;
+    }
+
+    // --- Subscribers (useWorkOrders) ---
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.orders);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.orders = [...this.orders].sort((a, b) => b.created_at.localeCompare(a.created_at));
+        this.listeners.forEach(listener => listener(this.orders));
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = apiService.getWorkOrders().then(orders => {
+                const loaded = new Set(orders.map(order => order.id));
+                this.orders = [...orders, ...this.orders.filter(order => !loaded.has(order.id))];
+                this.notify();
+            });
+            // Let a failed load be retried
+            this.loaded.catch(error => {
+                console.error('Failed to load work orders:', error);
+                this.loaded = null;
+            });
+        }
+        return this.loaded;
+    }
+
+    find(id) {
+        return this.orders.find(order => order.id === id);
+    }
+
+    put(order) {
+        this.orders = this.orders.some(o => o.id === order.id)
+            ? this.orders.map(o => (o.id === order.id ? order : o))
+            : [...this.orders, order];
+        this.notify();
+    }
+
+    // Shown straight away so quick successive edits build on each other. A change the data
+    // source refuses is rolled back and the error rethrown.
+    async save(order) {
+        const previous = this.find(order.id);
+        this.put(order);
+        try {
+            await apiService.saveWorkOrder(order);
+        } catch (error) {
+            if (previous) {
+                this.put(previous);
+            } else {
+                this.orders = this.orders.filter(o => o.id !== order.id);
+                this.notify();
+            }
+            throw error;
+        }
+        return order;
+    }
+
+    // --- Actions, attributed to `user` ---
+    async create({ title, description = '', asset_id, alert_id = null, assignee = null, checklist = [] }, user) {
+        const at = new Date().toISOString();
+        const order = await this.save({
+            id: newId('wo-'),
+            title,
+            description,
+            asset_id,
+            alert_id,
+            assignee,
+            status: WORK_ORDER_STATUSES.OPEN,
+            checklist: checklist.map(text => ({ text, done: false })),
+            parts: [],
+            photos: [],
+            created_by: user,
+            created_at: at,
+            history: [{ action: 'created', at, user, note: alert_id ? 'Raised from an alert' : '' }]
+        });
+        if (alert_id && alertManager.find(alert_id)) {
+            alertManager.addNote(alert_id, user, `Work order raised: ${title}`);
+        }
+        return order;
+    }
+
+    // Changes that are not a status change; `action` and `note` describe them in the history
+    async update(id, user, changes, action, note = '') {
+        const order = this.find(id);
+        if (!order) throw new Error(`Unknown work order ${id}`);
+        return this.save({
+            ...order,
+            ...changes,
+            history: [...order.history, { action, at: new Date().toISOString(), user, note }]
+        });
+    }
+
+    assign(id, assignee, user) {
+        return this.update(id, user, { assignee }, 'assigned', `Assigned to ${assignee}`);
+    }
+
+    toggleChecklistItem(id, index, user) {
+        const order = this.find(id);
+        const at = new Date().toISOString();
+        const checklist = order.checklist.map((item, i) => (i === index
+            ? { ...item, done: !item.done, done_by: item.done ? null : user, done_at: item.done ? null : at }
+            : item));
+        const item = checklist[index];
+        return this.update(id, user, { checklist }, item.done ? 'checked' : 'unchecked', item.text);
+    }
+
+    addPart(id, part, user) {
+        const order = this.find(id);
+        return this.update(id, user, { parts: [...order.parts, part] }, 'part_added', `${part.quantity} × ${part.name}`);
+    }
+
+    removePart(id, index, user) {
+        const order = this.find(id);
+        const part = order.parts[index];
+        return this.update(id, user, { parts: order.parts.filter((_, i) => i !== index) }, 'part_removed', `${part.quantity} × ${part.name}`);
+    }
+
+    async addPhoto(id, photo, user) {
+        const order = this.find(id);
+        if (order.photos.length >= this.options.MAX_PHOTOS) {
+            throw new Error(`A work order can hold up to ${this.options.MAX_PHOTOS} photos`);
+        }
+        // The image goes to the data source's photo storage; the order keeps a reference to it
+        await apiService.savePhoto(photo);
+        const added = { id: photo.id, name: photo.name, added_by: user, added_at: new Date().toISOString() };
+        try {
+            return await this.update(id, user, { photos: [...order.photos, added] }, 'photo_added', photo.name);
+        } catch (error) {
+            apiService.deletePhoto(photo.id).catch(() => {});
+            throw error;
+        }
+    }
+
+    async removePhoto(id, photoId, user) {
+        const order = this.find(id);
+        const photo = order.photos.find(p => p.id === photoId);
+        const saved = await this.update(id, user, { photos: order.photos.filter(p => p.id !== photoId) }, 'photo_removed', photo?.name);
+        apiService.deletePhoto(photoId).catch(error => console.error('Failed to delete photo:', error));
+        return saved;
+    }
+
+    async setStatus(id, status, user, note = '') {
+        const order = this.find(id);
+        if (!order || !canChangeStatus(order, status)) {
+            throw new Error(`Work order ${id} cannot move from ${order?.status || 'unknown'} to ${status}`);
+        }
+        if (status === WORK_ORDER_STATUSES.COMPLETED && order.checklist.some(item => !item.done)) {
+            throw new Error('Finish the checklist before completing the work order');
+        }
+        const at = new Date().toISOString();
+        const saved = await this.save({
+            ...order,
+            status,
+            ...(status === WORK_ORDER_STATUSES.IN_PROGRESS && !order.started_at && { started_at: at }),
+            ...(status === WORK_ORDER_STATUSES.COMPLETED && { completed_at: at, completed_by: user, resolution: note }),
+            history: [...order.history, { action: status, at, user, note }]
+        });
+        const alert = status === WORK_ORDER_STATUSES.COMPLETED && order.alert_id && alertManager.find(order.alert_id);
+        if (alert && canAlertTransition(alert, ALERT_STATES.RESOLVED)) {
+            alertManager.resolve(alert.id, user, `Work order completed: ${order.title}${note ? ` (${note})` : ''}`);
+        }
+        return saved;
+    }
+}
+
+const workOrderManager = new WorkOrderManager();
+export default workOrderManager;
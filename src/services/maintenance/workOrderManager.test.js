@@ -0,0 +1,216 @@
+import workOrderManager, { WORK_ORDER_STATUSES, canChangeStatus, maintenanceHistory } from './workOrderManager';
+
+// The data source's saved work orders and photos, by id, and what the alert manager was asked
+// to do. Plain functions: CRA resets jest.fn mocks before each test.
+let mockOrders;
+let mockPhotos;
+let mockRefuseSave;
+let mockAlerts;
+let mockAlertActions;
+jest.mock('../apiService', () => ({
+    __esModule: true,
+    default: {
+        getWorkOrders: () => Promise.resolve([...mockOrders.values()]),
+        saveWorkOrder: (order) => {
+            if (mockRefuseSave) return Promise.reject(new Error(mockRefuseSave));
+            mockOrders.set(order.id, order);
+            return Promise.resolve(order);
+        },
+        savePhoto: (photo) => {
+            mockPhotos.set(photo.id, photo);
+            return Promise.resolve(photo);
+        },
+        deletePhoto: (id) => {
+            mockPhotos.delete(id);
+            return Promise.resolve();
+        }
+    }
+}));
+jest.mock('../alerts/alertManager', () => ({
+    ...jest.requireActual('../alerts/alertManager'),
+    __esModule: true,
+    default: {
+        find: (id) => mockAlerts.get(id),
+        addNote: (id, user, text) => mockAlertActions.push(['note', id, user, text]),
+        resolve: (id, user, note) => mockAlertActions.push(['resolved', id, user, note])
+    }
+}));
+
+const MINUTE = 60000;
+
+// Work starts at 09:00 local on 24 November 2025
+const START = Date.parse('2025-11-24T09:00:00+05:30');
+const minutesLater = (minutes) => jest.setSystemTime(START + minutes * MINUTE);
+
+const inverterTrip = { id: 'alert-inverter-2', state: 'acknowledged', message: 'Inverter 2 tripped on overvoltage' };
+const inverterCheck = {
+    title: 'Inverter 2 overvoltage trips',
+    asset_id: 'solar-main',
+    alert_id: inverterTrip.id,
+    checklist: ['Check inverter readings and fault log', 'Check strings and connectors']
+};
+
+let manager;
+
+beforeEach(() => {
+    mockOrders = new Map();
+    mockPhotos = new Map();
+    mockRefuseSave = null;
+    mockAlerts = new Map([[inverterTrip.id, inverterTrip]]);
+    mockAlertActions = [];
+    jest.useFakeTimers();
+    jest.setSystemTime(START);
+    manager = new workOrderManager.constructor({ MAX_PHOTOS: 2 });
+});
+
+afterEach(() => jest.useRealTimers());
+
+test('creates an open order with an unchecked checklist, noted on the alert it was raised from', async () => {
+    const order = await manager.create(inverterCheck, 'meena');
+    expect(order).toMatchObject({
+        status: WORK_ORDER_STATUSES.OPEN,
+        assignee: null,
+        checklist: [{ text: 'Check inverter readings and fault log', done: false }, { text: 'Check strings and connectors', done: false }],
+        parts: [],
+        photos: [],
+        created_by: 'meena',
+        created_at: new Date(START).toISOString()
+    });
+    expect(order.history).toEqual([{ action: 'created', at: order.created_at, user: 'meena', note: 'Raised from an alert' }]);
+    expect(mockOrders.get(order.id)).toBe(order);
+    expect(mockAlertActions).toEqual([['note', inverterTrip.id, 'meena', 'Work order raised: Inverter 2 overvoltage trips']]);
+});
+
+describe('status', () => {
+    let id;
+
+    beforeEach(async () => {
+        ({ id } = await manager.create(inverterCheck, 'meena'));
+        await manager.assign(id, 'arjun', 'meena');
+    });
+
+    const finishChecklist = async () => {
+        await manager.toggleChecklistItem(id, 0, 'arjun');
+        await manager.toggleChecklistItem(id, 1, 'arjun');
+    };
+
+    test('goes from open through in progress and on hold to completed', async () => {
+        minutesLater(10);
+        await manager.setStatus(id, WORK_ORDER_STATUSES.IN_PROGRESS, 'arjun');
+        minutesLater(30);
+        await manager.setStatus(id, WORK_ORDER_STATUSES.ON_HOLD, 'arjun', 'Waiting for a replacement fuse');
+        minutesLater(90);
+        await manager.setStatus(id, WORK_ORDER_STATUSES.IN_PROGRESS, 'arjun');
+        await finishChecklist();
+        minutesLater(120);
+        const order = await manager.setStatus(id, WORK_ORDER_STATUSES.COMPLETED, 'arjun', 'Replaced DC fuse on string 3');
+
+        expect(order).toMatchObject({
+            assignee: 'arjun',
+            started_at: new Date(START + 10 * MINUTE).toISOString(),
+            completed_at: new Date(START + 120 * MINUTE).toISOString(),
+            completed_by: 'arjun',
+            resolution: 'Replaced DC fuse on string 3'
+        });
+        expect(order.history.map(entry => entry.action)).toEqual([
+            'created', 'assigned', 'in_progress', 'on_hold', 'in_progress', 'checked', 'checked', 'completed'
+        ]);
+        expect(order.checklist.every(item => item.done && item.done_by === 'arjun')).toBe(true);
+    });
+
+    test('resolves the alert the order was raised from once it is completed', async () => {
+        await manager.setStatus(id, WORK_ORDER_STATUSES.IN_PROGRESS, 'arjun');
+        await finishChecklist();
+        await manager.setStatus(id, WORK_ORDER_STATUSES.COMPLETED, 'arjun', 'Replaced DC fuse on string 3');
+        expect(mockAlertActions.pop()).toEqual([
+            'resolved', inverterTrip.id, 'arjun', 'Work order completed: Inverter 2 overvoltage trips (Replaced DC fuse on string 3)'
+        ]);
+    });
+
+    test('cannot be completed with the checklist unfinished', async () => {
+        await manager.setStatus(id, WORK_ORDER_STATUSES.IN_PROGRESS, 'arjun');
+        await manager.toggleChecklistItem(id, 0, 'arjun');
+        await expect(manager.setStatus(id, WORK_ORDER_STATUSES.COMPLETED, 'arjun'))
+            .rejects.toThrow('Finish the checklist before completing the work order');
+        // Unchecking clears who checked it
+        await manager.toggleChecklistItem(id, 0, 'arjun');
+        expect(manager.find(id).checklist[0]).toMatchObject({ done: false, done_by: null, done_at: null });
+    });
+
+    test('refuses moves the lifecycle does not allow', async () => {
+        await expect(manager.setStatus(id, WORK_ORDER_STATUSES.COMPLETED, 'arjun'))
+            .rejects.toThrow(`Work order ${id} cannot move from open to completed`);
+        await manager.setStatus(id, WORK_ORDER_STATUSES.CANCELLED, 'meena', 'Raised twice');
+        Object.values(WORK_ORDER_STATUSES).forEach(status => expect(canChangeStatus(manager.find(id), status)).toBe(false));
+        expect(mockAlertActions.filter(([action]) => action === 'resolved')).toEqual([]);
+    });
+});
+
+test('records the parts used in the history', async () => {
+    const { id } = await manager.create(inverterCheck, 'meena');
+    await manager.addPart(id, { name: 'DC fuse 15 A', quantity: 2 }, 'arjun');
+    await manager.addPart(id, { name: 'MC4 connector', quantity: 4 }, 'arjun');
+    const order = await manager.removePart(id, 0, 'arjun');
+    expect(order.parts).toEqual([{ name: 'MC4 connector', quantity: 4 }]);
+    expect(order.history.slice(1).map(entry => [entry.action, entry.note])).toEqual([
+        ['part_added', '2 × DC fuse 15 A'], ['part_added', '4 × MC4 connector'], ['part_removed', '2 × DC fuse 15 A']
+    ]);
+});
+
+describe('photos', () => {
+    const photo = (n) => ({ id: `photo-${n}`, name: `string-${n}.jpg`, data_url: 'data:image/jpeg;base64,' });
+    let id;
+
+    beforeEach(async () => {
+        ({ id } = await manager.create(inverterCheck, 'meena'));
+    });
+
+    test('are stored apart from the order, which keeps a reference, up to MAX_PHOTOS', async () => {
+        await manager.addPhoto(id, photo(1), 'arjun');
+        await manager.addPhoto(id, photo(2), 'arjun');
+        await expect(manager.addPhoto(id, photo(3), 'arjun')).rejects.toThrow('A work order can hold up to 2 photos');
+        expect(manager.find(id).photos[0]).toEqual({ id: 'photo-1', name: 'string-1.jpg', added_by: 'arjun', added_at: new Date(START).toISOString() });
+        expect([...mockPhotos.keys()]).toEqual(['photo-1', 'photo-2']);
+
+        const order = await manager.removePhoto(id, 'photo-1', 'arjun');
+        expect(order.photos.map(p => p.id)).toEqual(['photo-2']);
+        expect([...mockPhotos.keys()]).toEqual(['photo-2']);
+    });
+
+    test('are deleted again when the order cannot be saved', async () => {
+        mockRefuseSave = 'Storage quota exceeded';
+        await expect(manager.addPhoto(id, photo(1), 'arjun')).rejects.toThrow('Storage quota exceeded');
+        await Promise.resolve();
+        expect(mockPhotos.size).toBe(0);
+        expect(manager.find(id).photos).toEqual([]);
+    });
+});
+
+test('rolls back a change the data source refuses', async () => {
+    const { id } = await manager.create(inverterCheck, 'meena');
+    mockRefuseSave = 'Storage quota exceeded';
+    await expect(manager.assign(id, 'arjun', 'meena')).rejects.toThrow('Storage quota exceeded');
+    expect(manager.find(id).assignee).toBeNull();
+    await expect(manager.create({ ...inverterCheck, alert_id: null }, 'meena')).rejects.toThrow('Storage quota exceeded');
+    expect(manager.orders).toHaveLength(1);
+});
+
+test('another session loads the same orders from the data source', async () => {
+    const { id } = await manager.create(inverterCheck, 'meena');
+    await manager.assign(id, 'arjun', 'meena');
+    const other = new workOrderManager.constructor();
+    await other.load();
+    expect(other.find(id).assignee).toBe('arjun');
+});
+
+test('maintenanceHistory lists an asset\'s completed orders, most recent first', () => {
+    const order = (id, asset_id, status, completed_at) => ({ id, asset_id, status, completed_at });
+    const orders = [
+        order('wo-1', 'solar-main', WORK_ORDER_STATUSES.COMPLETED, '2025-09-14T10:00:00.000Z'),
+        order('wo-2', 'solar-main', WORK_ORDER_STATUSES.CANCELLED),
+        order('wo-3', 'wind-a', WORK_ORDER_STATUSES.COMPLETED, '2025-11-02T10:00:00.000Z'),
+        order('wo-4', 'solar-main', WORK_ORDER_STATUSES.COMPLETED, '2025-11-20T10:00:00.000Z'),
+        order('wo-5', 'solar-main', WORK_ORDER_STATUSES.IN_PROGRESS)
+    ];
+    expect(maintenanceHistory(orders, 'solar-main').map(o => o.id)).toEqual(['wo-4', 'wo-1']);
+});
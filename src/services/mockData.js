@@ -0,0 +1,13 @@
+// Mock data derived from the legacy app.js file.
+// Live status and today's history are generated by the campus simulator instead,
+// forecasts by src/services/forecasting, recommendations by src/services/recommendations
+// and generation alerts by src/services/alerts from the live frames.
+export const MOCK_DATA = {
+    alerts: [
+        {
+            type: "info",
+            message: "Battery system performing optimally - 95.2% efficiency over last 24 hours",
+            timestamp: "2025-09-27T10:30:00+05:30"
+        }
+    ]
+};
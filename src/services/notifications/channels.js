@@ -0,0 +1,51 @@
+// Ways an alert notification reaches someone. Each channel knows where it sends for a user's
+// preferences (`recipient`, empty when the user has not set one up) and how to send a
+// composed { subject, text, payload } message there.
+import { CONFIG } from '../config';
+
+const post = async (url, body, timeout = CONFIG.NOTIFICATIONS.REQUEST_TIMEOUT) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`${url} responded with status ${response.status}`);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`${url} did not respond within ${timeout} ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+export const browserNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+export const browserNotificationPermission = () => (browserNotificationsSupported() ? window.Notification.permission : 'unsupported');
+
+export const NOTIFICATION_CHANNELS = {
+    email: {
+        label: 'Email',
+        recipient: (preferences) => preferences.email.trim(),
+        send: (to, message) => post(CONFIG.NOTIFICATIONS.EMAIL_RELAY_URL, { to, subject: message.subject, text: message.text })
+    },
+    webhook: {
+        label: 'Webhook',
+        recipient: (preferences) => preferences.webhook_url.trim(),
+        send: (url, message) => post(url, message.payload)
+    },
+    // Shown by this browser, so only ever sent to the signed-in user (see the dispatcher)
+    browser: {
+        label: 'Browser',
+        recipient: (preferences) => (browserNotificationPermission() === 'granted' ? preferences.username : ''),
+        send: async (username, message) => {
+            new window.Notification(message.subject, { body: message.text, tag: message.tag });
+        }
+    }
+};
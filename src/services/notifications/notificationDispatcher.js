@@ -0,0 +1,200 @@
+// Sends alert events to the people who asked for them. Follows the alert manager's events:
+//   raised    -> everyone with preferences
+//   escalated -> users holding the role the alert was escalated to
+//   assigned  -> the new assignee
+//   unsuppressed -> everyone, as a suppressed alert is now shown (see alerts/suppression.js)
+// Suppressed alerts, and repeats of an alert already sent, are not sent.
+// Each user picks the severities sent by email, webhook and browser notification, and can set
+// quiet hours (campus time) that hold back everything except, optionally, critical alerts.
+// Every send, successful or not, is written into the alert's history.
+//
+// Every signed-in browser follows the same alert events, so email and webhook sends are
+// claimed through the data source first and only the browser that wins the claim sends them.
+// Each browser shows browser notifications to its own signed-in user only.
+import apiService from '../apiService';
+import alertManager from '../alerts/alertManager';
+import { CONFIG } from '../config';
+import { localTime } from '../simulation/campusSimulator';
+import { NOTIFICATION_CHANNELS } from './channels';
+
+const EVENT_RECIPIENTS = {
+    raised: () => true,
+    escalated: (preferences, record) => preferences.role === record.escalated_to,
+    assigned: (preferences, record) => preferences.username === record.assignee,
+    unsuppressed: () => true
+};
+
+// What makes an event distinct, so every browser claims it under the same key. Record ids are
+// derived from the alert's content; an alert is escalated once; assignments are made by one
+// user at one time; an alert may be shown again after each suppression.
+const EVENT_KEYS = {
+    raised: () => '',
+    escalated: (record) => record.escalated_to,
+    assigned: (record, entry) => `${record.assignee}@${entry.at}`,
+    unsuppressed: (record) => String(record.history.filter(item => item.action === 'unsuppressed').length)
+};
+
+export const notificationKey = (event, record, entry) => `${record.id}:${event}:${EVENT_KEYS[event](record, entry)}`;
+
+// Channels that reach someone outside this browser, sent by whichever browser claims the event
+const SHARED_CHANNELS = ['email', 'webhook'];
+
+const SUBJECT_PREFIX = {
+    raised: '',
+    escalated: 'Escalated: ',
+    assigned: 'Assigned to you: ',
+    unsuppressed: 'Active again: '
+};
+
+// Quiet hours may wrap past midnight (22 -> 7); equal start and end means none
+export const inQuietHours = (quietHours, hour) => {
+    const { enabled, start, end } = quietHours;
+    if (!enabled || start === end) return false;
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+};
+
+export const wantsNotification = (preferences, channel, severity, hour) => {
+    if (!preferences.channels[channel].includes(severity)) return false;
+    const { quiet_hours: quietHours } = preferences;
+    return !inQuietHours(quietHours, hour) || (quietHours.allow_critical && severity === 'critical');
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(CONFIG.LOCALE, { timeZone: CONFIG.TIMEZONE });
+
+export const composeMessage = (event, record, now = new Date()) => {
+    const subject = `${SUBJECT_PREFIX[event] || ''}[${record.type.toUpperCase()}] ${record.message}`;
+    const lines = [
+        record.message,
+        '',
+        `Severity: ${record.type}`,
+        ...(record.asset ? [`Asset: ${record.asset}`] : []),
+        `Raised: ${formatTime(record.timestamp)}`,
+        `State: ${record.state}`,
+        ...(record.assignee ? [`Assignee: ${record.assignee}`] : []),
+        ...(record.evidence || []).map(item => `${item.label}: ${item.value}`)
+    ];
+    return {
+        subject,
+        text: lines.join('\n'),
+        tag: record.id,
+        payload: {
+            event,
+            alert: {
+                id: record.id,
+                type: record.type,
+                message: record.message,
+                timestamp: record.timestamp,
+                asset: record.asset || null,
+                kind: record.kind || null,
+                state: record.state,
+                assignee: record.assignee,
+                escalated_to: record.escalated_to || null,
+                evidence: record.evidence || []
+            },
+            sent_at: now.toISOString()
+        }
+    };
+};
+
+class NotificationDispatcher {
+    constructor({ manager = alertManager, channels = NOTIFICATION_CHANNELS } = {}) {
+        this.manager = manager;
+        this.channels = channels;
+        this.preferences = [];
+        this.loaded = Promise.resolve();
+        this.username = null;
+        this.unsubscribe = null;
+    }
+
+    // Follows alert events while `username` is signed in; returns a function that stops
+    start(username) {
+        this.stop();
+        this.username = username;
+        this.loaded = apiService.getNotificationPreferences()
+            .then(preferences => { this.preferences = preferences; })
+            .catch(error => console.error('Failed to load notification preferences:', error));
+        this.unsubscribe = this.manager.onEvent((entry, record) => {
+            if (EVENT_RECIPIENTS[entry.action]) this.dispatch(entry.action, record, entry);
+        });
+        return () => this.stop();
+    }
+
+    stop() {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+        this.username = null;
+    }
+
+    setPreferences(preferences) {
+        this.preferences = [...this.preferences.filter(p => p.username !== preferences.username), preferences];
+    }
+
+    // Who gets `event` on which channel, at `now` campus time. Browser notifications appear
+    // where the dispatcher runs, so only the signed-in user gets them.
+    deliveries(event, record, now = new Date()) {
+        const { hour } = localTime(now);
+        return this.preferences
+            .filter(preferences => EVENT_RECIPIENTS[event](preferences, record))
+            .flatMap(preferences => Object.keys(this.channels)
+                .filter(channel => channel !== 'browser' || preferences.username === this.username)
+                .filter(channel => wantsNotification(preferences, channel, record.type, hour))
+                .map(channel => ({ channel, recipient: this.channels[channel].recipient(preferences) }))
+                .filter(delivery => delivery.recipient));
+    }
+
+    // Whether this browser won the claim to send `event`'s email and webhook notifications
+    async claim(event, record, entry, now) {
+        try {
+            const { claimed } = await apiService.claimNotification({
+                key: notificationKey(event, record, entry),
+                by: this.username || 'unknown',
+                at: now.toISOString()
+            });
+            return claimed;
+        } catch (error) {
+            console.error(`Failed to claim ${event} notification; not sending it by email or webhook:`, error);
+            return false;
+        }
+    }
+
+    async dispatch(event, record, entry, now = new Date()) {
+        if (record.suppressed) return [];
+        await this.loaded;
+        const message = composeMessage(event, record, now);
+        let deliveries = this.deliveries(event, record, now);
+        if (deliveries.some(delivery => SHARED_CHANNELS.includes(delivery.channel))
+            && !(await this.claim(event, record, entry, now))) {
+            deliveries = deliveries.filter(delivery => !SHARED_CHANNELS.includes(delivery.channel));
+        }
+        await Promise.all(deliveries.map(async ({ channel, recipient }) => {
+            try {
+                await this.channels[channel].send(recipient, message);
+                this.manager.logNotification(record.id, { event, channel, recipient, ok: true });
+            } catch (error) {
+                console.error(`Failed to send ${event} notification by ${channel}:`, error);
+                this.manager.logNotification(record.id, { event, channel, recipient, ok: false, detail: error.message });
+            }
+        }));
+        return deliveries;
+    }
+
+    // Sends a sample alert on one channel so a user can check their settings
+    async sendTest(preferences, channel, now = new Date()) {
+        const recipient = this.channels[channel].recipient(preferences);
+        if (!recipient) {
+            throw new Error(`No ${this.channels[channel].label.toLowerCase()} destination is set up`);
+        }
+        const record = {
+            id: `test-${now.getTime()}`,
+            type: 'info',
+            message: 'Test notification from the Vidyut dashboard',
+            timestamp: now.toISOString(),
+            state: 'new',
+            assignee: null
+        };
+        await this.channels[channel].send(recipient, composeMessage('raised', record, now));
+    }
+}
+
+const notificationDispatcher = new NotificationDispatcher();
+export default notificationDispatcher;
@@ -0,0 +1,181 @@
+import notificationDispatcher, { inQuietHours, wantsNotification, composeMessage, notificationKey } from './notificationDispatcher';
+import { DEFAULT_NOTIFICATION_PREFERENCES } from '../../config/notifications';
+
+// Saved preferences, and the keys of notifications some browser has claimed
+let mockPreferences;
+let mockClaims;
+jest.mock('../apiService', () => ({
+    __esModule: true,
+    default: {
+        getNotificationPreferences: () => Promise.resolve(mockPreferences),
+        claimNotification: ({ key }) => {
+            const claimed = !mockClaims.has(key);
+            mockClaims.add(key);
+            return Promise.resolve({ claimed });
+        }
+    }
+}));
+
+// Campus time on 20 November 2025
+const at = (time) => new Date(`2025-11-20T${time}:00+05:30`);
+
+const meena = {
+    ...DEFAULT_NOTIFICATION_PREFERENCES,
+    username: 'meena',
+    role: 'facility_manager',
+    email: 'meena@gecj.ac.in',
+    channels: { email: ['warning', 'critical'], webhook: [], browser: ['warning', 'critical'] },
+    quiet_hours: { enabled: true, start: 22, end: 7, allow_critical: true }
+};
+const ravi = { ...DEFAULT_NOTIFICATION_PREFERENCES, username: 'ravi', role: 'technician', email: 'ravi@gecj.ac.in' };
+const ops = {
+    ...DEFAULT_NOTIFICATION_PREFERENCES,
+    username: 'ops',
+    role: 'admin',
+    webhook_url: 'https://ops.gecj.ac.in/hooks/alerts',
+    channels: { email: [], webhook: ['info', 'warning', 'critical'], browser: [] }
+};
+
+const inverterTrip = {
+    id: 'alert-inverter-2',
+    type: 'critical',
+    asset: 'solar',
+    message: 'Inverter 2 tripped on overvoltage',
+    timestamp: at('14:05').toISOString(),
+    state: 'new',
+    assignee: null,
+    evidence: [{ label: 'Output', value: '0 kW' }]
+};
+const raised = { action: 'raised', at: inverterTrip.timestamp, user: 'system' };
+const highLoad = { ...inverterTrip, id: 'alert-high-load', type: 'warning', asset: 'campus', message: 'Campus load above 400 kW for 10 min: 430 kW now', evidence: [] };
+
+describe('quiet hours', () => {
+    test.each([
+        [{ start: 22, end: 7 }, [22, 23, 0, 6], [7, 12, 21]],
+        [{ start: 13, end: 15 }, [13, 14], [12, 15]],
+        [{ start: 9, end: 9 }, [], [0, 9, 23]]
+    ])('%p', (window, quiet, notQuiet) => {
+        quiet.forEach(hour => expect(inQuietHours({ enabled: true, ...window }, hour)).toBe(true));
+        notQuiet.forEach(hour => expect(inQuietHours({ enabled: true, ...window }, hour)).toBe(false));
+    });
+
+    test('do nothing while disabled', () => {
+        expect(inQuietHours({ enabled: false, start: 22, end: 7 }, 23)).toBe(false);
+    });
+
+    test('hold back everything but critical alerts when the user allows them', () => {
+        expect(wantsNotification(meena, 'email', 'warning', 23)).toBe(false);
+        expect(wantsNotification(meena, 'email', 'critical', 23)).toBe(true);
+        const strict = { ...meena, quiet_hours: { ...meena.quiet_hours, allow_critical: false } };
+        expect(wantsNotification(strict, 'email', 'critical', 23)).toBe(false);
+    });
+});
+
+test('wantsNotification follows the severities chosen for each channel', () => {
+    expect(wantsNotification(ravi, 'email', 'critical', 12)).toBe(true);
+    expect(wantsNotification(ravi, 'email', 'warning', 12)).toBe(false);
+    expect(wantsNotification(ravi, 'webhook', 'critical', 12)).toBe(false);
+});
+
+test('composeMessage describes the alert for people and the payload for machines', () => {
+    const message = composeMessage('escalated', { ...inverterTrip, escalated_to: 'facility_manager' }, at('14:20'));
+    expect(message.subject).toBe('Escalated: [CRITICAL] Inverter 2 tripped on overvoltage');
+    expect(message.text.split('\n')).toEqual(expect.arrayContaining(['Severity: critical', 'Asset: solar', 'State: new', 'Output: 0 kW']));
+    expect(message.tag).toBe('alert-inverter-2');
+    expect(message.payload).toMatchObject({
+        event: 'escalated',
+        alert: { id: 'alert-inverter-2', kind: null, escalated_to: 'facility_manager' },
+        sent_at: at('14:20').toISOString()
+    });
+});
+
+test('notificationKey is the same in every browser, and new for each assignment', () => {
+    const assigned = (assignee, time) => notificationKey('assigned', { ...inverterTrip, assignee }, { action: 'assigned', at: at(time).toISOString() });
+    expect(notificationKey('raised', inverterTrip, raised)).toBe('alert-inverter-2:raised:');
+    expect(assigned('ravi', '14:25')).toBe(assigned('ravi', '14:25'));
+    expect(assigned('arjun', '14:40')).not.toBe(assigned('ravi', '14:25'));
+});
+
+describe('dispatcher', () => {
+    let sent;
+    let logged;
+    let dispatcher;
+
+    // Channels that record what they send; the webhook endpoint is down
+    const channels = {
+        email: { label: 'Email', recipient: (p) => p.email, send: async (to, message) => { sent.push(['email', to, message.subject]); } },
+        webhook: { label: 'Webhook', recipient: (p) => p.webhook_url, send: async () => { throw new Error('responded with status 502'); } },
+        browser: { label: 'Browser', recipient: (p) => p.username, send: async (to) => { sent.push(['browser', to]); } }
+    };
+    const manager = {
+        onEvent: (listener) => { manager.listener = listener; return () => { manager.listener = null; }; },
+        logNotification: (id, entry) => logged.push({ id, ...entry })
+    };
+
+    beforeEach(() => {
+        sent = [];
+        logged = [];
+        mockPreferences = [meena, ravi, ops];
+        mockClaims = new Set();
+        dispatcher = new notificationDispatcher.constructor({ manager, channels });
+        dispatcher.start('ravi');
+    });
+
+    afterEach(() => dispatcher.stop());
+
+    const recipients = (deliveries) => deliveries.map(({ channel, recipient }) => `${channel}:${recipient}`);
+
+    test('sends a raised alert to everyone who wants it, and browser notifications only here', async () => {
+        await dispatcher.loaded;
+        expect(recipients(dispatcher.deliveries('raised', inverterTrip, at('14:05')))).toEqual([
+            'email:meena@gecj.ac.in', 'email:ravi@gecj.ac.in', 'browser:ravi', 'webhook:https://ops.gecj.ac.in/hooks/alerts'
+        ]);
+        expect(recipients(dispatcher.deliveries('raised', highLoad, at('23:30')))).toEqual([
+            'browser:ravi', 'webhook:https://ops.gecj.ac.in/hooks/alerts'
+        ]);
+    });
+
+    test('sends escalations to the role and assignments to the assignee', async () => {
+        await dispatcher.loaded;
+        const escalated = { ...inverterTrip, escalated_to: 'facility_manager' };
+        expect(recipients(dispatcher.deliveries('escalated', escalated, at('14:20')))).toEqual(['email:meena@gecj.ac.in']);
+        expect(recipients(dispatcher.deliveries('assigned', { ...inverterTrip, assignee: 'ravi' }, at('14:25'))))
+            .toEqual(['email:ravi@gecj.ac.in', 'browser:ravi']);
+    });
+
+    test('logs every send on the alert, failures included', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await dispatcher.dispatch('raised', inverterTrip, raised, at('14:05'));
+        expect(sent).toEqual(expect.arrayContaining([['email', 'ravi@gecj.ac.in', '[CRITICAL] Inverter 2 tripped on overvoltage'], ['browser', 'ravi']]));
+        expect(logged).toContainEqual({ id: 'alert-inverter-2', event: 'raised', channel: 'email', recipient: 'meena@gecj.ac.in', ok: true });
+        expect(logged).toContainEqual({
+            id: 'alert-inverter-2', event: 'raised', channel: 'webhook', recipient: 'https://ops.gecj.ac.in/hooks/alerts', ok: false, detail: 'responded with status 502'
+        });
+        expect(console.error).toHaveBeenCalledTimes(1);
+        console.error.mockRestore();
+    });
+
+    test('sends email and webhook only from the browser that claims the event', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await dispatcher.dispatch('raised', inverterTrip, raised, at('14:05'));
+        sent = [];
+        // Meena's browser sees the same event
+        const other = new notificationDispatcher.constructor({ manager: { ...manager, onEvent: () => () => {} }, channels });
+        other.start('meena');
+        await other.dispatch('raised', inverterTrip, raised, at('14:05'));
+        expect(sent).toEqual([['browser', 'meena']]);
+        // The webhook failed once, in the browser that claimed it
+        expect(console.error).toHaveBeenCalledTimes(1);
+        console.error.mockRestore();
+    });
+
+    test('follows the alert manager\'s events until stopped', async () => {
+        manager.listener({ action: 'assigned' }, { ...highLoad, assignee: 'ravi' });
+        manager.listener({ action: 'note' }, highLoad);
+        await dispatcher.loaded;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(sent).toEqual([['browser', 'ravi']]);
+        dispatcher.stop();
+        expect(manager.listener).toBeNull();
+    });
+});
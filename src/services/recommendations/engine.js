@@ -0,0 +1,63 @@
+// Evaluates the recommendation rules (rules.js) for the coming day and tracks what users
+// decided about each recommendation. Outcomes are stored through apiService; the latest
+// outcome for a recommendation decides whether it is still shown.
+import { CONFIG } from '../config';
+import { RECOMMENDATION_RULES } from './rules';
+import { dispatchInputs, currentHour } from '../dispatch/inputs';
+import { localDate } from '../aggregation';
+import { localTime } from '../simulation/campusSimulator';
+import { calendarEventOn } from '../academicCalendar';
+
+export const RECOMMENDATION_OUTCOMES = {
+    accepted: 'Accepted',
+    snoozed: 'Snoozed',
+    dismissed: 'Dismissed',
+    failed: 'Failed'
+};
+
+const priorityFor = (savings, { HIGH_PRIORITY_SAVINGS }) => (savings >= HIGH_PRIORITY_SAVINGS ? 'high' : 'medium');
+
+// Recommendations for the 24 hours from the current hour, largest savings first:
+// [{ id, rule, type, priority, title, detail, savings, action }]
+export const evaluateRecommendations = ({ forecastHours, soc, schedules, now = Date.now(), rules = RECOMMENDATION_RULES, config = CONFIG }) => {
+    const inputs = dispatchInputs(forecastHours, currentHour(now)).map(hour => {
+        const { hour: localHour, weekday } = localTime(new Date(hour.time));
+        return { ...hour, date: localDate(hour.time), day: weekday, hour: Math.floor(localHour), event: calendarEventOn(hour.time) };
+    });
+    if (inputs.length === 0) return [];
+
+    const context = { now, soc, schedules, config, inputs };
+    return rules
+        .flatMap(rule => [].concat(rule.evaluate(context) || []).map(({ key, ...recommendation }) => ({
+            id: `${rule.id}:${key}`,
+            rule: rule.id,
+            priority: priorityFor(recommendation.savings, config.RECOMMENDATIONS),
+            ...recommendation
+        })))
+        .filter(recommendation => recommendation.savings >= config.RECOMMENDATIONS.MIN_SAVINGS)
+        .sort((a, b) => b.savings - a.savings);
+};
+
+// The latest outcome for each recommendation id
+export const latestOutcomes = (outcomes) => {
+    const latest = new Map();
+    [...outcomes]
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+        .forEach(outcome => latest.set(outcome.recommendation_id, outcome));
+    return latest;
+};
+
+// Recommendations still awaiting a decision: never decided, snoozed past their time, or
+// accepted with a command that then failed
+export const pendingRecommendations = (recommendations, outcomes, now = Date.now()) => {
+    const latest = latestOutcomes(outcomes);
+    return recommendations.filter(recommendation => {
+        const outcome = latest.get(recommendation.id);
+        return !outcome || outcome.outcome === 'failed' || (outcome.outcome === 'snoozed' && Date.parse(outcome.snoozed_until) <= now);
+    });
+};
+
+// Estimated savings of the recommendations whose latest outcome is 'accepted'
+export const acceptedSavings = (outcomes) => [...latestOutcomes(outcomes).values()]
+    .filter(outcome => outcome.outcome === 'accepted')
+    .reduce((sum, outcome) => sum + outcome.savings, 0);
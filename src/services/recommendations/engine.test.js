@@ -0,0 +1,93 @@
+import { acceptedSavings, evaluateRecommendations, latestOutcomes, pendingRecommendations } from './engine';
+
+const HOUR = 3600000;
+
+// 09:20 local on Monday 9 June 2025
+const NOW = Date.parse('2025-06-09T09:20:00+05:30');
+
+// A forecast issued at 08:00 local covering the rest of the week
+const forecastHours = Array.from({ length: 48 }, (_, index) => ({
+    time: new Date(NOW - 80 * 60000 + index * HOUR).toISOString(),
+    solar: 0,
+    wind: 0,
+    load: 300
+}));
+
+describe('evaluateRecommendations', () => {
+    // Rules returning fixed savings, to see what the engine does with them
+    const rules = [
+        { id: 'tiny', evaluate: () => ({ key: 'today', savings: 99 }) },
+        { id: 'shifts', evaluate: () => [{ key: 'a', savings: 250 }, { key: 'b', savings: 1000 }] },
+        { id: 'quiet', evaluate: () => null }
+    ];
+
+    test('ranks recommendations by savings, drops small ones and sets the priority', () => {
+        const recommendations = evaluateRecommendations({ forecastHours, soc: 50, schedules: [], now: NOW, rules });
+        expect(recommendations).toEqual([
+            { id: 'shifts:b', rule: 'shifts', priority: 'high', savings: 1000 },
+            { id: 'shifts:a', rule: 'shifts', priority: 'medium', savings: 250 }
+        ]);
+    });
+
+    test('gives the rules the 24 hours from the current hour in campus time', () => {
+        const evaluate = jest.fn(() => null);
+        evaluateRecommendations({ forecastHours, soc: 50, schedules: [], now: NOW, rules: [{ id: 'spy', evaluate }] });
+        const { inputs } = evaluate.mock.calls[0][0];
+        expect(inputs).toHaveLength(24);
+        expect(inputs[0]).toMatchObject({ date: '2025-06-09', day: 1, hour: 9, import_rate: 7.40, event: null });
+    });
+
+    test('has nothing to say without a forecast', () => {
+        expect(evaluateRecommendations({ forecastHours: [], soc: 50, schedules: [], now: NOW, rules })).toEqual([]);
+    });
+});
+
+describe('outcomes', () => {
+    const recommendations = ['shift_load:pumps:2025-06-09', 'peak_tariff_discharge:2025-06-09', 'surplus_charge_window:2025-06-09']
+        .map(id => ({ id }));
+    const decided = (id, minutesAgo, outcome, extra = {}) => ({
+        recommendation_id: id,
+        outcome,
+        timestamp: new Date(NOW - minutesAgo * 60000).toISOString(),
+        ...extra
+    });
+
+    test('the latest outcome for each recommendation wins, whatever the order', () => {
+        const latest = latestOutcomes([
+            decided('shift_load:pumps:2025-06-09', 10, 'accepted'),
+            decided('shift_load:pumps:2025-06-09', 30, 'snoozed')
+        ]);
+        expect(latest.get('shift_load:pumps:2025-06-09').outcome).toBe('accepted');
+    });
+
+    test('accepted and dismissed recommendations are no longer pending', () => {
+        const outcomes = [
+            decided('shift_load:pumps:2025-06-09', 5, 'accepted'),
+            decided('peak_tariff_discharge:2025-06-09', 5, 'dismissed')
+        ];
+        expect(pendingRecommendations(recommendations, outcomes, NOW).map(r => r.id)).toEqual(['surplus_charge_window:2025-06-09']);
+    });
+
+    test('snoozed recommendations come back once the snooze ends', () => {
+        const outcomes = [decided('shift_load:pumps:2025-06-09', 60, 'snoozed', { snoozed_until: new Date(NOW + 3 * HOUR).toISOString() })];
+        expect(pendingRecommendations(recommendations, outcomes, NOW)).toHaveLength(2);
+        expect(pendingRecommendations(recommendations, outcomes, NOW + 3 * HOUR)).toHaveLength(3);
+    });
+
+    test('an accepted recommendation whose command failed is pending again', () => {
+        const outcomes = [
+            decided('peak_tariff_discharge:2025-06-09', 10, 'accepted'),
+            decided('peak_tariff_discharge:2025-06-09', 9, 'failed')
+        ];
+        expect(pendingRecommendations(recommendations, outcomes, NOW)).toHaveLength(3);
+    });
+
+    test('acceptedSavings adds up recommendations that stayed accepted', () => {
+        expect(acceptedSavings([
+            decided('shift_load:pumps:2025-06-09', 40, 'accepted', { savings: 497 }),
+            decided('surplus_charge_window:2025-06-09', 30, 'accepted', { savings: 2142 }),
+            decided('peak_tariff_discharge:2025-06-09', 20, 'accepted', { savings: 1800 }),
+            decided('peak_tariff_discharge:2025-06-09', 19, 'failed', { savings: 1800 })
+        ])).toBe(2639);
+    });
+});
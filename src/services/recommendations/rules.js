@@ -0,0 +1,145 @@
+// Recommendation rules. Each rule looks at the next 24 hours of forecasts and tariff prices,
+// the battery SOC and the load schedules, and returns zero or more recommendations:
+//   { key, type, title, detail, savings, action }
+// `key` identifies the occurrence (e.g. the day it applies to) so outcomes such as a
+// dismissal stick to it; `savings` is in ₹ for that occurrence; `action` is the Control
+// action accepting it queues: { kind: 'battery.settings', settings } or
+// { kind: 'load.schedule', schedule }.
+//
+// context: { now, soc, schedules, config, inputs } where inputs are dispatchInputs() hours
+// with their campus local { date, day, hour } and academic calendar `event` added.
+import { planDispatch } from '../dispatch/planner';
+import { surplusUseSavings, tariffPeriodAt, formatRate } from '../tariff';
+import { WEEKDAY_LABELS, formatHour, describeWindows } from '../loadScheduling';
+
+const round = (value) => Math.round(value);
+const netLoad = (hour) => hour.load - hour.solar - hour.wind;
+// Local hours covered by consecutive input hours, e.g. 11:00–14:00
+const windowLabel = (hours) => `${formatHour(hours[0].hour)}–${formatHour(hours[hours.length - 1].hour + 1)}`;
+
+const batteryAction = (strategy, targetSoc, plan) => ({
+    kind: 'battery.settings',
+    settings: { strategy, target_soc: targetSoc, plan: plan.steps.map(({ time, power }) => ({ time, power })) }
+});
+
+// The contiguous run of at least `min` that adds up to the most, as [start, end)
+const largestRun = (values, min) => {
+    let best = null;
+    let start = null;
+    values.concat(-Infinity).forEach((value, index) => {
+        if (value >= min && start === null) start = index;
+        if (value < min && start !== null) {
+            const total = values.slice(start, index).reduce((sum, v) => sum + v, 0);
+            if (!best || total > best.total) best = { start, end: index, total };
+            start = null;
+        }
+    });
+    return best;
+};
+
+// ₹ to run `kw` for an hour: forecast surplus it uses is lost export, the rest is imported
+const marginalCost = (hour, kw) => {
+    const fromSurplus = Math.min(kw, Math.max(0, -netLoad(hour)));
+    return fromSurplus * hour.export_rate + (kw - fromSurplus) * hour.import_rate;
+};
+
+export const RECOMMENDATION_RULES = [
+    {
+        id: 'surplus_charge_window',
+        description: 'Store forecast surplus generation for later import hours instead of exporting it',
+        evaluate: ({ inputs, soc, config }) => {
+            const { BATTERY, CAMPUS_INFO, INTERLOCKS, RECOMMENDATIONS } = config;
+            const run = largestRun(inputs.map(hour => Math.min(-netLoad(hour), BATTERY.max_power)), RECOMMENDATIONS.MIN_SURPLUS_KW);
+            if (!run) return null;
+            const room = ((BATTERY.max_soc - soc) / 100) * CAMPUS_INFO.battery_capacity / BATTERY.efficiency;
+            const kwh = Math.min(run.total, room);
+            // The dearest later hour in which the campus would otherwise import
+            const later = inputs.slice(run.end).filter(hour => netLoad(hour) > 0);
+            if (kwh < RECOMMENDATIONS.MIN_KWH || later.length === 0) return null;
+
+            const window = inputs.slice(run.start, run.end);
+            const peak = window.reduce((best, hour) => (-netLoad(hour) > -netLoad(best) ? hour : best));
+            const avoided = later.reduce((best, hour) => (hour.import_rate > best.import_rate ? hour : best));
+            const basis = { kwh: round(kwh), surplus_at: peak.time, avoided_import_at: avoided.time, efficiency: BATTERY.efficiency ** 2 };
+            // Solar Priority stores the surplus and covers later shortfalls down to the reserve
+            const targetSoc = INTERLOCKS.RESERVE_SOC;
+            return {
+                key: window[0].date,
+                type: 'battery',
+                title: `Charge the battery ${windowLabel(window)} from surplus generation`,
+                detail: `About ${basis.kwh} kWh of forecast surplus would otherwise be exported at ${formatRate(peak.export_rate)}. `
+                    + `Stored, it covers imports at ${formatHour(avoided.hour)} (${tariffPeriodAt(avoided.time)}, ${formatRate(avoided.import_rate)}).`,
+                savings: round(surplusUseSavings(basis)),
+                savings_basis: basis,
+                action: batteryAction('Solar Priority', targetSoc, planDispatch({ strategy: 'Solar Priority', inputs, soc, targetSoc, config }))
+            };
+        }
+    },
+    {
+        id: 'peak_tariff_discharge',
+        description: 'Discharge the battery through the most expensive tariff hours',
+        evaluate: ({ inputs, soc, config }) => {
+            const targetSoc = Math.max(config.INTERLOCKS.RESERVE_SOC, Math.round(soc));
+            const plan = planDispatch({ strategy: 'Automatic Optimization', inputs, soc, targetSoc, config });
+            const peakRate = Math.max(...inputs.map(hour => hour.import_rate));
+            const peakDischarge = inputs.filter((hour, index) => hour.import_rate === peakRate && plan.steps[index].power < 0);
+            const kwh = -peakDischarge.reduce((sum, hour) => sum + plan.steps[inputs.indexOf(hour)].power, 0);
+            if (kwh < config.RECOMMENDATIONS.MIN_KWH) return null;
+            return {
+                key: peakDischarge[0].date,
+                type: 'battery',
+                title: `Discharge the battery ${windowLabel(peakDischarge)} in the ${tariffPeriodAt(peakDischarge[0].time)} tariff`,
+                detail: `Automatic optimisation covers ${round(kwh)} kWh of imports at ${formatRate(peakRate)} from the battery `
+                    + `and recharges in cheaper hours, ending the day at ${plan.summary.final_soc}% SOC.`,
+                savings: round(plan.summary.savings),
+                action: batteryAction('Automatic Optimization', targetSoc, plan)
+            };
+        }
+    },
+    {
+        id: 'shift_load',
+        description: 'Move a controllable load to the cheapest hours of its day',
+        evaluate: ({ inputs, schedules, config }) => config.LOAD_SCHEDULING.CONTROLLABLE_LOADS.flatMap(load => {
+            const windows = schedules.find(schedule => schedule.load_id === load.id)?.windows || [];
+            const [earliest, latest] = load.shiftable_hours;
+            const dates = [...new Set(inputs.map(hour => hour.date))];
+
+            return dates.flatMap(date => {
+                const day = inputs.filter(hour => hour.date === date);
+                const scheduled = windows.filter(w => w.day === day[0].day);
+                // Schedules repeat weekly, so a holiday or exam day is no guide to them
+                if (scheduled.length !== 1 || day[0].event) return [];
+                const current = scheduled[0];
+                const length = current.end - current.start;
+                // ₹ to run the load from `start`, or null when those hours are not all forecast
+                const costFrom = (start) => {
+                    const hours = day.filter(hour => hour.hour >= start && hour.hour < start + length);
+                    return hours.length === length ? hours.reduce((sum, hour) => sum + marginalCost(hour, load.rated_kw), 0) : null;
+                };
+                const currentCost = costFrom(current.start);
+                if (currentCost === null) return [];
+
+                let best = { start: current.start, cost: currentCost };
+                for (let start = earliest; start + length <= latest; start++) {
+                    const cost = costFrom(start);
+                    if (cost !== null && cost < best.cost) best = { start, cost };
+                }
+                if (best.start === current.start) return [];
+
+                const moved = { day: current.day, start: best.start, end: best.start + length };
+                return [{
+                    key: `${load.id}:${date}`,
+                    type: 'load',
+                    title: `Shift ${load.name} to ${describeWindows([moved])}`,
+                    detail: `Currently ${describeWindows([current])}. The new hours use more forecast renewable surplus and cheaper tariff periods. `
+                        + `This changes the weekly schedule for every ${WEEKDAY_LABELS[current.day]}.`,
+                    savings: round(currentCost - best.cost),
+                    action: {
+                        kind: 'load.schedule',
+                        schedule: { load_id: load.id, windows: windows.map(w => (w === current ? moved : w)) }
+                    }
+                }];
+            });
+        })
+    }
+];
@@ -0,0 +1,80 @@
+import { RECOMMENDATION_RULES } from './rules';
+import { evaluateRecommendations } from './engine';
+
+const HOUR = 3600000;
+
+// Local midnight on Monday 9 June 2025, an ordinary teaching day billed at the 2025-26 tariff
+const MONDAY = Date.parse('2025-06-09T00:00:00+05:30');
+
+// A day of forecast hours: 300 kW of load, and 450 kW of solar from 10:00 to 14:00 unless
+// `solarHours` says otherwise
+const forecastDay = ({ solarHours = [10, 11, 12, 13] } = {}) => Array.from({ length: 24 }, (_, hour) => ({
+    time: new Date(MONDAY + hour * HOUR).toISOString(),
+    solar: solarHours.includes(hour) ? 450 : 0,
+    wind: 0,
+    load: 300
+}));
+
+const recommend = (ruleId, { forecastHours = forecastDay(), soc = 50, schedules = [] } = {}) => evaluateRecommendations({
+    forecastHours,
+    soc,
+    schedules,
+    now: MONDAY,
+    rules: RECOMMENDATION_RULES.filter(rule => rule.id === ruleId)
+});
+
+describe('surplus_charge_window', () => {
+    test('stores the surplus run for the dearest later import hour', () => {
+        const [recommendation] = recommend('surplus_charge_window');
+        // 600 kWh of surplus, but only (100% - 50%) × 800 kWh / 0.95 fits in the battery
+        expect(recommendation).toMatchObject({
+            id: 'surplus_charge_window:2025-06-09',
+            type: 'battery',
+            priority: 'high',
+            title: 'Charge the battery 10:00–14:00 from surplus generation',
+            savings_basis: { kwh: 421, efficiency: 0.95 ** 2 },
+            // 421 kWh × (0.9025 × ₹9.25 peak import − ₹3.26 export)
+            savings: 2142
+        });
+        expect(recommendation.detail).toContain('covers imports at 18:00 (Peak, ₹9.25/kWh)');
+        expect(recommendation.action).toMatchObject({ kind: 'battery.settings', settings: { strategy: 'Solar Priority', target_soc: 30 } });
+        expect(recommendation.action.settings.plan).toHaveLength(24);
+    });
+
+    test('has nothing to recommend with a full battery or no surplus', () => {
+        expect(recommend('surplus_charge_window', { soc: 100 })).toEqual([]);
+        expect(recommend('surplus_charge_window', { forecastHours: forecastDay({ solarHours: [] }) })).toEqual([]);
+    });
+});
+
+test('peak_tariff_discharge covers peak imports from the battery and keeps the SOC', () => {
+    const [recommendation] = recommend('peak_tariff_discharge', { soc: 80 });
+    expect(recommendation.title).toMatch(/^Discharge the battery \d\d:00–\d\d:00 in the Peak tariff$/);
+    expect(recommendation.savings).toBeGreaterThan(0);
+    expect(recommendation.action.settings).toMatchObject({ strategy: 'Automatic Optimization', target_soc: 80 });
+});
+
+describe('shift_load', () => {
+    const precool = (start, end) => ({ load_id: 'hvac_precool', windows: [{ day: 1, start, end }] });
+
+    test('moves the load into the solar surplus', () => {
+        const [recommendation] = recommend('shift_load', { schedules: [precool(8, 10)] });
+        // 2 h × 60 kW from ₹7.40 imports to ₹3.26 lost exports
+        expect(recommendation).toMatchObject({
+            id: 'shift_load:hvac_precool:2025-06-09',
+            type: 'load',
+            title: 'Shift HVAC System to Mon 10:00–12:00',
+            savings: 497,
+            action: { kind: 'load.schedule', schedule: precool(10, 12) }
+        });
+    });
+
+    test('leaves a load that already runs in its cheapest hours', () => {
+        expect(recommend('shift_load', { schedules: [precool(10, 12)] })).toEqual([]);
+    });
+
+    test('leaves days with more than one window alone', () => {
+        const schedule = { load_id: 'hvac_precool', windows: [{ day: 1, start: 8, end: 9 }, { day: 1, start: 15, end: 16 }] };
+        expect(recommend('shift_load', { schedules: [schedule] })).toEqual([]);
+    });
+});
@@ -0,0 +1,17 @@
+// Battery energy balance. `requestedPower` is positive to charge and negative to discharge;
+// the returned power is what the battery actually took after power and SOC limits.
+export const stepBattery = ({ soc, requestedPower, hours, capacity, maxPower, efficiency, minSoc, maxSoc }) => {
+    if (hours <= 0) return { soc, power: 0 };
+
+    let power = Math.max(-maxPower, Math.min(maxPower, requestedPower));
+    if (power > 0) {
+        const headroom = ((maxSoc - soc) / 100) * capacity;
+        power = Math.max(0, Math.min(power, headroom / (hours * efficiency)));
+    } else if (power < 0) {
+        const available = ((soc - minSoc) / 100) * capacity;
+        power = -Math.max(0, Math.min(-power, (available * efficiency) / hours));
+    }
+
+    const energy = power > 0 ? power * hours * efficiency : (power * hours) / efficiency;
+    return { soc: soc + (energy / capacity) * 100, power };
+};
@@ -0,0 +1,32 @@
+// Stands in for the battery management system when the dashboard runs on simulated data:
+// the mock adapter hands it applied battery settings and the live simulator asks it how
+// much power to draw, so commands visibly change the telemetry they are checked against.
+const HOUR = 3600000;
+
+class BatteryController {
+    constructor() {
+        this.settings = null;
+    }
+
+    apply(settings) {
+        this.settings = settings;
+    }
+
+    // kW to request from the battery (positive charges). `surplus` is generation minus load,
+    // which the battery absorbs or covers when no settings are in force (self-consumption).
+    requestedPower({ date, soc, surplus, capacity, maxPower }) {
+        const settings = this.settings;
+        if (!settings) return surplus;
+
+        if (settings.strategy !== 'Manual Control' && settings.plan) {
+            const step = settings.plan.find(s => date >= new Date(s.time) && date < new Date(Date.parse(s.time) + HOUR));
+            if (step) return step.power;
+        }
+        // Manual control, or outside the plan: head for the target SOC at full power
+        const gap = ((settings.target_soc - soc) / 100) * capacity;
+        return Math.abs(gap) < 0.01 * capacity ? 0 : Math.sign(gap) * maxPower;
+    }
+}
+
+const batteryController = new BatteryController();
+export default batteryController;
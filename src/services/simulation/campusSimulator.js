@@ -0,0 +1,160 @@
+// Deterministic, seedable campus microgrid simulator.
+// Weather evolves as mean-reverting random processes; solar, wind and load follow from it
+// through physical models, and the battery absorbs the imbalance within its limits.
+// The same seed and the same sequence of timestamps always produce the same frames.
+import { CONFIG } from '../config';
+import { createRng } from './random';
+import { sunPosition, clearSkyIrradiance, applyCloudCover, pvOutput } from './solar';
+import { turbinePower } from './wind';
+import { campusLoad } from './load';
+import { stepBattery } from './battery';
+import { calendarEventOn } from '../academicCalendar';
+
+const MINUTE = 60000;
+// Longest step simulated in one go; larger jumps (e.g. a sleeping laptop) are capped
+const MAX_STEP_HOURS = 1;
+
+const clamp = (val, min, max) => Math.max(min, Math.min(val, max));
+const round = (val) => parseFloat(val.toFixed(1)) || 0; // avoid -0
+
+const localFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: CONFIG.TIMEZONE, hourCycle: 'h23', weekday: 'short', hour: 'numeric', minute: 'numeric'
+});
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Local campus hour (fractional) and weekday for a timestamp
+export const localTime = (date) => {
+    const parts = Object.fromEntries(localFormatter.formatToParts(date).map(p => [p.type, p.value]));
+    return { hour: Number(parts.hour) + Number(parts.minute) / 60, weekday: WEEKDAYS.indexOf(parts.weekday) };
+};
+
+class CampusSimulator {
+    // `controller`, when given, decides battery power instead of plain self-consumption
+    // (see batteryController.js); `loads` adds the controllable loads' saved schedules to
+    // demand (see loadController.js)
+    constructor({ seed = CONFIG.SIMULATION.seed, initialSoc = 60, config = CONFIG, controller = null, loads = null } = {}) {
+        this.config = config;
+        this.controller = controller;
+        this.loads = loads;
+        this.rng = createRng(seed);
+        this.soc = initialSoc;
+        this.lastTime = null;
+        this.batteryTemperature = null;
+
+        const sim = config.SIMULATION;
+        this.cloudCover = sim.mean_cloud_cover;
+        this.windAnomaly = 0;
+        this.temperatureAnomaly = 0;
+    }
+
+    // Ornstein-Uhlenbeck step: reverts towards 0 with time constant `tau` hours
+    drift(value, hours, tau, sd) {
+        const decay = Math.exp(-hours / tau);
+        return value * decay + sd * Math.sqrt(1 - decay * decay) * this.rng.gaussian();
+    }
+
+    advanceWeather(hours, hour) {
+        const sim = this.config.SIMULATION;
+        this.cloudCover = clamp(sim.mean_cloud_cover + this.drift(this.cloudCover - sim.mean_cloud_cover, hours, 3, 15), 0, 100);
+        this.windAnomaly = this.drift(this.windAnomaly, hours, 2, 1.5);
+        this.temperatureAnomaly = this.drift(this.temperatureAnomaly, hours, 6, 1.5);
+
+        // Afternoons are the hottest and windiest part of the day
+        const diurnal = Math.sin(2 * Math.PI * (hour - 9) / 24);
+        return {
+            temperature: sim.mean_temperature + sim.temperature_swing * diurnal + this.temperatureAnomaly,
+            wind_speed: Math.max(0, sim.mean_wind_speed * (1 + 0.3 * diurnal) + this.windAnomaly),
+            cloud_cover: this.cloudCover
+        };
+    }
+
+    // The battery enclosure follows the ambient temperature with a lag and warms with throughput
+    advanceBatteryTemperature(hours, ambient, power) {
+        const { BATTERY } = this.config;
+        const equilibrium = ambient + BATTERY.enclosure_offset + BATTERY.heating_at_max_power * Math.abs(power) / BATTERY.max_power;
+        if (this.batteryTemperature === null) return equilibrium;
+        const decay = Math.exp(-hours / BATTERY.thermal_time_constant);
+        return equilibrium + (this.batteryTemperature - equilibrium) * decay;
+    }
+
+    // Advance the simulation to `date` and return a status frame in the getCurrentStatus shape
+    step(date = new Date()) {
+        const { CAMPUS_INFO, BATTERY, WIND_TURBINE, LOAD_PROFILE, SIMULATION } = this.config;
+        const hours = this.lastTime === null ? 0 : clamp((date - this.lastTime) / (60 * MINUTE), 0, MAX_STEP_HOURS);
+        this.lastTime = date;
+
+        const { hour, weekday } = localTime(date);
+        const weather = this.advanceWeather(hours, hour);
+
+        const { elevation } = sunPosition(date, CAMPUS_INFO.latitude, CAMPUS_INFO.longitude);
+        const irradiance = applyCloudCover(clearSkyIrradiance(elevation), weather.cloud_cover);
+        const solar = pvOutput(irradiance, weather.temperature, CAMPUS_INFO.solar_capacity, {
+            performanceRatio: SIMULATION.performance_ratio,
+            tempCoefficient: SIMULATION.temp_coefficient,
+            noct: SIMULATION.noct
+        });
+        const wind = turbinePower(weather.wind_speed, CAMPUS_INFO.wind_capacity, {
+            cutIn: WIND_TURBINE.cut_in,
+            ratedSpeed: WIND_TURBINE.rated_speed,
+            cutOut: WIND_TURBINE.cut_out
+        });
+        const event = calendarEventOn(date);
+        const profileLoad = campusLoad(hour, weekday, weather.temperature, CAMPUS_INFO.peak_demand, LOAD_PROFILE)
+            * (event ? LOAD_PROFILE.calendar_factors[event.type] : 1)
+            * (1 + SIMULATION.load_noise * this.rng.gaussian());
+        const load = Math.max(0, profileLoad + (this.loads ? this.loads.adjustment(hour, weekday) : 0));
+
+        // Self-consumption dispatch unless a controller says otherwise: store any surplus,
+        // cover any deficit, grid takes the rest
+        const generation = solar + wind;
+        const requestedPower = this.controller
+            ? this.controller.requestedPower({
+                date, soc: this.soc, surplus: generation - load,
+                capacity: CAMPUS_INFO.battery_capacity, maxPower: BATTERY.max_power
+            })
+            : generation - load;
+        const battery = stepBattery({
+            soc: this.soc,
+            requestedPower,
+            hours,
+            capacity: CAMPUS_INFO.battery_capacity,
+            maxPower: BATTERY.max_power,
+            efficiency: BATTERY.efficiency,
+            minSoc: BATTERY.min_soc,
+            maxSoc: BATTERY.max_soc
+        });
+        this.soc = battery.soc;
+        this.batteryTemperature = this.advanceBatteryTemperature(hours, weather.temperature, battery.power);
+
+        return {
+            timestamp: date.toISOString(),
+            solar_generation: round(solar),
+            wind_generation: round(wind),
+            total_generation: round(generation),
+            campus_load: round(load),
+            battery_soc: round(this.soc),
+            battery_power: round(battery.power),
+            battery_temperature: round(this.batteryTemperature),
+            // Positive when importing from the grid, negative when exporting
+            grid_power: round(load + battery.power - generation),
+            weather: {
+                temperature: round(weather.temperature),
+                irradiance: Math.round(irradiance),
+                wind_speed: round(weather.wind_speed),
+                cloud_cover: Math.round(weather.cloud_cover)
+            }
+        };
+    }
+}
+
+// Run a fresh simulator over [from, to] and return one frame per `stepMinutes`
+export const simulateRange = (from, to, stepMinutes, options) => {
+    const simulator = new CampusSimulator(options);
+    const frames = [];
+    for (let t = from.getTime(); t <= to.getTime(); t += stepMinutes * MINUTE) {
+        frames.push(simulator.step(new Date(t)));
+    }
+    return { frames, simulator };
+};
+
+export default CampusSimulator;
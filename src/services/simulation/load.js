@@ -0,0 +1,16 @@
+// Campus demand from time-of-day and weekday profiles plus a cooling term for hot weather.
+
+const interpolate = (profile, hour) => {
+    const lower = Math.floor(hour) % 24;
+    const upper = (lower + 1) % 24;
+    const fraction = hour - Math.floor(hour);
+    return profile[lower] + (profile[upper] - profile[lower]) * fraction;
+};
+
+// `hour` and `weekday` are local campus time (weekday 0 = Sunday)
+export const campusLoad = (hour, weekday, temperature, peakDemand, { weekday: weekdayProfile, weekend: weekendProfile, cooling_kw_per_degree, cooling_threshold }) => {
+    const isWeekend = weekday === 0 || weekday === 6;
+    const base = interpolate(isWeekend ? weekendProfile : weekdayProfile, hour) * peakDemand;
+    const cooling = Math.max(0, temperature - cooling_threshold) * cooling_kw_per_degree;
+    return base + cooling;
+};
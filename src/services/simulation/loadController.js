@@ -0,0 +1,33 @@
+// Stands in for the building management system when the dashboard runs on simulated data:
+// the mock adapter hands it the saved load schedules and the live simulator asks it how much
+// the controllable loads add to campus demand. The load profile already includes the
+// loads running on their default schedules, so only the difference from those is added.
+import { CONFIG } from '../config';
+import { DEFAULT_SCHEDULES, slotKey, windowsToSlots } from '../loadScheduling';
+
+const slotsByLoad = (schedules) => Object.fromEntries(schedules.map(s => [s.load_id, windowsToSlots(s.windows)]));
+
+class LoadController {
+    constructor(loads = CONFIG.LOAD_SCHEDULING.CONTROLLABLE_LOADS) {
+        this.loads = loads;
+        this.defaults = slotsByLoad(DEFAULT_SCHEDULES);
+        this.slots = this.defaults;
+    }
+
+    apply(schedules) {
+        this.slots = { ...this.defaults, ...slotsByLoad(schedules) };
+    }
+
+    // kW added to (or, for hours moved away, taken off) the profile at local `hour` on `weekday`
+    adjustment(hour, weekday) {
+        const key = slotKey(weekday, Math.floor(hour));
+        return this.loads.reduce((total, load) => {
+            const scheduled = this.slots[load.id]?.has(key) ? 1 : 0;
+            const usual = this.defaults[load.id]?.has(key) ? 1 : 0;
+            return total + (scheduled - usual) * load.rated_kw;
+        }, 0);
+    }
+}
+
+const loadController = new LoadController();
+export default loadController;
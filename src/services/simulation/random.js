@@ -0,0 +1,22 @@
+// Seedable pseudo-random numbers so simulated runs are reproducible.
+
+// mulberry32: tiny, fast and good enough for demo data
+export const createRng = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // Standard normal sample via Box-Muller
+    const gaussian = () => {
+        const u = 1 - next();
+        const v = next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+
+    return { next, gaussian };
+};
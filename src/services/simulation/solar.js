@@ -0,0 +1,48 @@
+// Solar geometry and PV output for a fixed site.
+const DEG = Math.PI / 180;
+
+const dayOfYear = (date) => {
+    const start = Date.UTC(date.getUTCFullYear(), 0, 0);
+    return Math.floor((date.getTime() - start) / 86400000);
+};
+
+// Approximate sun position (NOAA-style declination and equation of time), accurate to
+// well under a degree, which is plenty for estimating PV output.
+export const sunPosition = (date, latitude, longitude) => {
+    const n = dayOfYear(date);
+    const declination = 23.45 * Math.sin(2 * Math.PI * (284 + n) / 365) * DEG;
+    const b = 2 * Math.PI * (n - 81) / 364;
+    const equationOfTime = 9.87 * Math.sin(2 * b) - 7.53 * Math.cos(b) - 1.5 * Math.sin(b); // minutes
+
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    const solarMinutes = utcMinutes + 4 * longitude + equationOfTime;
+    const hourAngle = (solarMinutes / 4 - 180) * DEG;
+
+    const lat = latitude * DEG;
+    const sinElevation = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+    const elevation = Math.asin(Math.max(-1, Math.min(1, sinElevation)));
+
+    const cosAzimuth = (Math.sin(declination) - Math.sin(elevation) * Math.sin(lat)) / (Math.cos(elevation) * Math.cos(lat));
+    let azimuth = Math.acos(Math.max(-1, Math.min(1, cosAzimuth)));
+    if (hourAngle > 0) azimuth = 2 * Math.PI - azimuth;
+
+    return { elevation: elevation / DEG, azimuth: azimuth / DEG };
+};
+
+// Global horizontal irradiance under a clear sky (Haurwitz model), W/m²
+export const clearSkyIrradiance = (elevationDeg) => {
+    if (elevationDeg <= 0) return 0;
+    const cosZenith = Math.sin(elevationDeg * DEG);
+    return 1098 * cosZenith * Math.exp(-0.057 / cosZenith);
+};
+
+// Cloud attenuation (Kasten & Czeplak), cloudCover in percent
+export const applyCloudCover = (clearSky, cloudCover) =>
+    clearSky * (1 - 0.75 * Math.pow(cloudCover / 100, 3.4));
+
+// DC-to-AC PV output in kW for a given irradiance and ambient temperature
+export const pvOutput = (irradiance, ambientTemp, capacity, { performanceRatio, tempCoefficient, noct }) => {
+    const cellTemp = ambientTemp + ((noct - 20) / 800) * irradiance;
+    const tempFactor = 1 + tempCoefficient * (cellTemp - 25);
+    return Math.max(0, capacity * (irradiance / 1000) * performanceRatio * tempFactor);
+};
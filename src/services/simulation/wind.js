@@ -0,0 +1,8 @@
+// Turbine power curve: nothing below cut-in, cubic ramp up to rated speed,
+// flat at rated power, and a shutdown above cut-out.
+export const turbinePower = (windSpeed, capacity, { cutIn, ratedSpeed, cutOut }) => {
+    if (windSpeed < cutIn || windSpeed >= cutOut) return 0;
+    if (windSpeed >= ratedSpeed) return capacity;
+    const fraction = (windSpeed ** 3 - cutIn ** 3) / (ratedSpeed ** 3 - cutIn ** 3);
+    return capacity * fraction;
+};
@@ -0,0 +1,56 @@
+// Thin promise wrapper over IndexedDB object stores whose records are keyed by their `keyPath`
+// field (a numeric timestamp `t` unless given).
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+class IndexedDbBackend {
+    constructor(dbName, storeNames, version = 1, keyPath = 't') {
+        this.db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, version);
+            request.onupgradeneeded = () => {
+                storeNames.forEach(name => {
+                    if (!request.result.objectStoreNames.contains(name)) {
+                        request.result.createObjectStore(name, { keyPath });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`Opening ${dbName} is blocked by another tab`));
+        });
+    }
+
+    async store(name, mode) {
+        const db = await this.db;
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    async get(name, key) {
+        return promisify((await this.store(name, 'readonly')).get(key));
+    }
+
+    async all(name) {
+        return promisify((await this.store(name, 'readonly')).getAll());
+    }
+
+    async put(name, record) {
+        return promisify((await this.store(name, 'readwrite')).put(record));
+    }
+
+    async range(name, from, to) {
+        return promisify((await this.store(name, 'readonly')).getAll(IDBKeyRange.bound(from, to)));
+    }
+
+    async delete(name, key) {
+        return promisify((await this.store(name, 'readwrite')).delete(key));
+    }
+
+    async deleteBefore(name, t) {
+        return promisify((await this.store(name, 'readwrite')).delete(IDBKeyRange.upperBound(t, true)));
+    }
+}
+
+export default IndexedDbBackend;
@@ -0,0 +1,38 @@
+// In-memory stand-in for IndexedDbBackend, used where IndexedDB is unavailable
+// (private browsing in some browsers, test environments). Data is lost on reload.
+class MemoryBackend {
+    constructor(storeNames, keyPath = 't') {
+        this.keyPath = keyPath;
+        this.stores = Object.fromEntries(storeNames.map(name => [name, new Map()]));
+    }
+
+    async get(name, key) {
+        return this.stores[name].get(key);
+    }
+
+    async all(name) {
+        return [...this.stores[name].values()];
+    }
+
+    async put(name, record) {
+        this.stores[name].set(record[this.keyPath], record);
+    }
+
+    async delete(name, key) {
+        this.stores[name].delete(key);
+    }
+
+    async range(name, from, to) {
+        return [...this.stores[name].values()]
+            .filter(record => record.t >= from && record.t <= to)
+            .sort((a, b) => a.t - b.t);
+    }
+
+    async deleteBefore(name, t) {
+        this.stores[name].forEach((record, key) => {
+            if (key < t) this.stores[name].delete(key);
+        });
+    }
+}
+
+export default MemoryBackend;
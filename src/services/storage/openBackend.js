@@ -0,0 +1,19 @@
+// Opens an IndexedDB-backed store, resolving to the backend once it is usable. IndexedDB can be
+// missing, or fail to open (private browsing, quota, an upgrade blocked by another tab); either
+// way the data is kept in memory for this session instead. `contents` names it in that message.
+import IndexedDbBackend from './indexedDbBackend';
+import MemoryBackend from './memoryBackend';
+
+const openBackend = async (dbName, storeNames, { keyPath = 't', contents = 'data' } = {}) => {
+    if (typeof indexedDB === 'undefined') return new MemoryBackend(storeNames, keyPath);
+    const backend = new IndexedDbBackend(dbName, storeNames, 1, keyPath);
+    try {
+        await backend.db;
+        return backend;
+    } catch (error) {
+        console.error(`IndexedDB unavailable, keeping ${contents} in memory:`, error);
+        return new MemoryBackend(storeNames, keyPath);
+    }
+};
+
+export default openBackend;
@@ -0,0 +1,96 @@
+// Answers getHistoricalData from the status frames this browser has recorded (timeSeriesStore)
+// and asks the data source only for the buckets the store does not cover.
+import timeSeriesStore from './timeSeriesStore';
+import { CONFIG } from '../config';
+import { RESOLUTION_MS, bucketStart } from '../aggregation';
+
+// Store resolution each query resolution is read from; daily buckets are rolled up from hourly ones
+const SOURCE_RESOLUTION = { '1m': '1m', '15m': '15m', '1h': '1h', '1d': '1h' };
+
+// A bucket counts as recorded once its frames span at least this share of it (of the part
+// that has elapsed, for the current bucket). Sparser buckets come from the data source.
+const MIN_COVERAGE = 0.5;
+
+const combine = (values, counts, aggregate) => {
+    const present = values.map((value, i) => [value, counts[i]]).filter(([value]) => value !== null && value !== undefined);
+    if (present.length === 0) return null;
+    switch (aggregate) {
+        case 'min': return Math.min(...present.map(([value]) => value));
+        case 'max': return Math.max(...present.map(([value]) => value));
+        case 'sum': return present.reduce((total, [value]) => total + value, 0);
+        default: {
+            const weight = present.reduce((total, [, count]) => total + count, 0);
+            return present.reduce((total, [value, count]) => total + value * count, 0) / weight;
+        }
+    }
+};
+
+// Store points grouped into the query's buckets: Map(bucket start -> { count, <metric>: value })
+const recordedBuckets = async ({ from, to, resolution, metrics, aggregate }) => {
+    const size = RESOLUTION_MS[resolution];
+    const points = await timeSeriesStore.query({
+        from: bucketStart(new Date(from).getTime(), size),
+        to,
+        resolution: SOURCE_RESOLUTION[resolution],
+        metrics,
+        aggregate
+    });
+    const grouped = new Map();
+    points.forEach(point => {
+        const start = bucketStart(point.t, size);
+        if (!grouped.has(start)) grouped.set(start, []);
+        grouped.get(start).push(point);
+    });
+    return new Map([...grouped.entries()].map(([start, group]) => {
+        const counts = group.map(point => point.count);
+        return [start, {
+            count: counts.reduce((a, b) => a + b, 0),
+            ...Object.fromEntries(metrics.map(metric => [metric, combine(group.map(point => point[metric]), counts, aggregate)]))
+        }];
+    }));
+};
+
+const isCovered = (bucket, start, size, now) =>
+    Boolean(bucket) && bucket.count * CONFIG.UPDATE_INTERVAL >= MIN_COVERAGE * Math.min(size, now - start);
+
+// `query` is a normalised getHistoricalData query; `fetchFromSource(query)` reads the data source.
+// The source is asked once, for the span from the first to the last bucket the store lacks.
+export const withRecordedHistory = async (query, fetchFromSource) => {
+    const size = RESOLUTION_MS[query.resolution];
+    const now = Date.now();
+    const to = Math.min(new Date(query.to).getTime(), now);
+
+    let recorded = new Map();
+    try {
+        recorded = await recordedBuckets(query);
+    } catch (error) {
+        console.error('Failed to read recorded history:', error);
+    }
+
+    const starts = [];
+    for (let start = bucketStart(new Date(query.from).getTime(), size); start <= to; start += size) {
+        starts.push(start);
+    }
+    const missing = starts.filter(start => !isCovered(recorded.get(start), start, size, now));
+
+    const gaps = new Set(missing);
+    let fetched = new Map();
+    if (missing.length > 0) {
+        const points = await fetchFromSource({
+            ...query,
+            from: new Date(Math.max(missing[0], new Date(query.from).getTime())).toISOString(),
+            to: new Date(Math.min(missing[missing.length - 1] + size, to)).toISOString()
+        });
+        fetched = new Map(points.map(point => [new Date(point.time).getTime(), point]));
+    }
+
+    return starts
+        .map(start => {
+            if (!gaps.has(start)) {
+                const { count, ...values } = recorded.get(start);
+                return { time: new Date(start).toISOString(), ...values };
+            }
+            return fetched.get(start);
+        })
+        .filter(Boolean);
+};
@@ -0,0 +1,122 @@
+// Browser-side time-series store for status frames.
+// Every frame is kept raw and rolled into 1-minute, 15-minute and hourly aggregates
+// (sum/min/max/count per metric), each with its own retention from CONFIG.STORAGE.
+// Read through query({ from, to, resolution, metrics, aggregate }); apiService.getHistoricalData
+// serves what it holds ahead of the data source (recordedHistory.js).
+import { CONFIG } from '../config';
+import openBackend from './openBackend';
+import { bucketStart, frameToSample, AGGREGATES, METRICS } from '../aggregation';
+
+export const RESOLUTIONS = {
+    raw: 0,
+    '1m': 60000,
+    '15m': 15 * 60000,
+    '1h': 60 * 60000
+};
+
+const DAY = 24 * 60 * 60000;
+
+const mergeIntoBucket = (bucket, t, values) => {
+    const next = bucket || { t, count: 0, stats: {} };
+    next.count += 1;
+    Object.entries(values).forEach(([metric, value]) => {
+        const stat = next.stats[metric];
+        next.stats[metric] = stat
+            ? { sum: stat.sum + value, min: Math.min(stat.min, value), max: Math.max(stat.max, value), n: stat.n + 1 }
+            : { sum: value, min: value, max: value, n: 1 };
+    });
+    return next;
+};
+
+const readAggregate = (stat, aggregate) => {
+    if (!stat) return null;
+    if (aggregate === 'avg') return stat.sum / stat.n;
+    return stat[aggregate];
+};
+
+class TimeSeriesStore {
+    constructor(options = CONFIG.STORAGE) {
+        this.retentionDays = options.RETENTION_DAYS;
+        this.pruneInterval = options.PRUNE_INTERVAL;
+        this.lastPrune = 0;
+        this.listeners = new Set();
+        // Appends are serialised so read-modify-write of aggregate buckets never interleaves
+        this.queue = Promise.resolve();
+
+        this.backend = openBackend(options.DB_NAME, Object.keys(RESOLUTIONS), { contents: 'status history' });
+    }
+
+    append(frame) {
+        this.queue = this.queue
+            .then(() => this.write(frame))
+            .catch(error => console.error('Failed to store status frame:', error));
+        return this.queue;
+    }
+
+    async write(frame) {
+        const { t, ...values } = frameToSample(frame);
+        const backend = await this.backend;
+
+        await backend.put('raw', { t, ...values });
+        for (const [resolution, size] of Object.entries(RESOLUTIONS)) {
+            if (size === 0) continue;
+            const start = bucketStart(t, size);
+            const bucket = await backend.get(resolution, start);
+            await backend.put(resolution, mergeIntoBucket(bucket, start, values));
+        }
+
+        if (t - this.lastPrune > this.pruneInterval) {
+            await this.prune(t);
+            this.lastPrune = t;
+        }
+        this.listeners.forEach(listener => listener(frame));
+    }
+
+    async prune(now = Date.now()) {
+        const backend = await this.backend;
+        for (const resolution of Object.keys(RESOLUTIONS)) {
+            await backend.deleteBefore(resolution, now - this.retentionDays[resolution] * DAY);
+        }
+    }
+
+    // Finest resolution that still has data for `from` and keeps the result under maxPoints
+    pickResolution(from, to, maxPoints = 500, now = Date.now()) {
+        const span = to - from;
+        const candidates = Object.entries(RESOLUTIONS).filter(([resolution]) =>
+            from >= now - this.retentionDays[resolution] * DAY);
+        const fit = candidates.find(([, size]) => span / (size || CONFIG.UPDATE_INTERVAL) <= maxPoints);
+        return (fit || candidates[candidates.length - 1] || ['1h'])[0];
+    }
+
+    // Returns [{ t, time, count, <metric>: value }] in time order. `aggregate` picks which
+    // statistic of each bucket is reported; it has no effect on raw samples.
+    async query({ from, to, resolution = 'auto', metrics = METRICS, aggregate = 'avg' }) {
+        const fromMs = new Date(from).getTime();
+        const toMs = new Date(to).getTime();
+        const chosen = resolution === 'auto' ? this.pickResolution(fromMs, toMs) : resolution;
+        if (!(chosen in RESOLUTIONS)) {
+            throw new Error(`Unknown resolution "${chosen}". Expected one of: ${Object.keys(RESOLUTIONS).join(', ')}`);
+        }
+        if (!AGGREGATES.includes(aggregate)) {
+            throw new Error(`Unknown aggregate "${aggregate}". Expected one of: ${AGGREGATES.join(', ')}`);
+        }
+
+        const records = await (await this.backend).range(chosen, fromMs, toMs);
+        return records.map(record => {
+            const point = { t: record.t, time: new Date(record.t).toISOString(), count: record.count || 1 };
+            metrics.forEach(metric => {
+                point[metric] = chosen === 'raw' ? record[metric] ?? null : readAggregate(record.stats[metric], aggregate);
+            });
+            return point;
+        });
+    }
+
+    // Called after every stored frame; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+const timeSeriesStore = new TimeSeriesStore();
+export default timeSeriesStore;
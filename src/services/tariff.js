@@ -0,0 +1,153 @@
+// Time-of-use tariff engine. Prices grid energy by local time of day using the tariff version
+// in force (src/config/tariffs.js) and builds monthly bills with fixed charges, contract-demand
+// charges and net-metering export credit. Every ₹ figure shown in the app is derived from here.
+import { CONFIG } from './config';
+import { TARIFFS } from '../config/tariffs';
+import { localTime } from './simulation/campusSimulator';
+import { timezoneOffset, localDate, localMonth } from './aggregation';
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Start and end (exclusive) of the local calendar month `monthsAgo` months before the current one
+export const billingPeriod = (monthsAgo = 1, now = Date.now()) => {
+    const [year, month] = localMonth(now).split('-').map(Number);
+    const startOf = (index) => {
+        const utc = Date.UTC(year, month - 1 - monthsAgo + index, 1);
+        return utc - timezoneOffset(utc);
+    };
+    const from = startOf(0);
+    return { month: localMonth(from), from: new Date(from).toISOString(), to: new Date(startOf(1)).toISOString() };
+};
+
+export const formatMoney = (value) => `${CONFIG.CURRENCY}${Math.round(value).toLocaleString(CONFIG.LOCALE)}`;
+
+export const formatRate = (rate) => `${CONFIG.CURRENCY}${rate.toFixed(2)}/kWh`;
+
+export const formatUnpriced = (hours, tariffs = TARIFFS) => {
+    const earliest = [...tariffs].map(t => t.effective_from).sort()[0];
+    return `${hours} hour${hours === 1 ? '' : 's'} before ${earliest}, when the earliest tariff starts, ${hours === 1 ? 'is' : 'are'} not priced`;
+};
+
+// The tariff version whose effective date is the latest on or before `date`
+export const tariffAt = (date, tariffs = TARIFFS) => {
+    const day = localDate(date);
+    const tariff = [...tariffs]
+        .sort((a, b) => a.effective_from.localeCompare(b.effective_from))
+        .filter(t => t.effective_from <= day)
+        .pop();
+    if (!tariff) {
+        throw new Error(`No tariff is in force on ${day}; the earliest starts ${tariffs[0]?.effective_from}`);
+    }
+    return tariff;
+};
+
+// Whether any tariff version is in force at `date`. Costs leave out hours before the earliest
+// version instead of failing, since they are computed while rendering.
+export const isPriced = (date, tariffs = TARIFFS) => tariffs.some(t => t.effective_from <= localDate(date));
+
+const hasGrid = (point) => typeof point.grid === 'number' && Number.isFinite(point.grid);
+
+// Hours with a grid reading that no tariff version covers, for reporting what costs left out
+export const unpricedHours = (points) => points.filter(point => hasGrid(point) && !isPriced(point.time)).length;
+
+const rateWindow = (date, tariff) => {
+    const { hour } = localTime(new Date(date));
+    return tariff.energy_rates.find(w => hour >= w.start && hour < w.end);
+};
+
+// ₹/kWh paid for energy imported at `date`
+export const importRateAt = (date, tariff = tariffAt(date)) => rateWindow(date, tariff).rate;
+
+export const tariffPeriodAt = (date, tariff = tariffAt(date)) => rateWindow(date, tariff).period;
+
+// ₹/kWh credited for energy exported at `date`
+export const exportRateAt = (date, tariff = tariffAt(date)) => tariff.export_rate;
+
+// The contract demand (kVA) in force at `date`, as the kW import it allows at the power factor
+// demand is billed at
+export const contractDemandKwAt = (date, tariff = tariffAt(date)) => tariff.contract_demand * tariff.power_factor;
+
+// Prices hourly points ({ time, grid } where grid is the hour's average kW, positive when
+// importing), so each kW of the average is one kWh over the hour. Unpriced hours are left out.
+export const hourlyCost = (points) => points
+    .filter(point => hasGrid(point) && isPriced(point.time))
+    .map(({ time, grid }) => {
+        const tariff = tariffAt(time);
+        const { rate, period } = rateWindow(time, tariff);
+        const importKwh = Math.max(grid, 0);
+        const exportKwh = Math.max(-grid, 0);
+        return {
+            time,
+            period,
+            import_kwh: importKwh,
+            export_kwh: exportKwh,
+            import_rate: rate,
+            export_rate: tariff.export_rate,
+            energy_charge: importKwh * rate,
+            export_credit: exportKwh * tariff.export_rate
+        };
+    });
+
+// One month's bill from its priced hours, using the tariff in force at the start of the data.
+// Fixed and demand charges are for the whole month, so bill complete months.
+const billMonth = (month, hours) => {
+    const tariff = tariffAt(hours[0].time);
+    const sum = (key) => hours.reduce((total, hour) => total + hour[key], 0);
+
+    const byPeriod = {};
+    hours.forEach(hour => {
+        const period = byPeriod[hour.period] || (byPeriod[hour.period] = { import_kwh: 0, charge: 0 });
+        period.import_kwh += hour.import_kwh;
+        period.charge += hour.energy_charge;
+    });
+
+    const energyCharge = sum('energy_charge');
+    // Net metering: exports offset the month's energy charge but never turn it into a payout
+    const exportCredit = Math.min(sum('export_credit'), energyCharge);
+
+    // Hourly averages understate short spikes, so this is a lower bound on the metered peak
+    const recordedDemand = Math.max(...hours.map(hour => hour.import_kwh)) / tariff.power_factor;
+    const billingDemand = Math.max(recordedDemand, tariff.min_billing_demand * tariff.contract_demand);
+    const excessDemand = Math.max(recordedDemand - tariff.contract_demand, 0);
+    const demandCharge = billingDemand * tariff.demand_charge
+        + excessDemand * tariff.demand_charge * (tariff.excess_demand_multiplier - 1);
+
+    return {
+        month,
+        tariff_id: tariff.id,
+        tariff_name: tariff.name,
+        hours: hours.length,
+        import_kwh: round(sum('import_kwh'), 1),
+        export_kwh: round(sum('export_kwh'), 1),
+        by_period: Object.fromEntries(Object.entries(byPeriod).map(([period, totals]) => [
+            period, { import_kwh: round(totals.import_kwh, 1), charge: round(totals.charge) }
+        ])),
+        energy_charge: round(energyCharge),
+        export_credit: round(exportCredit),
+        fixed_charge: tariff.fixed_charge,
+        recorded_demand_kva: round(recordedDemand, 1),
+        billing_demand_kva: round(billingDemand, 1),
+        excess_demand_kva: round(excessDemand, 1),
+        demand_charge: round(demandCharge),
+        total: round(energyCharge - exportCredit + tariff.fixed_charge + demandCharge)
+    };
+};
+
+// Monthly bills, in time order, for hourly points spanning one or more local months
+export const monthlyBills = (points) => {
+    const months = new Map();
+    hourlyCost(points).forEach(hour => {
+        const month = localMonth(hour.time);
+        if (!months.has(month)) months.set(month, []);
+        months.get(month).push(hour);
+    });
+    return [...months.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([month, hours]) => billMonth(month, hours));
+};
+
+// Value of putting `kwh` of surplus generation at `surplus_at` (otherwise exported) towards
+// load that would otherwise be imported at `avoided_import_at`. `efficiency` is the share that
+// reaches the load, e.g. the battery round trip when the energy is stored in between.
+export const surplusUseSavings = ({ kwh, surplus_at: surplusAt, avoided_import_at: avoidedAt, efficiency = 1 }) =>
+    round(kwh * (efficiency * importRateAt(avoidedAt) - exportRateAt(surplusAt)));
@@ -0,0 +1,153 @@
+import { tariffAt, importRateAt, tariffPeriodAt, exportRateAt, hourlyCost, monthlyBills, unpricedHours, formatUnpriced, billingPeriod, surplusUseSavings } from './tariff';
+
+const HOUR = 3600000;
+
+// Campus local time (Asia/Kolkata) as an ISO timestamp
+const local = (text) => new Date(`${text}+05:30`).toISOString();
+
+// Every hour of a local month with the same average grid power, adjusted per hour by `grid`
+const month = (start, days, grid = () => 100) => Array.from({ length: days * 24 }, (_, index) => {
+    const time = new Date(Date.parse(local(`${start}T00:00:00`)) + index * HOUR).toISOString();
+    return { time, grid: grid(index) };
+});
+
+describe('tariffAt', () => {
+    // Versions out of order, the way a revision might be appended
+    const versions = [{ id: 'revised', effective_from: '2025-10-01' }, { id: 'original', effective_from: '2025-04-01' }];
+
+    test.each([
+        ['2025-04-01T00:00:00', 'original'],
+        ['2025-09-30T23:59:00', 'original'],
+        ['2025-10-01T00:00:00', 'revised'],
+        ['2030-01-01T00:00:00', 'revised']
+    ])('at %s local is %s', (time, id) => {
+        expect(tariffAt(local(time), versions).id).toBe(id);
+    });
+
+    test('throws before the first version', () => {
+        expect(() => tariffAt(local('2025-03-31T23:59:00'), versions)).toThrow('No tariff is in force on 2025-03-31; the earliest starts');
+    });
+
+    test('switches on the campus date, not the UTC date', () => {
+        // 00:30 on 1 April on campus is still 31 March in UTC
+        expect(tariffAt(local('2025-04-01T00:30:00')).id).toBe('ht-nd-2025');
+    });
+});
+
+describe('time-of-use windows', () => {
+    test.each([
+        ['00:00', 5.80, 'Off-peak'],
+        ['05:59', 5.80, 'Off-peak'],
+        ['06:00', 7.40, 'Normal'],
+        ['17:59', 7.40, 'Normal'],
+        ['18:00', 9.25, 'Peak'],
+        ['21:59', 9.25, 'Peak'],
+        ['22:00', 5.80, 'Off-peak'],
+        ['23:59', 5.80, 'Off-peak']
+    ])('%s local is %f (%s)', (time, rate, period) => {
+        const date = local(`2025-06-10T${time}:00`);
+        expect(importRateAt(date)).toBe(rate);
+        expect(tariffPeriodAt(date)).toBe(period);
+    });
+
+    test('uses the rates of the version in force', () => {
+        expect(importRateAt(local('2024-06-10T19:00:00'))).toBe(8.80);
+        expect(exportRateAt(local('2024-06-10T12:00:00'))).toBe(3.14);
+        expect(exportRateAt(local('2025-06-10T12:00:00'))).toBe(3.26);
+    });
+});
+
+test('hourlyCost prices imports and exports and skips missing readings', () => {
+    const hours = hourlyCost([
+        { time: local('2025-06-10T19:00:00'), grid: 100 },
+        { time: local('2025-06-10T12:00:00'), grid: -50 },
+        { time: local('2025-06-10T13:00:00'), grid: null }
+    ]);
+    expect(hours).toHaveLength(2);
+    expect(hours[0]).toMatchObject({ period: 'Peak', import_kwh: 100, export_kwh: 0, energy_charge: 925, export_credit: 0 });
+    expect(hours[1]).toMatchObject({ period: 'Normal', import_kwh: 0, export_kwh: 50, energy_charge: 0, export_credit: 163 });
+});
+
+describe('before the first tariff', () => {
+    // The earliest version starts on 1 April 2024
+    const points = [...month('2024-03-31', 1), ...month('2024-04-01', 1), { time: local('2024-03-30T12:00:00'), grid: null }];
+
+    test('hours are left out of costs and bills instead of failing', () => {
+        expect(hourlyCost(points)).toHaveLength(24);
+        expect(monthlyBills(points).map(bill => [bill.month, bill.hours])).toEqual([['2024-04', 24]]);
+    });
+
+    test('unpricedHours counts the hours with readings that were left out', () => {
+        expect(unpricedHours(points)).toBe(24);
+        expect(formatUnpriced(24)).toBe('24 hours before 2024-04-01, when the earliest tariff starts, are not priced');
+    });
+});
+
+describe('monthlyBills', () => {
+    // 100 kW all day: 6 h off-peak + 12 h normal + 4 h peak + 2 h off-peak
+    const DAILY_ENERGY = 100 * (8 * 5.80 + 12 * 7.40 + 4 * 9.25);
+
+    test('bills energy by period, the fixed charge and the minimum billing demand', () => {
+        const [bill] = monthlyBills(month('2025-06-01', 30));
+        expect(bill).toMatchObject({
+            month: '2025-06',
+            tariff_id: 'ht-nd-2025',
+            hours: 720,
+            import_kwh: 72000,
+            energy_charge: 30 * DAILY_ENERGY,
+            fixed_charge: 5000,
+            recorded_demand_kva: 105.3,
+            billing_demand_kva: 375,
+            excess_demand_kva: 0,
+            demand_charge: 375 * 330
+        });
+        expect(bill.by_period.Peak).toEqual({ import_kwh: 12000, charge: 111000 });
+        expect(bill.total).toBeCloseTo(30 * DAILY_ENERGY + 5000 + 375 * 330, 2);
+    });
+
+    test('charges demand above the contract demand at the excess multiple', () => {
+        // One 600 kW hour at 10:00 on the first day
+        const [bill] = monthlyBills(month('2025-06-01', 30, index => (index === 10 ? 600 : 100)));
+        const recorded = 600 / 0.95;
+        const excess = recorded - 500;
+        expect(bill.billing_demand_kva).toBeCloseTo(recorded, 1);
+        expect(bill.excess_demand_kva).toBeCloseTo(excess, 1);
+        expect(bill.demand_charge).toBeCloseTo(recorded * 330 + excess * 330, 1);
+        expect(bill.energy_charge).toBeCloseTo(30 * DAILY_ENERGY + 500 * 7.40, 2);
+    });
+
+    test('caps the export credit at the energy charge', () => {
+        const [bill] = monthlyBills(month('2025-06-01', 30, index => (index % 24 === 12 ? -2000 : 10)));
+        expect(bill.export_credit).toBe(bill.energy_charge);
+        expect(bill.total).toBeCloseTo(5000 + bill.demand_charge, 2);
+    });
+
+    test('splits points into local months, in order', () => {
+        const bills = monthlyBills([...month('2025-07-01', 1), ...month('2025-06-30', 1)]);
+        expect(bills.map(bill => [bill.month, bill.hours])).toEqual([['2025-06', 24], ['2025-07', 24]]);
+    });
+
+    test('bills each month at the version in force when it starts', () => {
+        const [march, april] = monthlyBills([...month('2025-03-31', 1), ...month('2025-04-01', 1)]);
+        expect(march.tariff_id).toBe('ht-nd-2024');
+        expect(april.tariff_id).toBe('ht-nd-2025');
+    });
+});
+
+test('billingPeriod covers the previous local calendar month', () => {
+    expect(billingPeriod(1, Date.parse(local('2025-06-15T12:00:00')))).toEqual({
+        month: '2025-05',
+        from: local('2025-05-01T00:00:00'),
+        to: local('2025-06-01T00:00:00')
+    });
+});
+
+test('surplusUseSavings values avoided imports net of the lost export credit', () => {
+    const savings = surplusUseSavings({
+        kwh: 100,
+        surplus_at: local('2025-06-10T12:00:00'),
+        avoided_import_at: local('2025-06-10T19:00:00'),
+        efficiency: 0.9
+    });
+    expect(savings).toBeCloseTo(100 * (0.9 * 9.25 - 3.26), 2);
+});
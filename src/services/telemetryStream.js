@@ -0,0 +1,133 @@
+// Push-based telemetry client. Subscribes to a WebSocket or Server-Sent Events feed
+// of status frames, reconnects with exponential backoff and reports gaps in the feed.
+import { validateResponse } from './adapters/contract';
+
+export const STREAM_STATES = {
+    CONNECTING: 'connecting',
+    LIVE: 'live',
+    RECONNECTING: 'reconnecting',
+    CLOSED: 'closed'
+};
+
+class TelemetryStream {
+    constructor({ mode, url, expectedInterval, gapTolerance, baseDelay, maxDelay, onFrame, onStateChange, onGap }) {
+        this.mode = mode;
+        this.url = url;
+        this.expectedInterval = expectedInterval;
+        this.gapTolerance = gapTolerance;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.onFrame = onFrame;
+        this.onStateChange = onStateChange;
+        this.onGap = onGap;
+
+        this.socket = null;
+        this.attempt = 0;
+        this.reconnectTimer = null;
+        this.lastSeq = null;
+        this.lastTimestamp = null;
+        this.stopped = false;
+    }
+
+    setState(state, detail = {}) {
+        this.state = state;
+        this.onStateChange?.(state, detail);
+    }
+
+    connect() {
+        this.stopped = false;
+        this.setState(this.attempt === 0 ? STREAM_STATES.CONNECTING : STREAM_STATES.RECONNECTING, { attempt: this.attempt });
+
+        try {
+            this.socket = this.mode === 'websocket' ? this.openWebSocket() : this.openEventSource();
+        } catch (error) {
+            console.error('Telemetry stream could not be opened:', error);
+            this.scheduleReconnect();
+        }
+    }
+
+    openWebSocket() {
+        const socket = new WebSocket(this.url);
+        socket.onopen = () => this.handleOpen();
+        socket.onmessage = (event) => this.handleMessage(event.data);
+        socket.onclose = () => this.handleDisconnect();
+        // onclose always follows onerror for WebSockets, so reconnection is handled there
+        socket.onerror = () => {};
+        return socket;
+    }
+
+    openEventSource() {
+        const source = new EventSource(this.url);
+        source.onopen = () => this.handleOpen();
+        source.onmessage = (event) => this.handleMessage(event.data);
+        // EventSource retries on its own with a fixed delay; close it so our backoff applies instead
+        source.onerror = () => {
+            source.close();
+            this.handleDisconnect();
+        };
+        return source;
+    }
+
+    handleOpen() {
+        this.attempt = 0;
+        this.setState(STREAM_STATES.LIVE);
+    }
+
+    handleMessage(raw) {
+        let frame;
+        try {
+            frame = validateResponse('getCurrentStatus', JSON.parse(raw));
+        } catch (error) {
+            console.warn('Dropping malformed telemetry frame:', error.message);
+            return;
+        }
+        this.detectGap(frame);
+        this.onFrame(frame);
+    }
+
+    // A gap is either a jump in the frame sequence number or, for feeds without one,
+    // a pause between frame timestamps well beyond the expected interval.
+    detectGap(frame) {
+        const timestamp = new Date(frame.timestamp).getTime();
+
+        if (typeof frame.seq === 'number' && this.lastSeq !== null && frame.seq > this.lastSeq + 1) {
+            this.onGap?.({ missedFrames: frame.seq - this.lastSeq - 1, from: this.lastTimestamp, to: timestamp });
+        } else if (typeof frame.seq !== 'number' && this.lastTimestamp !== null) {
+            const elapsed = timestamp - this.lastTimestamp;
+            if (elapsed > this.expectedInterval * this.gapTolerance) {
+                this.onGap?.({ missedFrames: Math.round(elapsed / this.expectedInterval) - 1, from: this.lastTimestamp, to: timestamp });
+            }
+        }
+
+        if (typeof frame.seq === 'number') this.lastSeq = frame.seq;
+        this.lastTimestamp = timestamp;
+    }
+
+    handleDisconnect() {
+        this.socket = null;
+        if (!this.stopped) {
+            this.scheduleReconnect();
+        }
+    }
+
+    scheduleReconnect() {
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** this.attempt);
+        // Add up to 20% jitter so many dashboards don't reconnect in lockstep
+        const delay = Math.round(backoff * (1 + Math.random() * 0.2));
+        this.attempt += 1;
+        this.setState(STREAM_STATES.RECONNECTING, { attempt: this.attempt, retryIn: delay });
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    close() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setState(STREAM_STATES.CLOSED);
+    }
+}
+
+export default TelemetryStream;